@@ -0,0 +1,129 @@
+/**
+ * Built-in AG-UI commands. Each definition is
+ * { name, description, permission?, args: JSON Schema, handler({ uiAgent, clientId, args }) };
+ * args are validated (defaults applied, scalars coerced) before the handler runs.
+ */
+
+function requireService(uiAgent, method, label) {
+    const instance = uiAgent.autoweaveInstance;
+    if (!instance || typeof instance[method] !== 'function') {
+        throw new Error(`${label} not available`);
+    }
+    return instance;
+}
+
+const NO_ARGS = { type: 'object', properties: {} };
+
+const BUILTIN_COMMANDS = [
+    {
+        name: 'help',
+        description: 'List the commands available to you',
+        args: NO_ARGS,
+        handler: ({ uiAgent, clientId }) => uiAgent.generateCommandHelpDisplay(clientId)
+    },
+    {
+        name: 'system-health',
+        description: 'Show system health and metrics',
+        args: NO_ARGS,
+        handler: ({ uiAgent, clientId }) => uiAgent.generateSystemHealthDisplay(clientId)
+    },
+    {
+        name: 'list-agents',
+        description: 'List deployed agents',
+        permission: 'agents:read',
+        args: NO_ARGS,
+        handler: ({ uiAgent, clientId }) => uiAgent.generateAgentListDisplay(clientId)
+    },
+    {
+        name: 'create-agent',
+        description: 'Start the agent creation wizard',
+        permission: 'agents:write',
+        args: {
+            type: 'object',
+            properties: {
+                description: { type: 'string', description: 'What the agent should do', default: '' }
+            }
+        },
+        handler: ({ uiAgent, clientId, args }) => uiAgent.generateAgentCreationFlow(clientId, args.description)
+    },
+    {
+        name: 'delete-agent',
+        description: 'Delete an agent',
+        permission: 'agents:write',
+        args: {
+            type: 'object',
+            properties: {
+                id: { type: 'string', description: 'Agent id', minLength: 1 }
+            },
+            required: ['id']
+        },
+        handler: ({ uiAgent, clientId, args }) => uiAgent.deleteAgent(clientId, args.id)
+    },
+    {
+        name: 'agent-logs',
+        description: 'Show the latest log lines of an agent',
+        permission: 'agents:read',
+        args: {
+            type: 'object',
+            properties: {
+                id: { type: 'string', description: 'Agent id', minLength: 1 },
+                namespace: { type: 'string', description: 'Kubernetes namespace', default: 'default' },
+                lines: { type: 'integer', description: 'Number of lines', minimum: 1, maximum: 1000, default: 100 }
+            },
+            required: ['id']
+        },
+        handler: async ({ uiAgent, clientId, args }) => {
+            const instance = requireService(uiAgent, 'getAgentLogs', 'Agent logs');
+            // Agents of the tenant, else kagent agents of one of its namespaces
+            const tenant = uiAgent.getTenant(clientId);
+            const namespace = tenant.namespace || args.namespace;
+            if (!await uiAgent.findTenantAgent(clientId, args.id) && !tenant.ownsNamespace(namespace)) {
+                throw new Error(`Agent ${args.id} not found`);
+            }
+            const logs = await instance.getAgentLogs(args.id, { namespace, lines: args.lines },
+                uiAgent.getTenantContext(clientId));
+            const lines = Array.isArray(logs) ? logs : String(logs ?? '').split('\n').filter(Boolean);
+
+            const event = uiAgent.generateDisplayEvent('display-logs', {
+                agent_id: args.id,
+                namespace,
+                log_lines: lines.slice(-args.lines)
+            }, clientId);
+            await uiAgent.sendEvent(event, clientId);
+            return event;
+        }
+    },
+    {
+        name: 'memory-search',
+        description: 'Search the hybrid memory',
+        permission: 'memory:read',
+        args: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: 'Search query', minLength: 1 },
+                limit: { type: 'integer', description: 'Maximum results', minimum: 1, maximum: 50, default: 10 }
+            },
+            required: ['query']
+        },
+        handler: async ({ uiAgent, clientId, args }) => {
+            const instance = requireService(uiAgent, 'searchMemory', 'Memory search');
+
+            // Searches run as the caller, never as a user named by the client
+            const identity = uiAgent.getIdentity(clientId);
+            const userId = identity && identity.type !== 'anonymous' ? identity.id : 'system';
+
+            const found = await instance.searchMemory(args.query, userId, { limit: args.limit }, uiAgent.getTenantContext(clientId));
+            const results = (Array.isArray(found) ? found : found?.results || []).slice(0, args.limit);
+
+            const event = uiAgent.generateDisplayEvent('display-memory-results', {
+                query: args.query,
+                results,
+                total_results: results.length
+            }, clientId);
+            await uiAgent.sendEvent(event, clientId);
+            return event;
+        }
+    }
+];
+
+module.exports = { BUILTIN_COMMANDS };
@@ -0,0 +1,284 @@
+/**
+ * Built-in AG-UI wizards: agent creation, integration agent onboarding and
+ * kagent deployment. Actions call the AutoWeave instance given to UIAgent.
+ */
+
+const { TenantError } = require('../tenants/tenant-registry');
+
+function requireService(uiAgent, method, label) {
+    const instance = uiAgent.autoweaveInstance;
+    if (!instance || typeof instance[method] !== 'function') {
+        throw new Error(`${label} not available`);
+    }
+    return instance;
+}
+
+/**
+ * Namespace a session deploys to: its tenant's own when it has one, else the
+ * requested one unless it belongs to another tenant (as the kagent routes)
+ */
+function tenantNamespace(uiAgent, clientId, requested = 'default') {
+    const tenant = uiAgent.getTenant(clientId);
+    if (tenant.namespace) {
+        return tenant.namespace;
+    }
+    if (!tenant.ownsNamespace(requested)) {
+        throw new TenantError(`Namespace '${requested}' belongs to another tenant`, 'NAMESPACE_FORBIDDEN', 403);
+    }
+    return requested;
+}
+
+function toResourceName(name) {
+    return String(name)
+        .toLowerCase()
+        .replace(/[^a-z0-9-]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 63);
+}
+
+const createAgentWizard = {
+    id: 'create-agent',
+    permission: 'agents:write',
+    title: 'Create Agent',
+    description: 'Describe, configure and deploy a new agent',
+    steps: [
+        {
+            id: 'intro',
+            type: 'chat',
+            message: (data) => data.describe?.description
+                ? `🤖 Creating agent: "${data.describe.description}"`
+                : '🤖 Let\'s create a new agent'
+        },
+        {
+            id: 'describe',
+            type: 'form',
+            title: 'Describe Your Agent',
+            description: 'What should the agent do?',
+            schema: {
+                type: 'object',
+                properties: {
+                    description: {
+                        type: 'string',
+                        title: 'Description',
+                        minLength: 10
+                    }
+                },
+                required: ['description']
+            },
+            // Skipped when the flow is started from a chat message
+            skip: (data) => Boolean(data.describe?.description)
+        },
+        {
+            id: 'configure',
+            type: 'form',
+            title: 'Agent Configuration',
+            description: 'Provide additional details for your agent',
+            schema: {
+                type: 'object',
+                properties: {
+                    name: {
+                        type: 'string',
+                        title: 'Agent Name',
+                        description: 'Give your agent a name'
+                    },
+                    priority: {
+                        type: 'string',
+                        title: 'Priority Level',
+                        enum: ['low', 'medium', 'high'],
+                        default: 'medium'
+                    },
+                    environment: {
+                        type: 'string',
+                        title: 'Environment',
+                        enum: ['development', 'staging', 'production'],
+                        default: 'development'
+                    }
+                },
+                required: ['name']
+            }
+        },
+        {
+            id: 'confirm',
+            type: 'confirm',
+            title: 'Review Agent',
+            summary: (data) => [
+                { label: 'Description', value: data.describe.description },
+                { label: 'Name', value: data.configure.name },
+                { label: 'Priority', value: data.configure.priority },
+                { label: 'Environment', value: data.configure.environment }
+            ]
+        },
+        {
+            id: 'deploy',
+            type: 'action',
+            title: 'Deploying Agent',
+            tool: 'create_agent',
+            operation: 'agent-deploy',
+            check: ({ uiAgent, clientId }) => uiAgent.checkTenantQuota(clientId, 'agents'),
+            run: async ({ uiAgent, clientId, data }) => {
+                const instance = requireService(uiAgent, 'createAgent', 'Agent service');
+                return instance.createAgent(data.describe.description, data.configure, uiAgent.getTenantContext(clientId));
+            },
+            successMessage: (data) => `Agent "${data.configure.name}" is being deployed`
+        }
+    ]
+};
+
+const integrationAgentWizard = {
+    id: 'integration-agent',
+    permission: 'agents:write',
+    title: 'Integration Agent Onboarding',
+    description: 'Create an integration agent from an OpenAPI specification',
+    steps: [
+        {
+            id: 'source',
+            type: 'form',
+            title: 'API Specification',
+            description: 'Where can the OpenAPI specification be found?',
+            schema: {
+                type: 'object',
+                properties: {
+                    openapi_url: {
+                        type: 'string',
+                        title: 'OpenAPI URL or file path',
+                        pattern: '^(https?://|/|\\./)'
+                    },
+                    target_namespace: {
+                        type: 'string',
+                        title: 'Target Namespace',
+                        pattern: '^[a-z0-9]([-a-z0-9]*[a-z0-9])?$',
+                        default: 'default'
+                    },
+                    git_repo: {
+                        type: 'string',
+                        title: 'Git Repository (optional)'
+                    }
+                },
+                required: ['openapi_url']
+            }
+        },
+        {
+            id: 'deployment',
+            type: 'choice',
+            title: 'What should happen once the agent is generated?',
+            options: [
+                { value: 'deploy', label: 'Deploy it to the cluster' },
+                { value: 'generate-only', label: 'Only generate the manifests' }
+            ]
+        },
+        {
+            id: 'confirm',
+            type: 'confirm',
+            title: 'Review Integration Agent',
+            summary: (data) => [
+                { label: 'OpenAPI', value: data.source.openapi_url },
+                { label: 'Namespace', value: data.source.target_namespace },
+                { label: 'Git Repository', value: data.source.git_repo || '—' },
+                { label: 'Deployment', value: data.deployment === 'deploy' ? 'Deploy' : 'Generate only' }
+            ]
+        },
+        {
+            id: 'create',
+            type: 'action',
+            title: 'Creating Integration Agent',
+            tool: 'create_integration_agent',
+            operation: 'integration-agent-create',
+            check: ({ uiAgent, clientId }) => uiAgent.checkTenantQuota(clientId, 'agents'),
+            run: async ({ uiAgent, clientId, data }) => {
+                const instance = requireService(uiAgent, 'createIntegrationAgent', 'Integration Agent Module');
+                return instance.createIntegrationAgent({
+                    openapi_url: data.source.openapi_url,
+                    target_namespace: tenantNamespace(uiAgent, clientId, data.source.target_namespace),
+                    git_repo: data.source.git_repo,
+                    deploy_config: { deploy: data.deployment === 'deploy' }
+                }, uiAgent.getTenantContext(clientId));
+            },
+            successMessage: 'Integration agent created successfully'
+        }
+    ]
+};
+
+const kagentDeploymentWizard = {
+    id: 'kagent-deploy',
+    permission: 'kagent:deploy',
+    title: 'Kagent Deployment',
+    description: 'Generate and deploy a workflow to kagent',
+    steps: [
+        {
+            id: 'workflow',
+            type: 'form',
+            title: 'Workflow',
+            schema: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', title: 'Workflow Name', minLength: 1 },
+                    description: { type: 'string', title: 'Description' },
+                    namespace: {
+                        type: 'string',
+                        title: 'Namespace',
+                        pattern: '^[a-z0-9]([-a-z0-9]*[a-z0-9])?$',
+                        default: 'default'
+                    },
+                    replicas: { type: 'integer', title: 'Replicas', minimum: 1, maximum: 10, default: 1 }
+                },
+                required: ['name']
+            }
+        },
+        {
+            id: 'yaml',
+            type: 'action',
+            title: 'Generating Kagent YAML',
+            tool: 'generate_kagent_yaml',
+            operation: 'kagent-yaml',
+            run: async ({ uiAgent, clientId, data }) => {
+                const instance = requireService(uiAgent, 'generateYAML', 'Kagent service');
+                return instance.generateYAML(buildWorkflow(uiAgent, clientId, data), uiAgent.getTenantContext(clientId));
+            }
+        },
+        {
+            id: 'confirm',
+            type: 'confirm',
+            title: 'Review Deployment',
+            summary: (data) => [
+                { label: 'Workflow', value: data.workflow.name },
+                { label: 'Namespace', value: data.workflow.namespace },
+                { label: 'Replicas', value: data.workflow.replicas },
+                { label: 'YAML', value: data.yaml }
+            ]
+        },
+        {
+            id: 'deploy',
+            type: 'action',
+            title: 'Deploying to Kagent',
+            tool: 'deploy_kagent_workflow',
+            operation: 'kagent-deploy',
+            check: ({ uiAgent, clientId }) => uiAgent.checkTenantQuota(clientId, 'deployments'),
+            run: async ({ uiAgent, clientId, data }) => {
+                const instance = requireService(uiAgent, 'deployWorkflow', 'Kagent service');
+                return instance.deployWorkflow(buildWorkflow(uiAgent, clientId, data), uiAgent.getTenantContext(clientId));
+            },
+            successMessage: (data) => `Workflow "${data.workflow.name}" deployed to ${data.workflow.namespace}`
+        }
+    ]
+};
+
+function buildWorkflow(uiAgent, clientId, data) {
+    // Kept in the answers so the review and success messages show the namespace used
+    data.workflow.namespace = tenantNamespace(uiAgent, clientId, data.workflow.namespace);
+    return {
+        id: toResourceName(data.workflow.name),
+        name: data.workflow.name,
+        description: data.workflow.description || '',
+        namespace: data.workflow.namespace,
+        replicas: data.workflow.replicas
+    };
+}
+
+const BUILTIN_WIZARDS = [createAgentWizard, integrationAgentWizard, kagentDeploymentWizard];
+
+module.exports = {
+    BUILTIN_WIZARDS,
+    createAgentWizard,
+    integrationAgentWizard,
+    kagentDeploymentWizard
+};
@@ -0,0 +1,294 @@
+const yaml = require('js-yaml');
+
+/**
+ * Display builders - Turn route payloads into the variables of the rich
+ * display templates (display-chart, display-tree, display-diff,
+ * display-code, display-markdown). They are pure functions; UIAgent's
+ * generate*Display methods render and send the result.
+ */
+
+// Largest diff computed line by line (LCS table is before x after)
+const MAX_DIFF_CELLS = 4 * 1000 * 1000;
+
+/**
+ * Numeric leaves of an object as dotted paths: { agents: { running: 3 } } -> { 'agents.running': 3 }
+ */
+function flattenNumbers(value, prefix = '', out = {}) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        out[prefix] = value;
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+        for (const [key, item] of Object.entries(value)) {
+            flattenNumbers(item, prefix ? `${prefix}.${key}` : key, out);
+        }
+    }
+    return out;
+}
+
+/**
+ * Time series from metric snapshots, e.g. successive GET /api/kagent/metrics
+ * or /api/memory/metrics payloads ({ timestamp, metrics }).
+ * options: { title, metrics: [path] (all numeric leaves by default), chartType, unit }
+ */
+function chartFromMetricSamples(samples, options = {}) {
+    const series = new Map();
+
+    for (const sample of samples || []) {
+        const x = sample.timestamp || new Date().toISOString();
+        const values = flattenNumbers(sample.metrics ?? sample);
+        const names = options.metrics || Object.keys(values).filter(name => name !== 'timestamp');
+
+        for (const name of names) {
+            if (values[name] === undefined) {
+                continue;
+            }
+            if (!series.has(name)) {
+                series.set(name, []);
+            }
+            series.get(name).push({ x, y: values[name] });
+        }
+    }
+
+    return {
+        chart_title: options.title || 'Metrics',
+        chart_type: options.chartType || 'line',
+        chart_series: Array.from(series.entries()).map(([name, points]) => ({ name, points })),
+        x_axis: { type: 'time', label: options.xLabel || 'Time' },
+        y_axis: { type: 'linear', label: options.yLabel || null, unit: options.unit || null }
+    };
+}
+
+/**
+ * Tree from a topology payload (GET /api/memory/system/topology).
+ * Graphs ({ nodes, edges | relationships | links }) are rooted at nodes
+ * without a parent; any other object is shown as nested keys.
+ */
+function treeFromTopology(topology, options = {}) {
+    const graph = topology?.topology ?? topology;
+    const edges = graph?.edges || graph?.relationships || graph?.links;
+
+    const roots = Array.isArray(graph?.nodes) && Array.isArray(edges)
+        ? treeFromGraph(graph.nodes, edges)
+        : [treeFromObject(options.rootLabel || 'topology', graph, 'root')];
+
+    return {
+        tree_title: options.title || 'System Topology',
+        tree_nodes: roots,
+        total_nodes: countNodes(roots)
+    };
+}
+
+function treeFromGraph(nodes, edges) {
+    const byId = new Map();
+    const children = new Map();
+    const hasParent = new Set();
+
+    for (const node of nodes) {
+        const id = String(node.id ?? node.name);
+        byId.set(id, { id, label: node.label || node.name || id, type: node.type || node.labels?.[0] || null });
+        children.set(id, []);
+    }
+    for (const edge of edges) {
+        const parent = String(edge.source ?? edge.from);
+        const child = String(edge.target ?? edge.to);
+        if (byId.has(parent) && byId.has(child) && parent !== child) {
+            children.get(parent).push({ id: child, relation: edge.type || edge.label || null });
+            hasParent.add(child);
+        }
+    }
+
+    // Each node is shown once, under the first parent that reaches it
+    const visited = new Set();
+    const build = (id, relation) => {
+        visited.add(id);
+        const node = { ...byId.get(id), ...(relation !== undefined && { relation }), children: [] };
+        for (const child of children.get(id)) {
+            if (!visited.has(child.id)) {
+                node.children.push(build(child.id, child.relation));
+            }
+        }
+        return node;
+    };
+
+    const roots = [];
+    for (const id of byId.keys()) {
+        if (!hasParent.has(id)) {
+            roots.push(build(id));
+        }
+    }
+    // Nodes only reachable through a cycle start from the first of them
+    for (const id of byId.keys()) {
+        if (!visited.has(id)) {
+            roots.push(build(id));
+        }
+    }
+    return roots;
+}
+
+function treeFromObject(label, value, id) {
+    if (value && typeof value === 'object') {
+        return {
+            id,
+            label,
+            type: Array.isArray(value) ? 'list' : 'object',
+            children: Object.entries(value).map(([key, item]) => treeFromObject(
+                Array.isArray(value) ? (item?.name || item?.id || (item && typeof item === 'object' ? `[${key}]` : null)) : key,
+                item,
+                `${id}.${key}`
+            ))
+        };
+    }
+    return { id, label: label === null ? String(value) : `${label}: ${value}`, type: 'value', value, children: [] };
+}
+
+function countNodes(nodes) {
+    return nodes.reduce((total, node) => total + 1 + countNodes(node.children), 0);
+}
+
+function toText(value, language) {
+    if (typeof value === 'string') {
+        return value;
+    }
+    return language === 'json' ? JSON.stringify(value, null, 2) : yaml.dump(value, { noRefs: true, lineWidth: 120 });
+}
+
+/**
+ * Side-by-side line diff of two configurations (strings, or objects
+ * serialised as YAML unless options.language is 'json').
+ * Rows: { type: 'equal' | 'added' | 'removed' | 'changed', left: { number, text } | null, right: ... }
+ */
+function diffFromConfigs(before, after, options = {}) {
+    const language = options.language || 'yaml';
+    const left = toText(before ?? '', language).split('\n');
+    const right = toText(after ?? '', language).split('\n');
+
+    const operations = left.length * right.length > MAX_DIFF_CELLS
+        ? [...left.map(text => ({ op: 'removed', text })), ...right.map(text => ({ op: 'added', text }))]
+        : diffLines(left, right);
+
+    const rows = [];
+    let leftNumber = 0;
+    let rightNumber = 0;
+    for (let i = 0; i < operations.length; i++) {
+        const { op, text } = operations[i];
+        if (op === 'equal') {
+            rows.push({ type: 'equal', left: { number: ++leftNumber, text }, right: { number: ++rightNumber, text } });
+        } else if (op === 'removed' && operations[i + 1]?.op === 'added') {
+            // A removal followed by an addition is shown as one changed row
+            rows.push({
+                type: 'changed',
+                left: { number: ++leftNumber, text },
+                right: { number: ++rightNumber, text: operations[++i].text }
+            });
+        } else if (op === 'removed') {
+            rows.push({ type: 'removed', left: { number: ++leftNumber, text }, right: null });
+        } else {
+            rows.push({ type: 'added', left: null, right: { number: ++rightNumber, text } });
+        }
+    }
+
+    const count = (type) => rows.filter(row => row.type === type).length;
+    return {
+        diff_title: options.title || 'Configuration Changes',
+        language,
+        left_title: options.leftTitle || 'Before',
+        right_title: options.rightTitle || 'After',
+        diff_rows: rows,
+        diff_stats: { added: count('added'), removed: count('removed'), changed: count('changed') }
+    };
+}
+
+/**
+ * Longest-common-subsequence line diff
+ */
+function diffLines(left, right) {
+    const lengths = Array.from({ length: left.length + 1 }, () => new Uint32Array(right.length + 1));
+    for (let i = left.length - 1; i >= 0; i--) {
+        for (let j = right.length - 1; j >= 0; j--) {
+            lengths[i][j] = left[i] === right[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const operations = [];
+    let i = 0;
+    let j = 0;
+    while (i < left.length && j < right.length) {
+        if (left[i] === right[j]) {
+            operations.push({ op: 'equal', text: left[i] });
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            operations.push({ op: 'removed', text: left[i++] });
+        } else {
+            operations.push({ op: 'added', text: right[j++] });
+        }
+    }
+    while (i < left.length) {
+        operations.push({ op: 'removed', text: left[i++] });
+    }
+    while (j < right.length) {
+        operations.push({ op: 'added', text: right[j++] });
+    }
+    return operations;
+}
+
+/**
+ * Code block from POST /api/kagent/yaml/generate ({ workflow, yaml }) or
+ * any source string / object. options: { title, language, filename }
+ */
+function codeFromPayload(payload, options = {}) {
+    const isYamlPayload = payload && typeof payload === 'object' && 'yaml' in payload;
+    const language = options.language || (isYamlPayload ? 'yaml' : (typeof payload === 'string' ? 'text' : 'json'));
+    const code = toText(isYamlPayload ? payload.yaml : payload, language).replace(/\n$/, '');
+    const workflow = isYamlPayload ? payload.workflow : null;
+
+    return {
+        code_title: options.title || (workflow?.name ? `Kagent YAML: ${workflow.name}` : 'Code'),
+        language,
+        filename: options.filename || (workflow?.id ? `${workflow.id}.yaml` : null),
+        code,
+        line_count: code ? code.split('\n').length : 0
+    };
+}
+
+/**
+ * Markdown card from GET /api/self-awareness/documentation ({ documentation })
+ * or a markdown string; the table of contents lists the headings.
+ */
+function markdownFromDocumentation(payload, options = {}) {
+    const source = typeof payload === 'string' ? payload : (payload?.documentation ?? payload?.markdown ?? '');
+    const markdown = typeof source === 'string' ? source : toText(source, 'yaml');
+
+    const toc = [];
+    let inFence = false;
+    for (const line of markdown.split('\n')) {
+        if (/^```/.test(line)) {
+            inFence = !inFence;
+            continue;
+        }
+        const heading = !inFence && line.match(/^(#{1,6})\s+(.+?)\s*#*$/);
+        if (heading) {
+            toc.push({
+                level: heading[1].length,
+                text: heading[2],
+                anchor: heading[2].toLowerCase().replace(/[^\w\s-]/g, '').trim().replace(/\s/g, '-')
+            });
+        }
+    }
+
+    return {
+        markdown_title: options.title || toc.find(entry => entry.level === 1)?.text || 'Documentation',
+        markdown,
+        toc
+    };
+}
+
+module.exports = {
+    chartFromMetricSamples,
+    treeFromTopology,
+    diffFromConfigs,
+    codeFromPayload,
+    markdownFromDocumentation,
+    flattenNumbers
+};
@@ -0,0 +1,179 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Event buses - Carry AG-UI events between UI server replicas
+ *
+ * A bus exposes:
+ *   publish(channel, message)       message is a JSON-serialisable object
+ *   subscribe(channel, handler)     resolves to an unsubscribe function
+ *   close()
+ *
+ * Handlers receive a copy of the message, never the published object.
+ */
+
+function copy(message) {
+    return JSON.parse(JSON.stringify(message));
+}
+
+/**
+ * Bus for UIAgents living in the same process (single server, tests)
+ */
+class InProcessBus {
+    constructor() {
+        this.emitter = new EventEmitter();
+        this.emitter.setMaxListeners(0);
+    }
+
+    get type() {
+        return 'in-process';
+    }
+
+    async publish(channel, message) {
+        this.emitter.emit(channel, copy(message));
+    }
+
+    async subscribe(channel, handler) {
+        const listener = (message) => handler(copy(message));
+        this.emitter.on(channel, listener);
+        return async () => {
+            this.emitter.off(channel, listener);
+        };
+    }
+
+    async close() {
+        this.emitter.removeAllListeners();
+    }
+}
+
+/**
+ * Bus over Redis pub/sub. Takes two ioredis-compatible clients, since a
+ * client in subscriber mode cannot publish:
+ *   publisher.publish(channel, string)
+ *   subscriber.subscribe(channel) / unsubscribe(channel) / on('message', (channel, string) => {})
+ */
+class RedisBus {
+    constructor({ publisher, subscriber, prefix = 'autoweave:agui:', logger = null } = {}) {
+        if (!publisher || !subscriber) {
+            throw new Error('RedisBus requires a publisher and a subscriber client');
+        }
+
+        this.publisher = publisher;
+        this.subscriber = subscriber;
+        this.prefix = prefix;
+        this.logger = logger;
+        this.handlers = new Map();
+
+        this.onMessage = (channel, data) => {
+            const handlers = this.handlers.get(channel);
+            if (!handlers) {
+                return;
+            }
+
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (error) {
+                this.logger?.warn(`Ignoring malformed bus message on ${channel}`);
+                return;
+            }
+            for (const handler of handlers) {
+                handler(copy(message));
+            }
+        };
+        this.subscriber.on('message', this.onMessage);
+    }
+
+    get type() {
+        return 'redis';
+    }
+
+    async publish(channel, message) {
+        await this.publisher.publish(this.prefix + channel, JSON.stringify(message));
+    }
+
+    async subscribe(channel, handler) {
+        const name = this.prefix + channel;
+
+        if (!this.handlers.has(name)) {
+            this.handlers.set(name, new Set());
+            await this.subscriber.subscribe(name);
+        }
+        this.handlers.get(name).add(handler);
+
+        return async () => {
+            const handlers = this.handlers.get(name);
+            if (handlers && handlers.delete(handler) && handlers.size === 0) {
+                this.handlers.delete(name);
+                await this.subscriber.unsubscribe(name);
+            }
+        };
+    }
+
+    async close() {
+        this.subscriber.removeListener('message', this.onMessage);
+        this.handlers.clear();
+        await Promise.all([this.publisher.quit?.(), this.subscriber.quit?.()]);
+    }
+}
+
+/**
+ * In-memory stand-in for a Redis server's pub/sub, for tests and local runs.
+ * createClient() returns clients with the subset of the ioredis API used by
+ * RedisBus; messages are delivered asynchronously, as over the network.
+ */
+class LocalRedis {
+    constructor() {
+        this.clients = new Set();
+    }
+
+    createClient() {
+        const server = this;
+        const client = new EventEmitter();
+        client.channels = new Set();
+        client.connected = true;
+
+        client.publish = async (channel, data) => {
+            if (!client.connected) {
+                throw new Error('Connection is closed');
+            }
+            return server.deliver(channel, String(data));
+        };
+        client.subscribe = async (...channels) => {
+            channels.forEach(channel => client.channels.add(channel));
+            return client.channels.size;
+        };
+        client.unsubscribe = async (...channels) => {
+            channels.forEach(channel => client.channels.delete(channel));
+            return client.channels.size;
+        };
+        client.quit = async () => {
+            client.connected = false;
+            server.clients.delete(client);
+            return 'OK';
+        };
+
+        this.clients.add(client);
+        return client;
+    }
+
+    /**
+     * Returns the number of subscribed clients, like PUBLISH
+     */
+    deliver(channel, data) {
+        const receivers = Array.from(this.clients).filter(client => client.channels.has(channel));
+        setImmediate(() => {
+            for (const client of receivers) {
+                if (client.connected) {
+                    client.emit('message', channel, data);
+                }
+            }
+        });
+        return receivers.length;
+    }
+}
+
+module.exports = {
+    InProcessBus,
+    RedisBus,
+    LocalRedis
+};
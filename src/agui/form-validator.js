@@ -0,0 +1,74 @@
+const Ajv = require('ajv');
+
+/**
+ * FormValidator - Validates AG-UI form submissions against the JSON Schema
+ * sent with the form. Defaults from the schema are applied and scalar values
+ * coerced (HTML inputs submit strings), errors are grouped per field.
+ */
+class FormValidator {
+    constructor(options = {}) {
+        this.ajv = new Ajv({
+            allErrors: true,
+            useDefaults: true,
+            coerceTypes: true,
+            // Form schemas carry UI-only keywords such as enumNames
+            strict: false,
+            ...options
+        });
+    }
+
+    validate(schema, values) {
+        const data = JSON.parse(JSON.stringify(values ?? {}));
+
+        let validateFn;
+        try {
+            validateFn = this.ajv.compile(schema);
+        } catch (error) {
+            return {
+                valid: false,
+                values: data,
+                errors: { _form: [`Invalid form schema: ${error.message}`] }
+            };
+        }
+
+        if (validateFn(data)) {
+            return { valid: true, values: data, errors: {} };
+        }
+
+        return {
+            valid: false,
+            values: data,
+            errors: this.groupErrors(validateFn.errors)
+        };
+    }
+
+    groupErrors(ajvErrors) {
+        const errors = {};
+
+        for (const error of ajvErrors) {
+            let pointer = error.instancePath;
+            if (error.keyword === 'required') {
+                pointer = `${pointer}/${error.params.missingProperty}`;
+            } else if (error.keyword === 'additionalProperties') {
+                pointer = `${pointer}/${error.params.additionalProperty}`;
+            }
+
+            const field = pointer
+                .split('/')
+                .filter(Boolean)
+                .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+                .join('.') || '_form';
+
+            if (!errors[field]) {
+                errors[field] = [];
+            }
+            errors[field].push(error.keyword === 'enum'
+                ? `${error.message}: ${error.params.allowedValues.join(', ')}`
+                : error.message);
+        }
+
+        return errors;
+    }
+}
+
+module.exports = { FormValidator };
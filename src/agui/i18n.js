@@ -0,0 +1,254 @@
+const { Logger } = require('../utils/logger');
+
+const DEFAULT_LOCALE = 'en';
+
+// Catalogues shipped with the UI agent (flat `key -> message` maps)
+const BUILTIN_CATALOGS = {
+    en: require('./locales/en.json'),
+    fr: require('./locales/fr.json')
+};
+
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+const DATE_STYLES = ['full', 'long', 'medium', 'short'];
+
+// Intl formatters are costly to build; keyed by locale, time zone and options
+const formatters = new Map();
+
+function cachedFormatter(Type, locale, options) {
+    const key = `${Type.name}|${locale}|${JSON.stringify(options)}`;
+    if (!formatters.has(key)) {
+        formatters.set(key, new Type(locale, options));
+    }
+    return formatters.get(key);
+}
+
+/**
+ * Canonical BCP 47 tag ('fr-ca' -> 'fr-CA'), null when invalid
+ */
+function normalizeLocale(tag) {
+    try {
+        return tag && tag !== '*' ? Intl.getCanonicalLocales(String(tag).trim())[0] || null : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Valid IANA time zone name, null otherwise
+ */
+function normalizeTimeZone(timeZone) {
+    try {
+        return timeZone ? new Intl.DateTimeFormat('en', { timeZone }).resolvedOptions().timeZone : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Accept-Language tags ordered by preference (q=0 excluded)
+ */
+function parseAcceptLanguage(header) {
+    return String(header || '')
+        .split(',')
+        .map((part, index) => {
+            const [tag, ...params] = part.trim().split(';');
+            const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+            return { tag: tag.trim(), q: q ? Number(q.slice(2)) : 1, index };
+        })
+        .filter(entry => entry.tag && Number.isFinite(entry.q) && entry.q > 0)
+        .sort((a, b) => b.q - a.q || a.index - b.index)
+        .map(entry => entry.tag);
+}
+
+/**
+ * Format a template value: `number` (styles integer, compact), `percent`,
+ * `date`, `time`, `datetime` (styles full, long, medium, short; dates
+ * default to medium, times to short). Values that cannot be formatted are
+ * returned as they are.
+ */
+function formatValue(value, format, style, locale = DEFAULT_LOCALE, timeZone = null) {
+    switch (format) {
+        case 'number':
+        case 'percent': {
+            const number = Number(value);
+            if (value === '' || !Number.isFinite(number)) {
+                return value;
+            }
+            const options = format === 'percent'
+                ? { style: 'percent', maximumFractionDigits: 1 }
+                : { maximumFractionDigits: style === 'integer' ? 0 : 2, ...(style === 'compact' && { notation: 'compact' }) };
+            return cachedFormatter(Intl.NumberFormat, locale, options).format(number);
+        }
+        case 'date':
+        case 'time':
+        case 'datetime': {
+            const date = value instanceof Date ? value : new Date(value);
+            if (value === null || value === '' || Number.isNaN(date.getTime())) {
+                return value;
+            }
+            const known = DATE_STYLES.includes(style);
+            const options = {
+                ...(format !== 'time' && { dateStyle: known ? style : 'medium' }),
+                ...(format !== 'date' && { timeStyle: known ? style : 'short' }),
+                ...(timeZone && { timeZone })
+            };
+            return cachedFormatter(Intl.DateTimeFormat, locale, options).format(date);
+        }
+        default:
+            return value;
+    }
+}
+
+/**
+ * I18n - Message catalogues and locale negotiation for AG-UI templates
+ *
+ * A catalogue maps message keys to template strings (same syntax as the
+ * templates: `{{agent_name}}`, `{{count, number}}`) or to plural forms
+ * `{ '=0': .., one: .., other: .. }` chosen with Intl.PluralRules. A key
+ * missing in a locale falls back to its base language ('fr-CA' -> 'fr'),
+ * then to the default locale, and finally renders as the key itself.
+ */
+class I18n {
+    constructor(options = {}) {
+        this.logger = new Logger('I18n');
+        this.catalogs = new Map();
+        this.missing = new Set();
+
+        for (const [locale, messages] of Object.entries(BUILTIN_CATALOGS)) {
+            this.register(locale, messages);
+        }
+        for (const [locale, messages] of Object.entries(options.messages || {})) {
+            this.register(locale, messages);
+        }
+
+        this.defaultLocale = this.resolve(options.defaultLocale) || DEFAULT_LOCALE;
+    }
+
+    /**
+     * Add or override messages of a locale
+     */
+    register(locale, messages) {
+        const tag = normalizeLocale(locale);
+        if (!tag) {
+            throw new Error(`Invalid locale '${locale}'`);
+        }
+
+        for (const [key, message] of Object.entries(messages || {})) {
+            const isPlural = message && typeof message === 'object' && !Array.isArray(message);
+            if (typeof message !== 'string' && !(isPlural && typeof message.other === 'string' &&
+                Object.keys(message).every(form => PLURAL_CATEGORIES.includes(form) || /^=\d+$/.test(form)))) {
+                throw new Error(`Message '${key}' (${tag}) must be a string or plural forms with 'other'`);
+            }
+        }
+
+        if (!this.catalogs.has(tag)) {
+            this.catalogs.set(tag, new Map());
+        }
+        const catalog = this.catalogs.get(tag);
+        Object.entries(messages || {}).forEach(([key, message]) => catalog.set(key, message));
+        this.logger.debug(`Registered ${Object.keys(messages || {}).length} messages for ${tag}`);
+    }
+
+    get locales() {
+        return Array.from(this.catalogs.keys());
+    }
+
+    /**
+     * Supported locale for a tag (exact, then base language), null if none
+     */
+    resolve(tag) {
+        const locale = normalizeLocale(tag);
+        if (!locale) {
+            return null;
+        }
+        if (this.catalogs.has(locale)) {
+            return locale;
+        }
+        const language = locale.split('-')[0];
+        return this.catalogs.has(language) ? language : null;
+    }
+
+    /**
+     * Best supported locale for an Accept-Language header or a list of tags
+     */
+    negotiate(preferences) {
+        const tags = Array.isArray(preferences) ? preferences : parseAcceptLanguage(preferences);
+        for (const tag of tags) {
+            const locale = tag === '*' ? this.defaultLocale : this.resolve(tag);
+            if (locale) {
+                return locale;
+            }
+        }
+        return this.defaultLocale;
+    }
+
+    /**
+     * Locales searched for a message: the locale, its base language, the default
+     */
+    fallbackChain(locale) {
+        const tag = normalizeLocale(locale);
+        const chain = tag ? [tag, tag.split('-')[0]] : [];
+        return Array.from(new Set([...chain, this.defaultLocale])).filter(candidate => this.catalogs.has(candidate));
+    }
+
+    /**
+     * Message template for key in locale: { text, locale } (the locale the
+     * message was found in), or null when no catalogue has the key
+     */
+    lookup(key, locale, count) {
+        for (const candidate of this.fallbackChain(locale)) {
+            const message = this.catalogs.get(candidate).get(key);
+            if (message !== undefined) {
+                return {
+                    text: typeof message === 'string' ? message : this.selectPlural(message, count, candidate),
+                    locale: candidate
+                };
+            }
+        }
+
+        if (!this.missing.has(key)) {
+            this.missing.add(key);
+            this.logger.warn(`Missing message '${key}' (${locale || this.defaultLocale})`);
+        }
+        return null;
+    }
+
+    selectPlural(forms, count, locale) {
+        const number = Number(count);
+        if (count === null || count === undefined || count === '' || !Number.isFinite(number)) {
+            return forms.other;
+        }
+        if (forms[`=${number}`] !== undefined) {
+            return forms[`=${number}`];
+        }
+        return forms[cachedFormatter(Intl.PluralRules, locale, {}).select(number)] ?? forms.other;
+    }
+
+    /**
+     * Message strings of a key in the default locale (every plural form)
+     */
+    sources(key) {
+        const message = this.catalogs.get(this.defaultLocale)?.get(key);
+        if (message === undefined) {
+            return [];
+        }
+        return typeof message === 'string' ? [message] : Object.values(message);
+    }
+
+    getStats() {
+        return {
+            default_locale: this.defaultLocale,
+            locales: Object.fromEntries(Array.from(this.catalogs.entries()).map(([locale, catalog]) => [locale, catalog.size])),
+            missing_keys: Array.from(this.missing)
+        };
+    }
+}
+
+module.exports = {
+    I18n,
+    DEFAULT_LOCALE,
+    formatValue,
+    normalizeLocale,
+    normalizeTimeZone,
+    parseAcceptLanguage
+};
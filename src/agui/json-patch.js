@@ -0,0 +1,232 @@
+/**
+ * JSON Patch (RFC 6902) for AG-UI state synchronisation
+ *
+ * applyPatch() never mutates its input: the document is cloned first and the
+ * whole patch is rejected if any operation fails.
+ */
+
+const OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+const ARRAY_INDEX = /^(0|[1-9][0-9]*)$/;
+
+// Segments reaching object prototypes are never patched
+const FORBIDDEN_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+
+class JsonPatchError extends Error {
+    constructor(message, index, operation) {
+        super(message);
+        this.name = 'JsonPatchError';
+        this.index = index;
+        this.operation = operation;
+    }
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function escapePathSegment(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function parsePointer(pointer) {
+    if (pointer === '') {
+        return [];
+    }
+    if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+        throw new Error(`Invalid JSON pointer '${pointer}'`);
+    }
+    const segments = pointer
+        .slice(1)
+        .split('/')
+        .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+    const forbidden = segments.find(segment => FORBIDDEN_SEGMENTS.includes(segment));
+    if (forbidden !== undefined) {
+        throw new Error(`Forbidden segment '${forbidden}' in JSON pointer '${pointer}'`);
+    }
+    return segments;
+}
+
+function isEqual(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+        return false;
+    }
+    if (Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length &&
+        keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+}
+
+/**
+ * Resolve the container holding the last segment of a pointer
+ */
+function resolveParent(document, segments, pointer) {
+    let container = document;
+
+    for (const segment of segments.slice(0, -1)) {
+        const next = Array.isArray(container)
+            ? (ARRAY_INDEX.test(segment) ? container[Number(segment)] : undefined)
+            : (container !== null && typeof container === 'object' && Object.prototype.hasOwnProperty.call(container, segment)
+                ? container[segment]
+                : undefined);
+
+        if (next === undefined || next === null || typeof next !== 'object') {
+            throw new Error(`Path '${pointer}' does not exist`);
+        }
+        container = next;
+    }
+
+    return { container, key: segments[segments.length - 1] };
+}
+
+function arrayIndex(container, key, pointer, { allowEnd = false } = {}) {
+    if (allowEnd && key === '-') {
+        return container.length;
+    }
+
+    const max = allowEnd ? container.length : container.length - 1;
+    if (!ARRAY_INDEX.test(key) || Number(key) > max) {
+        throw new Error(`Array index '${key}' out of bounds in '${pointer}'`);
+    }
+    return Number(key);
+}
+
+function getValue(document, pointer) {
+    const segments = parsePointer(pointer);
+    if (segments.length === 0) {
+        return document;
+    }
+
+    const { container, key } = resolveParent(document, segments, pointer);
+    if (Array.isArray(container)) {
+        return container[arrayIndex(container, key, pointer)];
+    }
+    if (!Object.prototype.hasOwnProperty.call(container, key)) {
+        throw new Error(`Path '${pointer}' does not exist`);
+    }
+    return container[key];
+}
+
+function addValue(document, pointer, value) {
+    const segments = parsePointer(pointer);
+    if (segments.length === 0) {
+        return value;
+    }
+
+    const { container, key } = resolveParent(document, segments, pointer);
+    if (Array.isArray(container)) {
+        container.splice(arrayIndex(container, key, pointer, { allowEnd: true }), 0, value);
+    } else {
+        container[key] = value;
+    }
+    return document;
+}
+
+function removeValue(document, pointer) {
+    const segments = parsePointer(pointer);
+    if (segments.length === 0) {
+        throw new Error('Cannot remove the document root');
+    }
+
+    const { container, key } = resolveParent(document, segments, pointer);
+    if (Array.isArray(container)) {
+        return container.splice(arrayIndex(container, key, pointer), 1)[0];
+    }
+    if (!Object.prototype.hasOwnProperty.call(container, key)) {
+        throw new Error(`Path '${pointer}' does not exist`);
+    }
+
+    const removed = container[key];
+    delete container[key];
+    return removed;
+}
+
+function validateOperation(operation) {
+    if (!operation || typeof operation !== 'object') {
+        throw new Error('Operation must be an object');
+    }
+    if (!OPERATIONS.includes(operation.op)) {
+        throw new Error(`Unknown operation '${operation.op}'`);
+    }
+    if (typeof operation.path !== 'string') {
+        throw new Error('Operation is missing a path');
+    }
+    parsePointer(operation.path);
+    if (['add', 'replace', 'test'].includes(operation.op) && !('value' in operation)) {
+        throw new Error(`'${operation.op}' operation is missing a value`);
+    }
+    if (['move', 'copy'].includes(operation.op) && typeof operation.from !== 'string') {
+        throw new Error(`'${operation.op}' operation is missing 'from'`);
+    }
+    if (typeof operation.from === 'string') {
+        parsePointer(operation.from);
+    }
+}
+
+function applyOperation(document, operation) {
+    validateOperation(operation);
+    const { op, path } = operation;
+
+    switch (op) {
+        case 'add':
+            return addValue(document, path, clone(operation.value));
+        case 'remove':
+            removeValue(document, path);
+            return document;
+        case 'replace':
+            getValue(document, path);
+            if (path === '') {
+                return clone(operation.value);
+            }
+            removeValue(document, path);
+            return addValue(document, path, clone(operation.value));
+        case 'move': {
+            if (path !== operation.from && path.startsWith(`${operation.from}/`)) {
+                throw new Error(`Cannot move '${operation.from}' into one of its children`);
+            }
+            const value = removeValue(document, operation.from);
+            return addValue(document, path, value);
+        }
+        case 'copy':
+            return addValue(document, path, clone(getValue(document, operation.from)));
+        case 'test':
+            if (!isEqual(getValue(document, path), operation.value)) {
+                throw new Error(`Test failed for '${path}'`);
+            }
+            return document;
+    }
+}
+
+/**
+ * Apply a patch and return the patched copy of the document.
+ * Throws JsonPatchError (with the failing operation index) on the first error.
+ */
+function applyPatch(document, operations) {
+    if (!Array.isArray(operations)) {
+        throw new JsonPatchError('Patch must be an array of operations', -1, null);
+    }
+
+    let result = clone(document);
+    operations.forEach((operation, index) => {
+        try {
+            result = applyOperation(result, operation);
+        } catch (error) {
+            throw new JsonPatchError(`Operation ${index} (${operation?.op}): ${error.message}`, index, operation);
+        }
+    });
+    return result;
+}
+
+module.exports = {
+    applyPatch,
+    escapePathSegment,
+    parsePointer,
+    JsonPatchError
+};
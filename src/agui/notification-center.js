@@ -0,0 +1,330 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { Logger } = require('../utils/logger');
+const { hasPermission } = require('../auth/authenticator');
+const { DEFAULT_TENANT } = require('../tenants/tenant-registry');
+
+const SEVERITIES = ['info', 'success', 'warning', 'error', 'critical'];
+const SOURCES = ['agent', 'kagent', 'health', 'anp', 'system'];
+
+// Notifications are kept this long, and at most this many
+const DEFAULT_RETENTION = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_NOTIFICATIONS = 1000;
+const DEFAULT_LIST_LIMIT = 50;
+
+const HEALTH_SEVERITIES = { degraded: 'warning', unhealthy: 'critical' };
+
+class NotificationError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'NotificationError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+/**
+ * NotificationCenter - Server-side notifications kept until users read them
+ *
+ * A notification is { id, severity, source, title, message, data, audience,
+ * created_at } and is seen by its audience: `audience.user_id`, identities
+ * holding `audience.permission`, or everyone when both are empty, within
+ * `audience.tenant` when set (the viewer's tenant is passed last to list,
+ * get, unreadCount and acknowledge, the default tenant otherwise). Read state
+ * is kept per identity id (sessions without identity share 'anonymous').
+ *
+ * With a `file`, notifications and read state are saved as JSON and restored
+ * by load(). Emits 'notification' for new notifications and 'read' with
+ * { user_id, ids } when a user acknowledges some.
+ */
+class NotificationCenter extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.file = options.file ? path.resolve(options.file) : null;
+        this.retention = options.retention ?? DEFAULT_RETENTION;
+        this.maxNotifications = options.maxNotifications || DEFAULT_MAX_NOTIFICATIONS;
+        this.logger = new Logger('NotificationCenter');
+
+        // Oldest first; read state: notification id -> Set of user ids
+        this.notifications = [];
+        this.readBy = new Map();
+        this.writes = Promise.resolve();
+        this.stats = { created: 0, acknowledged: 0, pruned: 0 };
+
+        // Last health status reported through notifyHealth()
+        this.healthStatus = null;
+    }
+
+    /**
+     * Create a notification.
+     * input: { severity, source, title, message, data, user_id, permission, tenant }
+     */
+    notify(input = {}) {
+        const severity = input.severity || 'info';
+        const source = input.source || 'system';
+
+        if (!SEVERITIES.includes(severity)) {
+            throw new NotificationError(`Unknown severity '${severity}' (expected ${SEVERITIES.join(', ')})`, 'INVALID_NOTIFICATION');
+        }
+        if (!SOURCES.includes(source)) {
+            throw new NotificationError(`Unknown source '${source}' (expected ${SOURCES.join(', ')})`, 'INVALID_NOTIFICATION');
+        }
+        if (!input.title) {
+            throw new NotificationError('A notification requires a title', 'INVALID_NOTIFICATION');
+        }
+
+        const notification = {
+            id: `notif-${uuidv4()}`,
+            severity,
+            source,
+            title: String(input.title),
+            message: input.message ? String(input.message) : null,
+            data: input.data ?? null,
+            audience: {
+                user_id: input.user_id || null,
+                permission: input.permission || null,
+                tenant: input.tenant || null
+            },
+            created_at: new Date().toISOString()
+        };
+
+        this.add(notification);
+        this.stats.created++;
+        this.emit('notification', notification);
+        return notification;
+    }
+
+    /**
+     * Store a notification created elsewhere (another replica) without emitting it
+     */
+    add(notification) {
+        if (this.readBy.has(notification.id)) {
+            return false;
+        }
+
+        this.notifications.push(notification);
+        this.readBy.set(notification.id, new Set());
+        this.prune();
+        this.save();
+        return true;
+    }
+
+    /**
+     * Record a health status; a change to degraded / unhealthy, or back to
+     * healthy, becomes a notification for everyone
+     */
+    notifyHealth(health) {
+        const status = health?.status;
+        const previous = this.healthStatus;
+        this.healthStatus = status || null;
+
+        if (!status || status === previous || (status === 'healthy' && !previous)) {
+            return null;
+        }
+
+        const components = Object.entries(health.components || {})
+            .filter(([, component]) => component && (component.status || component) !== 'healthy')
+            .map(([name]) => name);
+
+        if (status === 'healthy') {
+            return this.notify({
+                severity: 'success',
+                source: 'health',
+                title: 'System healthy again',
+                message: `Health recovered from ${previous}`,
+                data: { status, previous }
+            });
+        }
+
+        return this.notify({
+            severity: HEALTH_SEVERITIES[status] || 'warning',
+            source: 'health',
+            title: `System ${status}`,
+            message: components.length > 0 ? `Affected components: ${components.join(', ')}` : health.error || null,
+            data: { status, previous, components }
+        });
+    }
+
+    userIdOf(identity) {
+        return identity?.id || 'anonymous';
+    }
+
+    isVisibleTo(notification, identity, tenant = DEFAULT_TENANT) {
+        const { user_id: userId, permission } = notification.audience;
+        if (notification.audience.tenant && notification.audience.tenant !== tenant) {
+            return false;
+        }
+        if (!userId && !permission) {
+            return true;
+        }
+        if (userId && userId === this.userIdOf(identity)) {
+            return true;
+        }
+        // Sessions without identity only exist when authentication is off
+        return Boolean(permission) && (!identity || hasPermission(identity, permission));
+    }
+
+    /**
+     * Notification as shown to one user, with its read state
+     */
+    view(notification, identity) {
+        const { audience, ...rest } = notification;
+        return { ...rest, read: this.readBy.get(notification.id)?.has(this.userIdOf(identity)) || false };
+    }
+
+    /**
+     * Notifications visible to an identity, newest first.
+     * filters: { unread, severity, source, limit }
+     */
+    list(identity, filters = {}, tenant = DEFAULT_TENANT) {
+        const limit = Math.max(1, Number(filters.limit) || DEFAULT_LIST_LIMIT);
+        const views = [];
+
+        for (let i = this.notifications.length - 1; i >= 0 && views.length < limit; i--) {
+            const notification = this.notifications[i];
+            if (!this.isVisibleTo(notification, identity, tenant) ||
+                (filters.severity && notification.severity !== filters.severity) ||
+                (filters.source && notification.source !== filters.source)) {
+                continue;
+            }
+
+            const view = this.view(notification, identity);
+            if (!filters.unread || !view.read) {
+                views.push(view);
+            }
+        }
+        return views;
+    }
+
+    get(id, identity, tenant = DEFAULT_TENANT) {
+        const notification = this.notifications.find(item => item.id === id);
+        return notification && this.isVisibleTo(notification, identity, tenant) ? this.view(notification, identity) : null;
+    }
+
+    unreadCount(identity, tenant = DEFAULT_TENANT) {
+        const userId = this.userIdOf(identity);
+        return this.notifications.filter(notification =>
+            this.isVisibleTo(notification, identity, tenant) && !this.readBy.get(notification.id).has(userId)).length;
+    }
+
+    /**
+     * Mark notifications as read for an identity ('all' or a list of ids).
+     * Returns the ids that were unread.
+     */
+    acknowledge(identity, ids = 'all', tenant = DEFAULT_TENANT) {
+        const userId = this.userIdOf(identity);
+        const wanted = ids === 'all' ? null : new Set(Array.isArray(ids) ? ids : [ids]);
+        const acknowledged = [];
+
+        for (const notification of this.notifications) {
+            const readers = this.readBy.get(notification.id);
+            if ((!wanted || wanted.has(notification.id)) &&
+                this.isVisibleTo(notification, identity, tenant) && !readers.has(userId)) {
+                readers.add(userId);
+                acknowledged.push(notification.id);
+            }
+        }
+
+        if (acknowledged.length > 0) {
+            this.markRead(userId, acknowledged);
+            this.stats.acknowledged += acknowledged.length;
+            this.emit('read', { user_id: userId, ids: acknowledged });
+        }
+        return acknowledged;
+    }
+
+    /**
+     * Apply read state recorded elsewhere (another replica) without emitting it
+     */
+    markRead(userId, ids) {
+        for (const id of ids) {
+            this.readBy.get(id)?.add(userId);
+        }
+        this.save();
+    }
+
+    prune(now = Date.now()) {
+        const before = this.notifications.length;
+        const kept = this.notifications
+            .filter(notification => now - Date.parse(notification.created_at) <= this.retention)
+            .slice(-this.maxNotifications);
+
+        if (kept.length === before) {
+            return 0;
+        }
+
+        const keptIds = new Set(kept.map(notification => notification.id));
+        for (const id of this.readBy.keys()) {
+            if (!keptIds.has(id)) {
+                this.readBy.delete(id);
+            }
+        }
+        this.notifications = kept;
+        this.stats.pruned += before - kept.length;
+        return before - kept.length;
+    }
+
+    /**
+     * Restore the notifications saved in `file`
+     */
+    async load() {
+        if (!this.file) {
+            return 0;
+        }
+
+        let saved;
+        try {
+            saved = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.error(`Failed to load notifications from ${this.file}:`, error);
+            }
+            return 0;
+        }
+
+        for (const { read_by: readBy = [], ...notification } of saved.notifications || []) {
+            if (!this.readBy.has(notification.id)) {
+                this.notifications.push(notification);
+                this.readBy.set(notification.id, new Set(readBy));
+            }
+        }
+        this.notifications.sort((a, b) => a.created_at.localeCompare(b.created_at));
+        this.prune();
+        return this.notifications.length;
+    }
+
+    save() {
+        if (!this.file) {
+            return this.writes;
+        }
+
+        // Writes are serialised; each one saves the state at the time it runs
+        this.writes = this.writes
+            .then(async () => {
+                const notifications = this.notifications.map(notification => ({
+                    ...notification,
+                    read_by: Array.from(this.readBy.get(notification.id) || [])
+                }));
+                await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+                await fs.promises.writeFile(`${this.file}.tmp`, JSON.stringify({ notifications }));
+                await fs.promises.rename(`${this.file}.tmp`, this.file);
+            })
+            .catch((error) => {
+                this.logger.error(`Failed to save notifications to ${this.file}:`, error);
+            });
+        return this.writes;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            stored: this.notifications.length,
+            health_status: this.healthStatus,
+            persistent: Boolean(this.file)
+        };
+    }
+}
+
+module.exports = { NotificationCenter, NotificationError, SEVERITIES, SOURCES };
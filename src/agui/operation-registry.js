@@ -0,0 +1,307 @@
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_TENANT } = require('../tenants/tenant-registry');
+
+// Finished operations are kept this long for listing
+const DEFAULT_RETENTION = 60 * 60 * 1000;
+const DEFAULT_MAX_OPERATIONS = 1000;
+
+// Weight of the latest run in the per-kind average duration used for ETAs
+const DURATION_SMOOTHING = 0.3;
+
+const FINAL_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+class OperationError extends Error {
+    constructor(message, code, status = 409) {
+        super(message);
+        this.name = 'OperationError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+class OperationCancelledError extends Error {
+    constructor(operationId) {
+        super(`Operation ${operationId} was cancelled`);
+        this.name = 'OperationCancelledError';
+        this.code = 'OPERATION_CANCELLED';
+        this.operationId = operationId;
+    }
+}
+
+/**
+ * OperationRegistry - Tracks long-running actions (deployments, scans...)
+ *
+ * run(kind, task, options) registers an operation and calls
+ * task(handle) with { id, signal, progress(percent, message) }. The registry
+ * records progress, estimates the remaining time (from the reported progress,
+ * or from previous runs of the same kind) and keeps the result or error.
+ * cancel() aborts handle.signal and settles the operation at once; the task
+ * is expected to honour the signal.
+ *
+ * Emits 'update' with a snapshot whenever an operation changes.
+ */
+class OperationRegistry extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.retention = options.retention ?? DEFAULT_RETENTION;
+        this.maxOperations = options.maxOperations || DEFAULT_MAX_OPERATIONS;
+
+        this.operations = new Map();
+        this.durations = new Map();
+        this.stats = { started: 0, succeeded: 0, failed: 0, cancelled: 0 };
+    }
+
+    /**
+     * Register an operation, run it and resolve with its result.
+     * options: { title, owner: { session_id, identity_id, tenant }, cancellable, metadata }
+     */
+    async run(kind, task, options = {}) {
+        const operation = this.create(kind, options);
+        return this.execute(operation, task);
+    }
+
+    /**
+     * Same as run() without waiting: returns the snapshot of the started operation
+     */
+    start(kind, task, options = {}) {
+        const operation = this.create(kind, options);
+        this.execute(operation, task).catch(() => {
+            // Kept on the operation
+        });
+        return this.snapshot(operation);
+    }
+
+    create(kind, options = {}) {
+        const now = new Date().toISOString();
+        const operation = {
+            id: `op-${uuidv4()}`,
+            kind,
+            title: options.title || kind,
+            status: 'running',
+            progress: 0,
+            message: options.title || kind,
+            owner: {
+                session_id: options.owner?.session_id || null,
+                identity_id: options.owner?.identity_id || null,
+                tenant: options.owner?.tenant || null
+            },
+            cancellable: options.cancellable !== false,
+            metadata: options.metadata || {},
+            started_at: now,
+            updated_at: now,
+            finished_at: null,
+            result: null,
+            error: null,
+            controller: new AbortController()
+        };
+
+        this.prune();
+        this.operations.set(operation.id, operation);
+        this.stats.started++;
+        this.emitUpdate(operation);
+        return operation;
+    }
+
+    async execute(operation, task) {
+        const { signal } = operation.controller;
+        const handle = {
+            id: operation.id,
+            signal,
+            progress: (percent, message) => this.progress(operation.id, percent, message)
+        };
+
+        const cancelled = new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new OperationCancelledError(operation.id)), { once: true });
+        });
+
+        try {
+            const result = await Promise.race([Promise.resolve().then(() => task(handle)), cancelled]);
+            if (operation.status !== 'running') {
+                // Cancelled after the task had already settled
+                throw new OperationCancelledError(operation.id);
+            }
+            this.finish(operation, 'succeeded', { result });
+            return result;
+        } catch (error) {
+            if (operation.status === 'running') {
+                this.finish(operation, 'failed', { error });
+            }
+            throw error;
+        }
+    }
+
+    progress(operationId, percent, message) {
+        const operation = this.operations.get(operationId);
+        if (!operation || operation.status !== 'running') {
+            return null;
+        }
+
+        if (typeof percent === 'number' && Number.isFinite(percent)) {
+            // Progress never goes backwards
+            operation.progress = Math.max(operation.progress, Math.min(99, Math.max(0, percent)));
+        }
+        if (message) {
+            operation.message = message;
+        }
+        operation.updated_at = new Date().toISOString();
+        this.emitUpdate(operation);
+        return this.snapshot(operation);
+    }
+
+    cancel(operationId, reason = 'Cancelled') {
+        const operation = this.operations.get(operationId);
+        if (!operation) {
+            throw new OperationError(`Operation ${operationId} not found`, 'NOT_FOUND', 404);
+        }
+        if (FINAL_STATUSES.includes(operation.status)) {
+            throw new OperationError(`Operation ${operationId} already ${operation.status}`, 'ALREADY_FINISHED');
+        }
+        if (!operation.cancellable) {
+            throw new OperationError(`Operation ${operationId} cannot be cancelled`, 'NOT_CANCELLABLE');
+        }
+
+        this.finish(operation, 'cancelled', { message: reason });
+        operation.controller.abort();
+        return this.snapshot(operation);
+    }
+
+    finish(operation, status, { result = null, error = null, message = null } = {}) {
+        const now = Date.now();
+        operation.status = status;
+        operation.finished_at = new Date(now).toISOString();
+        operation.updated_at = operation.finished_at;
+
+        if (status === 'succeeded') {
+            operation.progress = 100;
+            operation.result = result === undefined ? null : result;
+            operation.message = `${operation.title} completed`;
+
+            const duration = now - Date.parse(operation.started_at);
+            const average = this.durations.get(operation.kind);
+            this.durations.set(operation.kind, average === undefined
+                ? duration
+                : average + DURATION_SMOOTHING * (duration - average));
+        } else if (status === 'failed') {
+            operation.error = { message: error?.message || String(error), code: error?.code || null };
+            operation.message = `${operation.title} failed: ${operation.error.message}`;
+        } else {
+            operation.message = message || `${operation.title} cancelled`;
+        }
+
+        this.stats[status]++;
+        this.emitUpdate(operation);
+    }
+
+    /**
+     * Remaining time in ms, or null when there is nothing to go on
+     */
+    estimate(operation, now = Date.now()) {
+        if (operation.status !== 'running') {
+            return operation.status === 'succeeded' ? 0 : null;
+        }
+
+        const elapsed = now - Date.parse(operation.started_at);
+        if (operation.progress > 0) {
+            return Math.round(elapsed * (100 - operation.progress) / operation.progress);
+        }
+
+        const average = this.durations.get(operation.kind);
+        return average === undefined ? null : Math.max(0, Math.round(average - elapsed));
+    }
+
+    get(operationId) {
+        const operation = this.operations.get(operationId);
+        return operation ? this.snapshot(operation) : null;
+    }
+
+    /**
+     * filter: { session_id, identity_id, tenant, kind, status }. An operation
+     * matches an owner filter if it belongs to the tenant (operations without
+     * one belong to the default tenant) and to the session or the identity.
+     */
+    list(filter = {}) {
+        this.prune();
+
+        return Array.from(this.operations.values())
+            .filter(operation => this.isOwnedBy(operation, filter))
+            .filter(operation => !filter.kind || operation.kind === filter.kind)
+            .filter(operation => !filter.status || operation.status === filter.status)
+            .sort((a, b) => b.started_at.localeCompare(a.started_at))
+            .map(operation => this.snapshot(operation));
+    }
+
+    isOwnedBy(operation, { session_id: sessionId, identity_id: identityId, tenant } = {}) {
+        if (tenant && (operation.owner.tenant || DEFAULT_TENANT) !== tenant) {
+            return false;
+        }
+        if (!sessionId && !identityId) {
+            return true;
+        }
+        return Boolean((sessionId && operation.owner.session_id === sessionId) ||
+            (identityId && operation.owner.identity_id === identityId));
+    }
+
+    snapshot(operation) {
+        const eta = this.estimate(operation);
+        return {
+            id: operation.id,
+            kind: operation.kind,
+            title: operation.title,
+            status: operation.status,
+            progress: operation.progress,
+            message: operation.message,
+            owner: { ...operation.owner },
+            cancellable: operation.cancellable && operation.status === 'running',
+            metadata: operation.metadata,
+            started_at: operation.started_at,
+            updated_at: operation.updated_at,
+            finished_at: operation.finished_at,
+            eta_ms: eta,
+            eta_at: eta === null || operation.status !== 'running' ? null : new Date(Date.now() + eta).toISOString(),
+            result: operation.result,
+            error: operation.error
+        };
+    }
+
+    emitUpdate(operation) {
+        if (this.listenerCount('update') > 0) {
+            this.emit('update', this.snapshot(operation));
+        }
+    }
+
+    /**
+     * Forget finished operations past the retention period, oldest first
+     * when over maxOperations
+     */
+    prune(now = Date.now()) {
+        let removed = 0;
+        for (const [operationId, operation] of this.operations) {
+            const expired = operation.finished_at && now - Date.parse(operation.finished_at) > this.retention;
+            const overCapacity = operation.finished_at && this.operations.size > this.maxOperations;
+            if (expired || overCapacity) {
+                this.operations.delete(operationId);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    getStats() {
+        const running = Array.from(this.operations.values()).filter(operation => operation.status === 'running');
+        return {
+            ...this.stats,
+            running: running.length,
+            tracked: this.operations.size,
+            average_duration_ms: Object.fromEntries(
+                Array.from(this.durations.entries()).map(([kind, duration]) => [kind, Math.round(duration)])
+            )
+        };
+    }
+}
+
+module.exports = {
+    OperationRegistry,
+    OperationError,
+    OperationCancelledError
+};
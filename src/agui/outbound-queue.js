@@ -0,0 +1,66 @@
+/**
+ * OutboundQueue - Bounded backlog of serialized frames for one connection
+ *
+ * Used once the socket's bufferedAmount passes the high-water mark. Items
+ * with a coalescing key (e.g. progress of one operation) replace the queued
+ * item with the same key, so only the latest one is delivered.
+ */
+class OutboundQueue {
+    constructor(maxSize = 500) {
+        this.maxSize = maxSize;
+        this.items = [];
+        this.bytes = 0;
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    /**
+     * Queue { frames: [string], key? }.
+     * Returns 'queued', 'coalesced' or 'overflow' (nothing was queued).
+     */
+    push(item) {
+        if (item.key) {
+            const index = this.items.findIndex(queued => queued.key === item.key);
+            if (index !== -1) {
+                // Delivered after what was queued in between, like the original would have been
+                this.bytes -= this.sizeOf(this.items[index]);
+                this.items.splice(index, 1);
+                this.append(item);
+                return 'coalesced';
+            }
+        }
+
+        if (this.items.length >= this.maxSize) {
+            return 'overflow';
+        }
+
+        this.append(item);
+        return 'queued';
+    }
+
+    shift() {
+        const item = this.items.shift();
+        if (item) {
+            this.bytes -= this.sizeOf(item);
+        }
+        return item;
+    }
+
+    clear() {
+        this.items = [];
+        this.bytes = 0;
+    }
+
+    append(item) {
+        this.items.push(item);
+        this.bytes += this.sizeOf(item);
+    }
+
+    sizeOf(item) {
+        return item.frames.reduce((total, frame) => total + frame.length, 0);
+    }
+}
+
+module.exports = { OutboundQueue };
@@ -0,0 +1,141 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Wire protocols a connection can speak
+const PROTOCOLS = {
+    LEGACY: 'legacy',
+    AG_UI: 'ag-ui'
+};
+
+// Event types of the public AG-UI protocol
+const EventType = {
+    RUN_STARTED: 'RUN_STARTED',
+    RUN_FINISHED: 'RUN_FINISHED',
+    RUN_ERROR: 'RUN_ERROR',
+    TEXT_MESSAGE_START: 'TEXT_MESSAGE_START',
+    TEXT_MESSAGE_CONTENT: 'TEXT_MESSAGE_CONTENT',
+    TEXT_MESSAGE_END: 'TEXT_MESSAGE_END',
+    TOOL_CALL_START: 'TOOL_CALL_START',
+    TOOL_CALL_ARGS: 'TOOL_CALL_ARGS',
+    TOOL_CALL_END: 'TOOL_CALL_END',
+    TOOL_CALL_RESULT: 'TOOL_CALL_RESULT',
+    STATE_SNAPSHOT: 'STATE_SNAPSHOT',
+    STATE_DELTA: 'STATE_DELTA',
+    CUSTOM: 'CUSTOM'
+};
+
+// Frontend tool used to ask an AG-UI client to render a form
+const FORM_TOOL_NAME = 'render_form';
+const FORM_TOOL_CALL_PREFIX = 'form:';
+
+/**
+ * ProtocolEncoder - Maps UIAgent envelopes onto public AG-UI events
+ *
+ *   chat                 TEXT_MESSAGE_START / CONTENT / END
+ *   display (form)       TOOL_CALL_START / ARGS / END of the `render_form` tool,
+ *                        answered by a tool message with toolCallId `form:<form_id>`
+ *   state_snapshot/delta STATE_SNAPSHOT / STATE_DELTA
+ *   anything else        CUSTOM { name: <envelope type>, value }
+ *
+ * Run lifecycle events are added by UIAgent, which knows when a run starts
+ * and ends.
+ */
+class ProtocolEncoder {
+    encode(message) {
+        switch (message.type) {
+            case 'chat':
+                return this.textMessage(this.messageIdFor(message), message.template?.text ?? message.content?.text ?? '');
+            case 'display':
+                if (message.template?.type === 'form' && message.template.metadata?.form_id) {
+                    return this.toolCall(
+                        `${FORM_TOOL_CALL_PREFIX}${message.template.metadata.form_id}`,
+                        FORM_TOOL_NAME,
+                        message.template
+                    );
+                }
+                return [this.custom('display', message.template)];
+            case 'state_snapshot':
+                return [this.event(EventType.STATE_SNAPSHOT, { snapshot: message.content.state })];
+            case 'state_delta':
+                return [this.event(EventType.STATE_DELTA, { delta: message.content.operations })];
+            case 'error':
+                // Reported through RUN_ERROR by the caller
+                return [];
+            default:
+                return [this.custom(message.type, message.content ?? message.template ?? null)];
+        }
+    }
+
+    /**
+     * Error message carried by an envelope, or null if it does not signal a failure
+     */
+    errorOf(message) {
+        if (message.type === 'error') {
+            return message.content?.message || 'Unknown error';
+        }
+        if (message.type === 'chat' && message.template?.error) {
+            return String(message.template.text || 'Unknown error').replace(/^❌\s*/, '');
+        }
+        return null;
+    }
+
+    messageIdFor(message) {
+        const metadata = message.agui_metadata;
+        return metadata?.seq ? `msg-${metadata.session_id}-${metadata.seq}` : `msg-${uuidv4()}`;
+    }
+
+    textMessage(messageId, text) {
+        const frames = [this.event(EventType.TEXT_MESSAGE_START, { messageId, role: 'assistant' })];
+        if (text) {
+            frames.push(this.event(EventType.TEXT_MESSAGE_CONTENT, { messageId, delta: String(text) }));
+        }
+        frames.push(this.event(EventType.TEXT_MESSAGE_END, { messageId }));
+        return frames;
+    }
+
+    toolCall(toolCallId, toolCallName, args) {
+        return [
+            this.event(EventType.TOOL_CALL_START, { toolCallId, toolCallName }),
+            this.event(EventType.TOOL_CALL_ARGS, { toolCallId, delta: JSON.stringify(args ?? {}) }),
+            this.event(EventType.TOOL_CALL_END, { toolCallId })
+        ];
+    }
+
+    toolCallResult(toolCallId, result) {
+        return this.event(EventType.TOOL_CALL_RESULT, {
+            messageId: `msg-${uuidv4()}`,
+            toolCallId,
+            role: 'tool',
+            content: typeof result === 'string' ? result : JSON.stringify(result ?? null)
+        });
+    }
+
+    runStarted(threadId, runId) {
+        return this.event(EventType.RUN_STARTED, { threadId, runId });
+    }
+
+    runFinished(threadId, runId, result) {
+        return this.event(EventType.RUN_FINISHED, result === undefined
+            ? { threadId, runId }
+            : { threadId, runId, result });
+    }
+
+    runError(message, code) {
+        return this.event(EventType.RUN_ERROR, code ? { message, code } : { message });
+    }
+
+    custom(name, value) {
+        return this.event(EventType.CUSTOM, { name, value });
+    }
+
+    event(type, fields) {
+        return { type, timestamp: Date.now(), ...fields };
+    }
+}
+
+module.exports = {
+    ProtocolEncoder,
+    PROTOCOLS,
+    EventType,
+    FORM_TOOL_NAME,
+    FORM_TOOL_CALL_PREFIX
+};
@@ -0,0 +1,52 @@
+/**
+ * ReplayBuffer - Bounded history of sequenced AG-UI events for one session
+ * Lets a reconnecting client catch up on the events it missed while offline
+ */
+class ReplayBuffer {
+    constructor(capacity = 200) {
+        this.capacity = capacity;
+        this.entries = [];
+        this.lastSeq = 0;
+    }
+
+    push(seq, event) {
+        this.entries.push({ seq, event });
+        this.lastSeq = seq;
+
+        while (this.entries.length > this.capacity) {
+            this.entries.shift();
+        }
+    }
+
+    /**
+     * Events with a sequence number greater than lastSeenSeq.
+     * `complete` is false when older events were already evicted and the
+     * client cannot be brought fully up to date from the buffer alone.
+     */
+    since(lastSeenSeq = 0) {
+        if (lastSeenSeq >= this.lastSeq) {
+            return { events: [], complete: true };
+        }
+
+        const events = this.entries
+            .filter(entry => entry.seq > lastSeenSeq)
+            .map(entry => entry.event);
+
+        const oldestSeq = this.entries.length > 0 ? this.entries[0].seq : this.lastSeq + 1;
+
+        return {
+            events,
+            complete: oldestSeq <= lastSeenSeq + 1
+        };
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    clear() {
+        this.entries = [];
+    }
+}
+
+module.exports = { ReplayBuffer };
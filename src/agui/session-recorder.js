@@ -0,0 +1,256 @@
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('../utils/logger');
+
+const REDACTED = '[REDACTED]';
+
+// Keys whose values never reach a recording
+const DEFAULT_REDACT_KEYS = [
+    'password', 'passphrase', 'secret', 'token', 'access_token', 'refresh_token',
+    'api_key', 'apikey', 'authorization', 'cookie', 'credentials', 'private_key'
+];
+
+// String values redacted wherever they appear
+const DEFAULT_REDACT_PATTERNS = [
+    /Bearer\s+[A-Za-z0-9._~+/=-]+/g,
+    /eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g
+];
+
+const DEFAULT_MAX_RECORDING_BYTES = 5 * 1024 * 1024;
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+class RecordingNotFoundError extends Error {
+    constructor(sessionId) {
+        super(`Recording '${sessionId}' not found`);
+        this.name = 'RecordingNotFoundError';
+        this.status = 404;
+    }
+}
+
+/**
+ * SessionRecorder - Writes the messages of AG-UI sessions to JSONL files
+ *
+ * One file per session (`<session_id>.jsonl`), one entry per line:
+ *   { at, direction: 'meta' | 'in' | 'out', client_id, message }
+ *
+ * Keys listed in `redactKeys` (strings, case-insensitive, or RegExps) and
+ * strings matching `redactPatterns` are replaced with '[REDACTED]' before
+ * anything is written. Sessions are recorded when `recordAll` is set or once
+ * armed with record(sessionId).
+ */
+class SessionRecorder {
+    constructor(options = {}) {
+        if (!options.directory) {
+            throw new Error('SessionRecorder requires a directory');
+        }
+
+        this.directory = path.resolve(options.directory);
+        this.recordAll = options.recordAll === true;
+        this.maxBytes = options.maxBytes || DEFAULT_MAX_RECORDING_BYTES;
+        this.redactKeys = [...DEFAULT_REDACT_KEYS, ...(options.redactKeys || [])];
+        this.redactPatterns = [...DEFAULT_REDACT_PATTERNS, ...(options.redactPatterns || [])];
+        this.logger = new Logger('SessionRecorder');
+
+        // Sessions to record (besides recordAll) and open recordings (sessionId -> { bytes, truncated, writes })
+        this.armed = new Set();
+        this.recordings = new Map();
+        this.stats = { entries: 0, redacted: 0, truncated: 0, failed: 0 };
+    }
+
+    isValidId(sessionId) {
+        return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+    }
+
+    fileOf(sessionId) {
+        if (!this.isValidId(sessionId)) {
+            throw new RecordingNotFoundError(sessionId);
+        }
+        return path.join(this.directory, `${sessionId}.jsonl`);
+    }
+
+    record(sessionId) {
+        this.fileOf(sessionId);
+        this.armed.add(sessionId);
+    }
+
+    stop(sessionId) {
+        this.armed.delete(sessionId);
+
+        // Forgotten once its pending writes are done, so flush() still waits for them
+        const recording = this.recordings.get(sessionId);
+        recording?.writes.then(() => {
+            if (this.recordings.get(sessionId) === recording) {
+                this.recordings.delete(sessionId);
+            }
+        });
+    }
+
+    isRecording(sessionId) {
+        return this.recordAll || this.armed.has(sessionId);
+    }
+
+    // ========== WRITING ==========
+
+    /**
+     * Append an entry to the session's recording. Writes are serialized per
+     * session; flush() waits for them.
+     */
+    append(sessionId, direction, clientId, message) {
+        if (!sessionId || !this.isRecording(sessionId)) {
+            return false;
+        }
+
+        let recording = this.recordings.get(sessionId);
+        if (!recording) {
+            recording = { bytes: 0, truncated: false, writes: fs.promises.mkdir(this.directory, { recursive: true }) };
+            this.recordings.set(sessionId, recording);
+        }
+        if (recording.truncated) {
+            return false;
+        }
+
+        let line = JSON.stringify({
+            at: new Date().toISOString(),
+            direction,
+            client_id: clientId,
+            message: this.redact(message)
+        }) + '\n';
+
+        if (recording.bytes + line.length > this.maxBytes) {
+            // Leave a marker so a reader knows the end is missing
+            recording.truncated = true;
+            this.stats.truncated++;
+            line = JSON.stringify({ at: new Date().toISOString(), direction: 'meta', client_id: clientId, message: { type: 'truncated' } }) + '\n';
+        }
+
+        recording.bytes += line.length;
+        this.stats.entries++;
+        recording.writes = recording.writes
+            .then(() => fs.promises.appendFile(this.fileOf(sessionId), line))
+            .catch((error) => {
+                this.stats.failed++;
+                this.logger.error(`Failed to write recording ${sessionId}:`, error);
+            });
+        return true;
+    }
+
+    async flush(sessionId = null) {
+        const recordings = sessionId
+            ? [this.recordings.get(sessionId)].filter(Boolean)
+            : Array.from(this.recordings.values());
+        await Promise.all(recordings.map(recording => recording.writes));
+    }
+
+    redact(value, key = null) {
+        if (key !== null && this.isRedactedKey(key)) {
+            this.stats.redacted++;
+            return REDACTED;
+        }
+        if (typeof value === 'string') {
+            return this.redactPatterns.reduce((text, pattern) => text.replace(pattern, REDACTED), value);
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.redact(item));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, this.redact(item, name)]));
+        }
+        return value;
+    }
+
+    isRedactedKey(key) {
+        const lower = String(key).toLowerCase();
+        return this.redactKeys.some(rule => rule instanceof RegExp ? rule.test(key) : rule.toLowerCase() === lower);
+    }
+
+    // ========== READING ==========
+
+    async list() {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const recordings = [];
+        for (const file of entries.filter(name => name.endsWith('.jsonl'))) {
+            const sessionId = path.basename(file, '.jsonl');
+            const stat = await fs.promises.stat(path.join(this.directory, file));
+            recordings.push({
+                session_id: sessionId,
+                size: stat.size,
+                created_at: stat.birthtime.toISOString(),
+                modified_at: stat.mtime.toISOString(),
+                recording: this.isRecording(sessionId) && !this.recordings.get(sessionId)?.truncated
+            });
+        }
+        return recordings.sort((a, b) => b.modified_at.localeCompare(a.modified_at));
+    }
+
+    async exists(sessionId) {
+        try {
+            await fs.promises.access(this.fileOf(sessionId));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    createReadStream(sessionId) {
+        return fs.createReadStream(this.fileOf(sessionId));
+    }
+
+    /**
+     * Parsed entries of a recording
+     */
+    async read(sessionId) {
+        await this.flush(sessionId);
+
+        let data;
+        try {
+            data = await fs.promises.readFile(this.fileOf(sessionId), 'utf8');
+        } catch (error) {
+            throw error.code === 'ENOENT' ? new RecordingNotFoundError(sessionId) : error;
+        }
+        return parseRecording(data);
+    }
+
+    async delete(sessionId) {
+        await this.flush(sessionId);
+        this.stop(sessionId);
+
+        try {
+            await fs.promises.unlink(this.fileOf(sessionId));
+        } catch (error) {
+            throw error.code === 'ENOENT' ? new RecordingNotFoundError(sessionId) : error;
+        }
+    }
+
+    getStats() {
+        return {
+            directory: this.directory,
+            record_all: this.recordAll,
+            armed: this.armed.size,
+            open: this.recordings.size,
+            ...this.stats
+        };
+    }
+}
+
+function parseRecording(data) {
+    return String(data)
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+}
+
+module.exports = {
+    SessionRecorder,
+    RecordingNotFoundError,
+    parseRecording,
+    REDACTED
+};
@@ -0,0 +1,68 @@
+const { UIAgent } = require('./ui-agent');
+const { parseRecording } = require('./session-recorder');
+
+// Inbound messages that only make sense against the original server
+const SKIPPED_INBOUND_TYPES = ['resume'];
+
+/**
+ * Feed a recording into a fresh UIAgent and capture what it sends back.
+ *
+ * `recording` is a JSONL string or parsed entries. The connection is opened
+ * with the recorded protocol, locale and identity, then every inbound message is
+ * handled in order. Returns { uiAgent, clientId, sent, recorded } where
+ * `sent` are the frames written by the replay (envelopes in legacy mode)
+ * and `recorded` the envelopes of the original session. The caller shuts
+ * the UIAgent down.
+ */
+async function replaySession(recording, options = {}) {
+    const entries = typeof recording === 'string' ? parseRecording(recording) : recording;
+    const started = entries.find(entry => entry.direction === 'meta' && entry.message?.type === 'session_started');
+
+    const uiAgent = options.uiAgent || new UIAgent(
+        { sweepInterval: 0, heartbeatInterval: 0, ...options.config },
+        options.autoweaveInstance || null
+    );
+
+    const sent = [];
+    const ws = {
+        readyState: 1,
+        bufferedAmount: 0,
+        send: (data) => sent.push(JSON.parse(data)),
+        on: () => {},
+        close: () => {},
+        ping: () => {},
+        terminate: () => {}
+    };
+
+    const protocol = started?.message?.protocol || 'legacy';
+    const locale = started?.message?.locale || uiAgent.i18n.defaultLocale;
+    const clientId = uiAgent.handleConnection(ws, {
+        url: `/ws?protocol=${encodeURIComponent(protocol)}&locale=${encodeURIComponent(locale)}`,
+        headers: {},
+        socket: { remoteAddress: 'replay' },
+        identity: started?.message?.identity || null
+    });
+    await settle();
+
+    for (const entry of entries) {
+        if (entry.direction !== 'in' || SKIPPED_INBOUND_TYPES.includes(entry.message?.type)) {
+            continue;
+        }
+        await uiAgent.handleMessage(clientId, entry.message, ws);
+        await settle();
+    }
+
+    return {
+        uiAgent,
+        clientId,
+        sent,
+        recorded: entries.filter(entry => entry.direction === 'out').map(entry => entry.message)
+    };
+}
+
+// Let fire-and-forget sends (welcome sequence, wizard steps) complete
+function settle() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+module.exports = { replaySession };
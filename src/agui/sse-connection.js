@@ -0,0 +1,128 @@
+const { EventEmitter } = require('events');
+
+// WebSocket readyState values mirrored by SseConnection
+const OPEN = 1;
+const CLOSING = 2;
+const CLOSED = 3;
+
+// Close code reported when the client went away (as ws does for a lost socket)
+const ABNORMAL_CLOSURE = 1006;
+
+// Reconnection delay suggested to EventSource clients
+const DEFAULT_RETRY = 3000;
+
+/**
+ * SSE event id of a frame: `<session_id>:<seq>` for sequenced AG-UI
+ * events, null for the others (EventSource keeps the previous id)
+ */
+function eventIdOf(frame) {
+    try {
+        const metadata = JSON.parse(frame)?.agui_metadata;
+        return metadata?.session_id && Number.isInteger(metadata.seq) ? `${metadata.session_id}:${metadata.seq}` : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Parse a Last-Event-ID into { session_id, last_seq }
+ */
+function parseEventId(eventId) {
+    const separator = String(eventId || '').lastIndexOf(':');
+    if (separator <= 0) {
+        return null;
+    }
+
+    const lastSeq = Number(eventId.slice(separator + 1));
+    return Number.isInteger(lastSeq) && lastSeq >= 0
+        ? { session_id: eventId.slice(0, separator), last_seq: lastSeq }
+        : null;
+}
+
+/**
+ * SseConnection - Server-Sent Events response with the subset of the ws
+ * WebSocket interface UIAgent uses (send, ping, close, terminate,
+ * readyState, bufferedAmount; 'message', 'pong' and 'close' events), so an
+ * SSE client is handled like any WebSocket connection.
+ *
+ * Client-to-server messages arrive through another request and are passed
+ * in with receive(). SSE has no pong: a ping succeeds while the response is
+ * still writable, a lost client is noticed when the response closes.
+ * close(code) sends a final `close` event carrying the code and reason.
+ */
+class SseConnection extends EventEmitter {
+    constructor(res, options = {}) {
+        super();
+        this.res = res;
+        this.readyState = OPEN;
+        this.closeCode = null;
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            // no-transform keeps the compression middleware from buffering the stream
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${options.retry || DEFAULT_RETRY}\n\n`);
+
+        res.on('close', () => {
+            this.readyState = CLOSED;
+            this.emit('close', this.closeCode ?? ABNORMAL_CLOSURE);
+        });
+        res.on('error', (error) => this.emit('error', error));
+    }
+
+    get bufferedAmount() {
+        return this.res.writableLength || 0;
+    }
+
+    write(chunk) {
+        if (this.readyState !== OPEN) {
+            throw new Error('SSE connection is not open');
+        }
+        this.res.write(chunk);
+    }
+
+    send(frame) {
+        const data = String(frame);
+        const id = eventIdOf(data);
+        const lines = data.split('\n').map(line => `data: ${line}`).join('\n');
+        this.write(`${id ? `id: ${id}\n` : ''}${lines}\n\n`);
+    }
+
+    ping() {
+        this.write(': ping\n\n');
+        if (!this.res.destroyed) {
+            this.emit('pong');
+        }
+    }
+
+    /**
+     * Message posted by the client (raw JSON)
+     */
+    receive(data) {
+        this.emit('message', data);
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.readyState !== OPEN) {
+            return;
+        }
+
+        this.res.write(`event: close\ndata: ${JSON.stringify({ code, reason })}\n\n`);
+        this.closeCode = code;
+        this.readyState = CLOSING;
+        this.res.end();
+    }
+
+    terminate() {
+        if (this.readyState === CLOSED) {
+            return;
+        }
+        this.readyState = CLOSING;
+        this.res.destroy();
+    }
+}
+
+module.exports = { SseConnection, eventIdOf, parseEventId };
@@ -0,0 +1,352 @@
+/**
+ * TemplateEngine - Renders AG-UI event templates with typed variables
+ *
+ * String syntax:
+ *   {{path}}                 value lookup, dotted paths allowed (`agent.status`, `agents.0.name`)
+ *   {{path | default}}       fallback when the path is missing; JSON literals keep their type
+ *   {{path, format[, style]}} localized value: number (integer, compact), percent,
+ *                            date / time / datetime (full, long, medium, short)
+ *   {{#if path}}..{{else}}..{{/if}}
+ *   {{#each path}}..{{this.name}} #{{@index}}..{{/each}}
+ *
+ * A string made of a single placeholder is replaced by the raw value, so
+ * `'{{agents_data}}'` stays an array and `'{{progress}}'` stays a number.
+ * Placeholders that cannot be resolved are left untouched.
+ *
+ * Object syntax (structural directives):
+ *   { $if: 'path', then: <node>, else: <node> }
+ *   { $each: 'path', as: 'item', template: <node> }
+ *   { $t: 'message.key', count: 'path' }
+ * A directive that renders to undefined is dropped from its parent.
+ *
+ * $t renders the message of the render locale (see i18n.js) with the
+ * current variables; `count` (default: the `count` variable) picks the
+ * plural form and is bound to `count` inside the message.
+ */
+
+const { formatValue } = require('./i18n');
+
+const TAG_PATTERN = /\{\{\s*([#/]?)\s*([^}]*?)\s*\}\}/g;
+
+class TemplateEngine {
+    /**
+     * options.i18n: I18n catalogues used by $t
+     */
+    constructor(options = {}) {
+        this.cache = new Map();
+        this.i18n = options.i18n || null;
+    }
+
+    /**
+     * context: { locale, timeZone } for $t and formatted values
+     */
+    render(node, variables = {}, context = {}) {
+        return this.renderNode(node, [variables], context);
+    }
+
+    renderNode(node, scopes, context = {}) {
+        if (typeof node === 'string') {
+            return this.renderString(node, scopes, context);
+        }
+
+        if (Array.isArray(node)) {
+            return node
+                .map(item => this.renderNode(item, scopes, context))
+                .filter(item => item !== undefined);
+        }
+
+        if (node === null || typeof node !== 'object') {
+            return node;
+        }
+
+        if (Object.prototype.hasOwnProperty.call(node, '$if')) {
+            const branch = this.isTruthy(this.lookup(node.$if, scopes).value) ? node.then : node.else;
+            return branch === undefined ? undefined : this.renderNode(branch, scopes, context);
+        }
+
+        if (Object.prototype.hasOwnProperty.call(node, '$t')) {
+            return this.translate(node, scopes, context);
+        }
+
+        if (Object.prototype.hasOwnProperty.call(node, '$each')) {
+            const items = this.lookup(node.$each, scopes).value;
+            if (!Array.isArray(items)) {
+                return [];
+            }
+
+            const alias = node.as || 'item';
+            return items.map((item, index) => this.renderNode(node.template, [
+                ...scopes,
+                { [alias]: item, this: item, '@index': index }
+            ], context));
+        }
+
+        const rendered = {};
+        for (const key of Object.keys(node)) {
+            const value = this.renderNode(node[key], scopes, context);
+            if (value !== undefined) {
+                rendered[key] = value;
+            }
+        }
+        return rendered;
+    }
+
+    renderString(str, scopes, context = {}) {
+        const nodes = this.parse(str);
+
+        // Whole-value placeholder: keep the original type
+        if (nodes.length === 1 && nodes[0].type === 'var') {
+            const { found, value } = this.evaluate(nodes[0].expr, scopes, context);
+            return found ? value : str;
+        }
+
+        return this.renderNodes(nodes, scopes, context);
+    }
+
+    /**
+     * Message of a $t directive; the key itself when no catalogue has it
+     */
+    translate(node, scopes, context) {
+        const { value: count } = this.lookup(node.count || 'count', scopes);
+        const message = this.i18n ? this.i18n.lookup(node.$t, context.locale, count) : null;
+        if (!message) {
+            return node.$t;
+        }
+
+        // Plural rules and formats follow the locale the message was found in
+        const inner = node.count ? [...scopes, { count }] : scopes;
+        return this.renderString(message.text, inner, { ...context, locale: message.locale });
+    }
+
+    renderNodes(nodes, scopes, context = {}) {
+        let output = '';
+
+        for (const node of nodes) {
+            switch (node.type) {
+                case 'text':
+                    output += node.value;
+                    break;
+                case 'var': {
+                    const { found, value } = this.evaluate(node.expr, scopes, context);
+                    output += found ? this.stringify(value) : node.raw;
+                    break;
+                }
+                case 'if': {
+                    const { value } = this.lookup(node.expr, scopes);
+                    output += this.renderNodes(this.isTruthy(value) ? node.then : node.else, scopes, context);
+                    break;
+                }
+                case 'each': {
+                    const { value } = this.lookup(node.expr, scopes);
+                    if (Array.isArray(value)) {
+                        value.forEach((item, index) => {
+                            output += this.renderNodes(node.body, [...scopes, { this: item, '@index': index }], context);
+                        });
+                    }
+                    break;
+                }
+            }
+        }
+
+        return output;
+    }
+
+    parse(str) {
+        if (this.cache.has(str)) {
+            return this.cache.get(str);
+        }
+
+        const root = [];
+        const stack = [{ children: root }];
+        let lastIndex = 0;
+        let match;
+
+        TAG_PATTERN.lastIndex = 0;
+        while ((match = TAG_PATTERN.exec(str)) !== null) {
+            const [raw, marker, body] = match;
+            const current = stack[stack.length - 1];
+
+            if (match.index > lastIndex) {
+                current.children.push({ type: 'text', value: str.slice(lastIndex, match.index) });
+            }
+            lastIndex = match.index + raw.length;
+
+            if (marker === '#') {
+                const [keyword, ...rest] = body.split(/\s+/);
+                const expr = rest.join(' ');
+                let node;
+
+                if (keyword === 'if') {
+                    node = { type: 'if', expr, then: [], else: [] };
+                    stack.push({ node, children: node.then });
+                } else if (keyword === 'each') {
+                    node = { type: 'each', expr, body: [] };
+                    stack.push({ node, children: node.body });
+                } else {
+                    throw new Error(`Unknown template block '#${keyword}'`);
+                }
+
+                current.children.push(node);
+            } else if (marker === '/') {
+                if (stack.length === 1 || stack[stack.length - 1].node.type !== body) {
+                    throw new Error(`Unexpected closing tag '{{/${body}}}'`);
+                }
+                stack.pop();
+            } else if (body === 'else' && current.node && current.node.type === 'if') {
+                current.children = current.node.else;
+            } else {
+                current.children.push({ type: 'var', expr: body, raw });
+            }
+        }
+
+        if (stack.length > 1) {
+            throw new Error(`Unclosed template block '#${stack[stack.length - 1].node.type}'`);
+        }
+
+        if (lastIndex < str.length) {
+            root.push({ type: 'text', value: str.slice(lastIndex) });
+        }
+
+        this.cache.set(str, root);
+        return root;
+    }
+
+    evaluate(expr, scopes, context = {}) {
+        const separator = expr.indexOf('|');
+        const result = this.lookupFormatted(separator === -1 ? expr : expr.slice(0, separator), scopes, context);
+        if (separator === -1 || (result.found && result.value !== null)) {
+            return result;
+        }
+
+        return { found: true, value: this.parseLiteral(expr.slice(separator + 1).trim()) };
+    }
+
+    /**
+     * `path` or `path, format[, style]`
+     */
+    lookupFormatted(expr, scopes, context) {
+        const [path, format, style] = expr.split(',').map(part => part.trim());
+        const result = this.lookup(path, scopes);
+        if (!format || !result.found || result.value === null) {
+            return result;
+        }
+
+        const locale = context.locale || this.i18n?.defaultLocale;
+        return { found: true, value: formatValue(result.value, format, style, locale, context.timeZone) };
+    }
+
+    lookup(path, scopes) {
+        const [head, ...rest] = path.trim().split('.');
+
+        for (let i = scopes.length - 1; i >= 0; i--) {
+            const scope = scopes[i];
+            if (scope === null || typeof scope !== 'object' || !(head in scope)) {
+                continue;
+            }
+
+            let value = scope[head];
+            for (const segment of rest) {
+                if (value === null || value === undefined) {
+                    return { found: false, value: undefined };
+                }
+                value = value[segment];
+            }
+
+            return { found: value !== undefined, value };
+        }
+
+        return { found: false, value: undefined };
+    }
+
+    parseLiteral(literal) {
+        if (/^'.*'$/.test(literal)) {
+            return literal.slice(1, -1);
+        }
+
+        try {
+            return JSON.parse(literal);
+        } catch (error) {
+            return literal;
+        }
+    }
+
+    stringify(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        if (typeof value === 'object') {
+            return JSON.stringify(value);
+        }
+        return String(value);
+    }
+
+    isTruthy(value) {
+        return Array.isArray(value) ? value.length > 0 : Boolean(value);
+    }
+
+    /**
+     * Placeholder paths referenced by a template (first path segment only)
+     */
+    extractVariables(node, variables = new Set()) {
+        if (typeof node === 'string') {
+            this.collectVariables(this.parse(node), variables);
+        } else if (Array.isArray(node)) {
+            node.forEach(item => this.extractVariables(item, variables));
+        } else if (node && typeof node === 'object') {
+            if (typeof node.$if === 'string') {
+                this.addVariable(node.$if, variables);
+            }
+            if (typeof node.$t === 'string') {
+                if (typeof node.count === 'string') {
+                    this.addVariable(node.count, variables);
+                }
+
+                // Variables of the message in the default locale
+                const inner = new Set();
+                (this.i18n ? this.i18n.sources(node.$t) : []).forEach(text => this.collectVariables(this.parse(text), inner));
+                if (node.count) {
+                    inner.delete('count');
+                }
+                inner.forEach(name => variables.add(name));
+                return variables;
+            }
+            if (typeof node.$each === 'string') {
+                this.addVariable(node.$each, variables);
+
+                // Loop aliases are bound by the directive, not by the caller
+                const inner = this.extractVariables(node.template);
+                inner.delete(node.as || 'item');
+                inner.forEach(name => variables.add(name));
+                return variables;
+            }
+            Object.keys(node)
+                .filter(key => key !== '$if' && key !== '$each')
+                .forEach(key => this.extractVariables(node[key], variables));
+        }
+        return variables;
+    }
+
+    addVariable(expr, variables) {
+        const name = expr.split('|')[0].split(',')[0].trim().split('.')[0];
+        if (name && name !== 'this' && !name.startsWith('@')) {
+            variables.add(name);
+        }
+    }
+
+    collectVariables(nodes, variables) {
+        for (const node of nodes) {
+            if (node.type === 'var') {
+                this.addVariable(node.expr, variables);
+            } else if (node.type === 'if') {
+                this.addVariable(node.expr, variables);
+                this.collectVariables(node.then, variables);
+                this.collectVariables(node.else, variables);
+            } else if (node.type === 'each') {
+                this.addVariable(node.expr, variables);
+                this.collectVariables(node.body, variables);
+            }
+        }
+    }
+}
+
+module.exports = { TemplateEngine };
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const yaml = require('js-yaml');
+const { Logger } = require('../utils/logger');
+
+const TEMPLATE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const TEMPLATE_TYPES = ['chat', 'display', 'input', 'status'];
+
+const templateSchema = Joi.object({
+    id: Joi.string().pattern(/^[a-zA-Z0-9][a-zA-Z0-9._:-]*$/).required(),
+    version: Joi.string().pattern(/^\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?$/).required()
+        .messages({ 'string.pattern.base': '"version" must be a semantic version (e.g. 1.0.0)' }),
+    type: Joi.string().valid(...TEMPLATE_TYPES).required(),
+    description: Joi.string().allow(''),
+    required: Joi.array().items(Joi.string()).unique().default([]),
+    metadata: Joi.object().default({}),
+    template: Joi.object().required()
+});
+
+class TemplateValidationError extends Error {
+    constructor(message, file, details = []) {
+        super(message);
+        this.name = 'ValidationError';
+        this.file = file;
+        this.details = details;
+    }
+}
+
+/**
+ * TemplateLoader - Reads AG-UI template definitions from a directory
+ *
+ * Each JSON/YAML file holds one definition or `{ templates: [...] }`:
+ *   { id, version, type, description?, required?: [placeholder], metadata?, template }
+ */
+class TemplateLoader {
+    constructor(directory, options = {}) {
+        this.directory = path.resolve(directory);
+        this.templateEngine = options.templateEngine;
+        this.debounceMs = options.debounceMs ?? 100;
+        this.logger = new Logger('TemplateLoader');
+
+        this.watcher = null;
+        this.pending = new Map();
+    }
+
+    isTemplateFile(file) {
+        return TEMPLATE_EXTENSIONS.includes(path.extname(file).toLowerCase());
+    }
+
+    async listFiles() {
+        const entries = await fs.promises.readdir(this.directory, { withFileTypes: true });
+        return entries
+            .filter(entry => entry.isFile() && this.isTemplateFile(entry.name))
+            .map(entry => entry.name)
+            .sort();
+    }
+
+    /**
+     * Parse and validate every definition in a file.
+     * Throws TemplateValidationError if any definition is invalid.
+     */
+    async loadFile(file) {
+        const filePath = path.join(this.directory, file);
+        const source = await fs.promises.readFile(filePath, 'utf8');
+
+        let parsed;
+        try {
+            parsed = path.extname(file).toLowerCase() === '.json'
+                ? JSON.parse(source)
+                : yaml.load(source);
+        } catch (error) {
+            throw new TemplateValidationError(`Failed to parse ${file}: ${error.message}`, file);
+        }
+
+        const definitions = Array.isArray(parsed?.templates) ? parsed.templates : [parsed];
+        return definitions.map((definition, index) => this.validate(definition, file, index));
+    }
+
+    validate(definition, file, index = 0) {
+        const { error, value } = templateSchema.validate(definition, { abortEarly: false });
+        if (error) {
+            const details = error.details.map(detail => detail.message);
+            throw new TemplateValidationError(
+                `Invalid template #${index} in ${file}: ${details.join('; ')}`,
+                file,
+                details
+            );
+        }
+
+        if (this.templateEngine) {
+            let placeholders;
+            try {
+                placeholders = this.templateEngine.extractVariables(value.template);
+            } catch (parseError) {
+                throw new TemplateValidationError(`Template '${value.id}' in ${file}: ${parseError.message}`, file);
+            }
+
+            const unused = value.required.filter(name => !placeholders.has(name));
+            if (unused.length > 0) {
+                throw new TemplateValidationError(
+                    `Template '${value.id}' in ${file} declares required placeholders it never uses: ${unused.join(', ')}`,
+                    file,
+                    unused.map(name => `"${name}" is not referenced by the template`)
+                );
+            }
+        }
+
+        return value;
+    }
+
+    async exists(file) {
+        try {
+            await fs.promises.access(path.join(this.directory, file));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Watch the directory and call onChange(file) once a file settles.
+     * `file` is null when the platform does not report file names.
+     */
+    watch(onChange) {
+        this.close();
+
+        this.watcher = fs.watch(this.directory, (eventType, filename) => {
+            if (filename && !this.isTemplateFile(filename)) {
+                return;
+            }
+
+            const key = filename || '*';
+            clearTimeout(this.pending.get(key));
+
+            const timer = setTimeout(() => {
+                this.pending.delete(key);
+                Promise.resolve(onChange(filename || null)).catch((error) => {
+                    this.logger.error(`Template reload failed for ${key}:`, error);
+                });
+            }, this.debounceMs);
+            timer.unref?.();
+
+            this.pending.set(key, timer);
+        });
+
+        this.watcher.on('error', (error) => {
+            this.logger.error('Template directory watcher error:', error);
+        });
+
+        this.logger.info(`Watching templates in ${this.directory}`);
+    }
+
+    close() {
+        for (const timer of this.pending.values()) {
+            clearTimeout(timer);
+        }
+        this.pending.clear();
+
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+}
+
+module.exports = { TemplateLoader, TemplateValidationError, TEMPLATE_TYPES };
@@ -0,0 +1,128 @@
+/**
+ * TopicRegistry - Tracks which AG-UI clients are subscribed to which topics
+ * Topics are plain names (`agents`, `health`) or scoped names (`agent:<id>`);
+ * a subscription to `agent:*` matches every scoped `agent:` topic.
+ */
+
+const DEFAULT_TOPICS = ['agents', 'health', 'kagent', 'anp:tasks', 'memory'];
+const DEFAULT_SCOPED_TOPICS = ['agent'];
+
+class TopicRegistry {
+    constructor(options = {}) {
+        this.topics = new Set(options.topics || DEFAULT_TOPICS);
+        this.scopedTopics = new Set(options.scopedTopics || DEFAULT_SCOPED_TOPICS);
+
+        // topic -> Set(clientId)
+        this.subscribers = new Map();
+
+        // clientId -> Set(topic)
+        this.subscriptions = new Map();
+    }
+
+    isValidTopic(topic) {
+        if (typeof topic !== 'string' || topic.length === 0) {
+            return false;
+        }
+
+        if (this.topics.has(topic)) {
+            return true;
+        }
+
+        const separator = topic.indexOf(':');
+        if (separator <= 0 || separator === topic.length - 1) {
+            return false;
+        }
+
+        return this.scopedTopics.has(topic.slice(0, separator));
+    }
+
+    subscribe(clientId, topic) {
+        if (!this.isValidTopic(topic)) {
+            return false;
+        }
+
+        if (!this.subscribers.has(topic)) {
+            this.subscribers.set(topic, new Set());
+        }
+        this.subscribers.get(topic).add(clientId);
+
+        if (!this.subscriptions.has(clientId)) {
+            this.subscriptions.set(clientId, new Set());
+        }
+        this.subscriptions.get(clientId).add(topic);
+
+        return true;
+    }
+
+    unsubscribe(clientId, topic) {
+        const clients = this.subscribers.get(topic);
+        if (!clients || !clients.delete(clientId)) {
+            return false;
+        }
+
+        if (clients.size === 0) {
+            this.subscribers.delete(topic);
+        }
+
+        const topics = this.subscriptions.get(clientId);
+        topics.delete(topic);
+        if (topics.size === 0) {
+            this.subscriptions.delete(clientId);
+        }
+
+        return true;
+    }
+
+    unsubscribeAll(clientId) {
+        for (const topic of this.topicsOf(clientId)) {
+            this.unsubscribe(clientId, topic);
+        }
+    }
+
+    /**
+     * Move every subscription of one client id to another (session resume)
+     */
+    transfer(fromClientId, toClientId) {
+        for (const topic of this.topicsOf(fromClientId)) {
+            this.unsubscribe(fromClientId, topic);
+            this.subscribe(toClientId, topic);
+        }
+    }
+
+    topicsOf(clientId) {
+        return Array.from(this.subscriptions.get(clientId) || []);
+    }
+
+    subscribersOf(topic) {
+        const clients = new Set(this.subscribers.get(topic) || []);
+
+        const separator = topic.indexOf(':');
+        if (separator > 0) {
+            const wildcard = `${topic.slice(0, separator)}:*`;
+            for (const clientId of this.subscribers.get(wildcard) || []) {
+                clients.add(clientId);
+            }
+        }
+
+        return Array.from(clients);
+    }
+
+    getStats() {
+        const topics = {};
+        for (const [topic, clients] of this.subscribers) {
+            topics[topic] = clients.size;
+        }
+
+        return {
+            subscribed_clients: this.subscriptions.size,
+            topics
+        };
+    }
+
+    clear() {
+        this.subscribers.clear();
+        this.subscriptions.clear();
+    }
+}
+
+module.exports = { TopicRegistry, DEFAULT_TOPICS, DEFAULT_SCOPED_TOPICS };
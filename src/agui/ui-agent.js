@@ -1,30 +1,252 @@
 const { Logger } = require('../utils/logger');
 const { RetryHelper } = require('../utils/retry');
+const { v4: uuidv4 } = require('uuid');
+const { ReplayBuffer } = require('./replay-buffer');
+const { TopicRegistry } = require('./topic-registry');
+const { TemplateEngine } = require('./template-engine');
+const { TemplateLoader } = require('./template-loader');
+const { FormValidator } = require('./form-validator');
+const { WizardManager } = require('./wizard-manager');
+const { BUILTIN_WIZARDS } = require('./builtin-wizards');
+const { BUILTIN_COMMANDS } = require('./builtin-commands');
+const { applyPatch, escapePathSegment, parsePointer } = require('./json-patch');
+const { ProtocolEncoder, PROTOCOLS, FORM_TOOL_CALL_PREFIX } = require('./protocol-encoder');
+const { hasPermission } = require('../auth/authenticator');
+const { resolveTenant } = require('../tenants/tenant-middleware');
+const { OutboundQueue } = require('./outbound-queue');
+const { SessionRecorder } = require('./session-recorder');
+const { OperationRegistry } = require('./operation-registry');
+const { NotificationCenter } = require('./notification-center');
+const { UIAnalytics } = require('./ui-analytics');
+const { I18n, normalizeTimeZone } = require('./i18n');
+const {
+    chartFromMetricSamples,
+    treeFromTopology,
+    diffFromConfigs,
+    codeFromPayload,
+    markdownFromDocumentation
+} = require('./display-builders');
+
+// WebSocket readyState value for an open connection (ws.OPEN)
+const WS_OPEN = 1;
+
+// Default number of events kept per session for replay after a reconnect
+const DEFAULT_REPLAY_BUFFER_SIZE = 200;
+
+// Version reported for built-in templates and templates added without one
+const DEFAULT_TEMPLATE_VERSION = '1.0.0';
+
+// Default number of unanswered forms remembered per session
+const DEFAULT_MAX_OUTSTANDING_FORMS = 20;
+
+// Session expiry defaults (milliseconds, 0 disables)
+const DEFAULT_SESSION_TTL = 30 * 60 * 1000;
+const DEFAULT_DISCONNECTED_SESSION_TTL = 5 * 60 * 1000;
+const DEFAULT_SWEEP_INTERVAL = 60 * 1000;
+const DEFAULT_MAX_SESSIONS_PER_CLIENT = 10;
+
+// Heartbeat and outbound backpressure defaults (0 disables the heartbeat)
+const DEFAULT_HEARTBEAT_INTERVAL = 30 * 1000;
+const DEFAULT_MAX_BUFFERED_BYTES = 1024 * 1024;
+const DEFAULT_MAX_QUEUE_SIZE = 500;
+const DEFAULT_DRAIN_INTERVAL = 50;
+
+// Periodic health check feeding the health notifications and topic (0 disables it)
+const DEFAULT_HEALTH_CHECK_INTERVAL = 60 * 1000;
+
+// Client messages that run as an AG-UI run in 'ag-ui' protocol mode
+const RUN_MESSAGE_TYPES = ['chat', 'command', 'input', 'wizard', 'run_agent'];
+
+// Client message types counted by name in the analytics (others count as 'unknown')
+const INBOUND_MESSAGE_TYPES = [
+    'chat', 'command', 'input', 'resume', 'subscribe', 'unsubscribe', 'wizard',
+    'state_patch', 'state_sync', 'run_agent', 'operation', 'notification', 'hello'
+];
+
+// WebSocket close codes
+const WS_NORMAL_CLOSURE = 1000;
+const WS_ABNORMAL_CLOSURE = 1006;
+const WS_SESSION_CLOSED = 4001;
+const WS_SLOW_CONSUMER = 4002;
+
+// Bus channels shared by UI server replicas
+const BUS_CHANNELS = {
+    TOPICS: 'topics',
+    CLIENTS: 'clients',
+    BROADCAST: 'broadcast',
+    NOTIFICATIONS: 'notifications'
+};
+
+// Unread notifications sent to a client when it connects
+const DEFAULT_NOTIFICATIONS_ON_CONNECT = 20;
+
+// Failed operations notified to the identities able to act on them
+const OPERATION_NOTIFICATIONS = {
+    'agent-deploy': { source: 'agent', permission: 'agents:write' },
+    'integration-agent-create': { source: 'agent', permission: 'agents:write' },
+    'kagent-yaml': { source: 'kagent', permission: 'kagent:deploy' },
+    'kagent-deploy': { source: 'kagent', permission: 'kagent:deploy' }
+};
+
+// Succeeded operations published to the subscribers of a topic, as resource-update events
+const OPERATION_TOPICS = {
+    'agent-deploy': { topic: 'agents', resource: 'agent' },
+    'integration-agent-create': { topic: 'agents', resource: 'agent' },
+    'kagent-deploy': { topic: 'kagent', resource: 'deployment' }
+};
+
+// AutoWeave instance methods listing what a tenant has, for its `count` quotas
+const TENANT_QUOTA_COUNTERS = {
+    agents: 'listAgents',
+    deployments: 'listDeployments'
+};
 
 /**
  * UIAgent - Generates dynamic AG-UI events for enhanced user interaction
  * This component translates system states and user actions into structured AG-UI events
  */
 class UIAgent {
-    constructor(config, autoweaveInstance) {
+    constructor(config = {}, autoweaveInstance = null) {
         this.config = config;
         this.autoweaveInstance = autoweaveInstance;
         this.logger = new Logger('UIAgent');
         
+        // Message catalogues per locale (config.i18n: { defaultLocale, messages: { locale: { key: message } } })
+        this.i18n = new I18n(this.config.i18n);
+        
         // Event templates for different UI patterns
+        this.templateEngine = new TemplateEngine({ i18n: this.i18n });
         this.eventTemplates = new Map();
+        this.templateInfo = new Map();
         this.initializeEventTemplates();
         
+        // Custom templates loaded from config.templatesDir
+        this.templateLoader = null;
+        this.templateFiles = new Map();
+        this.templateErrors = new Map();
+        this.shadowedTemplates = new Map();
+        
         // Active sessions tracking
         this.activeSessions = new Map();
         
         // UI state management
         this.uiStates = new Map();
+        
+        // Per-client state version and last write time (clientId -> { version, touched_at })
+        this.uiStateMeta = new Map();
+        
+        // State keys clients can see but not patch
+        this.readOnlyStateKeys = new Set(this.config.readOnlyStateKeys || []);
+        this.stateSyncStats = { deltas: 0, patches_accepted: 0, patches_rejected: 0 };
+        
+        // Connected WebSocket clients (clientId -> ws)
+        this.clients = new Map();
+        
+        // Client ids whose session was resumed on another connection (old -> new)
+        this.clientRedirects = new Map();
+        
+        // Wire protocol per connection and the AG-UI runs in progress (clientId -> [run])
+        this.protocolEncoder = new ProtocolEncoder();
+        this.clientProtocols = new Map();
+        this.protocolRuns = new Map();
+        
+        // Liveness and outbound queue per connection (clientId -> { alive, last_pong_at, queue, drainTimer })
+        this.connectionState = new Map();
+        this.outboundStats = { queued: 0, coalesced: 0, dropped: 0, slow_consumers_disconnected: 0 };
+        this.heartbeatStats = { pings: 0, terminated: 0 };
+        this.heartbeatTimer = null;
+        this.startHeartbeat();
+        
+        // Session expiry: idle/disconnected TTLs, per-client cap, periodic sweep
+        this.sessionStats = {
+            created: 0,
+            closed: 0,
+            evicted: { idle: 0, disconnected: 0, capacity: 0 },
+            ui_states_evicted: 0,
+            sweeps: 0,
+            last_sweep_at: null
+        };
+        this.sweepTimer = null;
+        this.startSessionSweeper();
+        
+        // Health monitor: the only feeder of health notifications and the `health` topic
+        this.healthTimer = null;
+        this.startHealthMonitor();
+        
+        // Topic subscriptions for publish()
+        this.topicRegistry = new TopicRegistry({
+            topics: this.config.topics,
+            scopedTopics: this.config.scopedTopics
+        });
+        
+        // Form submissions: validation and handlers keyed by form_action
+        this.formValidator = new FormValidator();
+        this.formHandlers = new Map();
+        this.registerBuiltinFormHandlers();
+        
+        // `command` messages: name -> { description, permission, args schema, handler }
+        this.commands = new Map();
+        for (const command of BUILTIN_COMMANDS) {
+            this.registerCommand(command);
+        }
+        
+        // Long-running actions reported to their owner session (config.operations may be shared with routes)
+        this.operations = this.config.operations || new OperationRegistry({ retention: this.config.operationRetention });
+        this.onOperationUpdate = (operation) => this.reportOperation(operation);
+        this.operations.on('update', this.onOperationUpdate);
+        
+        // Per-user notifications kept until read (config.notificationCenter, or config.notifications options)
+        this.notifications = this.config.notificationCenter || new NotificationCenter(this.config.notifications);
+        this.notificationsReady = this.notifications.load();
+        this.onNotification = (notification) => this.deliverNotification(notification);
+        this.onNotificationsRead = (read) => this.publishToBus(BUS_CHANNELS.NOTIFICATIONS, { read });
+        this.notifications.on('notification', this.onNotification);
+        this.notifications.on('read', this.onNotificationsRead);
+        
+        // Per-template, per-client, form and wizard counters (config.analytics options)
+        this.analytics = new UIAnalytics(this.config.analytics);
+        // Events whose first socket write gives their send latency
+        this.pendingLatency = new WeakSet();
+        
+        // Multi-step flows built on forms
+        this.wizards = new WizardManager(this);
+        for (const wizard of BUILTIN_WIZARDS) {
+            this.wizards.register(wizard);
+        }
+        
+        // Cross-replica delivery (config.bus, see event-bus.js)
+        this.replicaId = this.config.replicaId || uuidv4();
+        this.bus = null;
+        this.busUnsubscribers = [];
+        this.busStats = { published: 0, received: 0, delivered: 0, failed: 0 };
+        this.busReady = this.config.bus ? this.attachBus(this.config.bus) : Promise.resolve();
+        
+        // Optional JSONL recording of session traffic (config.recorder or config.recording options)
+        this.recorder = this.config.recorder ||
+            (this.config.recording?.directory ? new SessionRecorder(this.config.recording) : null);
+
+        
+        // Promise of initialize()
+        this.initialized = null;
+    }
+
+    /**
+     * Wait for the bus and notifications, then load custom templates.
+     * Runs once: later calls return the same promise.
+     */
+    initialize() {
+        if (!this.initialized) {
+            this.initialized = this.start();
+        }
+        return this.initialized;
     }
 
-    async initialize() {
+    async start() {
         this.logger.info('Initializing UI Agent for AG-UI event generation...');
         
+        await this.busReady;
+        await this.notificationsReady;
+        
         // Load additional templates if needed
         await this.loadCustomTemplates();
         
@@ -36,7 +258,7 @@ class UIAgent {
         this.eventTemplates.set('chat-welcome', {
             type: 'chat',
             template: {
-                text: 'Welcome to {{agent_name}}! I\'m ready to help you with {{capabilities}}.',
+                text: { $t: 'chat.welcome' },
                 sender: '{{agent_name}}',
                 timestamp: '{{timestamp}}',
                 metadata: {
@@ -55,7 +277,7 @@ class UIAgent {
                 metadata: {
                     event_type: 'response',
                     session_id: '{{session_id}}',
-                    tokens: '{{tokens}}'
+                    tokens: '{{tokens | 0}}'
                 }
             }
         });
@@ -79,13 +301,19 @@ class UIAgent {
             type: 'display',
             template: {
                 type: 'table',
-                title: 'Active Agents',
+                title: { $t: 'display.agent_list.title' },
+                summary: { $t: 'display.agent_list.total', count: 'total_agents' },
                 columns: ['id', 'name', 'status', 'created_at'],
                 data: '{{agents_data}}',
+                rows: {
+                    $each: 'agents_data',
+                    as: 'agent',
+                    template: ['{{agent.id | null}}', '{{agent.name | null}}', '{{agent.status | null}}', '{{agent.created_at | null}}']
+                },
                 timestamp: '{{timestamp}}',
                 metadata: {
                     event_type: 'agent_list',
-                    total_agents: '{{total_agents}}'
+                    total_agents: '{{total_agents | 0}}'
                 }
             }
         });
@@ -94,7 +322,7 @@ class UIAgent {
             type: 'display',
             template: {
                 type: 'metrics',
-                title: 'System Metrics',
+                title: { $t: 'display.metrics.title' },
                 data: '{{metrics_data}}',
                 timestamp: '{{timestamp}}',
                 metadata: {
@@ -126,7 +354,7 @@ class UIAgent {
                 type: 'success',
                 title: '✅ {{success_title}}',
                 message: '{{success_message}}',
-                data: '{{success_data}}',
+                data: '{{success_data | null}}',
                 timestamp: '{{timestamp}}',
                 metadata: {
                     event_type: 'success',
@@ -141,68 +369,2129 @@ class UIAgent {
                 type: 'error',
                 title: '❌ {{error_title}}',
                 message: '{{error_message}}',
-                details: '{{error_details}}',
+                details: '{{error_details | null}}',
                 timestamp: '{{timestamp}}',
                 metadata: {
                     event_type: 'error',
                     error_code: '{{error_code}}'
                 }
             }
-        });
+        });
+
+        this.eventTemplates.set('display-form-errors', {
+            type: 'display',
+            template: {
+                type: 'form_errors',
+                title: {
+                    $if: 'form_title',
+                    then: '⚠️ {{form_title}}',
+                    else: { $t: 'display.form_errors.title' }
+                },
+                message: { $if: 'message', then: '{{message}}', else: { $t: 'display.form_errors.message' } },
+                errors: '{{field_errors}}',
+                timestamp: '{{timestamp}}',
+                metadata: {
+                    event_type: 'form_validation',
+                    form_id: '{{form_id}}',
+                    action: '{{form_action}}'
+                }
+            }
+        });
+
+        this.eventTemplates.set('display-command-list', {
+            type: 'display',
+            template: {
+                type: 'table',
+                title: { $t: 'display.command_list.title' },
+                summary: { $t: 'display.command_list.total', count: 'total_commands' },
+                columns: ['command', 'arguments', 'description'],
+                data: '{{commands}}',
+                rows: {
+                    $each: 'commands',
+                    as: 'command',
+                    template: ['{{command.name}}', '{{command.usage | ""}}', '{{command.description | ""}}']
+                },
+                timestamp: '{{timestamp}}',
+                metadata: {
+                    event_type: 'command_list',
+                    total_commands: '{{total_commands | 0}}'
+                }
+            }
+        });
+
+        this.eventTemplates.set('display-logs', {
+            type: 'display',
+            template: {
+                type: 'logs',
+                title: { $t: 'display.logs.title' },
+                lines: '{{log_lines}}',
+                timestamp: '{{timestamp}}',
+                metadata: {
+                    event_type: 'agent_logs',
+                    agent_id: '{{agent_id}}',
+                    namespace: '{{namespace | "default"}}'
+                }
+            }
+        });
+
+        this.eventTemplates.set('display-memory-results', {
+            type: 'display',
+            template: {
+                type: 'table',
+                title: { $t: 'display.memory_results.title' },
+                summary: { $t: 'display.memory_results.total', count: 'total_results' },
+                columns: ['memory', 'score', 'source'],
+                data: '{{results}}',
+                rows: {
+                    $each: 'results',
+                    as: 'result',
+                    template: ['{{result.memory | null}}', '{{result.score | null}}', '{{result.source | null}}']
+                },
+                timestamp: '{{timestamp}}',
+                metadata: {
+                    event_type: 'memory_results',
+                    total_results: '{{total_results | 0}}'
+                }
+            }
+        });
+
+        // Rich display types; their variables are built by display-builders.js
+
+        // series: [{ name, points: [{ x, y }] }]
+        this.eventTemplates.set('display-chart', {
+            type: 'display',
+            template: {
+                type: 'chart',
+                title: { $if: 'chart_title', then: '{{chart_title}}', else: { $t: 'display.chart.title' } },
+                chart_type: '{{chart_type | "line"}}',
+                series: '{{chart_series}}',
+                x_axis: '{{x_axis | null}}',
+                y_axis: '{{y_axis | null}}',
+                timestamp: '{{timestamp}}',
+                metadata: {
+                    event_type: 'chart',
+                    refresh_rate: '{{refresh_rate | null}}'
+                }
+            }
+        });
+
+        // nodes: [{ id, label, type, relation?, children: [node] }]
+        this.eventTemplates.set('display-tree', {
+            type: 'display',
+            template: {
+                type: 'tree',
+                title: { $if: 'tree_title', then: '{{tree_title}}', else: { $t: 'display.tree.title' } },
+                nodes: '{{tree_nodes}}',
+                timestamp: '{{timestamp}}',
+                metadata: {
+                    event_type: 'tree',
+                    total_nodes: '{{total_nodes | 0}}'
+                }
+            }
+        });
+
+        // rows: [{ type: equal|added|removed|changed, left: { number, text } | null, right: ... }]
+        this.eventTemplates.set('display-diff', {
+            type: 'display',
+            template: {
+                type: 'diff',
+                title: { $if: 'diff_title', then: '{{diff_title}}', else: { $t: 'display.diff.title' } },
+                language: '{{language | "text"}}',
+                left_title: { $if: 'left_title', then: '{{left_title}}', else: { $t: 'display.diff.left_title' } },
+                right_title: { $if: 'right_title', then: '{{right_title}}', else: { $t: 'display.diff.right_title' } },
+                rows: '{{diff_rows}}',
+                stats: '{{diff_stats}}',
+                timestamp: '{{timestamp}}',
+                metadata: {
+                    event_type: 'diff'
+                }
+            }
+        });
+
+        this.eventTemplates.set('display-code', {
+            type: 'display',
+            template: {
+                type: 'code',
+                title: { $if: 'code_title', then: '{{code_title}}', else: { $t: 'display.code.title' } },
+                language: '{{language | "text"}}',
+                filename: '{{filename | null}}',
+                code: '{{code}}',
+                timestamp: '{{timestamp}}',
+                metadata: {
+                    event_type: 'code',
+                    line_count: '{{line_count | 0}}'
+                }
+            }
+        });
+
+        // toc: [{ level, text, anchor }]
+        this.eventTemplates.set('display-markdown', {
+            type: 'display',
+            template: {
+                type: 'markdown',
+                title: { $if: 'markdown_title', then: '{{markdown_title}}', else: { $t: 'display.markdown.title' } },
+                markdown: '{{markdown}}',
+                toc: '{{toc | []}}',
+                timestamp: '{{timestamp}}',
+                metadata: {
+                    event_type: 'markdown'
+                }
+            }
+        });
+
+        this.eventTemplates.set('display-summary', {
+            type: 'display',
+            template: {
+                type: 'summary',
+                title: '{{summary_title}}',
+                items: '{{summary_items}}',
+                timestamp: '{{timestamp}}',
+                metadata: {
+                    event_type: 'summary'
+                }
+            }
+        });
+
+        // Input event templates
+        this.eventTemplates.set('input-text', {
+            type: 'input',
+            template: {
+                input_type: 'text',
+                label: '{{label}}',
+                placeholder: '{{placeholder}}',
+                required: '{{required | false}}',
+                validation: '{{validation}}',
+                timestamp: '{{timestamp}}',
+                metadata: {
+                    event_type: 'input_request',
+                    input_id: '{{input_id}}'
+                }
+            }
+        });
+
+        this.eventTemplates.set('input-choice', {
+            type: 'input',
+            template: {
+                input_type: 'choice',
+                label: '{{label}}',
+                options: '{{options}}',
+                multiple: '{{multiple | false}}',
+                timestamp: '{{timestamp}}',
+                metadata: {
+                    event_type: 'input_request',
+                    input_id: '{{input_id}}'
+                }
+            }
+        });
+
+        // Status event templates
+        this.eventTemplates.set('status-update', {
+            type: 'status',
+            template: {
+                status: '{{status}}',
+                message: '{{message}}',
+                progress: '{{progress | 0}}',
+                timestamp: '{{timestamp}}',
+                metadata: {
+                    event_type: 'status_update',
+                    operation_id: '{{operation_id}}'
+                }
+            }
+        });
+
+        // Published to topics when an agent, deployment, ANP task or memory changes
+        this.eventTemplates.set('resource-update', {
+            type: 'status',
+            template: {
+                status: '{{change}}',
+                message: '{{message}}',
+                data: '{{data | null}}',
+                timestamp: '{{timestamp}}',
+                metadata: {
+                    event_type: 'resource_update',
+                    resource: '{{resource}}',
+                    resource_id: '{{resource_id | null}}'
+                }
+            }
+        });
+
+        for (const templateId of this.eventTemplates.keys()) {
+            this.templateInfo.set(templateId, { version: DEFAULT_TEMPLATE_VERSION, source: 'builtin' });
+        }
+
+        this.logger.debug(`Initialized ${this.eventTemplates.size} event templates`);
+    }
+
+    async loadCustomTemplates() {
+        const directory = this.config.templatesDir;
+        if (!directory) {
+            this.logger.debug('No custom template directory configured');
+            return;
+        }
+
+        this.templateLoader = new TemplateLoader(directory, { templateEngine: this.templateEngine });
+        await this.reloadAllTemplateFiles();
+
+        if (this.config.watchTemplates !== false && !this.templateErrors.has('*')) {
+            this.templateLoader.watch((file) => file
+                ? this.reloadTemplateFile(file)
+                : this.reloadAllTemplateFiles());
+        }
+
+        const loaded = Array.from(this.templateFiles.values()).reduce((total, ids) => total + ids.length, 0);
+        this.logger.info(`Loaded ${loaded} custom templates from ${directory} (${this.templateErrors.size} errors)`);
+    }
+
+    async reloadAllTemplateFiles() {
+        let files;
+        try {
+            files = await this.templateLoader.listFiles();
+        } catch (error) {
+            this.recordTemplateError('*', error);
+            return;
+        }
+        this.templateErrors.delete('*');
+
+        for (const file of Array.from(this.templateFiles.keys())) {
+            if (!files.includes(file)) {
+                this.unregisterTemplateFile(file);
+            }
+        }
+
+        for (const file of files) {
+            await this.reloadTemplateFile(file);
+        }
+    }
+
+    async reloadTemplateFile(file) {
+        if (!(await this.templateLoader.exists(file))) {
+            this.unregisterTemplateFile(file);
+            this.templateErrors.delete(file);
+            return;
+        }
+
+        let definitions;
+        try {
+            definitions = await this.templateLoader.loadFile(file);
+
+            for (const definition of definitions) {
+                const owner = this.templateInfo.get(definition.id);
+                if (owner && owner.source === 'file' && owner.file !== file) {
+                    throw new Error(`Template '${definition.id}' is already defined in ${owner.file}`);
+                }
+            }
+        } catch (error) {
+            // Keep serving the last valid version of the file's templates
+            this.recordTemplateError(file, error);
+            return;
+        }
+
+        this.unregisterTemplateFile(file);
+
+        for (const definition of definitions) {
+            if (this.eventTemplates.has(definition.id) && !this.shadowedTemplates.has(definition.id)) {
+                this.shadowedTemplates.set(definition.id, {
+                    template: this.eventTemplates.get(definition.id),
+                    info: this.templateInfo.get(definition.id)
+                });
+            }
+
+            this.eventTemplates.set(definition.id, {
+                type: definition.type,
+                template: definition.template
+            });
+            this.templateInfo.set(definition.id, {
+                version: definition.version,
+                source: 'file',
+                file,
+                description: definition.description,
+                required: definition.required,
+                metadata: definition.metadata,
+                loaded_at: new Date().toISOString()
+            });
+        }
+
+        this.templateFiles.set(file, definitions.map(definition => definition.id));
+        this.templateErrors.delete(file);
+        this.logger.debug(`Templates loaded from ${file}: ${definitions.map(d => `${d.id}@${d.version}`).join(', ')}`);
+    }
+
+    unregisterTemplateFile(file) {
+        for (const templateId of this.templateFiles.get(file) || []) {
+            this.eventTemplates.delete(templateId);
+            this.templateInfo.delete(templateId);
+
+            const shadowed = this.shadowedTemplates.get(templateId);
+            if (shadowed) {
+                this.eventTemplates.set(templateId, shadowed.template);
+                this.templateInfo.set(templateId, shadowed.info);
+                this.shadowedTemplates.delete(templateId);
+            }
+        }
+
+        this.templateFiles.delete(file);
+    }
+
+    recordTemplateError(file, error) {
+        this.templateErrors.set(file, {
+            file: file === '*' ? null : file,
+            message: error.message,
+            details: error.details || [],
+            occurred_at: new Date().toISOString()
+        });
+        this.logger.error(`Failed to load templates${file === '*' ? '' : ` from ${file}`}: ${error.message}`);
+    }
+
+    // ========== CONNECTION LIFECYCLE ==========
+
+    handleConnection(ws, req = {}) {
+        const clientId = uuidv4();
+        const remoteAddress = req.socket?.remoteAddress || 'unknown';
+
+        const protocol = this.resolveProtocol(req);
+        this.clients.set(clientId, ws);
+        this.clientProtocols.set(clientId, protocol);
+        const sessionId = this.getSessionId(clientId);
+        const session = this.activeSessions.get(clientId);
+        session.remote_address = remoteAddress;
+        session.identity = req.identity || null;
+        // Resolved when the connection was accepted (createVerifyClient, SSE authenticate)
+        session.tenant = req.tenant || null;
+        session.client_key = session.identity && session.identity.type !== 'anonymous'
+            ? `identity:${session.identity.id}`
+            : this.getClientKey(req);
+        session.locale = this.negotiateLocale(req);
+        this.enforceSessionLimit(clientId);
+
+        const who = session.identity ? `${session.identity.id}@${remoteAddress}` : remoteAddress;
+        this.logger.info(`Client connected: ${clientId} (${who}, ${protocol})`);
+
+        this.connectionState.set(clientId, {
+            alive: true,
+            last_pong_at: null,
+            queue: new OutboundQueue(this.config.maxQueueSize || DEFAULT_MAX_QUEUE_SIZE),
+            drainTimer: null
+        });
+
+        if (typeof ws.on === 'function') {
+            ws.on('pong', () => this.markAlive(clientId));
+            ws.on('message', (data) => this.handleRawMessage(clientId, data, ws));
+            ws.on('close', (code) => this.handleDisconnect(clientId, code));
+            ws.on('error', (error) => {
+                this.logger.error(`WebSocket error for ${clientId}:`, error);
+            });
+        }
+
+        this.recordMessage(clientId, 'meta', {
+            type: 'session_started',
+            protocol,
+            locale: session.locale,
+            identity: session.identity && {
+                id: session.identity.id,
+                name: session.identity.name,
+                type: session.identity.type,
+                permissions: session.identity.permissions
+            }
+        });
+
+        this.sendToClient(clientId, {
+            type: 'welcome',
+            content: {
+                client_id: clientId,
+                session_id: sessionId,
+                protocol,
+                locale: session.locale,
+                identity: session.identity && {
+                    id: session.identity.id,
+                    name: session.identity.name,
+                    permissions: session.identity.permissions
+                },
+                templates: this.listTemplates(),
+                timestamp: new Date().toISOString()
+            }
+        });
+
+        this.generateWelcomeSequence(clientId).catch((error) => {
+            this.logger.error(`Failed to send welcome sequence to ${clientId}:`, error);
+        });
+
+        // What happened while the user was away
+        if (this.notifications.unreadCount(session.identity, this.getTenant(clientId).id) > 0) {
+            this.sendNotifications(clientId, { unread: true, limit: this.config.notificationsOnConnect || DEFAULT_NOTIFICATIONS_ON_CONNECT });
+        }
+
+        return clientId;
+    }
+
+    async handleRawMessage(clientId, data, ws) {
+        this.markAlive(clientId);
+
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            this.sendToClient(clientId, {
+                type: 'error',
+                content: { message: 'Invalid message: expected JSON' }
+            }, ws);
+            return;
+        }
+
+        try {
+            await this.handleMessage(clientId, message, ws);
+        } catch (error) {
+            this.logger.error(`Failed to handle message from ${clientId}:`, error);
+            this.sendToClient(clientId, {
+                type: 'error',
+                content: { message: error.message }
+            }, ws);
+        }
+    }
+
+    async handleMessage(clientId, message, ws = null) {
+        if (ws && !this.clients.has(clientId)) {
+            this.clients.set(clientId, ws);
+        }
+
+        const { type, content = {} } = message || {};
+        this.getSessionId(clientId);
+        this.recordMessage(clientId, 'in', message);
+        this.analytics.recordInbound(INBOUND_MESSAGE_TYPES.includes(type) ? type : 'unknown', this.analyticsKey(clientId));
+
+        if (this.clientProtocols.get(clientId) === PROTOCOLS.AG_UI && RUN_MESSAGE_TYPES.includes(type)) {
+            return this.runProtocolRun(clientId, {
+                runId: content.runId,
+                threadId: content.threadId
+            }, () => this.dispatchMessage(clientId, type, content));
+        }
+
+        return this.dispatchMessage(clientId, type, content);
+    }
+
+    async dispatchMessage(clientId, type, content) {
+        switch (type) {
+            case 'chat':
+                return this.handleChatMessage(clientId, content);
+            case 'command':
+                return this.handleCommandMessage(clientId, content);
+            case 'input':
+                return this.handleInputMessage(clientId, content);
+            case 'resume':
+                return this.handleResume(clientId, content);
+            case 'subscribe':
+                return this.handleSubscribe(clientId, content);
+            case 'unsubscribe':
+                return this.handleUnsubscribe(clientId, content);
+            case 'wizard':
+                return this.wizards.handleMessage(clientId, content);
+            case 'state_patch':
+                return this.handleStatePatch(clientId, content);
+            case 'state_sync':
+                return this.sendStateSnapshot(clientId);
+            case 'run_agent':
+                return this.handleRunAgentInput(clientId, content);
+            case 'operation':
+                return this.handleOperationMessage(clientId, content);
+            case 'notification':
+                return this.handleNotificationMessage(clientId, content);
+            case 'hello':
+                return this.handleHello(clientId, content);
+            default:
+                this.logger.warn(`Unknown message type from ${clientId}: ${type}`);
+                this.sendToClient(clientId, {
+                    type: 'error',
+                    content: { message: `Unknown message type: ${type}` }
+                });
+        }
+    }
+
+    async handleChatMessage(clientId, content) {
+        const text = (content.text || '').trim();
+
+        if (!text) {
+            return this.sendEvent(this.generateChatEvent('chat-error', {
+                error_message: 'Empty chat message'
+            }, clientId), clientId);
+        }
+
+        const createMatch = text.match(/^(?:create|build|make)\s+(?:an?\s+)?agent\b[\s:,-]*(.*)$/i);
+        if (createMatch) {
+            return this.generateAgentCreationFlow(clientId, createMatch[1] || text);
+        }
+
+        if (!this.autoweaveInstance || typeof this.autoweaveInstance.processChatMessage !== 'function') {
+            return this.sendEvent(this.generateChatEvent('chat-error', {
+                error_message: 'Chat service not available'
+            }, clientId), clientId);
+        }
+
+        try {
+            const response = await this.autoweaveInstance.processChatMessage(text, {
+                user: this.getIdentity(clientId)?.id || clientId,
+                session_id: this.getSessionId(clientId)
+            }, this.getTenantContext(clientId));
+
+            return this.sendEvent(this.generateChatEvent('chat-response', {
+                message: response.content,
+                tokens: response.totalTokens || 0
+            }, clientId), clientId);
+
+        } catch (error) {
+            return this.sendEvent(this.generateChatEvent('chat-error', {
+                error_message: error.message
+            }, clientId), clientId);
+        }
+    }
+
+    /**
+     * Register a `command` handler. `args` is a JSON Schema the command
+     * arguments are validated against; `permission` is checked against the
+     * session identity.
+     */
+    registerCommand({ name, description = '', permission = null, args = null, handler }) {
+        if (!name || typeof handler !== 'function') {
+            throw new Error('Commands require a name and a handler');
+        }
+
+        this.commands.set(name, {
+            name,
+            description,
+            permission,
+            args: args || { type: 'object', properties: {} },
+            handler
+        });
+    }
+
+    unregisterCommand(name) {
+        return this.commands.delete(name);
+    }
+
+    /**
+     * Commands the client may run
+     */
+    listCommands(clientId) {
+        return Array.from(this.commands.values())
+            .filter(command => this.authorize(clientId, command.permission))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    async handleCommandMessage(clientId, content) {
+        const { command: name, args = {} } = content;
+        const command = this.commands.get(name);
+
+        if (!command) {
+            return this.sendEvent(this.generateDisplayEvent('display-error', {
+                error_title: 'Unknown Command',
+                error_message: `Command '${name}' is not supported`,
+                error_details: `Available commands: ${this.listCommands(clientId).map(c => c.name).join(', ')}`,
+                error_code: 'UNKNOWN_COMMAND'
+            }, clientId), clientId);
+        }
+
+        if (!this.authorize(clientId, command.permission)) {
+            return this.sendPermissionDenied(clientId, `Command '${name}'`, command.permission);
+        }
+
+        const result = this.formValidator.validate(command.args, args);
+        if (!result.valid) {
+            return this.sendEvent(this.generateDisplayEvent('display-error', {
+                error_title: 'Invalid Arguments',
+                error_message: `Invalid arguments for command '${name}'`,
+                error_details: result.errors,
+                error_code: 'INVALID_ARGUMENTS'
+            }, clientId), clientId);
+        }
+
+        try {
+            return await command.handler({ uiAgent: this, clientId, args: result.values });
+        } catch (error) {
+            this.logger.error(`Command '${name}' failed for ${clientId}:`, error);
+            return this.sendEvent(this.generateDisplayEvent('display-error', {
+                error_title: 'Command Failed',
+                error_message: `Command '${name}' failed`,
+                error_details: error.message,
+                error_code: 'COMMAND_FAILED'
+            }, clientId), clientId);
+        }
+    }
+
+    async generateCommandHelpDisplay(clientId) {
+        const commands = this.listCommands(clientId).map(command => ({
+            name: command.name,
+            description: command.description,
+            permission: command.permission,
+            usage: this.describeCommandArgs(command.args)
+        }));
+
+        const event = this.generateDisplayEvent('display-command-list', {
+            commands,
+            total_commands: commands.length
+        }, clientId);
+
+        await this.sendEvent(event, clientId);
+        return event;
+    }
+
+    /**
+     * One-line argument summary, e.g. `id:string [lines:integer=100]`
+     */
+    describeCommandArgs(schema = {}) {
+        const required = schema.required || [];
+        return Object.entries(schema.properties || {})
+            .map(([name, property]) => {
+                const text = `${name}:${property.type || 'any'}${property.default !== undefined && property.default !== '' ? `=${property.default}` : ''}`;
+                return required.includes(name) ? text : `[${text}]`;
+            })
+            .join(' ');
+    }
+
+    async handleInputMessage(clientId, content) {
+        const { action, form_id: formId, values = {} } = content;
+        const form = formId
+            ? this.getOutstandingForm(clientId, formId)
+            : this.findOutstandingFormByAction(clientId, action);
+
+        if (formId && !form) {
+            return this.sendInputError(clientId, 'Unknown Form',
+                `Form '${formId}' was not issued to this session or has already been submitted`, 'UNKNOWN_FORM');
+        }
+
+        // The issued form decides the action, not the client
+        const formAction = form ? form.action : action;
+        const registration = this.formHandlers.get(formAction);
+
+        if (!registration) {
+            return this.sendInputError(clientId, 'Unknown Action',
+                `Input action '${formAction}' is not supported`, 'UNKNOWN_ACTION');
+        }
+
+        if (!form && registration.requiresForm) {
+            return this.sendInputError(clientId, 'Form Required',
+                `Input action '${formAction}' must answer a form issued by the server`, 'FORM_REQUIRED');
+        }
+
+        if (!this.authorize(clientId, registration.permission)) {
+            return this.sendPermissionDenied(clientId, `Input action '${formAction}'`, registration.permission);
+        }
+
+        let submittedValues = values;
+        if (form) {
+            const result = this.formValidator.validate(form.schema, values);
+
+            if (!result.valid) {
+                this.analytics.recordForm(form.action, 'invalid');
+                return this.sendEvent(this.generateDisplayEvent('display-form-errors', {
+                    form_title: form.title,
+                    field_errors: result.errors,
+                    form_id: form.form_id,
+                    form_action: form.action
+                }, clientId), clientId);
+            }
+
+            submittedValues = result.values;
+            this.activeSessions.get(this.resolveClientId(clientId))?.forms.delete(form.form_id);
+            this.analytics.recordForm(form.action, 'submitted');
+        }
+
+        return registration.handler(clientId, submittedValues, form);
+    }
+
+    sendInputError(clientId, title, message, code) {
+        return this.sendEvent(this.generateDisplayEvent('display-error', {
+            error_title: title,
+            error_message: message,
+            error_code: code
+        }, clientId), clientId);
+    }
+
+    // ========== FORMS ==========
+
+    /**
+     * Register the handler for valid submissions of forms whose form_action is `action`.
+     * handler(clientId, values, form) - form is null for inputs sent without a form
+     */
+    registerFormHandler(action, handler, options = {}) {
+        this.formHandlers.set(action, {
+            handler,
+            requiresForm: options.requiresForm !== false,
+            permission: options.permission || null
+        });
+        this.logger.debug(`Form handler registered: ${action}`);
+    }
+
+    unregisterFormHandler(action) {
+        return this.formHandlers.delete(action);
+    }
+
+    registerBuiltinFormHandlers() {
+        this.registerFormHandler('create-agent', (clientId, values) => {
+            return this.generateAgentCreationFlow(clientId, values.description || '');
+        }, { requiresForm: false, permission: 'agents:write' });
+
+        this.registerFormHandler('quick-action', (clientId, values) => {
+            if (values.action === 'chat') {
+                return this.sendEvent(this.generateChatEvent('chat-response', {
+                    message: 'What would you like to talk about?'
+                }, clientId), clientId);
+            }
+            return this.handleCommandMessage(clientId, { command: values.action });
+        }, { requiresForm: false });
+
+        // Single-form agent creation kept for clients that issue their own form
+        this.registerFormHandler('create-agent-confirm', (clientId, values, form) => {
+            return this.confirmAgentCreation(clientId, values, {
+                description: values.description || form.context?.description
+            });
+        }, { permission: 'agents:write' });
+    }
+
+    trackForm(clientId, event) {
+        const form = event.template;
+        const formId = form?.metadata?.form_id;
+        if (!form || form.type !== 'form' || !formId || !form.schema || typeof form.schema !== 'object') {
+            return;
+        }
+
+        const session = this.activeSessions.get(clientId);
+        session.forms.set(formId, {
+            form_id: formId,
+            title: form.title,
+            action: form.action,
+            schema: form.schema,
+            context: {},
+            issued_at: new Date().toISOString()
+        });
+        this.analytics.recordForm(form.action, 'shown');
+
+        // Oldest unanswered forms are forgotten first
+        const maxForms = this.config.maxOutstandingForms || DEFAULT_MAX_OUTSTANDING_FORMS;
+        while (session.forms.size > maxForms) {
+            const oldest = session.forms.keys().next().value;
+            this.analytics.recordForm(session.forms.get(oldest).action, 'abandoned');
+            session.forms.delete(oldest);
+        }
+    }
+
+    getOutstandingForm(clientId, formId) {
+        return this.activeSessions.get(this.resolveClientId(clientId))?.forms.get(formId) || null;
+    }
+
+    getOutstandingForms(clientId) {
+        const forms = this.activeSessions.get(this.resolveClientId(clientId))?.forms;
+        return forms ? Array.from(forms.values()) : [];
+    }
+
+    findOutstandingFormByAction(clientId, action) {
+        const forms = this.getOutstandingForms(clientId).filter(form => form.action === action);
+        return forms.length > 0 ? forms[forms.length - 1] : null;
+    }
+
+    handleSubscribe(clientId, content) {
+        const topics = Array.isArray(content.topics) ? content.topics : [content.topic];
+        const rejected = topics.filter(topic => !this.topicRegistry.subscribe(clientId, topic));
+
+        this.sendToClient(clientId, {
+            type: 'subscribed',
+            content: {
+                topics: this.topicRegistry.topicsOf(clientId),
+                rejected
+            }
+        });
+    }
+
+    handleUnsubscribe(clientId, content) {
+        const topics = content.all
+            ? this.topicRegistry.topicsOf(clientId)
+            : (Array.isArray(content.topics) ? content.topics : [content.topic]);
+
+        for (const topic of topics) {
+            this.topicRegistry.unsubscribe(clientId, topic);
+        }
+
+        this.sendToClient(clientId, {
+            type: 'unsubscribed',
+            content: {
+                topics: this.topicRegistry.topicsOf(clientId)
+            }
+        });
+    }
+
+    handleResume(clientId, content) {
+        const { session_id: sessionId, last_seq: lastSeq = 0 } = content;
+        const previousClientId = this.findClientBySessionId(sessionId);
+
+        // Another identity's session is reported as unknown
+        const owned = previousClientId &&
+            (this.getIdentity(previousClientId)?.id ?? null) === (this.getIdentity(clientId)?.id ?? null);
+        if (previousClientId && !owned) {
+            this.logger.warn(`Client ${clientId} tried to resume session ${sessionId} of another identity`);
+        }
+
+        if (!owned) {
+            this.sendToClient(clientId, {
+                type: 'resume_failed',
+                content: {
+                    session_id: sessionId,
+                    reason: 'unknown_session',
+                    current_session_id: this.getSessionId(clientId)
+                }
+            });
+            return;
+        }
+
+        if (previousClientId !== clientId) {
+            this.transferSession(previousClientId, clientId);
+        }
+
+        const session = this.activeSessions.get(clientId);
+        const { events, complete } = session.replay.since(Number(lastSeq) || 0);
+
+        this.sendToClient(clientId, {
+            type: 'resumed',
+            content: {
+                session_id: sessionId,
+                client_id: clientId,
+                last_seq: session.sequence,
+                replayed: events.length,
+                complete
+            }
+        });
+
+        for (const event of events) {
+            this.sendToClient(clientId, event);
+        }
+
+        // Replayed deltas may not reach back far enough: resync the shared state
+        this.sendStateSnapshot(clientId);
+
+        this.logger.info(`Session ${sessionId} resumed by ${clientId} (${events.length} events replayed)`);
+    }
+
+    transferSession(fromClientId, toClientId) {
+        const session = this.activeSessions.get(fromClientId);
+
+        // Only one connection may own a session: drop the stale one
+        const staleWs = this.detachClient(fromClientId);
+        if (staleWs) {
+            try {
+                staleWs.close(4000, 'Session resumed on another connection');
+            } catch (error) {
+                this.logger.warn(`Failed to close stale connection ${fromClientId}:`, error.message);
+            }
+        }
+
+        // The session being resumed replaces the one created for the new connection
+        const replaced = this.activeSessions.get(toClientId);
+        this.activeSessions.delete(fromClientId);
+        this.activeSessions.set(toClientId, session);
+        session.client_id = toClientId;
+        session.client_key = replaced?.client_key ?? session.client_key;
+        session.remote_address = replaced?.remote_address ?? session.remote_address;
+        session.identity = replaced?.identity ?? session.identity;
+        session.tenant = replaced?.tenant ?? session.tenant;
+        delete session.disconnected_at;
+        this.recordMessage(toClientId, 'meta', { type: 'session_resumed', previous_client_id: fromClientId });
+
+        for (const map of [this.uiStates, this.uiStateMeta]) {
+            if (map.has(fromClientId)) {
+                map.set(toClientId, map.get(fromClientId));
+                map.delete(fromClientId);
+            } else {
+                map.delete(toClientId);
+            }
+        }
+
+        // The fresh connection's own subscriptions are replaced by the resumed ones
+        this.topicRegistry.unsubscribeAll(toClientId);
+        this.topicRegistry.transfer(fromClientId, toClientId);
+
+        // Server code may still hold the old client id (e.g. long-running operations)
+        this.clientRedirects.set(fromClientId, toClientId);
+    }
+
+    /**
+     * True if the session is connected here under the identity (same id and
+     * type, anonymous sessions excepted). Without identity, authentication is
+     * off and any session matches.
+     */
+    isSessionOf(sessionId, identity) {
+        const clientId = this.findClientBySessionId(sessionId);
+        if (!clientId) {
+            return false;
+        }
+        if (!identity) {
+            return true;
+        }
+
+        const owner = this.activeSessions.get(clientId).identity;
+        return Boolean(owner) && owner.type !== 'anonymous' && owner.id === identity.id && owner.type === identity.type;
+    }
+
+    findClientBySessionId(sessionId) {
+        for (const [clientId, session] of this.activeSessions) {
+            if (session.session_id === sessionId) {
+                return clientId;
+            }
+        }
+        return null;
+    }
+
+    resolveClientId(clientId) {
+        let resolved = clientId;
+        const seen = new Set();
+
+        while (this.clientRedirects.has(resolved) && !seen.has(resolved)) {
+            seen.add(resolved);
+            resolved = this.clientRedirects.get(resolved);
+        }
+
+        return resolved;
+    }
+
+    detachClient(clientId) {
+        const ws = this.clients.get(clientId);
+        const connection = this.connectionState.get(clientId);
+        if (connection) {
+            clearTimeout(connection.drainTimer);
+            connection.queue.clear();
+        }
+
+        this.clients.delete(clientId);
+        this.clientProtocols.delete(clientId);
+        this.protocolRuns.delete(clientId);
+        this.connectionState.delete(clientId);
+        return ws;
+    }
+
+    handleDisconnect(clientId, code) {
+        // Sockets replaced by a resume or closed by the server are already detached
+        if (!this.clients.has(clientId)) {
+            return;
+        }
+
+        this.detachClient(clientId);
+
+        if (code === WS_NORMAL_CLOSURE) {
+            // Deliberate close: nothing left to resume
+            this.closeSession(clientId, 'closed');
+        } else if (this.activeSessions.has(clientId)) {
+            this.activeSessions.get(clientId).disconnected_at = new Date().toISOString();
+        }
+
+        this.logger.info(`Client disconnected: ${clientId}${code ? ` (code ${code})` : ''}`);
+    }
+
+    // ========== BROADCAST BUS ==========
+
+    async attachBus(bus) {
+        await this.detachBus();
+
+        this.bus = bus;
+        for (const channel of Object.values(BUS_CHANNELS)) {
+            this.busUnsubscribers.push(await bus.subscribe(channel, (envelope) => this.handleBusMessage(channel, envelope)));
+        }
+        this.logger.info(`UI Agent ${this.replicaId} attached to ${bus.type || 'custom'} bus`);
+    }
+
+    async detachBus() {
+        const unsubscribers = this.busUnsubscribers;
+        this.busUnsubscribers = [];
+        this.bus = null;
+        await Promise.all(unsubscribers.map(unsubscribe => unsubscribe()));
+    }
+
+    async publishToBus(channel, payload) {
+        if (!this.bus) {
+            return false;
+        }
+
+        try {
+            await this.bus.publish(channel, { origin: this.replicaId, ...payload });
+            this.busStats.published++;
+            return true;
+        } catch (error) {
+            this.busStats.failed++;
+            this.logger.error(`Failed to publish to bus channel ${channel}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Deliver a message published by another replica to the local clients
+     */
+    async handleBusMessage(channel, envelope) {
+        if (!envelope || envelope.origin === this.replicaId) {
+            return;
+        }
+        this.busStats.received++;
+
+        try {
+            switch (channel) {
+                case BUS_CHANNELS.TOPICS:
+                    if (await this.publishLocal(envelope.topic, envelope.event, { tenant: envelope.tenant }) > 0) {
+                        this.busStats.delivered++;
+                    }
+                    break;
+                case BUS_CHANNELS.CLIENTS: {
+                    const clientId = this.resolveClientId(envelope.client_id);
+                    if (this.activeSessions.has(clientId)) {
+                        await this.sendEvent(envelope.event, clientId);
+                        this.busStats.delivered++;
+                    }
+                    break;
+                }
+                case BUS_CHANNELS.BROADCAST:
+                    if (this.broadcastLocal(envelope.message) > 0) {
+                        this.busStats.delivered++;
+                    }
+                    break;
+                case BUS_CHANNELS.NOTIFICATIONS:
+                    if (envelope.read) {
+                        this.notifications.markRead(envelope.read.user_id, envelope.read.ids);
+                    } else if (this.notifications.add(envelope.notification) &&
+                        this.deliverNotificationLocal(envelope.notification) > 0) {
+                        this.busStats.delivered++;
+                    }
+                    break;
+            }
+        } catch (error) {
+            this.logger.error(`Failed to deliver bus message from ${envelope.origin}:`, error);
+        }
+    }
+
+    // ========== OPERATIONS ==========
+
+    operationOwner(clientId) {
+        const session = this.activeSessions.get(this.resolveClientId(clientId));
+        return {
+            session_id: session?.session_id || null,
+            identity_id: session?.identity && session.identity.type !== 'anonymous' ? session.identity.id : null,
+            tenant: this.getTenant(clientId).id
+        };
+    }
+
+    /**
+     * Run a long-running action as an operation owned by the client's session.
+     * Progress, completion and cancellation reach the client as status-update events.
+     */
+    runOperation(clientId, kind, title, task, options = {}) {
+        return this.operations.run(kind, task, { ...options, title, owner: this.operationOwner(clientId) });
+    }
+
+    async reportOperation(operation) {
+        if (operation.status === 'failed') {
+            this.notifyOperationFailure(operation);
+        }
+        if (operation.status === 'succeeded' && OPERATION_TOPICS[operation.kind]) {
+            this.publishOperationResult(operation);
+        }
+
+        const clientId = operation.owner.session_id && this.findClientBySessionId(operation.owner.session_id);
+        if (!clientId) {
+            return;
+        }
+
+        try {
+            await this.generateOperationStatus(clientId, operation.id, operation.status, operation.message, operation.progress, {
+                kind: operation.kind,
+                eta_ms: operation.eta_ms,
+                cancellable: operation.cancellable,
+                ...(operation.status === 'succeeded' && { result: operation.result }),
+                ...(operation.error && { error: operation.error })
+            });
+        } catch (error) {
+            this.logger.error(`Failed to report operation ${operation.id}:`, error);
+        }
+    }
+
+    /**
+     * { action: 'list' | 'get' | 'cancel', operation_id?, status?, kind? }.
+     * A client sees the operations of its session and identity; other
+     * operations of its tenant require the 'admin' permission.
+     */
+    async handleOperationMessage(clientId, content = {}) {
+        const { action = 'list', operation_id: operationId } = content;
+        const owner = this.operationOwner(clientId);
+
+        if (action === 'list') {
+            return this.sendToClient(clientId, {
+                type: 'operations',
+                content: { operations: this.operations.list({ ...owner, kind: content.kind, status: content.status }) }
+            });
+        }
+
+        const operation = operationId ? this.operations.get(operationId) : null;
+        const visible = operation && (this.operations.isOwnedBy(operation, owner) ||
+            (this.authorize(clientId, 'admin') && this.operations.isOwnedBy(operation, { tenant: owner.tenant })));
+        if (!visible) {
+            return this.sendToClient(clientId, {
+                type: 'operation_error',
+                content: { operation_id: operationId || null, action, code: 'NOT_FOUND', message: `Operation ${operationId} not found` }
+            });
+        }
+
+        if (action === 'get') {
+            return this.sendToClient(clientId, { type: 'operation', content: operation });
+        }
+
+        if (action === 'cancel') {
+            try {
+                return this.sendToClient(clientId, {
+                    type: 'operation_cancelled',
+                    content: this.operations.cancel(operationId, content.reason || 'Cancelled by user')
+                });
+            } catch (error) {
+                return this.sendToClient(clientId, {
+                    type: 'operation_error',
+                    content: { operation_id: operationId, action, code: error.code || 'ERROR', message: error.message }
+                });
+            }
+        }
+
+        return this.sendToClient(clientId, {
+            type: 'operation_error',
+            content: { operation_id: operationId, action, code: 'UNKNOWN_ACTION', message: `Unknown operation action: ${action}` }
+        });
+    }
+
+    /**
+     * Tell the topic subscribers of the operation's tenant about what it created
+     */
+    async publishOperationResult(operation) {
+        const { topic, resource } = OPERATION_TOPICS[operation.kind];
+        const result = operation.result || {};
+
+        try {
+            await this.publishUpdate(topic, {
+                resource,
+                id: result.workflow?.id ?? result.agentId ?? result.name ?? null,
+                change: 'created',
+                message: `${operation.title} succeeded`,
+                data: result
+            }, { tenant: operation.owner.tenant });
+        } catch (error) {
+            this.logger.error(`Failed to publish operation ${operation.id}:`, error);
+        }
+    }
+
+    /**
+     * Publish a health check result to the `health` subscribers (every tenant)
+     */
+    publishHealth(health) {
+        return this.publishUpdate('health', {
+            resource: 'health',
+            change: health?.status || 'unknown',
+            message: `System ${health?.status || 'unknown'}`,
+            data: health
+        }).catch(error => this.logger.error('Failed to publish health:', error));
+    }
+
+    // ========== NOTIFICATIONS ==========
+
+    notifyOperationFailure(operation) {
+        const target = OPERATION_NOTIFICATIONS[operation.kind] || { source: 'system', permission: 'admin' };
+
+        try {
+            this.notifications.notify({
+                severity: 'error',
+                source: target.source,
+                title: `${operation.title} failed`,
+                message: operation.error?.message || operation.message,
+                data: { operation_id: operation.id, kind: operation.kind },
+                user_id: operation.owner.identity_id,
+                permission: target.permission,
+                tenant: operation.owner.tenant
+            });
+        } catch (error) {
+            this.logger.error(`Failed to notify failure of operation ${operation.id}:`, error);
+        }
+    }
+
+    /**
+     * Push a new notification to its audience, here and on the other replicas
+     */
+    deliverNotification(notification) {
+        this.deliverNotificationLocal(notification);
+        this.publishToBus(BUS_CHANNELS.NOTIFICATIONS, { notification });
+    }
+
+    deliverNotificationLocal(notification) {
+        let delivered = 0;
+        for (const clientId of this.clients.keys()) {
+            const identity = this.getIdentity(clientId);
+            if (this.notifications.isVisibleTo(notification, identity, this.getTenant(clientId).id) &&
+                this.sendToClient(clientId, { type: 'notification', content: this.notifications.view(notification, identity) })) {
+                delivered++;
+            }
+        }
+        return delivered;
+    }
+
+    sendNotifications(clientId, filters = {}) {
+        const identity = this.getIdentity(clientId);
+        const tenant = this.getTenant(clientId).id;
+        return this.sendToClient(clientId, {
+            type: 'notifications',
+            content: {
+                unread_count: this.notifications.unreadCount(identity, tenant),
+                notifications: this.notifications.list(identity, filters, tenant)
+            }
+        });
+    }
+
+    /**
+     * { action: 'list' | 'ack', ids?, unread?, severity?, source?, limit? }.
+     * 'ack' without ids marks every visible notification as read.
+     */
+    async handleNotificationMessage(clientId, content = {}) {
+        const { action = 'list' } = content;
+        const identity = this.getIdentity(clientId);
+        const tenant = this.getTenant(clientId).id;
+
+        if (action === 'list') {
+            return this.sendNotifications(clientId, {
+                unread: content.unread === true,
+                severity: content.severity,
+                source: content.source,
+                limit: content.limit
+            });
+        }
+
+        if (action === 'ack') {
+            const ids = this.notifications.acknowledge(identity, content.ids || 'all', tenant);
+            return this.sendToClient(clientId, {
+                type: 'notifications_read',
+                content: { ids, unread_count: this.notifications.unreadCount(identity, tenant) }
+            });
+        }
+
+        return this.sendToClient(clientId, {
+            type: 'notification_error',
+            content: { action, code: 'UNKNOWN_ACTION', message: `Unknown notification action: ${action}` }
+        });
+    }
+
+    // ========== LOCALES ==========
+
+    /**
+     * Locale of a new connection: `?locale=` on the URL, else Accept-Language
+     */
+    negotiateLocale(req = {}) {
+        let requested = null;
+        try {
+            requested = new URL(req.url || '/', 'http://localhost').searchParams.get('locale');
+        } catch (error) {
+            requested = null;
+        }
+
+        return (requested && this.i18n.resolve(requested)) || this.i18n.negotiate(req.headers?.['accept-language']);
+    }
+
+    getLocale(clientId) {
+        const session = clientId ? this.activeSessions.get(this.resolveClientId(clientId)) : null;
+        return session?.locale || this.i18n.defaultLocale;
+    }
+
+    /**
+     * Render context of a client's events ({ locale, timeZone })
+     */
+    getRenderContext(clientId) {
+        const session = clientId ? this.activeSessions.get(this.resolveClientId(clientId)) : null;
+        return {
+            locale: session?.locale || this.i18n.defaultLocale,
+            timeZone: session?.time_zone || null
+        };
+    }
+
+    /**
+     * Message of key in the client's locale, rendered with variables
+     */
+    translate(clientId, key, variables = {}) {
+        return this.templateEngine.render({ $t: key }, variables, this.getRenderContext(clientId));
+    }
+
+    /**
+     * `hello` message: { locale | locales: [tag], time_zone }. The closest
+     * supported locale (default one otherwise) applies to the next events.
+     */
+    handleHello(clientId, content) {
+        const session = this.activeSessions.get(this.resolveClientId(clientId));
+        const requested = content.locales || content.locale;
+
+        if (requested) {
+            session.locale = this.i18n.negotiate(Array.isArray(requested) ? requested : [requested]);
+        }
+        if (content.time_zone !== undefined) {
+            session.time_zone = normalizeTimeZone(content.time_zone);
+        }
+
+        return this.sendToClient(clientId, {
+            type: 'locale',
+            content: {
+                locale: session.locale,
+                time_zone: session.time_zone || null,
+                available: this.i18n.locales
+            }
+        });
+    }
+
+    // ========== SESSION RECORDING ==========
+
+    /**
+     * Record the traffic of a client's session from now on
+     */
+    startRecording(clientId) {
+        if (!this.recorder) {
+            throw new Error('Session recording is not configured');
+        }
+
+        const sessionId = this.getSessionId(this.resolveClientId(clientId));
+        this.recorder.record(sessionId);
+        return sessionId;
+    }
+
+    stopRecording(clientId) {
+        const session = this.activeSessions.get(this.resolveClientId(clientId));
+        if (this.recorder && session) {
+            this.recorder.stop(session.session_id);
+        }
+    }
+
+    recordMessage(clientId, direction, message) {
+        const session = this.activeSessions.get(clientId);
+        if (!this.recorder || !session) {
+            return;
+        }
+
+        // Envelopes are recorded as built, before any AG-UI encoding
+        this.recorder.append(session.session_id, direction, clientId, message);
+    }
+
+    // ========== HEARTBEAT & BACKPRESSURE ==========
+
+    markAlive(clientId) {
+        const connection = this.connectionState.get(clientId);
+        if (connection) {
+            connection.alive = true;
+            connection.last_pong_at = new Date().toISOString();
+        }
+    }
+
+    startHeartbeat() {
+        this.stopHeartbeat();
+
+        const interval = this.config.heartbeatInterval ?? DEFAULT_HEARTBEAT_INTERVAL;
+        if (!interval) {
+            return;
+        }
+
+        this.heartbeatTimer = setInterval(() => this.heartbeat(), interval);
+        this.heartbeatTimer.unref?.();
+    }
+
+    stopHeartbeat() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+    }
+
+    /**
+     * Terminate connections that did not answer the previous ping, ping the
+     * others. Terminated sessions stay resumable.
+     */
+    heartbeat() {
+        for (const [clientId, ws] of Array.from(this.clients.entries())) {
+            const connection = this.connectionState.get(clientId);
+            if (!connection) {
+                continue;
+            }
+
+            if (!connection.alive) {
+                this.heartbeatStats.terminated++;
+                this.logger.warn(`Terminating stale connection ${clientId}`);
+                this.dropConnection(clientId, ws, WS_ABNORMAL_CLOSURE);
+                continue;
+            }
+
+            connection.alive = false;
+            try {
+                ws.ping();
+                this.heartbeatStats.pings++;
+            } catch (error) {
+                this.logger.warn(`Failed to ping ${clientId}:`, error.message);
+            }
+        }
+    }
+
+    dropConnection(clientId, ws, code, reason = '') {
+        try {
+            if (typeof ws.terminate === 'function') {
+                ws.terminate();
+            } else {
+                ws.close(code, reason);
+            }
+        } catch (error) {
+            this.logger.warn(`Failed to drop connection ${clientId}:`, error.message);
+        }
+        this.handleDisconnect(clientId, code);
+    }
+
+    /**
+     * Write serialized frames, queueing them while the socket buffer is above
+     * config.maxBufferedBytes. When the queue is full, status events are
+     * dropped and any other event disconnects the slow consumer (it can
+     * resume and catch up from the replay buffer).
+     */
+    writeFrames(clientId, ws, frames, message = null) {
+        const connection = this.clients.get(clientId) === ws ? this.connectionState.get(clientId) : null;
+        const maxBuffered = this.config.maxBufferedBytes || DEFAULT_MAX_BUFFERED_BYTES;
+
+        if (!connection || (connection.queue.size === 0 && (ws.bufferedAmount || 0) < maxBuffered)) {
+            frames.forEach(frame => ws.send(frame));
+            this.recordSendLatency(message);
+            return true;
+        }
+
+        // Progress of one operation only matters in its latest state
+        const operationId = message?.type === 'status' ? message.template?.metadata?.operation_id : null;
+        const result = connection.queue.push({ frames, key: operationId ? `status:${operationId}` : null, message });
+
+        if (result === 'overflow') {
+            if (message?.type === 'status') {
+                this.outboundStats.dropped++;
+                return false;
+            }
+
+            this.outboundStats.slow_consumers_disconnected++;
+            this.logger.warn(`Disconnecting slow consumer ${clientId} (${connection.queue.size} queued events)`);
+            this.dropConnection(clientId, ws, WS_SLOW_CONSUMER, 'Client too slow');
+            return false;
+        }
+
+        this.outboundStats[result === 'coalesced' ? 'coalesced' : 'queued']++;
+        this.scheduleDrain(clientId);
+        return true;
+    }
+
+    scheduleDrain(clientId) {
+        const connection = this.connectionState.get(clientId);
+        if (!connection || connection.drainTimer) {
+            return;
+        }
+
+        connection.drainTimer = setTimeout(() => {
+            connection.drainTimer = null;
+            this.flushOutbound(clientId);
+        }, this.config.drainInterval || DEFAULT_DRAIN_INTERVAL);
+        connection.drainTimer.unref?.();
+    }
+
+    flushOutbound(clientId) {
+        const connection = this.connectionState.get(clientId);
+        const ws = this.clients.get(clientId);
+        if (!connection || !ws) {
+            return 0;
+        }
+
+        const maxBuffered = this.config.maxBufferedBytes || DEFAULT_MAX_BUFFERED_BYTES;
+        let sent = 0;
+
+        try {
+            while (connection.queue.size > 0 && (ws.bufferedAmount || 0) < maxBuffered) {
+                const item = connection.queue.shift();
+                item.frames.forEach(frame => ws.send(frame));
+                this.recordSendLatency(item.message);
+                sent++;
+            }
+        } catch (error) {
+            this.logger.error(`Failed to flush queued events to ${clientId}:`, error);
+        }
+
+        if (connection.queue.size > 0) {
+            this.scheduleDrain(clientId);
+        }
+        return sent;
+    }
+
+    getOutboundStats() {
+        const depths = Array.from(this.connectionState.entries())
+            .map(([clientId, connection]) => [clientId, connection.queue.size, connection.queue.bytes]);
+
+        return {
+            ...this.outboundStats,
+            queued_events: depths.reduce((total, [, size]) => total + size, 0),
+            queued_bytes: depths.reduce((total, [, , bytes]) => total + bytes, 0),
+            max_queue_depth: depths.reduce((max, [, size]) => Math.max(max, size), 0),
+            queue_depths: Object.fromEntries(depths.filter(([, size]) => size > 0).map(([clientId, size]) => [clientId, size])),
+            heartbeat: {
+                interval: this.config.heartbeatInterval ?? DEFAULT_HEARTBEAT_INTERVAL,
+                ...this.heartbeatStats
+            }
+        };
+    }
+
+    // ========== AUTHORIZATION ==========
+
+    getIdentity(clientId) {
+        return this.activeSessions.get(this.resolveClientId(clientId))?.identity || null;
+    }
+
+    /**
+     * Tenant of a session (a TenantHandle): the one resolved when its
+     * connection was accepted, else the default tenant without quotas
+     */
+    getTenant(clientId) {
+        return this.activeSessions.get(this.resolveClientId(clientId))?.tenant || resolveTenant(null);
+    }
+
+    /**
+     * Tenant context ({ tenant, namespace }) passed last to the AutoWeave
+     * instance calls of a session
+     */
+    getTenantContext(clientId) {
+        return this.getTenant(clientId).context();
+    }
+
+    /**
+     * Check a `count` quota of the session's tenant (agents, deployments)
+     * before creating one, as the REST routes do. What the tenant has is
+     * counted through the AutoWeave instance (listAgents, listDeployments);
+     * a limited quota that cannot be counted is not bypassed.
+     * @throws {TenantError} QUOTA_EXCEEDED
+     */
+    async checkTenantQuota(clientId, resource) {
+        const tenant = this.getTenant(clientId);
+        if (tenant.limit(resource) === null) {
+            return;
+        }
+
+        const method = TENANT_QUOTA_COUNTERS[resource];
+        if (!this.autoweaveInstance || typeof this.autoweaveInstance[method] !== 'function') {
+            throw new Error(`Unable to check the ${resource} quota: the AutoWeave instance has no ${method}()`);
+        }
+        const listed = await this.autoweaveInstance[method](tenant.context());
+        tenant.checkQuota(resource, (Array.isArray(listed) ? listed : listed?.agents || []).length);
+    }
+
+    /**
+     * Agent (by id or name) of the session's tenant listed by the AutoWeave
+     * instance, or null when none is listed. Agents are tagged with `tenant`
+     * (untagged ones belong to the default tenant); the tag is checked here
+     * too, so instances that do not partition their agents cannot act on
+     * another tenant's: those are reported not found.
+     */
+    async findTenantAgent(clientId, agentId) {
+        if (!this.autoweaveInstance || typeof this.autoweaveInstance.listAgents !== 'function') {
+            throw new Error(`Unable to check the tenant of agent ${agentId}: the AutoWeave instance has no listAgents()`);
+        }
+
+        const tenant = this.getTenant(clientId);
+        const listed = await this.autoweaveInstance.listAgents(tenant.context());
+        const agent = (Array.isArray(listed) ? listed : listed?.agents || [])
+            .find(candidate => candidate.id === agentId || candidate.name === agentId);
+        if (agent && !tenant.owns(agent)) {
+            throw new Error(`Agent ${agentId} not found`);
+        }
+        return agent || null;
+    }
+
+    /**
+     * Sessions without an identity (no authenticator on the WebSocket server)
+     * are allowed unless config.requireIdentity is set.
+     */
+    authorize(clientId, permission) {
+        if (!permission) {
+            return true;
+        }
+
+        const identity = this.getIdentity(clientId);
+        if (!identity) {
+            return !this.config.requireIdentity;
+        }
+        return hasPermission(identity, permission);
+    }
+
+    sendPermissionDenied(clientId, subject, permission) {
+        this.logger.warn(`${subject} denied for ${this.getIdentity(clientId)?.id || clientId}: missing ${permission}`);
+        return this.sendInputError(clientId, 'Permission Denied',
+            `${subject} requires the '${permission}' permission`, 'FORBIDDEN');
+    }
+
+    // ========== AG-UI PROTOCOL ==========
+
+    /**
+     * Wire protocol requested by a connection: `?protocol=ag-ui|legacy`, the
+     * `ag-ui` WebSocket subprotocol, or config.protocol (legacy by default).
+     */
+    resolveProtocol(req = {}) {
+        let requested = null;
+        try {
+            requested = new URL(req.url || '/', 'http://localhost').searchParams.get('protocol');
+        } catch (error) {
+            requested = null;
+        }
+
+        const offered = String(req.headers?.['sec-websocket-protocol'] || '')
+            .split(',')
+            .map(protocol => protocol.trim());
+        if (!requested && offered.includes(PROTOCOLS.AG_UI)) {
+            requested = PROTOCOLS.AG_UI;
+        }
+
+        const protocol = requested || this.config.protocol || PROTOCOLS.LEGACY;
+        if (!Object.values(PROTOCOLS).includes(protocol)) {
+            this.logger.warn(`Unknown protocol '${protocol}', falling back to ${PROTOCOLS.LEGACY}`);
+            return PROTOCOLS.LEGACY;
+        }
+        return protocol;
+    }
+
+    currentRun(clientId) {
+        const runs = this.protocolRuns.get(clientId);
+        return runs && runs.length > 0 ? runs[runs.length - 1] : null;
+    }
+
+    /**
+     * Encode an envelope for an AG-UI connection. Events sent outside a run
+     * (topic pushes, welcome, resume) get a run of their own.
+     */
+    encodeProtocolFrames(clientId, message) {
+        const frames = this.protocolEncoder.encode(message);
+        const error = this.protocolEncoder.errorOf(message);
+        const run = this.currentRun(clientId);
+
+        if (run) {
+            run.error = run.error || error;
+            return frames;
+        }
+        return this.wrapInRun(clientId, frames, error);
+    }
+
+    wrapInRun(clientId, frames, error = null) {
+        const threadId = this.activeSessions.get(clientId)?.session_id || clientId;
+        const runId = `run-${uuidv4()}`;
+
+        return [
+            this.protocolEncoder.runStarted(threadId, runId),
+            ...frames,
+            error ? this.protocolEncoder.runError(error) : this.protocolEncoder.runFinished(threadId, runId)
+        ];
+    }
+
+    sendProtocolFrames(clientId, frames) {
+        const ws = this.clients.get(clientId);
+        if (!ws || ws.readyState !== WS_OPEN) {
+            return false;
+        }
+
+        try {
+            const wrapped = this.currentRun(clientId) ? frames : this.wrapInRun(clientId, frames);
+            return this.writeFrames(clientId, ws, wrapped.map(frame => JSON.stringify(frame)));
+        } catch (error) {
+            this.logger.error(`Failed to send AG-UI events to ${clientId}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Handle a client message as one AG-UI run: RUN_STARTED, the events it
+     * produces, then RUN_FINISHED, or RUN_ERROR if it threw or reported an error.
+     */
+    async runProtocolRun(clientId, { runId, threadId } = {}, fn) {
+        const run = {
+            runId: runId || `run-${uuidv4()}`,
+            threadId: threadId || this.getSessionId(clientId),
+            error: null
+        };
+
+        if (!this.protocolRuns.has(clientId)) {
+            this.protocolRuns.set(clientId, []);
+        }
+        this.protocolRuns.get(clientId).push(run);
+        this.sendProtocolFrames(clientId, [this.protocolEncoder.runStarted(run.threadId, run.runId)]);
+
+        let result;
+        try {
+            result = await fn();
+        } catch (error) {
+            this.logger.error(`Run ${run.runId} failed for ${clientId}:`, error);
+            run.error = run.error || error.message;
+        }
+
+        this.sendProtocolFrames(clientId, [run.error
+            ? this.protocolEncoder.runError(run.error)
+            : this.protocolEncoder.runFinished(run.threadId, run.runId)]);
+
+        const runs = this.protocolRuns.get(clientId) || [];
+        if (runs.includes(run)) {
+            runs.splice(runs.indexOf(run), 1);
+        }
+
+        return result;
+    }
+
+    /**
+     * AG-UI RunAgentInput: the last message drives the run. A user message is
+     * handled as chat, a tool message answering `render_form` as a form submission.
+     */
+    async handleRunAgentInput(clientId, input = {}) {
+        const messages = Array.isArray(input.messages) ? input.messages : [];
+        const last = messages[messages.length - 1];
+        if (!last) {
+            return null;
+        }
+
+        if (last.role === 'tool' && String(last.toolCallId || '').startsWith(FORM_TOOL_CALL_PREFIX)) {
+            let values;
+            try {
+                values = typeof last.content === 'string' ? JSON.parse(last.content) : last.content;
+            } catch (error) {
+                return this.sendInputError(clientId, 'Invalid Tool Result',
+                    `Result of ${last.toolCallId} must be a JSON object`, 'INVALID_TOOL_RESULT');
+            }
+
+            return this.handleInputMessage(clientId, {
+                form_id: last.toolCallId.slice(FORM_TOOL_CALL_PREFIX.length),
+                values
+            });
+        }
+
+        if (last.role === 'user') {
+            const text = Array.isArray(last.content)
+                ? last.content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+                : last.content;
+            return this.handleChatMessage(clientId, { text });
+        }
+
+        throw new Error(`Unsupported message role '${last.role}' in run input`);
+    }
+
+    /**
+     * Run server-side work that AG-UI clients see as a tool call
+     * (TOOL_CALL_START / ARGS / END, then TOOL_CALL_RESULT). Legacy
+     * connections just get the work done.
+     */
+    async runToolCall(clientId, toolCallName, args, fn) {
+        clientId = this.resolveClientId(clientId);
+        if (this.clientProtocols.get(clientId) !== PROTOCOLS.AG_UI) {
+            return fn();
+        }
+
+        const toolCallId = `tool-${uuidv4()}`;
+        this.sendProtocolFrames(clientId, this.protocolEncoder.toolCall(toolCallId, toolCallName, args));
+
+        try {
+            const result = await fn();
+            this.sendProtocolFrames(clientId, [this.protocolEncoder.toolCallResult(toolCallId, result)]);
+            return result;
+        } catch (error) {
+            this.sendProtocolFrames(clientId, [this.protocolEncoder.toolCallResult(toolCallId, { error: error.message })]);
+            throw error;
+        }
+    }
+
+    // ========== SESSION EXPIRY ==========
+
+    /**
+     * Key used to cap sessions per client: the remote address, or the first
+     * X-Forwarded-For hop when config.trustProxy is set.
+     */
+    getClientKey(req = {}) {
+        const forwarded = req.headers?.['x-forwarded-for'];
+        if (this.config.trustProxy && forwarded) {
+            return String(forwarded).split(',')[0].trim();
+        }
+        return req.socket?.remoteAddress || 'unknown';
+    }
+
+    enforceSessionLimit(clientId) {
+        const max = this.config.maxSessionsPerClient ?? DEFAULT_MAX_SESSIONS_PER_CLIENT;
+        const session = this.activeSessions.get(clientId);
+        if (!max || !session) {
+            return [];
+        }
+
+        // Disconnected sessions go first, then the least recently active
+        const others = Array.from(this.activeSessions.entries())
+            .filter(([id, other]) => id !== clientId && other.client_key === session.client_key)
+            .sort(([idA, a], [idB, b]) =>
+                (this.clients.has(idA) - this.clients.has(idB)) ||
+                (Date.parse(a.last_activity) - Date.parse(b.last_activity)));
+
+        const evicted = others.slice(0, Math.max(0, others.length - max + 1)).map(([id]) => id);
+        for (const id of evicted) {
+            this.closeSession(id, 'capacity');
+        }
+        return evicted;
+    }
+
+    /**
+     * Drop a session with its UI state, subscriptions and redirects.
+     * reason is 'closed' for explicit closes, otherwise the eviction cause.
+     */
+    closeSession(clientId, reason = 'closed') {
+        clientId = this.resolveClientId(clientId);
+        const session = this.activeSessions.get(clientId);
+        if (!session) {
+            return false;
+        }
+
+        this.recordMessage(clientId, 'meta', { type: 'session_closed', reason });
+        this.recorder?.stop(session.session_id);
+
+        const ws = this.detachClient(clientId);
+        if (ws) {
+            try {
+                ws.close(WS_SESSION_CLOSED, reason === 'closed' ? 'Session closed' : `Session evicted (${reason})`);
+            } catch (error) {
+                this.logger.warn(`Failed to close connection ${clientId}:`, error.message);
+            }
+        }
+
+        // Forms and wizard left unfinished with the session
+        for (const form of session.forms.values()) {
+            this.analytics.recordForm(form.action, 'abandoned');
+        }
+        const wizard = this.uiStates.get(clientId)?.get('wizard');
+        if (wizard && this.wizards.isActive(wizard)) {
+            this.analytics.recordWizard(wizard.wizard_id, 'abandoned', wizard.step);
+        }
+
+        this.activeSessions.delete(clientId);
+        this.uiStates.delete(clientId);
+        this.uiStateMeta.delete(clientId);
+        this.topicRegistry.unsubscribeAll(clientId);
+        this.pruneRedirects();
+
+        if (reason === 'closed') {
+            this.sessionStats.closed++;
+        } else {
+            this.sessionStats.evicted[reason] = (this.sessionStats.evicted[reason] || 0) + 1;
+        }
+
+        this.logger.debug(`Session ${session.session_id} ${reason === 'closed' ? 'closed' : `evicted (${reason})`}`);
+        return true;
+    }
+
+    pruneRedirects() {
+        for (const fromClientId of Array.from(this.clientRedirects.keys())) {
+            if (!this.activeSessions.has(this.resolveClientId(fromClientId))) {
+                this.clientRedirects.delete(fromClientId);
+            }
+        }
+    }
+
+    getSessionLimits() {
+        const sessionTtl = this.config.sessionTtl ?? DEFAULT_SESSION_TTL;
+        return {
+            session_ttl: sessionTtl,
+            disconnected_session_ttl: this.config.disconnectedSessionTtl ?? DEFAULT_DISCONNECTED_SESSION_TTL,
+            ui_state_ttl: this.config.uiStateTtl ?? sessionTtl,
+            sweep_interval: this.config.sweepInterval ?? DEFAULT_SWEEP_INTERVAL,
+            max_sessions_per_client: this.config.maxSessionsPerClient ?? DEFAULT_MAX_SESSIONS_PER_CLIENT
+        };
+    }
+
+    /**
+     * Evict expired sessions and orphaned UI states. Returns the number of
+     * sessions evicted.
+     */
+    sweepSessions(now = Date.now()) {
+        const limits = this.getSessionLimits();
+        let evicted = 0;
+
+        for (const [clientId, session] of Array.from(this.activeSessions.entries())) {
+            const disconnectedFor = session.disconnected_at && !this.clients.has(clientId)
+                ? now - Date.parse(session.disconnected_at)
+                : 0;
+
+            if (limits.disconnected_session_ttl && disconnectedFor > limits.disconnected_session_ttl) {
+                evicted += this.closeSession(clientId, 'disconnected') ? 1 : 0;
+            } else if (limits.session_ttl && now - Date.parse(session.last_activity) > limits.session_ttl) {
+                evicted += this.closeSession(clientId, 'idle') ? 1 : 0;
+            }
+        }
 
-        // Input event templates
-        this.eventTemplates.set('input-text', {
-            type: 'input',
-            template: {
-                input_type: 'text',
-                label: '{{label}}',
-                placeholder: '{{placeholder}}',
-                required: '{{required}}',
-                validation: '{{validation}}',
-                timestamp: '{{timestamp}}',
-                metadata: {
-                    event_type: 'input_request',
-                    input_id: '{{input_id}}'
+        // UI states written for clients that never had (or no longer have) a session
+        if (limits.ui_state_ttl) {
+            for (const clientId of Array.from(this.uiStates.keys())) {
+                if (!this.activeSessions.has(clientId) &&
+                    now - (this.uiStateMeta.get(clientId)?.touched_at ?? 0) > limits.ui_state_ttl) {
+                    this.uiStates.delete(clientId);
+                    this.uiStateMeta.delete(clientId);
+                    this.sessionStats.ui_states_evicted++;
                 }
             }
-        });
+        }
 
-        this.eventTemplates.set('input-choice', {
-            type: 'input',
-            template: {
-                input_type: 'choice',
-                label: '{{label}}',
-                options: '{{options}}',
-                multiple: '{{multiple}}',
-                timestamp: '{{timestamp}}',
-                metadata: {
-                    event_type: 'input_request',
-                    input_id: '{{input_id}}'
-                }
+        this.pruneRedirects();
+        this.sessionStats.sweeps++;
+        this.sessionStats.last_sweep_at = new Date(now).toISOString();
+
+        if (evicted > 0) {
+            this.logger.info(`Session sweep evicted ${evicted} session(s)`);
+        }
+        return evicted;
+    }
+
+    startSessionSweeper() {
+        this.stopSessionSweeper();
+
+        const interval = this.getSessionLimits().sweep_interval;
+        if (!interval) {
+            return;
+        }
+
+        this.sweepTimer = setInterval(() => {
+            try {
+                this.sweepSessions();
+            } catch (error) {
+                this.logger.error('Session sweep failed:', error);
             }
-        });
+        }, interval);
+        this.sweepTimer.unref?.();
+    }
 
-        // Status event templates
-        this.eventTemplates.set('status-update', {
-            type: 'status',
-            template: {
-                status: '{{status}}',
-                message: '{{message}}',
-                progress: '{{progress}}',
-                timestamp: '{{timestamp}}',
-                metadata: {
-                    event_type: 'status_update',
-                    operation_id: '{{operation_id}}'
-                }
+    stopSessionSweeper() {
+        if (this.sweepTimer) {
+            clearInterval(this.sweepTimer);
+            this.sweepTimer = null;
+        }
+    }
+
+    startHealthMonitor() {
+        this.stopHealthMonitor();
+
+        const interval = this.config.healthCheckInterval ?? DEFAULT_HEALTH_CHECK_INTERVAL;
+        if (!interval) {
+            return;
+        }
+
+        this.healthTimer = setInterval(() => this.checkHealth(), interval);
+        this.healthTimer.unref?.();
+    }
+
+    stopHealthMonitor() {
+        if (this.healthTimer) {
+            clearInterval(this.healthTimer);
+            this.healthTimer = null;
+        }
+    }
+
+    /**
+     * Run one health check, tell the notification center about status
+     * changes and publish the result to the `health` topic.
+     */
+    async checkHealth() {
+        if (!this.autoweaveInstance?.getSystemHealth) {
+            return null;
+        }
+
+        try {
+            const health = await this.autoweaveInstance.getSystemHealth();
+            this.notifications.notifyHealth(health);
+            await this.publishHealth(health);
+            return health;
+        } catch (error) {
+            this.logger.error('Health check failed:', error);
+            return null;
+        }
+    }
+
+    sendToClient(clientId, message, ws = null) {
+        const client = ws || this.clients.get(clientId);
+        if (!client || client.readyState !== WS_OPEN) {
+            return false;
+        }
+
+        this.recordMessage(clientId, 'out', message);
+
+        try {
+            const frames = this.clientProtocols.get(clientId) === PROTOCOLS.AG_UI
+                ? this.encodeProtocolFrames(clientId, message).map(frame => JSON.stringify(frame))
+                : [JSON.stringify(message)];
+            return this.writeFrames(clientId, client, frames, message);
+        } catch (error) {
+            this.logger.error(`Failed to send message to ${clientId}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Send a message to every connected client, on every replica.
+     * Returns the number of local clients reached.
+     */
+    broadcast(message) {
+        this.publishToBus(BUS_CHANNELS.BROADCAST, { message });
+        return this.broadcastLocal(message);
+    }
+
+    broadcastLocal(message) {
+        let sent = 0;
+        for (const clientId of this.clients.keys()) {
+            if (this.sendToClient(clientId, message)) {
+                sent++;
             }
-        });
+        }
+        return sent;
+    }
 
-        this.logger.debug(`Initialized ${this.eventTemplates.size} event templates`);
+    /**
+     * Send an event to every client subscribed to a topic, on every replica.
+     * Each subscriber gets its own copy so it is sequenced within its session;
+     * options.tenant limits delivery to the sessions of that tenant.
+     * Returns the number of local subscribers reached.
+     */
+    async publish(topic, event, options = {}) {
+        const [sent] = await Promise.all([
+            this.publishLocal(topic, event, options),
+            this.publishToBus(BUS_CHANNELS.TOPICS, { topic, event, tenant: options.tenant || null })
+        ]);
+        return sent;
     }
 
-    async loadCustomTemplates() {
-        // Future: Load custom templates from configuration or database
-        this.logger.debug('Custom templates loading skipped (not implemented)');
+    async publishLocal(topic, event, { tenant = null } = {}) {
+        const subscribers = this.topicRegistry.subscribersOf(topic)
+            .filter(clientId => !tenant || this.getTenant(clientId).id === tenant);
+
+        for (const clientId of subscribers) {
+            const copy = JSON.parse(JSON.stringify(event));
+            copy.agui_metadata = { ...copy.agui_metadata, topic };
+            await this.sendEvent(copy, clientId);
+        }
+
+        this.logger.debug(`Published ${event.type} to ${topic} (${subscribers.length} subscribers)`);
+        return subscribers.length;
+    }
+
+    publishEvent(topic, templateId, variables, options = {}) {
+        return this.publish(topic, this.generateEvent(templateId, variables), options);
+    }
+
+    /**
+     * Publish a resource change ({ resource, id, change, message, data }) as a
+     * resource-update event; changes of an agent also reach `agent:<id>`
+     */
+    async publishUpdate(topic, { resource, id = null, change, message = null, data = null }, options = {}) {
+        const event = this.generateEvent('resource-update', {
+            resource,
+            resource_id: id,
+            change,
+            message: message || `${resource} ${change}`,
+            data
+        });
+        const topics = topic === 'agents' && id !== null ? [topic, `agent:${id}`] : [topic];
+        const sent = await Promise.all(topics.map(name => this.publish(name, event, options)));
+        return sent.reduce((total, count) => total + count, 0);
+    }
+
+    generateUIEvent(template, data) {
+        return {
+            type: 'display',
+            template,
+            data
+        };
     }
 
     // ========== EVENT GENERATION METHODS ==========
@@ -229,6 +2518,12 @@ class UIAgent {
             throw new Error(`Template '${templateId}' not found`);
         }
 
+        const info = this.templateInfo.get(templateId) || {};
+        const missing = (info.required || []).filter(name => variables?.[name] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Template '${templateId}' is missing required variables: ${missing.join(', ')}`);
+        }
+
         // Add default variables
         const defaultVariables = {
             timestamp: new Date().toISOString(),
@@ -237,104 +2532,116 @@ class UIAgent {
         };
 
         const mergedVariables = { ...defaultVariables, ...variables };
+        const context = this.getRenderContext(clientId);
 
-        // Process template with variables
-        const event = this.processTemplate(template, mergedVariables);
+        // Process template with variables, in the client's locale
+        const event = this.processTemplate(template, mergedVariables, context);
 
         // Add AG-UI metadata
         event.agui_metadata = {
             generated_by: 'ui-agent',
             template_id: templateId,
+            template_version: info.version || DEFAULT_TEMPLATE_VERSION,
             generated_at: new Date().toISOString(),
-            client_id: clientId
+            client_id: clientId,
+            locale: context.locale
         };
+        this.analytics.recordGenerated(templateId, this.analyticsKey(clientId));
 
         return event;
     }
 
-    processTemplate(template, variables) {
-        // Deep clone template to avoid mutation
-        const processedTemplate = JSON.parse(JSON.stringify(template));
-
-        // Replace variables in template
-        this.replaceVariables(processedTemplate, variables);
-
-        return processedTemplate;
-    }
-
-    replaceVariables(obj, variables) {
-        for (const key in obj) {
-            if (Object.prototype.hasOwnProperty.call(obj, key)) {
-                if (typeof obj[key] === 'string') {
-                    obj[key] = this.replaceStringVariables(obj[key], variables);
-                } else if (typeof obj[key] === 'object' && obj[key] !== null) {
-                    this.replaceVariables(obj[key], variables);
-                }
-            }
-        }
+    processTemplate(template, variables, context = {}) {
+        // The engine builds a new object, the stored template is never mutated
+        return this.templateEngine.render(template, variables, context);
     }
 
     replaceStringVariables(str, variables) {
-        return str.replace(/\{\{(\w+)\}\}/g, (match, variableName) => {
-            return variables[variableName] !== undefined ? variables[variableName] : match;
-        });
+        return this.templateEngine.render(str, variables);
     }
 
     // ========== SPECIALIZED EVENT GENERATORS ==========
 
     async generateAgentCreationFlow(clientId, agentDescription) {
-        const sessionId = this.getSessionId(clientId);
-        const events = [];
+        const data = agentDescription ? { describe: { description: agentDescription } } : {};
+        return this.wizards.start(clientId, 'create-agent', data);
+    }
 
-        // Step 1: Show processing message
-        events.push(this.generateChatEvent('chat-response', {
-            message: `🤖 Creating agent: "${agentDescription}"`,
-            session_id: sessionId
-        }, clientId));
+    async confirmAgentCreation(clientId, values, context) {
+        try {
+            if (!this.autoweaveInstance || typeof this.autoweaveInstance.createAgent !== 'function') {
+                throw new Error('Agent service not available');
+            }
 
-        // Step 2: Show form for additional details
-        events.push(this.generateDisplayEvent('display-form', {
-            form_title: 'Agent Configuration',
-            form_description: 'Provide additional details for your agent',
-            form_schema: {
-                type: 'object',
-                properties: {
-                    name: {
-                        type: 'string',
-                        title: 'Agent Name',
-                        description: 'Give your agent a name'
-                    },
-                    priority: {
-                        type: 'string',
-                        title: 'Priority Level',
-                        enum: ['low', 'medium', 'high'],
-                        default: 'medium'
-                    },
-                    environment: {
-                        type: 'string',
-                        title: 'Environment',
-                        enum: ['development', 'staging', 'production'],
-                        default: 'development'
-                    }
-                },
-                required: ['name']
-            },
-            form_action: 'create-agent-confirm',
-            form_id: `agent-form-${Date.now()}`
-        }, clientId));
+            await this.checkTenantQuota(clientId, 'agents');
+            const result = await this.runOperation(clientId, 'agent-deploy', `Deploy agent ${values.name}`,
+                () => this.autoweaveInstance.createAgent(context.description, values, this.getTenantContext(clientId)));
+
+            const event = this.generateDisplayEvent('display-success', {
+                success_title: 'Agent Created',
+                success_message: `Agent "${values.name}" is being deployed`,
+                success_data: result,
+                operation: 'create-agent'
+            }, clientId);
 
-        // Send events
-        for (const event of events) {
             await this.sendEvent(event, clientId);
+            return event;
+
+        } catch (error) {
+            const errorEvent = this.generateDisplayEvent('display-error', {
+                error_title: 'Agent Creation Failed',
+                error_message: `Unable to create agent "${values.name}"`,
+                error_details: error.message,
+                error_code: error.name === 'TenantError' ? error.code : 'AGENT_CREATION_ERROR'
+            }, clientId);
+
+            await this.sendEvent(errorEvent, clientId);
+            return errorEvent;
         }
+    }
 
-        return events;
+    async deleteAgent(clientId, agentId) {
+        try {
+            if (!agentId) {
+                throw new Error('An agent id is required');
+            }
+            if (!this.autoweaveInstance || typeof this.autoweaveInstance.deleteAgent !== 'function') {
+                throw new Error('Agent service not available');
+            }
+
+            if (!await this.findTenantAgent(clientId, agentId)) {
+                throw new Error(`Agent ${agentId} not found`);
+            }
+            await this.autoweaveInstance.deleteAgent(agentId, this.getTenantContext(clientId));
+            this.publishUpdate('agents', { resource: 'agent', id: agentId, change: 'deleted' }, { tenant: this.getTenant(clientId).id })
+                .catch(error => this.logger.error(`Failed to publish deletion of agent ${agentId}:`, error));
+
+            const event = this.generateDisplayEvent('display-success', {
+                success_title: 'Agent Deleted',
+                success_message: `Agent "${agentId}" was deleted`,
+                operation: 'delete-agent'
+            }, clientId);
+
+            await this.sendEvent(event, clientId);
+            return event;
+
+        } catch (error) {
+            const errorEvent = this.generateDisplayEvent('display-error', {
+                error_title: 'Agent Deletion Failed',
+                error_message: `Unable to delete agent "${agentId}"`,
+                error_details: error.message,
+                error_code: 'AGENT_DELETION_ERROR'
+            }, clientId);
+
+            await this.sendEvent(errorEvent, clientId);
+            return errorEvent;
+        }
     }
 
     async generateSystemHealthDisplay(clientId) {
         try {
             const health = await this.autoweaveInstance.getSystemHealth();
-            const metrics = await this.autoweaveInstance.getMetrics();
+            const metrics = await this.autoweaveInstance.getMetrics(this.getTenantContext(clientId));
 
             const event = this.generateDisplayEvent('display-metrics', {
                 metrics_data: {
@@ -362,7 +2669,7 @@ class UIAgent {
 
     async generateAgentListDisplay(clientId) {
         try {
-            const agents = await this.autoweaveInstance.listAgents();
+            const agents = await this.autoweaveInstance.listAgents(this.getTenantContext(clientId));
             
             const event = this.generateDisplayEvent('display-agent-list', {
                 agents_data: agents.agents || [],
@@ -385,13 +2692,59 @@ class UIAgent {
         }
     }
 
-    async generateOperationStatus(clientId, operationId, status, message, progress = null) {
+    /**
+     * Chart of metric snapshots ({ timestamp, metrics } payloads of
+     * /api/kagent/metrics or /api/memory/metrics), oldest first
+     */
+    async generateChartDisplay(clientId, samples, options = {}) {
+        return this.sendDisplay('display-chart', {
+            ...chartFromMetricSamples(Array.isArray(samples) ? samples : [samples], options),
+            refresh_rate: options.refreshRate || null
+        }, clientId);
+    }
+
+    /**
+     * Tree of the /api/memory/system/topology payload
+     */
+    async generateTreeDisplay(clientId, topology, options = {}) {
+        return this.sendDisplay('display-tree', treeFromTopology(topology, options), clientId);
+    }
+
+    /**
+     * Side-by-side diff of two configurations (strings or objects)
+     */
+    async generateDiffDisplay(clientId, before, after, options = {}) {
+        return this.sendDisplay('display-diff', diffFromConfigs(before, after, options), clientId);
+    }
+
+    /**
+     * Code block, e.g. the /api/kagent/yaml/generate payload
+     */
+    async generateCodeDisplay(clientId, payload, options = {}) {
+        return this.sendDisplay('display-code', codeFromPayload(payload, options), clientId);
+    }
+
+    /**
+     * Markdown card, e.g. the /api/self-awareness/documentation payload
+     */
+    async generateMarkdownDisplay(clientId, payload, options = {}) {
+        return this.sendDisplay('display-markdown', markdownFromDocumentation(payload, options), clientId);
+    }
+
+    async sendDisplay(templateId, variables, clientId) {
+        const event = this.generateDisplayEvent(templateId, variables, clientId);
+        await this.sendEvent(event, clientId);
+        return event;
+    }
+
+    async generateOperationStatus(clientId, operationId, status, message, progress = null, details = {}) {
         const event = this.generateStatusEvent('status-update', {
             status: status,
             message: message,
             progress: progress || 0,
             operation_id: operationId
         }, clientId);
+        Object.assign(event.template.metadata, details);
 
         await this.sendEvent(event, clientId);
         return event;
@@ -403,22 +2756,24 @@ class UIAgent {
 
         // Welcome message
         events.push(this.generateChatEvent('chat-welcome', {
-            capabilities: 'agent creation, system monitoring, and workflow orchestration',
+            capabilities: this.translate(clientId, 'chat.welcome.capabilities'),
             session_id: sessionId
         }, clientId));
 
         // Quick actions display
+        const quickActions = ['create-agent', 'list-agents', 'system-health', 'chat'];
         events.push(this.generateDisplayEvent('display-form', {
-            form_title: 'Quick Actions',
-            form_description: 'What would you like to do?',
+            form_title: this.translate(clientId, 'welcome.quick_actions.title'),
+            form_description: this.translate(clientId, 'welcome.quick_actions.description'),
             form_schema: {
                 type: 'object',
                 properties: {
                     action: {
                         type: 'string',
-                        title: 'Choose an action',
-                        enum: ['create-agent', 'list-agents', 'system-health', 'chat'],
-                        enumNames: ['Create Agent', 'List Agents', 'System Health', 'Chat with AutoWeave']
+                        title: this.translate(clientId, 'welcome.quick_actions.choose'),
+                        enum: quickActions,
+                        enumNames: quickActions.map(action => this.translate(clientId,
+                            `welcome.quick_actions.${action.replace(/-/g, '_')}`, { agent_name: 'AutoWeave' }))
                     }
                 },
                 required: ['action']
@@ -442,12 +2797,19 @@ class UIAgent {
             return `session-${Date.now()}`;
         }
 
+        clientId = this.resolveClientId(clientId);
+
         if (!this.activeSessions.has(clientId)) {
             this.activeSessions.set(clientId, {
                 session_id: `session-${clientId}-${Date.now()}`,
+                client_id: clientId,
                 created_at: new Date().toISOString(),
-                last_activity: new Date().toISOString()
+                last_activity: new Date().toISOString(),
+                sequence: 0,
+                replay: new ReplayBuffer(this.config.replayBufferSize || DEFAULT_REPLAY_BUFFER_SIZE),
+                forms: new Map()
             });
+            this.sessionStats.created++;
         }
 
         // Update last activity
@@ -457,37 +2819,242 @@ class UIAgent {
     }
 
     async sendEvent(event, clientId) {
-        if (this.autoweaveInstance && this.autoweaveInstance.sendAGUIEvent) {
-            await this.autoweaveInstance.sendAGUIEvent(event, clientId);
+        clientId = clientId ? this.resolveClientId(clientId) : clientId;
+
+        if (clientId && this.activeSessions.has(clientId)) {
+            this.recordEvent(clientId, event);
+            this.trackForm(clientId, event);
+        }
+
+        const templateId = event.agui_metadata?.template_id || event.type;
+        const clientKey = this.analyticsKey(clientId);
+
+        if (clientId && this.clients.has(clientId)) {
+            this.pendingLatency.add(event);
+            const sent = this.sendToClient(clientId, event);
+            this.analytics.recordDelivery(templateId, sent ? 'sent' : 'failed', clientKey);
+            this.logger.debug(`Event sent to ${clientId}: ${event.type}`);
+        } else if (clientId && this.activeSessions.has(clientId)) {
+            this.analytics.recordDelivery(templateId, 'deferred', clientKey);
+            this.logger.debug(`Client ${clientId} offline, event kept for replay: ${event.type}`);
+        } else if (clientId && this.bus) {
+            // The session may live on another replica
+            await this.publishToBus(BUS_CHANNELS.CLIENTS, { client_id: clientId, event });
+            this.analytics.recordDelivery(templateId, 'forwarded');
+            this.logger.debug(`Event for ${clientId} forwarded to the bus: ${event.type}`);
+        } else if (this.autoweaveInstance && this.autoweaveInstance.sendAGUIEvent) {
+            try {
+                await this.autoweaveInstance.sendAGUIEvent(event, clientId);
+            } catch (error) {
+                this.analytics.recordDelivery(templateId, 'failed');
+                throw error;
+            }
+            this.analytics.recordDelivery(templateId, 'sent');
             this.logger.debug(`Event sent to ${clientId}: ${event.type}`);
         } else {
+            this.analytics.recordDelivery(templateId, 'failed');
             this.logger.warn('AutoWeave instance not available for sending events');
         }
     }
 
+    /**
+     * Analytics key of a client: its identity, or its address when anonymous
+     */
+    analyticsKey(clientId) {
+        return clientId ? this.activeSessions.get(this.resolveClientId(clientId))?.client_key || null : null;
+    }
+
+    /**
+     * Record generation-to-write latency on the first write of an event sent by sendEvent
+     * (replays and copies written later are not counted)
+     */
+    recordSendLatency(message) {
+        if (!message || !this.pendingLatency.has(message)) {
+            return;
+        }
+
+        this.pendingLatency.delete(message);
+        const generatedAt = Date.parse(message.agui_metadata?.generated_at);
+        if (!Number.isNaN(generatedAt)) {
+            this.analytics.recordLatency(message.agui_metadata.template_id || message.type, Date.now() - generatedAt);
+        }
+    }
+
+    recordEvent(clientId, event) {
+        const session = this.activeSessions.get(clientId);
+
+        // Sequence numbers are assigned at dispatch so a session never sees gaps
+        session.sequence++;
+        session.last_activity = new Date().toISOString();
+        event.agui_metadata = {
+            ...event.agui_metadata,
+            session_id: session.session_id,
+            seq: session.sequence
+        };
+        session.replay.push(session.sequence, event);
+    }
+
+    // ========== UI STATE SYNC ==========
+
     updateUIState(clientId, stateKey, stateValue) {
+        clientId = this.resolveClientId(clientId);
+
         if (!this.uiStates.has(clientId)) {
             this.uiStates.set(clientId, new Map());
         }
 
-        this.uiStates.get(clientId).set(stateKey, stateValue);
+        const states = this.uiStates.get(clientId);
+        const op = states.has(stateKey) ? 'replace' : 'add';
+        states.set(stateKey, stateValue);
+
+        this.commitStateChange(clientId, [{ op, path: `/${escapePathSegment(stateKey)}`, value: stateValue }]);
         this.logger.debug(`UI state updated for ${clientId}: ${stateKey} = ${stateValue}`);
     }
 
+    removeUIState(clientId, stateKey) {
+        clientId = this.resolveClientId(clientId);
+
+        if (!this.uiStates.get(clientId)?.delete(stateKey)) {
+            return false;
+        }
+
+        this.commitStateChange(clientId, [{ op: 'remove', path: `/${escapePathSegment(stateKey)}` }]);
+        return true;
+    }
+
     getUIState(clientId, stateKey) {
-        return this.uiStates.get(clientId)?.get(stateKey);
+        return this.uiStates.get(this.resolveClientId(clientId))?.get(stateKey);
+    }
+
+    getUIStateSnapshot(clientId) {
+        clientId = this.resolveClientId(clientId);
+        const states = this.uiStates.get(clientId);
+
+        return {
+            version: this.uiStateMeta.get(clientId)?.version || 0,
+            state: JSON.parse(JSON.stringify(states ? Object.fromEntries(states) : {}))
+        };
+    }
+
+    /**
+     * Bump the state version; server-side changes are pushed to the session
+     * as a state_delta, client patches are acknowledged by handleStatePatch.
+     */
+    commitStateChange(clientId, operations, { origin = 'server' } = {}) {
+        const meta = this.uiStateMeta.get(clientId) || { version: 0 };
+        const baseVersion = meta.version;
+
+        meta.version++;
+        meta.touched_at = Date.now();
+        this.uiStateMeta.set(clientId, meta);
+
+        if (origin === 'server' && this.activeSessions.has(clientId)) {
+            this.stateSyncStats.deltas++;
+            this.sendEvent({
+                type: 'state_delta',
+                content: {
+                    base_version: baseVersion,
+                    version: meta.version,
+                    operations: JSON.parse(JSON.stringify(operations))
+                }
+            }, clientId).catch((error) => {
+                this.logger.error(`Failed to send state delta to ${clientId}:`, error);
+            });
+        }
+
+        return meta.version;
+    }
+
+    sendStateSnapshot(clientId) {
+        return this.sendToClient(clientId, {
+            type: 'state_snapshot',
+            content: this.getUIStateSnapshot(clientId)
+        });
+    }
+
+    /**
+     * Apply an optimistic client patch: { patch_id, base_version, operations }.
+     * The patch is accepted only against the current version, atomically.
+     */
+    handleStatePatch(clientId, content = {}) {
+        clientId = this.resolveClientId(clientId);
+        const { patch_id: patchId = null, base_version: baseVersion, operations } = content;
+        const snapshot = this.getUIStateSnapshot(clientId);
+
+        const reject = (reason, message) => {
+            this.stateSyncStats.patches_rejected++;
+            this.sendToClient(clientId, {
+                type: 'state_patch_rejected',
+                content: { patch_id: patchId, reason, message, version: snapshot.version }
+            });
+            if (reason === 'version_conflict') {
+                this.sendStateSnapshot(clientId);
+            }
+            return false;
+        };
+
+        if (Number(baseVersion) !== snapshot.version) {
+            return reject('version_conflict', `Patch is based on version ${baseVersion}, current version is ${snapshot.version}`);
+        }
+
+        let patched;
+        try {
+            patched = applyPatch(snapshot.state, operations);
+        } catch (error) {
+            return reject('invalid_patch', error.message);
+        }
+
+        // Top-level keys written by the patch ('test' and copy sources only read)
+        const written = new Set();
+        for (const operation of operations) {
+            const pointers = operation.op === 'test' ? [] : [operation.path];
+            if (operation.op === 'move') {
+                pointers.push(operation.from);
+            }
+            for (const pointer of pointers) {
+                const [key] = parsePointer(pointer);
+                if (key === undefined || this.readOnlyStateKeys.has(key)) {
+                    return reject('forbidden', key === undefined
+                        ? 'The state root cannot be replaced'
+                        : `State key '${key}' is read-only`);
+                }
+                written.add(key);
+            }
+        }
+
+        if (!this.uiStates.has(clientId)) {
+            this.uiStates.set(clientId, new Map());
+        }
+        const states = this.uiStates.get(clientId);
+        for (const key of written) {
+            if (Object.prototype.hasOwnProperty.call(patched, key)) {
+                states.set(key, patched[key]);
+            } else {
+                states.delete(key);
+            }
+        }
+
+        const version = this.commitStateChange(clientId, operations, { origin: 'client' });
+        this.stateSyncStats.patches_accepted++;
+        this.sendToClient(clientId, {
+            type: 'state_patch_accepted',
+            content: { patch_id: patchId, version }
+        });
+        return true;
     }
 
     // ========== TEMPLATE MANAGEMENT ==========
 
-    addCustomTemplate(templateId, template) {
+    addCustomTemplate(templateId, template, version = DEFAULT_TEMPLATE_VERSION) {
         this.eventTemplates.set(templateId, template);
+        this.templateInfo.set(templateId, { version, source: 'custom' });
         this.logger.debug(`Custom template added: ${templateId}`);
     }
 
     removeTemplate(templateId) {
         const removed = this.eventTemplates.delete(templateId);
         if (removed) {
+            this.templateInfo.delete(templateId);
             this.logger.debug(`Template removed: ${templateId}`);
         }
         return removed;
@@ -501,13 +3068,61 @@ class UIAgent {
         return this.eventTemplates.get(templateId);
     }
 
+    getTemplateInfo(templateId) {
+        return this.templateInfo.get(templateId);
+    }
+
     // ========== ANALYTICS ==========
 
     getEventGenerationStats() {
         return {
             templates_available: this.eventTemplates.size,
             active_sessions: this.activeSessions.size,
+            connected_clients: this.clients.size,
+            sessions: {
+                ...this.sessionStats,
+                evicted: { ...this.sessionStats.evicted },
+                disconnected: Array.from(this.activeSessions.keys()).filter(id => !this.clients.has(id)).length,
+                redirects: this.clientRedirects.size,
+                limits: this.getSessionLimits()
+            },
+            subscriptions: this.topicRegistry.getStats(),
+            custom_templates: {
+                directory: this.config.templatesDir || null,
+                watching: Boolean(this.templateLoader?.watcher),
+                files: this.templateFiles.size,
+                loaded: Array.from(this.templateInfo.values()).filter(info => info.source === 'file').length,
+                errors: Array.from(this.templateErrors.values())
+            },
+            wizards: {
+                registered: this.wizards.definitions.size,
+                active: Array.from(this.uiStates.values())
+                    .filter(states => states.get('wizard') && this.wizards.isActive(states.get('wizard')))
+                    .length
+            },
+            template_versions: Object.fromEntries(
+                Array.from(this.templateInfo.entries()).map(([templateId, info]) => [templateId, info.version])
+            ),
             ui_states: this.uiStates.size,
+            state_sync: { ...this.stateSyncStats },
+            outbound: this.getOutboundStats(),
+            operations: this.operations.getStats(),
+            notifications: this.notifications.getStats(),
+            analytics: this.analytics.toJSON(),
+            i18n: {
+                ...this.i18n.getStats(),
+                sessions: Array.from(this.activeSessions.values()).reduce((counts, session) => {
+                    const locale = session.locale || this.i18n.defaultLocale;
+                    counts[locale] = (counts[locale] || 0) + 1;
+                    return counts;
+                }, {})
+            },
+            recordings: this.recorder ? this.recorder.getStats() : null,
+            bus: {
+                replica_id: this.replicaId,
+                type: this.bus ? (this.bus.type || 'custom') : null,
+                ...this.busStats
+            },
             event_types: {
                 chat: Array.from(this.eventTemplates.keys()).filter(k => k.startsWith('chat-')).length,
                 display: Array.from(this.eventTemplates.keys()).filter(k => k.startsWith('display-')).length,
@@ -517,14 +3132,58 @@ class UIAgent {
         };
     }
 
+    /**
+     * Analytics and connection gauges in the Prometheus text format
+     */
+    getPrometheusMetrics() {
+        return this.analytics.toPrometheus({
+            agui_connected_clients: { help: 'Connected AG-UI clients on this replica', value: this.clients.size },
+            agui_active_sessions: { help: 'AG-UI sessions on this replica, connected or not', value: this.activeSessions.size },
+            agui_running_operations: { help: 'Long-running operations still running', value: this.operations.getStats().running }
+        });
+    }
+
     async shutdown() {
         this.logger.info('Shutting down UI Agent...');
         
+        this.stopSessionSweeper();
+        this.stopHeartbeat();
+        this.stopHealthMonitor();
+        
+        // Leave the bus; it may be shared, its owner closes it
+        await this.detachBus();
+        this.operations.off('update', this.onOperationUpdate);
+        this.notifications.off('notification', this.onNotification);
+        this.notifications.off('read', this.onNotificationsRead);
+        await this.notifications.writes;
+        
+        // Stop watching custom templates
+        if (this.templateLoader) {
+            this.templateLoader.close();
+        }
+        
+        // Close client connections
+        for (const ws of this.clients.values()) {
+            try {
+                ws.close(1001, 'Server shutting down');
+            } catch (error) {
+                this.logger.warn('Failed to close client connection:', error.message);
+            }
+        }
+        for (const connection of this.connectionState.values()) {
+            clearTimeout(connection.drainTimer);
+        }
+        this.connectionState.clear();
+        this.clients.clear();
+        this.clientRedirects.clear();
+        this.topicRegistry.clear();
+        
         // Clear active sessions
         this.activeSessions.clear();
         
         // Clear UI states
         this.uiStates.clear();
+        this.uiStateMeta.clear();
         
         this.logger.success('UI Agent shutdown complete');
     }
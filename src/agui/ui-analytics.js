@@ -0,0 +1,250 @@
+/**
+ * UIAnalytics - Usage counters of the AG-UI flows
+ *
+ * Counts events per template (generated, sent, failed, kept for replay,
+ * forwarded to another replica) and their send latency (from generation to
+ * the socket write), activity per client, inbound messages per type, form
+ * outcomes per form_action and wizard outcomes with the step where flows
+ * stop. Exported as JSON (toJSON) or Prometheus text (toPrometheus).
+ */
+
+// Send latency histogram buckets (milliseconds)
+const LATENCY_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000];
+
+// Clients tracked individually; the least recently active are dropped first
+const DEFAULT_MAX_CLIENTS = 200;
+
+const DELIVERY_OUTCOMES = ['sent', 'failed', 'deferred', 'forwarded'];
+const FORM_OUTCOMES = ['shown', 'submitted', 'invalid', 'abandoned'];
+const WIZARD_OUTCOMES = ['started', 'completed', 'cancelled', 'abandoned'];
+
+function ratio(part, total) {
+    return total > 0 ? Math.round((part / total) * 1000) / 1000 : null;
+}
+
+function zeroes(names) {
+    return Object.fromEntries(names.map(name => [name, 0]));
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labels(values) {
+    const pairs = Object.entries(values).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+class UIAnalytics {
+    constructor(options = {}) {
+        this.maxClients = options.maxClients || DEFAULT_MAX_CLIENTS;
+        this.reset();
+    }
+
+    reset() {
+        this.since = new Date().toISOString();
+        this.templates = new Map();
+        this.clients = new Map();
+        this.inbound = new Map();
+        this.forms = new Map();
+        this.wizards = new Map();
+        this.clientsDropped = 0;
+    }
+
+    // ========== RECORDING ==========
+
+    template(templateId) {
+        if (!this.templates.has(templateId)) {
+            this.templates.set(templateId, {
+                generated: 0,
+                ...zeroes(DELIVERY_OUTCOMES),
+                latency: { count: 0, sum: 0, max: 0, buckets: LATENCY_BUCKETS.map(() => 0) }
+            });
+        }
+        return this.templates.get(templateId);
+    }
+
+    client(clientKey) {
+        let entry = this.clients.get(clientKey);
+        if (entry) {
+            // Most recently active last
+            this.clients.delete(clientKey);
+        } else {
+            entry = { generated: 0, sent: 0, failed: 0, inbound: 0, last_seen: null };
+        }
+        entry.last_seen = new Date().toISOString();
+        this.clients.set(clientKey, entry);
+
+        while (this.clients.size > this.maxClients) {
+            this.clients.delete(this.clients.keys().next().value);
+            this.clientsDropped++;
+        }
+        return entry;
+    }
+
+    recordGenerated(templateId, clientKey = null) {
+        this.template(templateId).generated++;
+        if (clientKey) {
+            this.client(clientKey).generated++;
+        }
+    }
+
+    /**
+     * outcome: 'sent' | 'failed' | 'deferred' (session offline, kept for replay) | 'forwarded' (bus)
+     */
+    recordDelivery(templateId, outcome, clientKey = null) {
+        this.template(templateId)[outcome]++;
+        if (clientKey && (outcome === 'sent' || outcome === 'failed')) {
+            this.client(clientKey)[outcome]++;
+        }
+    }
+
+    recordLatency(templateId, milliseconds) {
+        const latency = this.template(templateId).latency;
+        const value = Math.max(0, milliseconds);
+        latency.count++;
+        latency.sum += value;
+        latency.max = Math.max(latency.max, value);
+        LATENCY_BUCKETS.forEach((bound, index) => {
+            if (value <= bound) {
+                latency.buckets[index]++;
+            }
+        });
+    }
+
+    recordInbound(type, clientKey = null) {
+        this.inbound.set(type, (this.inbound.get(type) || 0) + 1);
+        if (clientKey) {
+            this.client(clientKey).inbound++;
+        }
+    }
+
+    /**
+     * outcome: 'shown' | 'submitted' | 'invalid' | 'abandoned'
+     */
+    recordForm(action, outcome) {
+        if (!this.forms.has(action)) {
+            this.forms.set(action, zeroes(FORM_OUTCOMES));
+        }
+        this.forms.get(action)[outcome]++;
+    }
+
+    wizard(wizardId) {
+        if (!this.wizards.has(wizardId)) {
+            this.wizards.set(wizardId, { ...zeroes(WIZARD_OUTCOMES), steps: new Map() });
+        }
+        return this.wizards.get(wizardId);
+    }
+
+    wizardStep(wizardId, stepId) {
+        const steps = this.wizard(wizardId).steps;
+        if (!steps.has(stepId)) {
+            steps.set(stepId, { entered: 0, stopped: 0 });
+        }
+        return steps.get(stepId);
+    }
+
+    recordWizardStep(wizardId, stepId) {
+        this.wizardStep(wizardId, stepId).entered++;
+    }
+
+    /**
+     * outcome: 'started' | 'completed' | 'cancelled' | 'abandoned'; a flow
+     * cancelled or abandoned is counted as stopped at its current step
+     */
+    recordWizard(wizardId, outcome, stepId = null) {
+        this.wizard(wizardId)[outcome]++;
+        if (stepId && (outcome === 'cancelled' || outcome === 'abandoned')) {
+            this.wizardStep(wizardId, stepId).stopped++;
+        }
+    }
+
+    // ========== EXPORT ==========
+
+    toJSON() {
+        return {
+            since: this.since,
+            templates: Object.fromEntries(Array.from(this.templates.entries()).map(([templateId, entry]) => [templateId, {
+                generated: entry.generated,
+                ...Object.fromEntries(DELIVERY_OUTCOMES.map(outcome => [outcome, entry[outcome]])),
+                latency_ms: {
+                    count: entry.latency.count,
+                    avg: entry.latency.count > 0 ? Math.round(entry.latency.sum / entry.latency.count) : null,
+                    max: entry.latency.max
+                }
+            }])),
+            clients: Object.fromEntries(this.clients),
+            clients_dropped: this.clientsDropped,
+            inbound: Object.fromEntries(this.inbound),
+            forms: Object.fromEntries(Array.from(this.forms.entries()).map(([action, entry]) => [action, {
+                ...entry,
+                completion_rate: ratio(entry.submitted, entry.shown),
+                abandonment_rate: ratio(entry.abandoned, entry.shown)
+            }])),
+            wizards: Object.fromEntries(Array.from(this.wizards.entries()).map(([wizardId, entry]) => [wizardId, {
+                ...Object.fromEntries(WIZARD_OUTCOMES.map(outcome => [outcome, entry[outcome]])),
+                completion_rate: ratio(entry.completed, entry.started),
+                abandonment_rate: ratio(entry.cancelled + entry.abandoned, entry.started),
+                steps: Object.fromEntries(entry.steps)
+            }]))
+        };
+    }
+
+    /**
+     * Prometheus text exposition format (0.0.4). gauges: { name: { help, value } }
+     * are appended as they are (e.g. the connected clients of the UI agent).
+     */
+    toPrometheus(gauges = {}) {
+        const lines = [];
+        const metric = (name, type, help, samples) => {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+            for (const [sampleLabels, value, suffix = ''] of samples) {
+                lines.push(`${name}${suffix}${labels(sampleLabels)} ${value}`);
+            }
+        };
+
+        const templates = Array.from(this.templates.entries());
+        metric('agui_events_generated_total', 'counter', 'AG-UI events generated per template',
+            templates.map(([template, entry]) => [{ template }, entry.generated]));
+        metric('agui_event_deliveries_total', 'counter', 'AG-UI event deliveries per template and outcome',
+            templates.flatMap(([template, entry]) =>
+                DELIVERY_OUTCOMES.map(outcome => [{ template, outcome }, entry[outcome]])));
+        metric('agui_event_send_latency_ms', 'histogram', 'Milliseconds from event generation to the socket write',
+            templates.flatMap(([template, { latency }]) => [
+                ...LATENCY_BUCKETS.map((bound, index) => [{ template, le: bound }, latency.buckets[index], '_bucket']),
+                [{ template, le: '+Inf' }, latency.count, '_bucket'],
+                [{ template }, latency.sum, '_sum'],
+                [{ template }, latency.count, '_count']
+            ]));
+
+        metric('agui_client_events_total', 'counter', 'AG-UI events per client (identity or address) and outcome',
+            Array.from(this.clients.entries()).flatMap(([client, entry]) =>
+                ['generated', 'sent', 'failed'].map(outcome => [{ client, outcome }, entry[outcome]])));
+        metric('agui_client_inbound_messages_total', 'counter', 'Messages received per client (identity or address)',
+            Array.from(this.clients.entries()).map(([client, entry]) => [{ client }, entry.inbound]));
+        metric('agui_inbound_messages_total', 'counter', 'Messages received per type',
+            Array.from(this.inbound.entries()).map(([type, count]) => [{ type }, count]));
+
+        metric('agui_form_outcomes_total', 'counter', 'Forms per form_action and outcome',
+            Array.from(this.forms.entries()).flatMap(([action, entry]) =>
+                FORM_OUTCOMES.map(outcome => [{ action, outcome }, entry[outcome]])));
+
+        const wizards = Array.from(this.wizards.entries());
+        metric('agui_wizard_outcomes_total', 'counter', 'Wizard flows per wizard and outcome',
+            wizards.flatMap(([wizard, entry]) => WIZARD_OUTCOMES.map(outcome => [{ wizard, outcome }, entry[outcome]])));
+        metric('agui_wizard_step_entries_total', 'counter', 'Wizard steps entered',
+            wizards.flatMap(([wizard, entry]) =>
+                Array.from(entry.steps.entries()).map(([step, counts]) => [{ wizard, step }, counts.entered])));
+        metric('agui_wizard_step_stops_total', 'counter', 'Wizard flows cancelled or abandoned at a step',
+            wizards.flatMap(([wizard, entry]) =>
+                Array.from(entry.steps.entries()).map(([step, counts]) => [{ wizard, step }, counts.stopped])));
+
+        for (const [name, { help, value }] of Object.entries(gauges)) {
+            metric(name, 'gauge', help, [[{}, value]]);
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+module.exports = { UIAnalytics, LATENCY_BUCKETS };
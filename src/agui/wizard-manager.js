@@ -0,0 +1,518 @@
+const { v4: uuidv4 } = require('uuid');
+const { Logger } = require('../utils/logger');
+
+const STEP_TYPES = ['chat', 'form', 'choice', 'confirm', 'action'];
+const INTERACTIVE_STEPS = ['form', 'choice', 'confirm'];
+
+// Key of the wizard state in UIAgent.uiStates
+const WIZARD_STATE_KEY = 'wizard';
+
+// form_action used by every form a wizard issues
+const WIZARD_FORM_ACTION = 'wizard-step';
+
+/**
+ * WizardManager - Declarative multi-step flows on top of UIAgent forms
+ *
+ * A wizard is { id, title, permission?, steps: [step] }. Steps run in array
+ * order unless they declare a transition. Step fields (any of them may be a
+ * function of the collected data):
+ *   chat    { message }                              sent, then advances
+ *   form    { title, description, schema }           values stored in data[step.id]
+ *   choice  { title, options: [{ value, label }], on: { value: stepId } }
+ *   confirm { title, summary }                       confirm / back / cancel
+ *   action  { title, run(ctx), check(ctx), successMessage, tool, operation }
+ *                                                    result stored in data[step.id]; runs as an
+ *                                                    operation of kind `operation` (ctx.progress,
+ *                                                    ctx.signal); `tool` names the AG-UI tool call;
+ *                                                    check() may throw to fail the step first
+ * Common fields: next (stepId | fn(data, value) | null to finish), skip(data),
+ * onError (stepId to enter when an action fails).
+ *
+ * The per-session state lives in uiStates under 'wizard', so a resumed
+ * session keeps its place in the flow.
+ */
+class WizardManager {
+    constructor(uiAgent) {
+        this.uiAgent = uiAgent;
+        this.logger = new Logger('WizardManager');
+        this.definitions = new Map();
+
+        // Clients see wizard progress through state sync but only drive it with messages
+        uiAgent.readOnlyStateKeys.add(WIZARD_STATE_KEY);
+
+        uiAgent.registerFormHandler(WIZARD_FORM_ACTION, (clientId, values, form) => {
+            return this.handleStepSubmission(clientId, values, form);
+        });
+    }
+
+    register(definition) {
+        if (!definition || !definition.id || !Array.isArray(definition.steps) || definition.steps.length === 0) {
+            throw new Error('Wizard definition requires an id and at least one step');
+        }
+
+        const stepIds = new Set();
+        for (const step of definition.steps) {
+            if (!step.id || stepIds.has(step.id)) {
+                throw new Error(`Wizard '${definition.id}' has a missing or duplicate step id: ${step.id}`);
+            }
+            if (!STEP_TYPES.includes(step.type)) {
+                throw new Error(`Wizard '${definition.id}' step '${step.id}' has unknown type '${step.type}'`);
+            }
+            if (step.type === 'action' && typeof step.run !== 'function') {
+                throw new Error(`Wizard '${definition.id}' action step '${step.id}' needs a run() function`);
+            }
+            stepIds.add(step.id);
+        }
+
+        this.definitions.set(definition.id, definition);
+        this.logger.debug(`Wizard registered: ${definition.id} (${definition.steps.length} steps)`);
+    }
+
+    unregister(wizardId) {
+        return this.definitions.delete(wizardId);
+    }
+
+    list() {
+        return Array.from(this.definitions.values()).map(definition => ({
+            id: definition.id,
+            title: definition.title || definition.id,
+            description: definition.description || '',
+            steps: definition.steps.length
+        }));
+    }
+
+    getState(clientId) {
+        return this.uiAgent.getUIState(clientId, WIZARD_STATE_KEY) || null;
+    }
+
+    saveState(clientId, state) {
+        state.updated_at = new Date().toISOString();
+        this.uiAgent.updateUIState(clientId, WIZARD_STATE_KEY, state);
+    }
+
+    // ========== MESSAGES ==========
+
+    async handleMessage(clientId, content = {}) {
+        switch (content.action) {
+            case 'start':
+                return this.start(clientId, content.wizard, content.data || {});
+            case 'back':
+                return this.back(clientId);
+            case 'cancel':
+                return this.cancel(clientId);
+            case 'resume':
+                return this.resume(clientId);
+            case 'list':
+                this.uiAgent.sendToClient(clientId, {
+                    type: 'wizards',
+                    content: { wizards: this.list(), active: this.describeState(this.getState(clientId)) }
+                });
+                return [];
+            default:
+                return this.sendError(clientId, 'Unknown Wizard Action',
+                    `Wizard action '${content.action}' is not supported`, 'UNKNOWN_WIZARD_ACTION');
+        }
+    }
+
+    // ========== LIFECYCLE ==========
+
+    async start(clientId, wizardId, data = {}) {
+        const definition = this.definitions.get(wizardId);
+        if (!definition) {
+            return this.sendError(clientId, 'Unknown Wizard', `Wizard '${wizardId}' is not registered`, 'UNKNOWN_WIZARD');
+        }
+
+        if (!this.uiAgent.authorize(clientId, definition.permission)) {
+            return this.sendError(clientId, 'Permission Denied',
+                `Wizard '${wizardId}' requires the '${definition.permission}' permission`, 'FORBIDDEN');
+        }
+
+        const events = [];
+        const previous = this.getState(clientId);
+        if (previous && this.isActive(previous)) {
+            events.push(...await this.finish(clientId, previous, 'cancelled', `${this.titleOf(previous)} replaced by a new wizard`));
+        }
+
+        const state = {
+            instance_id: uuidv4(),
+            wizard_id: wizardId,
+            step: null,
+            status: 'active',
+            data: JSON.parse(JSON.stringify(data)),
+            history: [],
+            started_at: new Date().toISOString()
+        };
+
+        this.logger.info(`Wizard ${wizardId} started for ${clientId}`);
+        this.uiAgent.analytics.recordWizard(wizardId, 'started');
+        events.push(...await this.enterStep(clientId, state, definition.steps[0].id));
+        return events;
+    }
+
+    async back(clientId) {
+        const state = this.getState(clientId);
+        if (!state || !this.isActive(state)) {
+            return this.sendError(clientId, 'No Active Wizard', 'There is no wizard to go back in', 'NO_ACTIVE_WIZARD');
+        }
+
+        if (state.history.length === 0) {
+            return this.sendError(clientId, 'Cannot Go Back', 'This is the first step of the wizard', 'WIZARD_AT_START');
+        }
+
+        const previousStep = state.history.pop();
+        return this.enterStep(clientId, state, previousStep, { recordHistory: false });
+    }
+
+    async cancel(clientId) {
+        const state = this.getState(clientId);
+        if (!state || !this.isActive(state)) {
+            return this.sendError(clientId, 'No Active Wizard', 'There is no wizard to cancel', 'NO_ACTIVE_WIZARD');
+        }
+
+        return this.finish(clientId, state, 'cancelled', `${this.titleOf(state)} cancelled`);
+    }
+
+    /**
+     * Render the current step again (after a reconnect, or to retry a failed action)
+     */
+    async resume(clientId) {
+        const state = this.getState(clientId);
+        if (!state || !this.isActive(state)) {
+            return this.sendError(clientId, 'No Active Wizard', 'There is no wizard to resume', 'NO_ACTIVE_WIZARD');
+        }
+
+        if (state.status === 'running') {
+            return this.sendError(clientId, 'Step In Progress', 'The current step is still running', 'WIZARD_STEP_RUNNING');
+        }
+
+        state.status = 'active';
+        return this.enterStep(clientId, state, state.step, { recordHistory: false });
+    }
+
+    // ========== STEPS ==========
+
+    async enterStep(clientId, state, stepId, options = {}) {
+        const definition = this.definitions.get(state.wizard_id);
+        const step = this.findStep(definition, stepId);
+        if (!step) {
+            throw new Error(`Wizard '${state.wizard_id}' has no step '${stepId}'`);
+        }
+
+        // Skipped steps never become the current step
+        if (step.skip && step.skip(state.data, state)) {
+            return this.advance(clientId, state, step);
+        }
+
+        if (options.recordHistory !== false && state.step && state.step !== stepId) {
+            const current = this.findStep(definition, state.step);
+            if (current && INTERACTIVE_STEPS.includes(current.type)) {
+                state.history.push(current.id);
+            }
+        }
+
+        state.step = step.id;
+        this.saveState(clientId, state);
+        this.uiAgent.analytics.recordWizardStep(state.wizard_id, step.id);
+
+        switch (step.type) {
+            case 'chat':
+                return this.runChatStep(clientId, state, step);
+            case 'action':
+                return this.runActionStep(clientId, state, step);
+            default:
+                return this.renderInteractiveStep(clientId, state, step);
+        }
+    }
+
+    async advance(clientId, state, step, value) {
+        const definition = this.definitions.get(state.wizard_id);
+        let nextStepId;
+
+        if (step.type === 'choice' && step.on && step.on[value] !== undefined) {
+            nextStepId = step.on[value];
+        } else if (step.next !== undefined) {
+            nextStepId = typeof step.next === 'function' ? step.next(state.data, value) : step.next;
+        } else {
+            const index = definition.steps.indexOf(step);
+            nextStepId = definition.steps[index + 1]?.id ?? null;
+        }
+
+        if (nextStepId === null || nextStepId === undefined) {
+            return this.finish(clientId, state, 'completed', `${this.titleOf(state)} completed`);
+        }
+
+        return this.enterStep(clientId, state, nextStepId);
+    }
+
+    async runChatStep(clientId, state, step) {
+        const event = this.decorate(this.uiAgent.generateChatEvent('chat-response', {
+            message: this.resolve(step.message, state)
+        }, clientId), state, step);
+
+        await this.uiAgent.sendEvent(event, clientId);
+        const events = await this.advance(clientId, state, step);
+        return [event, ...events];
+    }
+
+    async runActionStep(clientId, state, step) {
+        const instanceId = state.instance_id;
+        state.status = 'running';
+        this.saveState(clientId, state);
+
+        const events = [];
+        const title = this.resolve(step.title, state) || step.id;
+
+        let result;
+        try {
+            // Preconditions such as quotas are checked before the operation starts
+            if (step.check) {
+                await step.check({ clientId, data: state.data, state, uiAgent: this.uiAgent });
+            }
+
+            // Progress is reported by the operation registry as status-update events
+            result = await this.uiAgent.runOperation(clientId, step.operation || `wizard:${state.wizard_id}.${step.id}`, title, (operation) => {
+                const run = () => step.run({
+                    clientId,
+                    data: state.data,
+                    state,
+                    uiAgent: this.uiAgent,
+                    progress: operation.progress,
+                    signal: operation.signal
+                });
+                return step.tool
+                    ? this.uiAgent.runToolCall(clientId, step.tool, state.data, run)
+                    : run();
+            }, { metadata: { wizard_id: state.wizard_id, instance_id: instanceId, step: step.id } });
+        } catch (error) {
+            return [...events, ...await this.failStep(clientId, state, step, error)];
+        }
+
+        // The wizard may have been cancelled or restarted while the action ran
+        const current = this.getState(clientId);
+        if (!current || current.instance_id !== instanceId || current.status !== 'running') {
+            return events;
+        }
+
+        state.status = 'active';
+        state.data[step.id] = result === undefined ? null : result;
+
+        if (step.successMessage) {
+            const event = this.decorate(this.uiAgent.generateDisplayEvent('display-success', {
+                success_title: this.resolve(step.title, state) || 'Done',
+                success_message: this.resolve(step.successMessage, state),
+                success_data: result,
+                operation: `${state.wizard_id}:${step.id}`
+            }, clientId), state, step);
+            await this.uiAgent.sendEvent(event, clientId);
+            events.push(event);
+        }
+
+        return [...events, ...await this.advance(clientId, state, step, result)];
+    }
+
+    async failStep(clientId, state, step, error) {
+        this.logger.error(`Wizard ${state.wizard_id} step ${step.id} failed:`, error);
+
+        const event = this.decorate(this.uiAgent.generateDisplayEvent('display-error', {
+            error_title: `${this.resolve(step.title, state) || step.id} Failed`,
+            error_message: error.message,
+            error_details: 'Send a wizard "resume" to retry, "back" to change your answers or "cancel" to stop',
+            // Tenant refusals (namespace, quota) keep their code
+            error_code: error.name === 'TenantError' ? error.code : 'WIZARD_STEP_FAILED'
+        }, clientId), state, step);
+        await this.uiAgent.sendEvent(event, clientId);
+
+        if (step.onError) {
+            state.status = 'active';
+            return [event, ...await this.enterStep(clientId, state, step.onError, { recordHistory: false })];
+        }
+
+        state.status = 'failed';
+        state.error = error.message;
+        this.saveState(clientId, state);
+        return [event];
+    }
+
+    async renderInteractiveStep(clientId, state, step) {
+        const events = [];
+
+        if (step.type === 'confirm' && step.summary) {
+            const summaryEvent = this.decorate(this.uiAgent.generateDisplayEvent('display-summary', {
+                summary_title: this.resolve(step.title, state) || 'Summary',
+                summary_items: this.resolve(step.summary, state)
+            }, clientId), state, step);
+            await this.uiAgent.sendEvent(summaryEvent, clientId);
+            events.push(summaryEvent);
+        }
+
+        const formId = `wizard-${state.instance_id}-${step.id}-${Date.now()}`;
+        const formEvent = this.decorate(this.uiAgent.generateDisplayEvent('display-form', {
+            form_title: this.resolve(step.title, state) || this.titleOf(state),
+            form_description: this.resolve(step.description, state) || '',
+            form_schema: this.buildStepSchema(state, step),
+            form_action: WIZARD_FORM_ACTION,
+            form_id: formId
+        }, clientId), state, step);
+        await this.uiAgent.sendEvent(formEvent, clientId);
+        events.push(formEvent);
+
+        const form = this.uiAgent.getOutstandingForm(clientId, formId);
+        if (form) {
+            form.context = { instance_id: state.instance_id, step: step.id };
+        }
+
+        return events;
+    }
+
+    buildStepSchema(state, step) {
+        if (step.type === 'choice') {
+            const options = this.resolve(step.options, state) || [];
+            return {
+                type: 'object',
+                properties: {
+                    choice: {
+                        type: 'string',
+                        title: this.resolve(step.title, state) || 'Choose an option',
+                        enum: options.map(option => option.value),
+                        enumNames: options.map(option => option.label || option.value)
+                    }
+                },
+                required: ['choice']
+            };
+        }
+
+        if (step.type === 'confirm') {
+            return {
+                type: 'object',
+                properties: {
+                    decision: {
+                        type: 'string',
+                        title: 'Confirm?',
+                        enum: ['confirm', 'back', 'cancel'],
+                        enumNames: ['Confirm', 'Back', 'Cancel'],
+                        default: 'confirm'
+                    }
+                },
+                required: ['decision']
+            };
+        }
+
+        // Pre-fill answers given earlier (e.g. after going back)
+        const schema = JSON.parse(JSON.stringify(this.resolve(step.schema, state) || { type: 'object', properties: {} }));
+        const previous = state.data[step.id];
+        if (previous && schema.properties) {
+            for (const [field, value] of Object.entries(previous)) {
+                if (schema.properties[field]) {
+                    schema.properties[field].default = value;
+                }
+            }
+        }
+        return schema;
+    }
+
+    async handleStepSubmission(clientId, values, form) {
+        const state = this.getState(clientId);
+        const { instance_id: instanceId, step: stepId } = form.context || {};
+
+        if (!state || state.instance_id !== instanceId || state.step !== stepId || !this.isActive(state)) {
+            return this.sendError(clientId, 'Step No Longer Active',
+                'This wizard step has already been answered or the wizard has ended', 'WIZARD_STEP_STALE');
+        }
+
+        const step = this.findStep(this.definitions.get(state.wizard_id), stepId);
+
+        switch (step.type) {
+            case 'choice':
+                state.data[step.id] = values.choice;
+                return this.advance(clientId, state, step, values.choice);
+            case 'confirm':
+                if (values.decision === 'back') {
+                    return this.back(clientId);
+                }
+                if (values.decision === 'cancel') {
+                    return this.cancel(clientId);
+                }
+                return this.advance(clientId, state, step, true);
+            default:
+                state.data[step.id] = values;
+                return this.advance(clientId, state, step, values);
+        }
+    }
+
+    async finish(clientId, state, status, message) {
+        state.status = status;
+        state.finished_at = new Date().toISOString();
+        this.saveState(clientId, state);
+        this.uiAgent.analytics.recordWizard(state.wizard_id, status, state.step);
+
+        const definition = this.definitions.get(state.wizard_id);
+        if (status === 'completed' && definition && typeof definition.onComplete === 'function') {
+            await definition.onComplete({ clientId, data: state.data, state, uiAgent: this.uiAgent });
+        }
+
+        const event = this.uiAgent.generateStatusEvent('status-update', {
+            status,
+            message,
+            progress: status === 'completed' ? 100 : 0,
+            operation_id: state.instance_id
+        }, clientId);
+        event.template.wizard = this.describeState(state);
+        await this.uiAgent.sendEvent(event, clientId);
+
+        this.logger.info(`Wizard ${state.wizard_id} ${status} for ${clientId}`);
+        return [event];
+    }
+
+    // ========== HELPERS ==========
+
+    isActive(state) {
+        return ['active', 'running', 'failed'].includes(state.status);
+    }
+
+    findStep(definition, stepId) {
+        return definition ? definition.steps.find(step => step.id === stepId) : undefined;
+    }
+
+    titleOf(state) {
+        return this.definitions.get(state.wizard_id)?.title || state.wizard_id;
+    }
+
+    resolve(value, state) {
+        return typeof value === 'function' ? value(state.data, state) : value;
+    }
+
+    describeState(state) {
+        if (!state) {
+            return null;
+        }
+
+        const definition = this.definitions.get(state.wizard_id);
+        return {
+            id: state.wizard_id,
+            instance_id: state.instance_id,
+            title: this.titleOf(state),
+            step: state.step,
+            step_index: definition ? definition.steps.findIndex(step => step.id === state.step) : -1,
+            total_steps: definition ? definition.steps.length : 0,
+            can_go_back: state.history.length > 0,
+            status: state.status
+        };
+    }
+
+    decorate(event, state, step) {
+        event.template.wizard = { ...this.describeState(state), step: step.id };
+        return event;
+    }
+
+    async sendError(clientId, title, message, code) {
+        const event = this.uiAgent.generateDisplayEvent('display-error', {
+            error_title: title,
+            error_message: message,
+            error_code: code
+        }, clientId);
+        await this.uiAgent.sendEvent(event, clientId);
+        return [event];
+    }
+}
+
+module.exports = { WizardManager, WIZARD_FORM_ACTION, WIZARD_STATE_KEY };
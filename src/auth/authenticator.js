@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+
+// Seconds of clock skew tolerated when checking exp / nbf
+const DEFAULT_CLOCK_TOLERANCE = 30;
+
+class AuthenticationError extends Error {
+    constructor(message, code = 'UNAUTHENTICATED') {
+        super(message);
+        this.name = 'AuthenticationError';
+        this.code = code;
+        this.status = 401;
+    }
+}
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function base64UrlDecode(segment) {
+    return Buffer.from(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function parsePermissions(value) {
+    if (Array.isArray(value)) {
+        return value.map(String);
+    }
+    if (typeof value === 'string') {
+        return value.split(/[\s,]+/).filter(Boolean);
+    }
+    return [];
+}
+
+// Scope of the routes administering every tenant (tenants, recordings, global metrics)
+const SUPER_ADMIN = 'superadmin';
+
+/**
+ * True if the identity holds the permission. `admin` and `*` grant
+ * everything, `agents:*` grants every `agents:` permission. `superadmin` is
+ * held by admins without a tenant: the admins of a tenant only administer it.
+ */
+function hasPermission(identity, permission) {
+    if (!permission) {
+        return true;
+    }
+    if (!identity) {
+        return false;
+    }
+
+    const granted = identity.permissions || [];
+    const admin = granted.includes('admin') || granted.includes('*') || granted.includes(SUPER_ADMIN);
+    if (permission === SUPER_ADMIN) {
+        return admin && !identity.tenant;
+    }
+
+    const [resource] = permission.split(':');
+    return granted.includes(permission) || admin || granted.includes(`${resource}:*`);
+}
+
+/**
+ * Authenticator - Resolves bearer tokens to identities
+ *
+ * Two kinds of credentials are accepted:
+ *   - static tokens (API keys): { <token>: { id, name?, permissions, tenant? } }
+ *   - HS256 JWTs signed with jwtSecret; `sub` is the identity id,
+ *     `permissions` (array) or `scope` (space separated) its permissions and
+ *     `tenant` its tenant
+ *
+ * Identities are { id, name, type: 'token' | 'jwt' | 'anonymous', permissions,
+ * tenant, claims? }; tenant is null when the credential names none.
+ */
+class Authenticator {
+    constructor(options = {}) {
+        this.tokens = new Map();
+        this.jwtSecret = options.jwtSecret || null;
+        this.jwtIssuer = options.jwtIssuer || null;
+        this.jwtAudience = options.jwtAudience || null;
+        this.clockTolerance = options.clockTolerance ?? DEFAULT_CLOCK_TOLERANCE;
+        this.allowAnonymous = options.allowAnonymous === true;
+        this.anonymousPermissions = parsePermissions(options.anonymousPermissions);
+
+        const tokens = options.tokens || {};
+        const entries = Array.isArray(tokens)
+            ? tokens.map(({ token, ...identity }) => [token, identity])
+            : Object.entries(tokens);
+        for (const [token, identity] of entries) {
+            this.addToken(token, identity);
+        }
+    }
+
+    /**
+     * AUTH_TOKENS (JSON map of token -> identity), AUTH_JWT_SECRET,
+     * AUTH_JWT_ISSUER, AUTH_JWT_AUDIENCE, AUTH_ALLOW_ANONYMOUS,
+     * AUTH_ANONYMOUS_PERMISSIONS
+     */
+    static fromEnv(env = process.env) {
+        return new Authenticator({
+            tokens: env.AUTH_TOKENS ? JSON.parse(env.AUTH_TOKENS) : {},
+            jwtSecret: env.AUTH_JWT_SECRET,
+            jwtIssuer: env.AUTH_JWT_ISSUER,
+            jwtAudience: env.AUTH_JWT_AUDIENCE,
+            allowAnonymous: env.AUTH_ALLOW_ANONYMOUS === 'true',
+            anonymousPermissions: env.AUTH_ANONYMOUS_PERMISSIONS
+        });
+    }
+
+    get enabled() {
+        return this.tokens.size > 0 || Boolean(this.jwtSecret);
+    }
+
+    addToken(token, identity = {}) {
+        if (!token || !identity.id) {
+            throw new Error('Static tokens require a token and an identity id');
+        }
+
+        // Only a digest of the token is kept in memory
+        this.tokens.set(sha256(token), {
+            id: String(identity.id),
+            name: identity.name || String(identity.id),
+            type: 'token',
+            permissions: parsePermissions(identity.permissions),
+            tenant: identity.tenant ? String(identity.tenant) : null
+        });
+    }
+
+    authenticate(token) {
+        if (!token) {
+            if (this.allowAnonymous || !this.enabled) {
+                return this.anonymousIdentity();
+            }
+            throw new AuthenticationError('Authentication required');
+        }
+
+        const identity = this.tokens.get(sha256(token));
+        if (identity) {
+            return { ...identity, permissions: [...identity.permissions] };
+        }
+
+        if (this.jwtSecret && token.split('.').length === 3) {
+            return this.verifyJwt(token);
+        }
+
+        throw new AuthenticationError('Invalid token', 'INVALID_TOKEN');
+    }
+
+    anonymousIdentity() {
+        return {
+            id: 'anonymous',
+            name: 'Anonymous',
+            type: 'anonymous',
+            // Without any credential configured, authentication is off
+            permissions: this.enabled ? [...this.anonymousPermissions] : ['*'],
+            tenant: null
+        };
+    }
+
+    verifyJwt(token) {
+        const [encodedHeader, encodedPayload, signature] = token.split('.');
+
+        let header;
+        let payload;
+        try {
+            header = JSON.parse(base64UrlDecode(encodedHeader).toString('utf8'));
+            payload = JSON.parse(base64UrlDecode(encodedPayload).toString('utf8'));
+        } catch (error) {
+            throw new AuthenticationError('Malformed token', 'INVALID_TOKEN');
+        }
+
+        if (header.alg !== 'HS256') {
+            throw new AuthenticationError(`Unsupported token algorithm '${header.alg}'`, 'INVALID_TOKEN');
+        }
+
+        const expected = crypto
+            .createHmac('sha256', this.jwtSecret)
+            .update(`${encodedHeader}.${encodedPayload}`)
+            .digest();
+        const actual = base64UrlDecode(signature);
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+            throw new AuthenticationError('Invalid token signature', 'INVALID_TOKEN');
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        if (typeof payload.exp === 'number' && now > payload.exp + this.clockTolerance) {
+            throw new AuthenticationError('Token expired', 'TOKEN_EXPIRED');
+        }
+        if (typeof payload.nbf === 'number' && now + this.clockTolerance < payload.nbf) {
+            throw new AuthenticationError('Token not yet valid', 'INVALID_TOKEN');
+        }
+        if (this.jwtIssuer && payload.iss !== this.jwtIssuer) {
+            throw new AuthenticationError('Unexpected token issuer', 'INVALID_TOKEN');
+        }
+        if (this.jwtAudience) {
+            const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+            if (!audiences.includes(this.jwtAudience)) {
+                throw new AuthenticationError('Unexpected token audience', 'INVALID_TOKEN');
+            }
+        }
+        if (!payload.sub) {
+            throw new AuthenticationError('Token has no subject', 'INVALID_TOKEN');
+        }
+
+        return {
+            id: String(payload.sub),
+            name: payload.name || String(payload.sub),
+            type: 'jwt',
+            permissions: parsePermissions(payload.permissions ?? payload.scope ?? payload.scp),
+            tenant: payload.tenant ? String(payload.tenant) : null,
+            claims: payload
+        };
+    }
+}
+
+module.exports = {
+    Authenticator,
+    AuthenticationError,
+    hasPermission,
+    parsePermissions,
+    SUPER_ADMIN
+};
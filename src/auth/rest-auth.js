@@ -0,0 +1,129 @@
+const { AuthenticationError, hasPermission } = require('./authenticator');
+
+// Header carrying a static API key, for clients that cannot send a bearer token
+const API_KEY_HEADER = 'x-api-key';
+
+/**
+ * Credential of a REST request: `Authorization: Bearer <token>` (API key or
+ * JWT) or the X-API-Key header. Query parameters and cookies are not read:
+ * a cookie would be sent by any page the browser visits (CSRF).
+ */
+function extractRequestToken(req = {}) {
+    const authorization = req.headers?.authorization;
+    if (authorization && /^Bearer\s+/i.test(authorization)) {
+        return authorization.replace(/^Bearer\s+/i, '').trim() || null;
+    }
+    return req.headers?.[API_KEY_HEADER] || null;
+}
+
+/**
+ * Express middleware setting `req.identity` from the request credential.
+ *
+ * Without an authenticator, or one without any credential configured,
+ * req.identity stays unset and every route is open (as before
+ * authentication existed). Otherwise requests without credential are
+ * anonymous (permissions of AUTH_ANONYMOUS_PERMISSIONS when anonymous access
+ * is allowed, none otherwise) and reach only routes without scope; invalid
+ * credentials are rejected with 401.
+ */
+function createRestAuthenticator({ authenticator = null, logger = null } = {}) {
+    return (req, res, next) => {
+        if (!authenticator || !authenticator.enabled) {
+            return next();
+        }
+
+        const token = extractRequestToken(req);
+        if (!token) {
+            const identity = authenticator.anonymousIdentity();
+            req.identity = authenticator.allowAnonymous ? identity : { ...identity, permissions: [] };
+            return next();
+        }
+
+        try {
+            req.identity = authenticator.authenticate(token);
+            next();
+        } catch (error) {
+            if (!(error instanceof AuthenticationError)) {
+                logger?.error('REST authentication failed:', error);
+            }
+            res.set('WWW-Authenticate', 'Bearer').status(401).json({
+                error: error instanceof AuthenticationError ? error.message : 'Unauthorized',
+                code: error.code,
+                type: 'authentication_error'
+            });
+        }
+    };
+}
+
+/**
+ * Route middleware requiring a scope (see hasPermission: `admin` grants
+ * every scope, `agents:*` every `agents:` scope). Anonymous callers get 401,
+ * authenticated callers lacking the scope 403.
+ */
+function requireScope(scope) {
+    return (req, res, next) => {
+        if (!req.identity || hasPermission(req.identity, scope)) {
+            return next();
+        }
+
+        if (req.identity.type === 'anonymous') {
+            return res.set('WWW-Authenticate', `Bearer scope="${scope}"`).status(401).json({
+                error: 'Authentication required',
+                scope,
+                type: 'authentication_error'
+            });
+        }
+
+        res.status(403).json({
+            error: 'Forbidden',
+            message: `Scope '${scope}' is required`,
+            scope,
+            type: 'authorization_error'
+        });
+    };
+}
+
+/**
+ * User a request acts for: the caller when authentication is on (body or
+ * query user fields are ignored), otherwise the `requested` user or fallback
+ */
+function callerId(req, requested, fallback = 'anonymous') {
+    if (req.identity) {
+        return req.identity.id;
+    }
+    return requested || fallback;
+}
+
+/**
+ * True if the caller may act on userId's data: itself, or an admin
+ */
+function canActFor(req, userId) {
+    return !req.identity || req.identity.id === String(userId) || hasPermission(req.identity, 'admin');
+}
+
+/**
+ * Route middleware rejecting requests for another user's data (`param`
+ * names the route parameter holding the user id)
+ */
+function requireSelfOrAdmin(param = 'userId') {
+    return (req, res, next) => {
+        if (canActFor(req, req.params[param])) {
+            return next();
+        }
+        res.status(403).json({
+            error: 'Forbidden',
+            message: `Only ${req.params[param]} or an admin may access this data`,
+            type: 'authorization_error'
+        });
+    };
+}
+
+module.exports = {
+    createRestAuthenticator,
+    requireScope,
+    requireSelfOrAdmin,
+    callerId,
+    canActFor,
+    extractRequestToken,
+    API_KEY_HEADER
+};
@@ -0,0 +1,140 @@
+const { AuthenticationError } = require('./authenticator');
+const { TenantError } = require('../tenants/tenant-registry');
+const { resolveTenant } = require('../tenants/tenant-middleware');
+
+// Subprotocol prefix carrying a token: browsers cannot set headers on a WebSocket
+const TOKEN_PROTOCOL_PREFIX = 'bearer.';
+
+// Subprotocols the server may select
+const APPLICATION_PROTOCOLS = ['ag-ui', 'autoweave'];
+
+// Cookie holding the token for same-site front-ends
+const TOKEN_COOKIE = 'autoweave_token';
+
+function parseCookies(header = '') {
+    const cookies = {};
+    for (const part of String(header).split(';')) {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            const name = part.slice(0, index).trim();
+            try {
+                cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+            } catch (error) {
+                cookies[name] = part.slice(index + 1).trim();
+            }
+        }
+    }
+    return cookies;
+}
+
+function offeredProtocols(req) {
+    return String(req.headers?.['sec-websocket-protocol'] || '')
+        .split(',')
+        .map(protocol => protocol.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Token sent with an upgrade request, looked up in order: `token` or
+ * `access_token` query parameter, `bearer.<token>` subprotocol,
+ * Authorization header, then the `autoweave_token` cookie when
+ * `options.cookie` is set (see acceptsCookieToken).
+ */
+function extractWebSocketToken(req = {}, { cookie = false } = {}) {
+    let query;
+    try {
+        query = new URL(req.url || '/', 'http://localhost').searchParams;
+    } catch (error) {
+        query = new URLSearchParams();
+    }
+
+    const fromQuery = query.get('token') || query.get('access_token');
+    if (fromQuery) {
+        return fromQuery;
+    }
+
+    const fromProtocol = offeredProtocols(req).find(protocol => protocol.startsWith(TOKEN_PROTOCOL_PREFIX));
+    if (fromProtocol) {
+        return fromProtocol.slice(TOKEN_PROTOCOL_PREFIX.length);
+    }
+
+    const authorization = req.headers?.authorization;
+    if (authorization && /^Bearer\s+/i.test(authorization)) {
+        return authorization.replace(/^Bearer\s+/i, '').trim();
+    }
+
+    return cookie ? parseCookies(req.headers?.cookie)[TOKEN_COOKIE] || null : null;
+}
+
+/**
+ * ws `handleProtocols`: never echo the token subprotocol back
+ */
+function selectProtocol(protocols) {
+    const offered = Array.from(protocols || []);
+    return APPLICATION_PROTOCOLS.find(protocol => offered.includes(protocol)) ||
+        offered.find(protocol => !protocol.startsWith(TOKEN_PROTOCOL_PREFIX)) ||
+        false;
+}
+
+function isOriginAllowed(origin, allowedOrigins) {
+    if (!allowedOrigins || allowedOrigins.length === 0 || allowedOrigins.includes('*')) {
+        return true;
+    }
+    // Non-browser clients do not send an Origin header
+    return !origin || allowedOrigins.includes(origin);
+}
+
+/**
+ * Browsers send cookies with cross-site upgrades, so the cookie only
+ * authenticates when the origins are restricted (no '*')
+ */
+function acceptsCookieToken(allowedOrigins) {
+    return Boolean(allowedOrigins && allowedOrigins.length > 0 && !allowedOrigins.includes('*'));
+}
+
+/**
+ * ws `verifyClient` checking the origin and authenticating the upgrade.
+ * The identity is attached to the request as `req.identity` and its tenant
+ * (a TenantHandle, see resolveTenant) as `req.tenant`; unknown or disabled
+ * tenants are rejected with 403 like on the REST API.
+ */
+function createVerifyClient({ authenticator = null, tenantRegistry = null, allowedOrigins = [], logger = null } = {}) {
+    return (info, callback) => {
+        const { req, origin } = info;
+
+        if (!isOriginAllowed(origin, allowedOrigins)) {
+            logger?.warn(`WebSocket upgrade rejected: origin ${origin} not allowed`);
+            return callback(false, 403, 'Origin not allowed');
+        }
+
+        try {
+            if (authenticator) {
+                req.identity = authenticator.authenticate(extractWebSocketToken(req, {
+                    cookie: acceptsCookieToken(allowedOrigins)
+                }));
+            }
+            req.tenant = resolveTenant(tenantRegistry, req.identity);
+            return callback(true);
+        } catch (error) {
+            if (error instanceof TenantError) {
+                logger?.warn(`WebSocket upgrade rejected: ${error.message}`);
+                return callback(false, error.status, error.message);
+            }
+            if (!(error instanceof AuthenticationError)) {
+                logger?.error('WebSocket authentication failed:', error);
+            }
+            return callback(false, 401, error instanceof AuthenticationError ? error.message : 'Unauthorized');
+        }
+    };
+}
+
+module.exports = {
+    createVerifyClient,
+    extractWebSocketToken,
+    selectProtocol,
+    isOriginAllowed,
+    acceptsCookieToken,
+    parseCookies,
+    TOKEN_PROTOCOL_PREFIX,
+    TOKEN_COOKIE
+};
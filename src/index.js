@@ -16,10 +16,18 @@ export { default as memoryRouter } from './routes/memory.js';
 export { default as rootRouter } from './routes/index.js';
 export { default as searchRouter } from './routes/search.js';
 export { default as selfAwarenessRouter } from './routes/self-awareness.js';
+export { default as tenantsRouter } from './routes/tenants.js';
 
 // Export WebSocket server setup
 export { setupWebSocket } from './server.js';
 
+// Export tenants (registry, quotas and the middleware setting req.tenant)
+export { TenantRegistry, TenantError } from './tenants/tenant-registry.js';
+export { createTenantResolver } from './tenants/tenant-middleware.js';
+
+// Export in-memory stand-in services (standalone / demo mode)
+export { createStandaloneServices } from './standalone/index.js';
+
 // Export SillyTavern extension path
 export const SILLYTAVERN_EXTENSION_PATH = '../extensions/sillytavern/autoweave-extension.js';
 
@@ -4,6 +4,7 @@
  */
 
 import { EventEmitter } from 'events';
+import { applyPatch } from '../agui/json-patch.js';
 
 export class AutoWeaveAdapter extends EventEmitter {
     constructor(config = {}) {
@@ -12,16 +13,61 @@ export class AutoWeaveAdapter extends EventEmitter {
         this.config = {
             apiUrl: config.apiUrl || 'http://localhost:3000',
             wsUrl: config.wsUrl || 'ws://localhost:3000/ws',
+            // 'auto' falls back to Server-Sent Events when /ws cannot be reached
+            transport: config.transport || 'auto',
+            sseUrl: config.sseUrl || `${config.apiUrl || 'http://localhost:3000'}/agui/events`,
+            messagesUrl: config.messagesUrl || `${config.apiUrl || 'http://localhost:3000'}/agui/messages`,
             reconnectInterval: config.reconnectInterval || 5000,
             maxReconnectAttempts: config.maxReconnectAttempts || 10,
             ...config
         };
         
         this.ws = null;
+        this.eventSource = null;
+        this.transport = this.config.transport === 'sse' ? 'sse' : 'websocket';
+        this.wsOpened = false;
         this.reconnectAttempts = 0;
         this.isConnected = false;
         
-        this.initWebSocket();
+        // AG-UI session tracking for resume after reconnect
+        this.clientId = null;
+        this.sessionId = null;
+        this.lastSeq = 0;
+        this.pendingSessionId = null;
+        
+        // Shared UI state: last version confirmed by the server plus optimistic patches
+        this.serverState = {};
+        this.stateVersion = 0;
+        this.pendingPatches = [];
+        this.state = {};
+        this.patchCounter = 0;
+        
+        this.initTransport();
+    }
+
+    initTransport() {
+        if (this.transport === 'sse') {
+            this.initEventSource();
+        } else {
+            this.initWebSocket();
+        }
+    }
+
+    /**
+     * Switch to Server-Sent Events when the WebSocket never opened (e.g. a
+     * proxy blocking upgrades). Returns false when no fallback applies.
+     */
+    fallBackToSSE() {
+        if (this.config.transport !== 'auto' || this.transport === 'sse' || this.wsOpened) {
+            return false;
+        }
+
+        console.warn('AutoWeave WebSocket unavailable, falling back to Server-Sent Events');
+        this.ws = null;
+        this.transport = 'sse';
+        this.emit('transport', 'sse');
+        this.initEventSource();
+        return true;
     }
 
     /**
@@ -29,12 +75,24 @@ export class AutoWeaveAdapter extends EventEmitter {
      */
     initWebSocket() {
         try {
-            this.ws = new WebSocket(this.config.wsUrl);
+            // Browsers cannot set headers on a WebSocket: the token travels as a subprotocol
+            this.ws = this.config.token
+                ? new WebSocket(this.config.wsUrl, ['autoweave', `bearer.${this.config.token}`])
+                : new WebSocket(this.config.wsUrl);
             
             this.ws.onopen = () => {
                 console.log('AutoWeave WebSocket connected');
                 this.isConnected = true;
+                this.wsOpened = true;
                 this.reconnectAttempts = 0;
+                
+                if (this.sessionId) {
+                    this.sendWebSocketMessage('resume', {
+                        session_id: this.sessionId,
+                        last_seq: this.lastSeq
+                    });
+                }
+                
                 this.emit('connected');
             };
             
@@ -52,24 +110,164 @@ export class AutoWeaveAdapter extends EventEmitter {
                 this.emit('error', error);
             };
             
-            this.ws.onclose = () => {
+            this.ws.onclose = (event) => {
                 console.log('WebSocket disconnected');
-                this.isConnected = false;
-                this.emit('disconnected');
-                this.attemptReconnect();
+                if (!this.fallBackToSSE()) {
+                    this.handleClose(event);
+                }
             };
             
         } catch (error) {
             console.error('Failed to initialize WebSocket:', error);
+            if (!this.fallBackToSSE()) {
+                this.emit('error', error);
+            }
+        }
+    }
+
+    /**
+     * Initialize the Server-Sent Events stream. The session is resumed with
+     * the id of the last event received (EventSource sends it as
+     * Last-Event-ID when it reconnects by itself).
+     */
+    initEventSource() {
+        try {
+            const url = new URL(this.config.sseUrl);
+            // EventSource cannot set headers: the token travels in the query (or the autoweave_token cookie)
+            if (this.config.token) {
+                url.searchParams.set('token', this.config.token);
+            }
+            if (this.sessionId) {
+                url.searchParams.set('last_event_id', `${this.sessionId}:${this.lastSeq}`);
+            }
+            
+            this.eventSource = new EventSource(url.toString());
+            
+            this.eventSource.onopen = () => {
+                console.log('AutoWeave event stream connected');
+                this.isConnected = true;
+                this.reconnectAttempts = 0;
+                this.emit('connected');
+            };
+            
+            this.eventSource.onmessage = (event) => {
+                try {
+                    this.handleWebSocketMessage(JSON.parse(event.data));
+                } catch (error) {
+                    console.error('Failed to parse event stream message:', error);
+                }
+            };
+            
+            // Sent by the server before it ends the stream (same codes as WebSocket closes)
+            this.eventSource.addEventListener('close', (event) => {
+                this.closeEventSource();
+                this.handleClose(JSON.parse(event.data));
+            });
+            
+            this.eventSource.onerror = (error) => {
+                this.isConnected = false;
+                this.emit('error', error);
+                
+                // EventSource retries by itself unless the server refused the stream
+                if (this.eventSource && this.eventSource.readyState === 2) {
+                    this.closeEventSource();
+                    this.handleClose({ code: 1006 });
+                }
+            };
+            
+        } catch (error) {
+            console.error('Failed to initialize event stream:', error);
             this.emit('error', error);
         }
     }
 
+    closeEventSource() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+    }
+
+    handleClose(event) {
+        this.isConnected = false;
+        
+        // 4001: the server closed or evicted the session, start a new one.
+        // Other codes (e.g. 4002, too slow to consume events) keep it resumable.
+        if (event && event.code === 4001) {
+            this.sessionId = null;
+            this.lastSeq = 0;
+        }
+        
+        this.emit('disconnected');
+        this.attemptReconnect();
+    }
+
     /**
      * Handle incoming WebSocket messages
      */
     handleWebSocketMessage(message) {
+        const metadata = message.agui_metadata;
+        if (metadata && metadata.session_id === this.sessionId && metadata.seq > this.lastSeq) {
+            this.lastSeq = metadata.seq;
+        }
+        
         switch (message.type) {
+            case 'welcome':
+                this.clientId = message.content.client_id;
+                // Keep the previous session while a resume is in flight
+                if (this.sessionId) {
+                    this.pendingSessionId = message.content.session_id;
+                } else {
+                    this.sessionId = message.content.session_id;
+                    this.resetState();
+                }
+                // Events follow Accept-Language until the configured locale is announced
+                if (this.config.locale || this.config.timeZone) {
+                    this.setLocale(this.config.locale, this.config.timeZone);
+                }
+                this.emit('welcome', message.content);
+                break;
+            case 'locale':
+                this.emit('locale', message.content);
+                break;
+            case 'resumed':
+                this.pendingSessionId = null;
+                this.emit('resumed', message.content);
+                break;
+            case 'subscribed':
+            case 'unsubscribed':
+                this.emit('subscriptions', message.content);
+                break;
+            case 'resume_failed':
+                this.sessionId = message.content.current_session_id || this.pendingSessionId;
+                this.pendingSessionId = null;
+                this.lastSeq = 0;
+                this.resetState();
+                this.emit('resumeFailed', message.content);
+                break;
+            case 'state_snapshot':
+                this.serverState = message.content.state;
+                this.stateVersion = message.content.version;
+                this.rebaseState();
+                break;
+            case 'state_delta':
+                if (message.content.base_version !== this.stateVersion) {
+                    // Missed a change: ask for the full state
+                    this.sendWebSocketMessage('state_sync', {});
+                    break;
+                }
+                this.serverState = applyPatch(this.serverState, message.content.operations);
+                this.stateVersion = message.content.version;
+                this.rebaseState();
+                break;
+            case 'state_patch_accepted':
+                this.confirmPatch(message.content);
+                break;
+            case 'state_patch_rejected':
+                this.pendingPatches = this.pendingPatches.filter(p => p.patch_id !== message.content.patch_id);
+                this.rebaseState();
+                this.emit('statePatchRejected', message.content);
+                break;
             case 'chat':
                 this.emit('chat', message.content);
                 break;
@@ -82,6 +280,13 @@ export class AutoWeaveAdapter extends EventEmitter {
             case 'error':
                 this.emit('error', message.content);
                 break;
+            case 'notification':
+                this.emit('notification', message.content);
+                break;
+            case 'notifications':
+            case 'notifications_read':
+                this.emit('notifications', message.content);
+                break;
             default:
                 this.emit('message', message);
         }
@@ -101,14 +306,22 @@ export class AutoWeaveAdapter extends EventEmitter {
         console.log(`Attempting reconnect ${this.reconnectAttempts}/${this.config.maxReconnectAttempts}...`);
         
         setTimeout(() => {
-            this.initWebSocket();
+            this.initTransport();
         }, this.config.reconnectInterval);
     }
 
     /**
-     * Send message via WebSocket
+     * Send message via WebSocket (or POST it to the event stream's session)
      */
     sendWebSocketMessage(type, content) {
+        if (this.transport === 'sse') {
+            if (!this.isConnected || !this.clientId) {
+                throw new Error('Event stream not connected');
+            }
+            this.postMessage(type, content);
+            return;
+        }
+        
         if (!this.isConnected || !this.ws) {
             throw new Error('WebSocket not connected');
         }
@@ -116,6 +329,39 @@ export class AutoWeaveAdapter extends EventEmitter {
         this.ws.send(JSON.stringify({ type, content }));
     }
 
+    async postMessage(type, content) {
+        try {
+            const response = await fetch(this.config.messagesUrl, {
+                method: 'POST',
+                headers: this.streamHeaders(),
+                body: JSON.stringify({ type, content })
+            });
+            
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+        } catch (error) {
+            this.emit('error', error);
+        }
+    }
+
+    streamHeaders() {
+        return this.apiHeaders({
+            'Content-Type': 'application/json',
+            'X-AGUI-Client': this.clientId
+        });
+    }
+
+    /**
+     * Headers of REST calls; the token is the caller identity (routes check its scopes)
+     */
+    apiHeaders(headers = {}) {
+        return {
+            ...headers,
+            ...(this.config.token && { 'Authorization': `Bearer ${this.config.token}` })
+        };
+    }
+
     /**
      * Create a new agent
      */
@@ -123,9 +369,7 @@ export class AutoWeaveAdapter extends EventEmitter {
         try {
             const response = await fetch(`${this.config.apiUrl}/api/agents`, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
+                headers: this.apiHeaders({ 'Content-Type': 'application/json' }),
                 body: JSON.stringify({ description, ...options })
             });
             
@@ -148,7 +392,7 @@ export class AutoWeaveAdapter extends EventEmitter {
      */
     async getAgents() {
         try {
-            const response = await fetch(`${this.config.apiUrl}/api/agents`);
+            const response = await fetch(`${this.config.apiUrl}/api/agents`, { headers: this.apiHeaders() });
             
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -168,7 +412,8 @@ export class AutoWeaveAdapter extends EventEmitter {
     async deleteAgent(agentId) {
         try {
             const response = await fetch(`${this.config.apiUrl}/api/agents/${agentId}`, {
-                method: 'DELETE'
+                method: 'DELETE',
+                headers: this.apiHeaders()
             });
             
             if (!response.ok) {
@@ -191,9 +436,7 @@ export class AutoWeaveAdapter extends EventEmitter {
         try {
             const response = await fetch(`${this.config.apiUrl}/api/memory/search`, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
+                headers: this.apiHeaders({ 'Content-Type': 'application/json' }),
                 body: JSON.stringify({ query, ...options })
             });
             
@@ -222,9 +465,7 @@ export class AutoWeaveAdapter extends EventEmitter {
             // Also send via HTTP API
             const response = await fetch(`${this.config.apiUrl}/api/chat/completions`, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
+                headers: this.apiHeaders({ 'Content-Type': 'application/json' }),
                 body: JSON.stringify({
                     messages: [{ role: 'user', content: message }],
                     ...options
@@ -274,14 +515,135 @@ export class AutoWeaveAdapter extends EventEmitter {
     }
 
     /**
-     * Submit input form
+     * Subscribe to AG-UI topics (e.g. 'agents', 'agent:<id>', 'health')
+     */
+    subscribe(...topics) {
+        this.sendWebSocketMessage('subscribe', { topics });
+    }
+
+    /**
+     * Unsubscribe from AG-UI topics (no topics: unsubscribe from all)
      */
-    submitInput(action, values) {
+    unsubscribe(...topics) {
+        this.sendWebSocketMessage('unsubscribe', topics.length > 0 ? { topics } : { all: true });
+    }
+
+    /**
+     * Submit input form (pass the form_id of the display-form event being answered)
+     */
+    submitInput(action, values, formId = null) {
         if (!this.isConnected) {
             throw new Error('WebSocket not connected');
         }
         
-        this.sendWebSocketMessage('input', { action, values });
+        this.sendWebSocketMessage('input', formId ? { action, form_id: formId, values } : { action, values });
+    }
+
+    /**
+     * Start a server-side wizard (e.g. 'create-agent', 'integration-agent', 'kagent-deploy')
+     */
+    startWizard(wizard, data = {}) {
+        if (!this.isConnected) {
+            throw new Error('WebSocket not connected');
+        }
+
+        this.sendWebSocketMessage('wizard', { action: 'start', wizard, data });
+    }
+
+    /**
+     * Control the active wizard: 'back', 'cancel', 'resume' or 'list'
+     */
+    wizardAction(action) {
+        if (!this.isConnected) {
+            throw new Error('WebSocket not connected');
+        }
+
+        this.sendWebSocketMessage('wizard', { action });
+    }
+
+    /**
+     * Ask the server to render the next events in a locale (e.g. 'fr', or a
+     * list of tags by preference) and time zone (IANA name)
+     */
+    setLocale(locale, timeZone = null) {
+        this.sendWebSocketMessage('hello', {
+            ...(locale && { locale }),
+            ...(timeZone && { time_zone: timeZone })
+        });
+    }
+
+    /**
+     * Ask for the notifications of the session's user ({ unread, severity, source, limit })
+     */
+    listNotifications(filters = {}) {
+        this.sendWebSocketMessage('notification', { action: 'list', ...filters });
+    }
+
+    /**
+     * Mark notifications as read (all of them when no ids are given)
+     */
+    acknowledgeNotifications(ids = null) {
+        this.sendWebSocketMessage('notification', ids ? { action: 'ack', ids } : { action: 'ack' });
+    }
+
+    /**
+     * Optimistically apply a JSON Patch to the shared UI state and send it to
+     * the server; it is rolled back if the server rejects it.
+     */
+    patchState(operations) {
+        if (!this.isConnected) {
+            throw new Error('WebSocket not connected');
+        }
+        
+        const patch = {
+            patch_id: `patch-${++this.patchCounter}`,
+            base_version: this.stateVersion + this.pendingPatches.length,
+            operations
+        };
+        
+        // Throws before anything is sent if the patch does not apply locally
+        this.state = applyPatch(this.state, operations);
+        this.pendingPatches.push(patch);
+        this.sendWebSocketMessage('state_patch', patch);
+        this.emit('state', this.state, this.stateVersion);
+        
+        return patch.patch_id;
+    }
+
+    confirmPatch({ patch_id: patchId, version }) {
+        const patch = this.pendingPatches.find(p => p.patch_id === patchId);
+        if (!patch) {
+            return;
+        }
+        
+        this.pendingPatches = this.pendingPatches.filter(p => p !== patch);
+        this.serverState = applyPatch(this.serverState, patch.operations);
+        this.stateVersion = version;
+        this.rebaseState();
+    }
+
+    /**
+     * Recompute the local state from the server state and pending patches
+     */
+    rebaseState() {
+        let state = this.serverState;
+        for (const patch of this.pendingPatches) {
+            try {
+                state = applyPatch(state, patch.operations);
+            } catch (error) {
+                // The server will reject it as well
+            }
+        }
+        
+        this.state = state;
+        this.emit('state', this.state, this.stateVersion);
+    }
+
+    resetState() {
+        this.serverState = {};
+        this.stateVersion = 0;
+        this.pendingPatches = [];
+        this.state = {};
     }
 
     /**
@@ -289,9 +651,17 @@ export class AutoWeaveAdapter extends EventEmitter {
      */
     disconnect() {
         if (this.ws) {
-            this.ws.close();
+            // Normal closure tells the server the session will not be resumed
+            this.ws.close(1000, 'Client disconnect');
             this.ws = null;
         }
+        if (this.eventSource) {
+            if (this.clientId) {
+                fetch(this.config.sseUrl, { method: 'DELETE', headers: this.streamHeaders(), keepalive: true })
+                    .catch(() => {});
+            }
+            this.closeEventSource();
+        }
         this.isConnected = false;
         this.removeAllListeners();
     }
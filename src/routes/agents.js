@@ -1,7 +1,10 @@
 const express = require('express');
 const { Logger } = require('../utils/logger');
 const { Validator } = require('../utils/validation');
+const { requireScope, callerId } = require('../auth/rest-auth');
+const { tenantOf, requireQuota } = require('../tenants/tenant-middleware');
 const { IntegrationAgentModule } = require('../agents/integration-agent');
+const operationRoutes = require('./operations');
 
 const router = express.Router();
 const logger = new Logger('AgentRoutes');
@@ -12,6 +15,9 @@ let agentService = null;
 // Integration Agent Module
 let integrationAgentModule = null;
 
+// UI agent publishing agent changes to topic subscribers (set by the UI server)
+let uiAgent = null;
+
 // Middleware to check if agent service is initialized
 const checkAgentService = (req, res, next) => {
     if (!agentService) {
@@ -23,6 +29,47 @@ const checkAgentService = (req, res, next) => {
     next();
 };
 
+/**
+ * Agents of the caller's tenant. Services receive the tenant context and tag
+ * agents with `tenant`; untagged agents belong to the default tenant.
+ */
+async function listTenantAgents(req) {
+    const tenant = tenantOf(req);
+    const agents = await agentService.listAgents(tenant.context());
+    return agents.filter(agent => tenant.owns(agent));
+}
+
+// Agents quota: the tenant's agents and integration agents
+async function countTenantAgents(req, tenant) {
+    const agents = agentService ? await listTenantAgents(req) : [];
+    const integrationAgents = integrationAgentModule
+        ? (await integrationAgentModule.listIntegrationAgents()).filter(agent => tenant.owns(agent))
+        : [];
+    return agents.length + integrationAgents.length;
+}
+
+// Loads req.agent; agents of other tenants are reported not found
+const loadAgent = async (req, res, next) => {
+    const tenant = tenantOf(req);
+    try {
+        const agent = await agentService.getAgentStatus(req.params.id, tenant.context());
+        if (!agent || !tenant.owns(agent)) {
+            return res.status(404).json({
+                error: 'Agent not found',
+                agentId: req.params.id
+            });
+        }
+        req.agent = agent;
+        next();
+    } catch (error) {
+        logger.error(`Failed to get agent ${req.params.id}:`, error);
+        res.status(500).json({
+            error: 'Failed to get agent status',
+            message: error.message
+        });
+    }
+};
+
 // Set agent service (called by AutoWeave core)
 router.setAgentService = (service) => {
     agentService = service;
@@ -35,13 +82,28 @@ router.setIntegrationAgentModule = (module) => {
     logger.info('Integration Agent Module set for routes');
 };
 
+// Set UI agent (called by the UI server)
+router.setUIAgent = (agent) => {
+    uiAgent = agent;
+    logger.info('UI agent set for agent routes');
+};
+
+// Agent changes reach the `agents` and `agent:<id>` subscribers of the caller's tenant
+// (creations through operations are published by the UI agent)
+const publishChange = (req, update) => {
+    uiAgent?.publishUpdate('agents', { resource: 'agent', ...update }, { tenant: tenantOf(req).id })
+        .catch(error => logger.error(`Failed to publish agent ${update.id} ${update.change}:`, error));
+};
+
 /**
  * @route POST /api/agents
  * @desc Create and deploy a new agent
  */
-router.post('/', checkAgentService, async (req, res) => {
+router.post('/', requireScope('agents:write'), checkAgentService, requireQuota('agents', countTenantAgents), async (req, res) => {
     try {
-        const { description, userId = 'system' } = req.body;
+        const { description } = req.body;
+        const userId = callerId(req, req.body.userId, 'system');
+        const tenant = tenantOf(req);
         
         // Validation
         if (!description) {
@@ -54,12 +116,18 @@ router.post('/', checkAgentService, async (req, res) => {
         Validator.validateAgentDescription(description);
         
         // Create and deploy agent
-        const result = await agentService.createAndDeployAgent(description, userId);
+        const run = await operationRoutes.runOperation(req, res, 'agent-deploy', 'Deploy agent',
+            () => agentService.createAndDeployAgent(description, userId, tenant.context()));
+        if (!run) {
+            return; // Accepted, runs in the background
+        }
+        const result = run.result;
         
         logger.info(`Agent created: ${result.workflow.name}`);
         
         res.status(201).json({
             success: true,
+            operation_id: run.operationId,
             agent: {
                 id: result.workflow.id,
                 name: result.workflow.name,
@@ -98,9 +166,9 @@ router.post('/', checkAgentService, async (req, res) => {
  * @route GET /api/agents
  * @desc List all agents
  */
-router.get('/', checkAgentService, async (req, res) => {
+router.get('/', requireScope('agents:read'), checkAgentService, async (req, res) => {
     try {
-        const agents = await agentService.listAgents();
+        const agents = await listTenantAgents(req);
         
         res.json({
             success: true,
@@ -128,42 +196,23 @@ router.get('/', checkAgentService, async (req, res) => {
  * @route GET /api/agents/:id
  * @desc Get agent details and status
  */
-router.get('/:id', checkAgentService, async (req, res) => {
-    try {
-        const { id } = req.params;
-        const agent = await agentService.getAgentStatus(id);
-        
-        if (!agent) {
-            return res.status(404).json({
-                error: 'Agent not found',
-                agentId: id
-            });
-        }
-        
-        res.json({
-            success: true,
-            agent
-        });
-        
-    } catch (error) {
-        logger.error(`Failed to get agent ${req.params.id}:`, error);
-        res.status(500).json({
-            error: 'Failed to get agent status',
-            message: error.message
-        });
-    }
+router.get('/:id', requireScope('agents:read'), checkAgentService, loadAgent, (req, res) => {
+    res.json({
+        success: true,
+        agent: req.agent
+    });
 });
 
 /**
  * @route PUT /api/agents/:id
  * @desc Update agent configuration
  */
-router.put('/:id', checkAgentService, async (req, res) => {
+router.put('/:id', requireScope('agents:write'), checkAgentService, loadAgent, async (req, res) => {
     try {
         const { id } = req.params;
         const updates = req.body;
         
-        const agent = await agentService.updateAgent(id, updates);
+        const agent = await agentService.updateAgent(id, updates, tenantOf(req).context());
         
         if (!agent) {
             return res.status(404).json({
@@ -171,6 +220,7 @@ router.put('/:id', checkAgentService, async (req, res) => {
                 agentId: id
             });
         }
+        publishChange(req, { id, change: 'updated', data: agent });
         
         res.json({
             success: true,
@@ -191,12 +241,13 @@ router.put('/:id', checkAgentService, async (req, res) => {
  * @route DELETE /api/agents/:id
  * @desc Delete an agent
  */
-router.delete('/:id', checkAgentService, async (req, res) => {
+router.delete('/:id', requireScope('agents:write'), checkAgentService, loadAgent, async (req, res) => {
     try {
         const { id } = req.params;
-        await agentService.deleteAgent(id);
+        await agentService.deleteAgent(id, tenantOf(req).context());
         
         logger.info(`Agent ${id} deleted`);
+        publishChange(req, { id, change: 'deleted' });
         
         res.json({
             success: true,
@@ -225,10 +276,11 @@ router.delete('/:id', checkAgentService, async (req, res) => {
  * @route POST /api/agents/:id/start
  * @desc Start an agent
  */
-router.post('/:id/start', checkAgentService, async (req, res) => {
+router.post('/:id/start', requireScope('agents:write'), checkAgentService, loadAgent, async (req, res) => {
     try {
         const { id } = req.params;
-        const result = await agentService.startAgent(id);
+        const result = await agentService.startAgent(id, tenantOf(req).context());
+        publishChange(req, { id, change: 'started', data: { status: result.status } });
         
         res.json({
             success: true,
@@ -250,10 +302,11 @@ router.post('/:id/start', checkAgentService, async (req, res) => {
  * @route POST /api/agents/:id/stop
  * @desc Stop an agent
  */
-router.post('/:id/stop', checkAgentService, async (req, res) => {
+router.post('/:id/stop', requireScope('agents:write'), checkAgentService, loadAgent, async (req, res) => {
     try {
         const { id } = req.params;
-        const result = await agentService.stopAgent(id);
+        const result = await agentService.stopAgent(id, tenantOf(req).context());
+        publishChange(req, { id, change: 'stopped', data: { status: result.status } });
         
         res.json({
             success: true,
@@ -275,12 +328,12 @@ router.post('/:id/stop', checkAgentService, async (req, res) => {
  * @route GET /api/agents/:id/logs
  * @desc Get agent logs
  */
-router.get('/:id/logs', checkAgentService, async (req, res) => {
+router.get('/:id/logs', requireScope('agents:read'), checkAgentService, loadAgent, async (req, res) => {
     try {
         const { id } = req.params;
         const { limit = 100, since } = req.query;
         
-        const logs = await agentService.getAgentLogs(id, { limit: parseInt(limit), since });
+        const logs = await agentService.getAgentLogs(id, { limit: parseInt(limit), since }, tenantOf(req).context());
         
         res.json({
             success: true,
@@ -301,10 +354,10 @@ router.get('/:id/logs', checkAgentService, async (req, res) => {
  * @route GET /api/agents/:id/metrics
  * @desc Get agent metrics
  */
-router.get('/:id/metrics', checkAgentService, async (req, res) => {
+router.get('/:id/metrics', requireScope('agents:read'), checkAgentService, loadAgent, async (req, res) => {
     try {
         const { id } = req.params;
-        const metrics = await agentService.getAgentMetrics(id);
+        const metrics = await agentService.getAgentMetrics(id, tenantOf(req).context());
         
         res.json({
             success: true,
@@ -329,7 +382,7 @@ router.get('/:id/metrics', checkAgentService, async (req, res) => {
  * @route POST /api/agents/integration
  * @desc Create integration agent from OpenAPI specification
  */
-router.post('/integration', async (req, res) => {
+router.post('/integration', requireScope('agents:write'), requireQuota('agents', countTenantAgents), async (req, res) => {
     try {
         const { openapi_url, target_namespace, git_repo, deploy_config } = req.body;
         
@@ -349,12 +402,16 @@ router.post('/integration', async (req, res) => {
         
         logger.info('Creating integration agent:', { openapi_url, target_namespace, git_repo });
         
+        // Tenants with a namespace of their own deploy there
+        const tenant = tenantOf(req);
         const result = await integrationAgentModule.createIntegrationAgent({
             openapi_url,
-            target_namespace,
+            target_namespace: tenant.namespace || target_namespace,
             git_repo,
-            deploy_config
+            deploy_config,
+            tenant: tenant.id
         });
+        publishChange(req, { id: result.agentId ?? null, change: 'created', data: result });
         
         res.json({
             success: true,
@@ -375,7 +432,7 @@ router.post('/integration', async (req, res) => {
  * @route GET /api/agents/integration
  * @desc List all integration agents
  */
-router.get('/integration', async (req, res) => {
+router.get('/integration', requireScope('agents:read'), async (req, res) => {
     try {
         if (!integrationAgentModule) {
             return res.status(503).json({
@@ -383,7 +440,8 @@ router.get('/integration', async (req, res) => {
             });
         }
         
-        const agents = await integrationAgentModule.listIntegrationAgents();
+        const tenant = tenantOf(req);
+        const agents = (await integrationAgentModule.listIntegrationAgents()).filter(agent => tenant.owns(agent));
         
         res.json({
             success: true,
@@ -404,7 +462,7 @@ router.get('/integration', async (req, res) => {
  * @route GET /api/agents/integration/:id
  * @desc Get integration agent status
  */
-router.get('/integration/:id', async (req, res) => {
+router.get('/integration/:id', requireScope('agents:read'), async (req, res) => {
     try {
         const { id } = req.params;
         
@@ -415,6 +473,12 @@ router.get('/integration/:id', async (req, res) => {
         }
         
         const agent = await integrationAgentModule.getIntegrationAgentStatus(id);
+        if (!tenantOf(req).owns(agent)) {
+            return res.status(404).json({
+                error: 'Integration agent not found',
+                agentId: id
+            });
+        }
         
         res.json({
             success: true,
@@ -442,7 +506,7 @@ router.get('/integration/:id', async (req, res) => {
  * @route DELETE /api/agents/integration/:id
  * @desc Delete integration agent
  */
-router.delete('/integration/:id', async (req, res) => {
+router.delete('/integration/:id', requireScope('agents:write'), async (req, res) => {
     try {
         const { id } = req.params;
         
@@ -452,7 +516,14 @@ router.delete('/integration/:id', async (req, res) => {
             });
         }
         
+        if (!tenantOf(req).owns(await integrationAgentModule.getIntegrationAgentStatus(id))) {
+            return res.status(404).json({
+                error: 'Integration agent not found',
+                agentId: id
+            });
+        }
         const result = await integrationAgentModule.deleteIntegrationAgent(id);
+        publishChange(req, { id, change: 'deleted' });
         
         res.json({
             success: true,
@@ -479,9 +550,9 @@ router.delete('/integration/:id', async (req, res) => {
 
 /**
  * @route GET /api/agents/integration/metrics
- * @desc Get integration agent metrics
+ * @desc Get integration agent metrics (all tenants: admin only)
  */
-router.get('/integration/metrics', async (req, res) => {
+router.get('/integration/metrics', requireScope('superadmin'), async (req, res) => {
     try {
         if (!integrationAgentModule) {
             return res.status(503).json({
@@ -507,9 +578,9 @@ router.get('/integration/metrics', async (req, res) => {
 
 /**
  * @route GET /api/agents/integration/metrics/prometheus
- * @desc Get Prometheus metrics for integration agents
+ * @desc Get Prometheus metrics for integration agents (all tenants: admin only)
  */
-router.get('/integration/metrics/prometheus', async (req, res) => {
+router.get('/integration/metrics/prometheus', requireScope('superadmin'), async (req, res) => {
     try {
         if (!integrationAgentModule) {
             return res.status(503).json({
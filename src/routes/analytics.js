@@ -0,0 +1,59 @@
+const express = require('express');
+const { Logger } = require('../utils/logger');
+const { requireScope } = require('../auth/rest-auth');
+
+const router = express.Router();
+const logger = new Logger('AnalyticsRoutes');
+
+// Prometheus text exposition format
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// UI agent will be set by the UI server
+let uiAgent = null;
+
+// Middleware to check if the UI agent is set
+const checkUIAgent = (req, res, next) => {
+    if (!uiAgent) {
+        return res.status(503).json({
+            error: 'UI agent not initialized',
+            message: 'AG-UI analytics are available once the UI agent is running'
+        });
+    }
+    next();
+};
+
+// Set UI agent (called by the UI server)
+router.setUIAgent = (agent) => {
+    uiAgent = agent;
+    logger.info('UI agent set for analytics routes');
+};
+
+const sendPrometheus = (res) => {
+    res.type(PROMETHEUS_CONTENT_TYPE).send(uiAgent.getPrometheusMetrics());
+};
+
+/**
+ * @route GET /api/analytics
+ * @desc AG-UI event generation statistics with the analytics counters
+ *       (?format=prometheus for the Prometheus text format)
+ */
+router.get('/', requireScope('metrics:read'), checkUIAgent, (req, res) => {
+    if (req.query.format === 'prometheus') {
+        return sendPrometheus(res);
+    }
+
+    res.json({
+        success: true,
+        stats: uiAgent.getEventGenerationStats()
+    });
+});
+
+/**
+ * @route GET /api/analytics/metrics
+ * @desc Analytics counters in the Prometheus text format (scrape target)
+ */
+router.get('/metrics', requireScope('metrics:read'), checkUIAgent, (req, res) => {
+    sendPrometheus(res);
+});
+
+module.exports = router;
@@ -5,12 +5,59 @@
 
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
+import { requireScope } from '../auth/rest-auth.js';
+import { tenantOf, requireQuota } from '../tenants/tenant-middleware.js';
 
 const router = express.Router();
 
-// In-memory storage for tasks (replace with database in production)
+// In-memory storage for tasks (replace with database in production);
+// each task is tagged with the tenant that created it
 const tasks = new Map();
 
+const ACTIVE_STATUSES = ['pending', 'processing'];
+
+// Notification center told about failed tasks (set by the UI server)
+let notificationCenter = null;
+
+router.setNotificationCenter = (center) => {
+    notificationCenter = center;
+};
+
+// UI agent publishing task status changes to the `anp:tasks` topic (set by the UI server)
+let uiAgent = null;
+
+router.setUIAgent = (agent) => {
+    uiAgent = agent;
+};
+
+/**
+ * Tell the `anp:tasks` subscribers of the task's tenant about its status
+ */
+function publishTask(task) {
+    uiAgent?.publishUpdate('anp:tasks', {
+        resource: 'anp_task',
+        id: task.id,
+        change: task.status,
+        message: `ANP task ${task.status}`,
+        data: { id: task.id, status: task.status, completedAt: task.completedAt || null, result: task.result || null, error: task.error || null }
+    }, { tenant: task.tenant }).catch(error => console.error(`Failed to publish ANP task ${task.id}:`, error));
+}
+
+/**
+ * Task of the caller's tenant, or null (tasks of other tenants are not found)
+ */
+function findTask(req) {
+    const task = tasks.get(req.params.id);
+    return task && tenantOf(req).owns(task) ? task : null;
+}
+
+// Tasks quota: the tenant's pending and processing tasks
+function countActiveTasks(req, tenant) {
+    return Array.from(tasks.values())
+        .filter(task => tenant.owns(task) && ACTIVE_STATUSES.includes(task.status))
+        .length;
+}
+
 /**
  * Get AutoWeave agent card
  */
@@ -51,7 +98,7 @@ router.get('/agent', (req, res) => {
 /**
  * Create ANP task
  */
-router.post('/agent/tasks', (req, res) => {
+router.post('/agent/tasks', requireScope('agents:write'), requireQuota('tasks', countActiveTasks), (req, res) => {
     const { input, tools = [] } = req.body;
     
     if (!input) {
@@ -63,6 +110,8 @@ router.post('/agent/tasks', (req, res) => {
     const taskId = uuidv4();
     const task = {
         id: taskId,
+        tenant: tenantOf(req).id,
+        createdBy: req.identity?.id || null,
         input,
         tools,
         status: 'pending',
@@ -71,6 +120,7 @@ router.post('/agent/tasks', (req, res) => {
     };
     
     tasks.set(taskId, task);
+    publishTask(task);
     
     // Start task processing asynchronously
     processTask(taskId);
@@ -85,8 +135,8 @@ router.post('/agent/tasks', (req, res) => {
 /**
  * Get task status
  */
-router.get('/agent/tasks/:id', (req, res) => {
-    const task = tasks.get(req.params.id);
+router.get('/agent/tasks/:id', requireScope('agents:read'), (req, res) => {
+    const task = findTask(req);
     
     if (!task) {
         return res.status(404).json({ 
@@ -108,8 +158,8 @@ router.get('/agent/tasks/:id', (req, res) => {
 /**
  * Get task execution steps
  */
-router.get('/agent/tasks/:id/steps', (req, res) => {
-    const task = tasks.get(req.params.id);
+router.get('/agent/tasks/:id/steps', requireScope('agents:read'), (req, res) => {
+    const task = findTask(req);
     
     if (!task) {
         return res.status(404).json({ 
@@ -225,6 +275,7 @@ async function processTask(taskId) {
     try {
         // Update status
         task.status = 'processing';
+        publishTask(task);
         task.steps.push({
             step: 1,
             action: 'parsing_input',
@@ -253,11 +304,24 @@ async function processTask(taskId) {
             action: 'task_completed',
             timestamp: new Date().toISOString()
         });
+        publishTask(task);
         
     } catch (error) {
         task.status = 'failed';
         task.error = error.message;
         task.completedAt = new Date().toISOString();
+        publishTask(task);
+
+        notificationCenter?.notify({
+            severity: 'error',
+            source: 'anp',
+            title: 'ANP task failed',
+            message: error.message,
+            data: { task_id: taskId },
+            tenant: task.tenant,
+            // Tasks are private to their tenant: only their creator is told when known
+            ...(task.createdBy ? { user_id: task.createdBy } : { permission: 'agents:write' })
+        });
     }
     
     tasks.set(taskId, task);
@@ -1,6 +1,8 @@
 const express = require('express');
 const { Logger } = require('../utils/logger');
 const { Validator } = require('../utils/validation');
+const { requireScope, requireSelfOrAdmin, callerId } = require('../auth/rest-auth');
+const { tenantOf, consumeQuota } = require('../tenants/tenant-middleware');
 
 const router = express.Router();
 const logger = new Logger('ChatRoutes');
@@ -29,16 +31,19 @@ router.setChatService = (service) => {
  * @route POST /api/chat
  * @desc OpenAI-compatible chat completions endpoint for SillyTavern
  */
-router.post('/', checkChatService, async (req, res) => {
+router.post('/', requireScope('chat:write'), checkChatService, consumeQuota('chat_messages_per_day'), async (req, res) => {
     try {
         const { 
             messages, 
             model = 'autoweave-agent', 
             max_tokens = 1000, 
             temperature = 0.7,
-            stream = false,
-            user = 'anonymous'
+            stream = false
         } = req.body;
+        // The caller, not the OpenAI `user` field, when authentication is on
+        const user = callerId(req, req.body.user);
+        // Chat memory is kept per tenant (see tenantKey)
+        const tenant = tenantOf(req);
         
         // Validation
         if (!messages || !Array.isArray(messages)) {
@@ -86,7 +91,8 @@ router.post('/', checkChatService, async (req, res) => {
                 max_tokens,
                 temperature,
                 conversationContext: messages,
-                user
+                user: tenant.key(user),
+                tenant: tenant.id
             });
         }
         
@@ -96,7 +102,8 @@ router.post('/', checkChatService, async (req, res) => {
             max_tokens,
             temperature,
             conversationContext: messages,
-            user
+            user: tenant.key(user),
+            tenant: tenant.id
         });
         
         // Return OpenAI-compatible response
@@ -147,7 +154,7 @@ async function handleStreamingChat(req, res, options) {
         res.setHeader('Connection', 'keep-alive');
         res.setHeader('Access-Control-Allow-Origin', '*');
         
-        const { message, model, max_tokens, temperature, conversationContext, user } = options;
+        const { message, model, max_tokens, temperature, conversationContext, user, tenant } = options;
         
         // Start streaming response
         const streamId = `chatcmpl-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
@@ -174,6 +181,7 @@ async function handleStreamingChat(req, res, options) {
             temperature,
             conversationContext,
             user,
+            tenant,
             stream: true,
             onChunk: (chunk) => {
                 const chunkData = {
@@ -228,16 +236,19 @@ async function handleStreamingChat(req, res, options) {
  * @route POST /api/chat/completions
  * @desc OpenAI-compatible chat completions endpoint
  */
-router.post('/completions', checkChatService, async (req, res) => {
+router.post('/completions', requireScope('chat:write'), checkChatService, consumeQuota('chat_messages_per_day'), async (req, res) => {
     try {
         const { 
             messages, 
             model = 'gpt-3.5-turbo', 
             max_tokens = 1000, 
             temperature = 0.7,
-            stream = false,
-            user = 'anonymous'
+            stream = false
         } = req.body;
+        // The caller, not the OpenAI `user` field, when authentication is on
+        const user = callerId(req, req.body.user);
+        // Chat memory is kept per tenant (see tenantKey)
+        const tenant = tenantOf(req);
         
         // Validation
         if (!messages || !Array.isArray(messages)) {
@@ -285,7 +296,8 @@ router.post('/completions', checkChatService, async (req, res) => {
                 max_tokens,
                 temperature,
                 conversationContext: messages,
-                user
+                user: tenant.key(user),
+                tenant: tenant.id
             });
         }
         
@@ -295,7 +307,8 @@ router.post('/completions', checkChatService, async (req, res) => {
             max_tokens,
             temperature,
             conversationContext: messages,
-            user
+            user: tenant.key(user),
+            tenant: tenant.id
         });
         
         // Return OpenAI-compatible response
@@ -371,9 +384,10 @@ router.get('/models', (req, res) => {
  * @route POST /api/chat/memory
  * @desc Add message to conversation memory
  */
-router.post('/memory', checkChatService, async (req, res) => {
+router.post('/memory', requireScope('memory:write'), checkChatService, consumeQuota('memories'), async (req, res) => {
     try {
-        const { message, userId = 'anonymous', metadata = {} } = req.body;
+        const { message, metadata = {} } = req.body;
+        const userId = callerId(req, req.body.userId);
         
         if (!message) {
             return res.status(400).json({
@@ -382,7 +396,7 @@ router.post('/memory', checkChatService, async (req, res) => {
             });
         }
         
-        const result = await chatService.addToMemory(message, userId, metadata);
+        const result = await chatService.addToMemory(message, tenantOf(req).key(userId), metadata);
         
         res.json({
             success: true,
@@ -403,12 +417,12 @@ router.post('/memory', checkChatService, async (req, res) => {
  * @route GET /api/chat/memory/:userId
  * @desc Get conversation memory for user
  */
-router.get('/memory/:userId', checkChatService, async (req, res) => {
+router.get('/memory/:userId', requireScope('memory:read'), requireSelfOrAdmin('userId'), checkChatService, async (req, res) => {
     try {
         const { userId } = req.params;
         const { limit = 10 } = req.query;
         
-        const memory = await chatService.getMemory(userId, { limit: parseInt(limit) });
+        const memory = await chatService.getMemory(tenantOf(req).key(userId), { limit: parseInt(limit) });
         
         res.json({
             success: true,
@@ -429,10 +443,10 @@ router.get('/memory/:userId', checkChatService, async (req, res) => {
  * @route DELETE /api/chat/memory/:userId
  * @desc Clear conversation memory for user
  */
-router.delete('/memory/:userId', checkChatService, async (req, res) => {
+router.delete('/memory/:userId', requireScope('memory:write'), requireSelfOrAdmin('userId'), checkChatService, async (req, res) => {
     try {
         const { userId } = req.params;
-        await chatService.clearMemory(userId);
+        await chatService.clearMemory(tenantOf(req).key(userId));
         
         res.json({
             success: true,
@@ -1,5 +1,8 @@
 const express = require('express');
 const { Logger } = require('../utils/logger');
+const operationRoutes = require('./operations');
+const { requireScope } = require('../auth/rest-auth');
+const { tenantOf } = require('../tenants/tenant-middleware');
 
 const router = express.Router();
 const logger = new Logger('ConfigRoutes');
@@ -23,7 +26,7 @@ function setServices(services) {
  * POST /api/config/generate-with-fresh
  * Generate configuration with fresh sources
  */
-router.post('/generate-with-fresh', async (req, res) => {
+router.post('/generate-with-fresh', requireScope('config:write'), async (req, res) => {
     try {
         const { intent, options } = req.body;
         
@@ -36,14 +39,19 @@ router.post('/generate-with-fresh', async (req, res) => {
         
         logger.info('Generating configuration for intent:', intent);
         
-        const configuration = await configIntelligence.generateConfiguration(intent, options || {});
+        const run = await operationRoutes.runOperation(req, res, 'config-generation', 'Generate configuration',
+            () => configIntelligence.generateConfiguration(intent, options || {}));
+        if (!run) {
+            return; // Accepted, runs in the background
+        }
         
         res.json({
             success: true,
-            configuration,
+            configuration: run.result,
             metadata: {
                 generatedAt: new Date().toISOString(),
-                intent
+                intent,
+                operationId: run.operationId
             }
         });
         
@@ -60,7 +68,7 @@ router.post('/generate-with-fresh', async (req, res) => {
  * GET /api/config/suggestions
  * Get configuration suggestions based on partial intent
  */
-router.get('/suggestions', async (req, res) => {
+router.get('/suggestions', requireScope('config:read'), async (req, res) => {
     try {
         const { q } = req.query;
         
@@ -91,7 +99,7 @@ router.get('/suggestions', async (req, res) => {
  * GET /api/sources/latest/:type/:name
  * Get latest version information for a package
  */
-router.get('/sources/latest/:type/:name', async (req, res) => {
+router.get('/sources/latest/:type/:name', requireScope('config:read'), async (req, res) => {
     try {
         const { type, name } = req.params;
         
@@ -136,7 +144,7 @@ router.get('/sources/latest/:type/:name', async (req, res) => {
  * POST /api/sources/search
  * Search packages across multiple registries
  */
-router.post('/sources/search', async (req, res) => {
+router.post('/sources/search', requireScope('config:read'), async (req, res) => {
     try {
         const { query, options } = req.body;
         
@@ -167,7 +175,7 @@ router.post('/sources/search', async (req, res) => {
  * POST /api/sources/check-outdated
  * Check if package versions are outdated
  */
-router.post('/sources/check-outdated', async (req, res) => {
+router.post('/sources/check-outdated', requireScope('config:read'), async (req, res) => {
     try {
         const { packages } = req.body;
         
@@ -208,7 +216,7 @@ router.post('/sources/check-outdated', async (req, res) => {
  * POST /api/debug/diagnose
  * Diagnose issues with an agent or application
  */
-router.post('/debug/diagnose', async (req, res) => {
+router.post('/debug/diagnose', requireScope('agents:read'), async (req, res) => {
     try {
         const { identifier, options } = req.body;
         
@@ -221,7 +229,7 @@ router.post('/debug/diagnose', async (req, res) => {
         
         logger.info('Starting diagnosis for:', identifier);
         
-        const diagnosis = await debuggingAgent.diagnose(identifier, options || {});
+        const diagnosis = await debuggingAgent.diagnose(identifier, options || {}, tenantOf(req).context());
         
         res.json({
             success: true,
@@ -241,7 +249,7 @@ router.post('/debug/diagnose', async (req, res) => {
  * POST /api/gitops/validate
  * Validate GitOps configuration
  */
-router.post('/gitops/validate', async (req, res) => {
+router.post('/gitops/validate', requireScope('config:read'), async (req, res) => {
     try {
         const { manifests } = req.body;
         
@@ -1,5 +1,6 @@
 const express = require('express');
 const { Logger } = require('../utils/logger');
+const { requireScope } = require('../auth/rest-auth');
 
 const router = express.Router();
 const logger = new Logger('HealthRoutes');
@@ -180,7 +181,7 @@ router.get('/metrics', async (req, res) => {
  * @route POST /api/health/test
  * @desc Test system health (for development)
  */
-router.post('/test', async (req, res) => {
+router.post('/test', requireScope('superadmin'), async (req, res) => {
     if (process.env.NODE_ENV === 'production') {
         return res.status(403).json({
             error: 'Health test endpoint not available in production'
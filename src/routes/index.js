@@ -11,47 +11,69 @@ const chatRoutes = require('./chat');
 const healthRoutes = require('./health');
 const kagentRoutes = require('./kagent');
 const configRoutes = require('./config');
+const recordingRoutes = require('./recordings');
+const operationRoutes = require('./operations');
+const notificationRoutes = require('./notifications');
+const analyticsRoutes = require('./analytics');
+const tenantRoutes = require('./tenants');
+const { ServiceContainer } = require('./service-container');
+const { createRestAuthenticator } = require('../auth/rest-auth');
+const { createTenantResolver } = require('../tenants/tenant-middleware');
 
 /**
  * Routes Index - Central routing configuration for AutoWeave API
  * Provides organized route mounting and service injection
  */
 class RoutesIndex {
-    constructor() {
+    constructor(container = new ServiceContainer()) {
         this.routes = {
             memory: memoryRoutes,
             agents: agentRoutes,
             chat: chatRoutes,
             health: healthRoutes,
             kagent: kagentRoutes,
-            config: configRoutes
+            config: configRoutes,
+            recordings: recordingRoutes,
+            operations: operationRoutes,
+            notifications: notificationRoutes,
+            analytics: analyticsRoutes,
+            tenants: tenantRoutes
         };
         
-        this.services = {
-            memoryManager: null,
-            agentService: null,
-            integrationAgentModule: null,
-            chatService: null,
-            healthService: null,
-            kagentService: null,
-            configIntelligence: null,
-            freshSources: null,
-            debuggingAgent: null
-        };
+        // Shared with createApp() when given; this.services is its registry
+        this.container = container;
+    }
+
+    get services() {
+        return this.container.services;
     }
     
     /**
-     * Configure all routes with services
+     * Configure all routes with services. options.mode 'standalone' fills
+     * the missing services with in-memory stand-ins (options.standalone);
+     * options.authenticator turns on authentication and route scopes, and a
+     * `tenantRegistry` service partitions the routes by tenant.
      */
-    configure(app, services = {}) {
+    configure(app, services = {}, options = {}) {
         logger.info('Configuring AutoWeave API routes...');
         
         // Store services
-        this.services = { ...this.services, ...services };
+        this.container.provide(services);
+        if (options.mode === 'standalone') {
+            this.container.useStandalone(options.standalone);
+        }
         
         // Inject services into routes
         this.injectServices();
         
+        // Identify callers before any route checks its scope
+        if (options.authenticator) {
+            app.use(createRestAuthenticator({ authenticator: options.authenticator, logger }));
+        }
+        if (this.container.has('tenantRegistry')) {
+            app.use(createTenantResolver({ registry: this.container.get('tenantRegistry'), logger }));
+        }
+        
         // Mount routes
         this.mountRoutes(app);
         
@@ -65,37 +87,7 @@ class RoutesIndex {
      * Inject services into route modules
      */
     injectServices() {
-        if (this.services.memoryManager && this.routes.memory.setMemoryManager) {
-            this.routes.memory.setMemoryManager(this.services.memoryManager);
-        }
-        
-        if (this.services.agentService && this.routes.agents.setAgentService) {
-            this.routes.agents.setAgentService(this.services.agentService);
-        }
-        
-        if (this.services.integrationAgentModule && this.routes.agents.setIntegrationAgentModule) {
-            this.routes.agents.setIntegrationAgentModule(this.services.integrationAgentModule);
-        }
-        
-        if (this.services.chatService && this.routes.chat.setChatService) {
-            this.routes.chat.setChatService(this.services.chatService);
-        }
-        
-        if (this.services.healthService && this.routes.health.setHealthService) {
-            this.routes.health.setHealthService(this.services.healthService);
-        }
-        
-        if (this.services.kagentService && this.routes.kagent.setKagentService) {
-            this.routes.kagent.setKagentService(this.services.kagentService);
-        }
-        
-        if (this.routes.config.setServices) {
-            this.routes.config.setServices({
-                configIntelligence: this.services.configIntelligence,
-                freshSources: this.services.freshSources,
-                debuggingAgent: this.services.debuggingAgent
-            });
-        }
+        this.container.inject(this.routes);
         
         logger.debug('Services injected into routes');
     }
@@ -111,6 +103,11 @@ class RoutesIndex {
         app.use('/api/v1/health', this.routes.health);
         app.use('/api/v1/kagent', this.routes.kagent);
         app.use('/api/v1/config', this.routes.config.router);
+        app.use('/api/v1/recordings', this.routes.recordings);
+        app.use('/api/v1/operations', this.routes.operations);
+        app.use('/api/v1/notifications', this.routes.notifications);
+        app.use('/api/v1/analytics', this.routes.analytics);
+        app.use('/api/v1/tenants', this.routes.tenants);
         
         // Backward compatibility routes (without versioning)
         app.use('/api/memory', this.routes.memory);
@@ -119,6 +116,11 @@ class RoutesIndex {
         app.use('/api/health', this.routes.health);
         app.use('/api/kagent', this.routes.kagent);
         app.use('/api/config', this.routes.config.router);
+        app.use('/api/recordings', this.routes.recordings);
+        app.use('/api/operations', this.routes.operations);
+        app.use('/api/notifications', this.routes.notifications);
+        app.use('/api/analytics', this.routes.analytics);
+        app.use('/api/tenants', this.routes.tenants);
         app.use('/api/sources', this.routes.config.router);
         app.use('/api/debug', this.routes.config.router);
         app.use('/api/gitops', this.routes.config.router);
@@ -180,6 +182,7 @@ class RoutesIndex {
                     uptime: process.uptime(),
                     version: '0.1.0',
                     environment: process.env.NODE_ENV || 'development',
+                    mode: this.container.standalone.size > 0 ? 'standalone' : 'connected',
                     services: {}
                 };
                 
@@ -194,12 +197,8 @@ class RoutesIndex {
                         status.overall = 'degraded';
                     }
                 } else {
-                    status.services = {
-                        memoryManager: this.services.memoryManager ? 'available' : 'unavailable',
-                        agentService: this.services.agentService ? 'available' : 'unavailable',
-                        chatService: this.services.chatService ? 'available' : 'unavailable',
-                        kagentService: this.services.kagentService ? 'available' : 'unavailable'
-                    };
+                    status.services = Object.fromEntries(['memoryManager', 'agentService', 'chatService', 'kagentService']
+                        .map(name => [name, this.container.has(name) ? 'available' : 'unavailable']));
                     
                     const availableServices = Object.values(status.services).filter(s => s === 'available').length;
                     const totalServices = Object.keys(status.services).length;
@@ -213,6 +212,8 @@ class RoutesIndex {
                     }
                 }
                 
+                status.missing_services = this.container.missing().map(service => service.name);
+                status.standalone_services = Array.from(this.container.standalone);
                 res.json(status);
                 
             } catch (error) {
@@ -254,8 +255,8 @@ class RoutesIndex {
     getRouteStats() {
         return {
             routes: Object.keys(this.routes).length,
-            services: Object.values(this.services).filter(s => s !== null).length,
-            configured: Object.values(this.services).every(s => s !== null)
+            services: this.container.report().available.length,
+            configured: this.container.report().complete
         };
     }
 }
@@ -266,11 +267,14 @@ const routesIndex = new RoutesIndex();
 module.exports = {
     RoutesIndex,
     routesIndex,
+    ServiceContainer,
     
     // Export individual routes for direct access
     memoryRoutes,
     agentRoutes,
     chatRoutes,
     healthRoutes,
-    kagentRoutes
+    kagentRoutes,
+    recordingRoutes,
+    operationRoutes
 };
\ No newline at end of file
@@ -1,6 +1,9 @@
 const express = require('express');
 const { Logger } = require('../utils/logger');
 const { Validator } = require('../utils/validation');
+const { requireScope } = require('../auth/rest-auth');
+const { tenantOf, requireQuota } = require('../tenants/tenant-middleware');
+const operationRoutes = require('./operations');
 
 const router = express.Router();
 const logger = new Logger('KagentRoutes');
@@ -8,6 +11,9 @@ const logger = new Logger('KagentRoutes');
 // Kagent service will be set by AutoWeave core
 let kagentService = null;
 
+// UI agent publishing kagent changes to topic subscribers (set by the UI server)
+let uiAgent = null;
+
 // Middleware to check if kagent service is initialized
 const checkKagentService = (req, res, next) => {
     if (!kagentService) {
@@ -19,17 +25,47 @@ const checkKagentService = (req, res, next) => {
     next();
 };
 
+/**
+ * Namespace of a request: the tenant's own when it has one, else the
+ * requested one, or null when it belongs to another tenant
+ */
+function tenantNamespace(req, requested = 'default') {
+    const tenant = tenantOf(req);
+    if (tenant.namespace) {
+        return tenant.namespace;
+    }
+    return tenant.ownsNamespace(requested) ? requested : null;
+}
+
+async function countTenantDeployments(req, tenant) {
+    const agents = await kagentService.getKagentAgents(tenant.context());
+    return agents.filter(agent => tenant.ownsNamespace(agent.metadata.namespace)).length;
+}
+
 // Set kagent service (called by AutoWeave core)
 router.setKagentService = (service) => {
     kagentService = service;
     logger.info('Kagent service set for routes');
 };
 
+// Set UI agent (called by the UI server)
+router.setUIAgent = (agent) => {
+    uiAgent = agent;
+    logger.info('UI agent set for kagent routes');
+};
+
+// Tool changes reach the `kagent` subscribers of the caller's tenant
+// (deployments run as operations and are published by the UI agent)
+const publishChange = (req, update) => {
+    uiAgent?.publishUpdate('kagent', update, { tenant: tenantOf(req).id })
+        .catch(error => logger.error(`Failed to publish ${update.resource} ${update.id} ${update.change}:`, error));
+};
+
 /**
  * @route GET /api/kagent/status
  * @desc Get kagent system status
  */
-router.get('/status', checkKagentService, async (req, res) => {
+router.get('/status', requireScope('kagent:read'), checkKagentService, async (req, res) => {
     try {
         const status = await kagentService.getSystemStatus();
         
@@ -51,9 +87,10 @@ router.get('/status', checkKagentService, async (req, res) => {
  * @route GET /api/kagent/tools
  * @desc List available kagent tools
  */
-router.get('/tools', checkKagentService, async (req, res) => {
+router.get('/tools', requireScope('kagent:read'), checkKagentService, async (req, res) => {
     try {
-        const tools = await kagentService.getAvailableTools();
+        const tenant = tenantOf(req);
+        const tools = (await kagentService.getAvailableTools()).filter(tool => tenant.canRead(tool.metadata.namespace));
         
         res.json({
             success: true,
@@ -81,12 +118,12 @@ router.get('/tools', checkKagentService, async (req, res) => {
  * @route GET /api/kagent/tools/:name
  * @desc Get specific kagent tool details
  */
-router.get('/tools/:name', checkKagentService, async (req, res) => {
+router.get('/tools/:name', requireScope('kagent:read'), checkKagentService, async (req, res) => {
     try {
         const { name } = req.params;
         const tool = await kagentService.getTool(name);
         
-        if (!tool) {
+        if (!tool || !tenantOf(req).canRead(tool.metadata.namespace)) {
             return res.status(404).json({
                 error: 'Tool not found',
                 toolName: name
@@ -111,7 +148,7 @@ router.get('/tools/:name', checkKagentService, async (req, res) => {
  * @route POST /api/kagent/tools
  * @desc Create a custom kagent tool
  */
-router.post('/tools', checkKagentService, async (req, res) => {
+router.post('/tools', requireScope('kagent:write'), checkKagentService, async (req, res) => {
     try {
         const toolSpec = req.body;
         
@@ -130,9 +167,22 @@ router.post('/tools', checkKagentService, async (req, res) => {
             });
         }
         
-        const tool = await kagentService.createTool(toolSpec);
+        // Tools of tenants with a namespace of their own are created there,
+        // others may not name a namespace of another tenant
+        const tenant = tenantOf(req);
+        const namespace = tenant.namespace || toolSpec.metadata.namespace;
+        if (namespace && !tenant.ownsNamespace(namespace)) {
+            return res.status(403).json({
+                error: `Namespace '${toolSpec.metadata.namespace}' belongs to another tenant`,
+                field: 'metadata.namespace',
+                type: 'tenant_error'
+            });
+        }
+        
+        const tool = await kagentService.createTool({ ...toolSpec, metadata: { ...toolSpec.metadata, namespace } });
         
         logger.info(`Custom tool created: ${toolSpec.metadata.name}`);
+        publishChange(req, { resource: 'tool', id: toolSpec.metadata.name, change: 'created', data: tool });
         
         res.status(201).json({
             success: true,
@@ -162,12 +212,20 @@ router.post('/tools', checkKagentService, async (req, res) => {
  * @route DELETE /api/kagent/tools/:name
  * @desc Delete a kagent tool
  */
-router.delete('/tools/:name', checkKagentService, async (req, res) => {
+router.delete('/tools/:name', requireScope('kagent:write'), checkKagentService, async (req, res) => {
     try {
         const { name } = req.params;
+        const tool = await kagentService.getTool(name);
+        if (tool && !tenantOf(req).ownsNamespace(tool.metadata.namespace)) {
+            return res.status(404).json({
+                error: 'Tool not found',
+                toolName: name
+            });
+        }
         await kagentService.deleteTool(name);
         
         logger.info(`Tool deleted: ${name}`);
+        publishChange(req, { resource: 'tool', id: name, change: 'deleted' });
         
         res.json({
             success: true,
@@ -196,9 +254,11 @@ router.delete('/tools/:name', checkKagentService, async (req, res) => {
  * @route GET /api/kagent/agents
  * @desc List kagent agents (deployed via kagent)
  */
-router.get('/agents', checkKagentService, async (req, res) => {
+router.get('/agents', requireScope('kagent:read'), checkKagentService, async (req, res) => {
     try {
-        const agents = await kagentService.getKagentAgents();
+        const tenant = tenantOf(req);
+        const agents = (await kagentService.getKagentAgents(tenant.context()))
+            .filter(agent => tenant.ownsNamespace(agent.metadata.namespace));
         
         res.json({
             success: true,
@@ -225,12 +285,12 @@ router.get('/agents', checkKagentService, async (req, res) => {
  * @route GET /api/kagent/agents/:name
  * @desc Get kagent agent details
  */
-router.get('/agents/:name', checkKagentService, async (req, res) => {
+router.get('/agents/:name', requireScope('kagent:read'), checkKagentService, async (req, res) => {
     try {
         const { name } = req.params;
-        const { namespace = 'default' } = req.query;
+        const namespace = tenantNamespace(req, req.query.namespace);
         
-        const agent = await kagentService.getKagentAgent(name, namespace);
+        const agent = namespace && await kagentService.getKagentAgent(name, namespace);
         
         if (!agent) {
             return res.status(404).json({
@@ -258,10 +318,17 @@ router.get('/agents/:name', checkKagentService, async (req, res) => {
  * @route GET /api/kagent/logs/:agentName
  * @desc Get logs for a kagent agent
  */
-router.get('/logs/:agentName', checkKagentService, async (req, res) => {
+router.get('/logs/:agentName', requireScope('kagent:read'), checkKagentService, async (req, res) => {
     try {
         const { agentName } = req.params;
-        const { namespace = 'default', lines = 100, since } = req.query;
+        const { lines = 100, since } = req.query;
+        const namespace = tenantNamespace(req, req.query.namespace);
+        if (!namespace) {
+            return res.status(404).json({
+                error: 'Kagent agent not found',
+                agentName
+            });
+        }
         
         const logs = await kagentService.getAgentLogs(agentName, namespace, {
             lines: parseInt(lines),
@@ -288,7 +355,7 @@ router.get('/logs/:agentName', checkKagentService, async (req, res) => {
  * @route GET /api/kagent/metrics
  * @desc Get kagent system metrics
  */
-router.get('/metrics', checkKagentService, async (req, res) => {
+router.get('/metrics', requireScope('kagent:read'), checkKagentService, async (req, res) => {
     try {
         const metrics = await kagentService.getMetrics();
         
@@ -311,7 +378,7 @@ router.get('/metrics', checkKagentService, async (req, res) => {
  * @route POST /api/kagent/yaml/generate
  * @desc Generate kagent YAML from workflow
  */
-router.post('/yaml/generate', checkKagentService, async (req, res) => {
+router.post('/yaml/generate', requireScope('kagent:read'), checkKagentService, async (req, res) => {
     try {
         const { workflow } = req.body;
         
@@ -330,7 +397,7 @@ router.post('/yaml/generate', checkKagentService, async (req, res) => {
             });
         }
         
-        const yaml = await kagentService.generateYAML(workflow);
+        const yaml = await kagentService.generateYAML({ ...workflow, namespace: tenantOf(req).namespace || workflow.namespace });
         
         res.json({
             success: true,
@@ -363,9 +430,10 @@ router.post('/yaml/generate', checkKagentService, async (req, res) => {
  * @route POST /api/kagent/deploy
  * @desc Deploy workflow to kagent
  */
-router.post('/deploy', checkKagentService, async (req, res) => {
+router.post('/deploy', requireScope('kagent:deploy'), checkKagentService, requireQuota('deployments', countTenantDeployments), async (req, res) => {
     try {
         const { workflow } = req.body;
+        const namespace = workflow && tenantNamespace(req, workflow.namespace);
         
         if (!workflow) {
             return res.status(400).json({
@@ -374,14 +442,27 @@ router.post('/deploy', checkKagentService, async (req, res) => {
             });
         }
         
-        const deployment = await kagentService.deployWorkflow(workflow);
+        if (!namespace) {
+            return res.status(403).json({
+                error: `Namespace '${workflow.namespace}' belongs to another tenant`,
+                field: 'workflow.namespace',
+                type: 'tenant_error'
+            });
+        }
+        
+        const run = await operationRoutes.runOperation(req, res, 'kagent-deploy', `Deploy workflow ${workflow.name}`,
+            () => kagentService.deployWorkflow({ ...workflow, namespace }, tenantOf(req).context()));
+        if (!run) {
+            return; // Accepted, runs in the background
+        }
         
         logger.info(`Workflow deployed to kagent: ${workflow.name}`);
         
         res.status(201).json({
             success: true,
             message: 'Workflow deployed successfully',
-            deployment
+            deployment: run.result,
+            operation_id: run.operationId
         });
         
     } catch (error) {
@@ -1,6 +1,9 @@
 const express = require('express');
 const HybridMemoryManager = require('../memory/hybrid-memory');
 const { Logger } = require('../utils/logger');
+const { requireScope, requireSelfOrAdmin, callerId } = require('../auth/rest-auth');
+const { tenantOf, consumeQuota } = require('../tenants/tenant-middleware');
+const operationRoutes = require('./operations');
 
 const router = express.Router();
 const logger = new Logger('MemoryRoutes');
@@ -25,11 +28,25 @@ router.setMemoryManager = (manager) => {
     logger.info('Memory manager set for routes');
 };
 
+// UI agent publishing memory changes to topic subscribers (set by the UI server)
+let uiAgent = null;
+
+router.setUIAgent = (agent) => {
+    uiAgent = agent;
+    logger.info('UI agent set for memory routes');
+};
+
+// Memory changes reach the `memory` subscribers of the caller's tenant, without their content
+const publishChange = (req, update) => {
+    uiAgent?.publishUpdate('memory', { change: 'added', ...update }, { tenant: tenantOf(req).id })
+        .catch(error => logger.error(`Failed to publish ${update.resource} change:`, error));
+};
+
 /**
  * @route POST /api/memory/initialize
  * @desc Initialize memory system
  */
-router.post('/initialize', async (req, res) => {
+router.post('/initialize', requireScope('superadmin'), async (req, res) => {
     try {
         if (!memoryManager) {
             return res.status(503).json({
@@ -38,11 +55,16 @@ router.post('/initialize', async (req, res) => {
             });
         }
 
-        await memoryManager.initialize();
+        const run = await operationRoutes.runOperation(req, res, 'memory-initialize', 'Initialize memory system',
+            () => memoryManager.initialize());
+        if (!run) {
+            return; // Accepted, runs in the background
+        }
         
         res.json({
             success: true,
             message: 'Memory system initialized successfully',
+            operation_id: run.operationId,
             timestamp: new Date().toISOString()
         });
         
@@ -59,9 +81,10 @@ router.post('/initialize', async (req, res) => {
  * @route POST /api/memory/search
  * @desc Perform hybrid memory search
  */
-router.post('/search', checkMemoryManager, async (req, res) => {
+router.post('/search', requireScope('memory:read'), checkMemoryManager, async (req, res) => {
     try {
-        const { query, user_id, context = {} } = req.body;
+        const { query, context = {} } = req.body;
+        const user_id = callerId(req, req.body.user_id, null);
         
         if (!query || !user_id) {
             return res.status(400).json({
@@ -70,7 +93,9 @@ router.post('/search', checkMemoryManager, async (req, res) => {
             });
         }
 
-        const results = await memoryManager.intelligentSearch(query, user_id, context);
+        // Users, agents and graph nodes are keyed by tenant (see tenantKey)
+        const tenant = tenantOf(req);
+        const results = await memoryManager.intelligentSearch(query, tenant.key(user_id), { ...context, tenant: tenant.id });
         
         res.json({
             success: true,
@@ -91,11 +116,11 @@ router.post('/search', checkMemoryManager, async (req, res) => {
  * @route GET /api/memory/system-analysis/:userId
  * @desc Get system analysis for user
  */
-router.get('/system-analysis/:userId', checkMemoryManager, async (req, res) => {
+router.get('/system-analysis/:userId', requireScope('memory:read'), requireSelfOrAdmin('userId'), checkMemoryManager, async (req, res) => {
     try {
         const { userId } = req.params;
         
-        const analysis = await memoryManager.analyzeSystemState(userId);
+        const analysis = await memoryManager.analyzeSystemState(tenantOf(req).key(userId));
         
         res.json({
             success: true,
@@ -116,7 +141,7 @@ router.get('/system-analysis/:userId', checkMemoryManager, async (req, res) => {
  * @route POST /api/memory/agent/:agentId/memory
  * @desc Add memory for specific agent
  */
-router.post('/agent/:agentId/memory', checkMemoryManager, async (req, res) => {
+router.post('/agent/:agentId/memory', requireScope('memory:write'), checkMemoryManager, consumeQuota('memories'), async (req, res) => {
     try {
         const { agentId } = req.params;
         const { memory, metadata = {} } = req.body;
@@ -128,7 +153,8 @@ router.post('/agent/:agentId/memory', checkMemoryManager, async (req, res) => {
             });
         }
 
-        await memoryManager.contextualMemory.addAgentMemory(agentId, memory, metadata);
+        await memoryManager.contextualMemory.addAgentMemory(tenantOf(req).key(agentId), memory, metadata);
+        publishChange(req, { resource: 'agent_memory', id: agentId });
         
         res.json({
             success: true,
@@ -149,7 +175,7 @@ router.post('/agent/:agentId/memory', checkMemoryManager, async (req, res) => {
  * @route POST /api/memory/user/:userId/memory
  * @desc Add memory for specific user
  */
-router.post('/user/:userId/memory', checkMemoryManager, async (req, res) => {
+router.post('/user/:userId/memory', requireScope('memory:write'), requireSelfOrAdmin('userId'), checkMemoryManager, consumeQuota('memories'), async (req, res) => {
     try {
         const { userId } = req.params;
         const { memory, metadata = {} } = req.body;
@@ -161,7 +187,8 @@ router.post('/user/:userId/memory', checkMemoryManager, async (req, res) => {
             });
         }
 
-        await memoryManager.contextualMemory.addUserMemory(userId, memory, metadata);
+        await memoryManager.contextualMemory.addUserMemory(tenantOf(req).key(userId), memory, metadata);
+        publishChange(req, { resource: 'user_memory', id: userId });
         
         res.json({
             success: true,
@@ -182,9 +209,10 @@ router.post('/user/:userId/memory', checkMemoryManager, async (req, res) => {
  * @route POST /api/memory/interaction
  * @desc Add interaction to memory
  */
-router.post('/interaction', checkMemoryManager, async (req, res) => {
+router.post('/interaction', requireScope('memory:write'), checkMemoryManager, consumeQuota('memories'), async (req, res) => {
     try {
-        const { user_id, agent_id, interaction } = req.body;
+        const { agent_id, interaction } = req.body;
+        const user_id = callerId(req, req.body.user_id, null);
         
         if (!user_id || !agent_id || !interaction) {
             return res.status(400).json({
@@ -193,7 +221,9 @@ router.post('/interaction', checkMemoryManager, async (req, res) => {
             });
         }
 
-        await memoryManager.addInteraction(user_id, agent_id, interaction);
+        const tenant = tenantOf(req);
+        await memoryManager.addInteraction(tenant.key(user_id), tenant.key(agent_id), interaction);
+        publishChange(req, { resource: 'interaction', data: { user_id, agent_id } });
         
         res.json({
             success: true,
@@ -214,7 +244,7 @@ router.post('/interaction', checkMemoryManager, async (req, res) => {
  * @route POST /api/memory/graph/relation
  * @desc Create relation in graph
  */
-router.post('/graph/relation', checkMemoryManager, async (req, res) => {
+router.post('/graph/relation', requireScope('memory:write'), checkMemoryManager, async (req, res) => {
     try {
         const { source_id, target_id, relation_type } = req.body;
         
@@ -225,7 +255,9 @@ router.post('/graph/relation', checkMemoryManager, async (req, res) => {
             });
         }
 
-        await memoryManager.structuralMemory.linkAgentToWorkflow(source_id, target_id, relation_type);
+        const tenant = tenantOf(req);
+        await memoryManager.structuralMemory.linkAgentToWorkflow(tenant.key(source_id), tenant.key(target_id), relation_type);
+        publishChange(req, { resource: 'relation', change: 'created', data: { source_id, target_id, relation_type } });
         
         res.json({
             success: true,
@@ -246,12 +278,12 @@ router.post('/graph/relation', checkMemoryManager, async (req, res) => {
  * @route GET /api/memory/agent/:agentId/related
  * @desc Get related entities for agent
  */
-router.get('/agent/:agentId/related', checkMemoryManager, async (req, res) => {
+router.get('/agent/:agentId/related', requireScope('memory:read'), checkMemoryManager, async (req, res) => {
     try {
         const { agentId } = req.params;
         const { depth = 2 } = req.query;
         
-        const related = await memoryManager.structuralMemory.findRelatedAgents(agentId, parseInt(depth));
+        const related = await memoryManager.structuralMemory.findRelatedAgents(tenantOf(req).key(agentId), parseInt(depth));
         
         res.json({
             success: true,
@@ -273,11 +305,11 @@ router.get('/agent/:agentId/related', checkMemoryManager, async (req, res) => {
  * @route GET /api/memory/agent/:agentId/dependencies
  * @desc Analyze agent dependencies
  */
-router.get('/agent/:agentId/dependencies', checkMemoryManager, async (req, res) => {
+router.get('/agent/:agentId/dependencies', requireScope('memory:read'), checkMemoryManager, async (req, res) => {
     try {
         const { agentId } = req.params;
         
-        const dependencies = await memoryManager.structuralMemory.analyzeDependencies(agentId);
+        const dependencies = await memoryManager.structuralMemory.analyzeDependencies(tenantOf(req).key(agentId));
         
         res.json({
             success: true,
@@ -296,9 +328,9 @@ router.get('/agent/:agentId/dependencies', checkMemoryManager, async (req, res)
 
 /**
  * @route GET /api/memory/metrics
- * @desc Get memory system metrics
+ * @desc Get memory system metrics (all tenants: admin only)
  */
-router.get('/metrics', checkMemoryManager, async (req, res) => {
+router.get('/metrics', requireScope('superadmin'), checkMemoryManager, async (req, res) => {
     try {
         const metrics = memoryManager.getMetrics();
         
@@ -319,9 +351,9 @@ router.get('/metrics', checkMemoryManager, async (req, res) => {
 
 /**
  * @route GET /api/memory/health
- * @desc Check memory system health
+ * @desc Check memory system health (all tenants: admin only)
  */
-router.get('/health', checkMemoryManager, async (req, res) => {
+router.get('/health', requireScope('superadmin'), checkMemoryManager, async (req, res) => {
     try {
         const health = await memoryManager.contextualMemory.healthCheck();
         
@@ -344,9 +376,9 @@ router.get('/health', checkMemoryManager, async (req, res) => {
  * @route GET /api/memory/system/topology
  * @desc Get system topology
  */
-router.get('/system/topology', checkMemoryManager, async (req, res) => {
+router.get('/system/topology', requireScope('memory:read'), checkMemoryManager, async (req, res) => {
     try {
-        const topology = await memoryManager.structuralMemory.getSystemTopology();
+        const topology = await memoryManager.structuralMemory.getSystemTopology(tenantOf(req).context());
         
         res.json({
             success: true,
@@ -367,7 +399,7 @@ router.get('/system/topology', checkMemoryManager, async (req, res) => {
  * @route POST /api/memory/metrics/reset
  * @desc Reset memory metrics
  */
-router.post('/metrics/reset', checkMemoryManager, async (req, res) => {
+router.post('/metrics/reset', requireScope('superadmin'), checkMemoryManager, async (req, res) => {
     try {
         memoryManager.resetMetrics();
         
@@ -0,0 +1,111 @@
+const express = require('express');
+const { Logger } = require('../utils/logger');
+const { tenantOf } = require('../tenants/tenant-middleware');
+
+const router = express.Router();
+const logger = new Logger('NotificationRoutes');
+
+// Notification center will be set by the UI server (UIAgent.notifications)
+let notificationCenter = null;
+
+// Middleware to check if the notification center is set
+const checkNotificationCenter = (req, res, next) => {
+    if (!notificationCenter) {
+        return res.status(503).json({
+            error: 'Notification center not initialized',
+            message: 'Notifications are available once the UI agent is running'
+        });
+    }
+    next();
+};
+
+// Set notification center (called by the UI server)
+router.setNotificationCenter = (center) => {
+    notificationCenter = center;
+    logger.info('Notification center set for routes');
+};
+
+/**
+ * Identity whose notifications are listed: the authenticated caller, or
+ * without authentication the `user_id` named by the request (everything
+ * is visible, as for WebSocket sessions without authenticator)
+ */
+function identityOf(req) {
+    if (req.identity) {
+        return req.identity;
+    }
+    return {
+        id: req.query.user_id || req.body?.user_id || 'anonymous',
+        type: 'anonymous',
+        permissions: ['*']
+    };
+}
+
+/**
+ * @route GET /api/notifications
+ * @desc List notifications, newest first (filters: unread, severity, source, limit)
+ */
+router.get('/', checkNotificationCenter, (req, res) => {
+    const identity = identityOf(req);
+    const tenant = tenantOf(req).id;
+    const notifications = notificationCenter.list(identity, {
+        unread: req.query.unread === 'true',
+        severity: req.query.severity,
+        source: req.query.source,
+        limit: req.query.limit
+    }, tenant);
+
+    res.json({
+        success: true,
+        unread_count: notificationCenter.unreadCount(identity, tenant),
+        count: notifications.length,
+        notifications
+    });
+});
+
+/**
+ * @route POST /api/notifications/ack
+ * @desc Mark notifications as read ({ ids }, all when omitted)
+ */
+router.post('/ack', checkNotificationCenter, (req, res) => {
+    const identity = identityOf(req);
+    const { ids } = req.body || {};
+
+    if (ids !== undefined && !Array.isArray(ids)) {
+        return res.status(400).json({
+            error: 'Invalid ids',
+            message: 'ids must be an array of notification ids',
+            type: 'validation_error'
+        });
+    }
+
+    const tenant = tenantOf(req).id;
+    const acknowledged = notificationCenter.acknowledge(identity, ids || 'all', tenant);
+
+    res.json({
+        success: true,
+        ids: acknowledged,
+        unread_count: notificationCenter.unreadCount(identity, tenant)
+    });
+});
+
+/**
+ * @route GET /api/notifications/:id
+ * @desc Get a notification with its read state
+ */
+router.get('/:id', checkNotificationCenter, (req, res) => {
+    const notification = notificationCenter.get(req.params.id, identityOf(req), tenantOf(req).id);
+    if (!notification) {
+        return res.status(404).json({
+            error: `Notification ${req.params.id} not found`,
+            type: 'not_found'
+        });
+    }
+
+    res.json({
+        success: true,
+        notification
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,183 @@
+const express = require('express');
+const { Logger } = require('../utils/logger');
+const { requireScope } = require('../auth/rest-auth');
+const { hasPermission } = require('../auth/authenticator');
+const { tenantOf } = require('../tenants/tenant-middleware');
+
+const router = express.Router();
+const logger = new Logger('OperationRoutes');
+
+// Operation registry will be set by the UI server (UIAgent.operations)
+let operationRegistry = null;
+
+// Middleware to check if the operation registry is set
+const checkOperationRegistry = (req, res, next) => {
+    if (!operationRegistry) {
+        return res.status(503).json({
+            error: 'Operation registry not initialized',
+            message: 'Operations are tracked once the UI agent is running'
+        });
+    }
+    next();
+};
+
+// Set operation registry (called by the UI server)
+router.setOperationRegistry = (registry) => {
+    operationRegistry = registry;
+    logger.info('Operation registry set for routes');
+};
+
+// UI agent whose sessions callers may follow their operations in (set by the UI server)
+let uiAgent = null;
+
+router.setUIAgent = (agent) => {
+    uiAgent = agent;
+    logger.info('UI agent set for operation routes');
+};
+
+/**
+ * AG-UI session named by the X-AGUI-Session header (or `requested`), kept
+ * only when the caller is connected to it under its own identity
+ */
+function callerSession(req, requested = req.body?.session_id) {
+    const sessionId = req.get?.('X-AGUI-Session') || requested || null;
+    return sessionId && uiAgent?.isSessionOf(sessionId, req.identity) ? sessionId : null;
+}
+
+/**
+ * Owner of an operation started by a request: the caller's identity and
+ * session; the session receives its status updates.
+ */
+function ownerOf(req) {
+    return {
+        session_id: callerSession(req),
+        identity_id: req.identity && req.identity.type !== 'anonymous' ? req.identity.id : null,
+        tenant: tenantOf(req).id
+    };
+}
+
+// Admins (and every caller when authentication is off) see all operations
+const isAdmin = (req) => !req.identity || hasPermission(req.identity, 'admin');
+
+/**
+ * True if the operation was started by the caller (its identity or one of
+ * its sessions); admins reach every operation of their tenant
+ */
+function isCallerOperation(req, operation) {
+    const tenant = tenantOf(req).id;
+    if (isAdmin(req)) {
+        return operationRegistry.isOwnedBy(operation, { tenant });
+    }
+
+    const owner = { session_id: callerSession(req, null), identity_id: ownerOf(req).identity_id, tenant };
+    if (!owner.session_id && !owner.identity_id) {
+        return false;
+    }
+    return operationRegistry.isOwnedBy(operation, owner);
+}
+
+// Loads req.operation; operations of other callers and tenants are reported not found
+const loadOperation = (req, res, next) => {
+    const operation = operationRegistry.get(req.params.id);
+    if (!operation || !isCallerOperation(req, operation)) {
+        return res.status(404).json({
+            error: `Operation ${req.params.id} not found`,
+            code: 'NOT_FOUND'
+        });
+    }
+    req.operation = operation;
+    next();
+};
+
+/**
+ * Run a long-running route action as an operation.
+ *
+ * With `?async=true` the request is answered at once with 202 and the
+ * operation, and null is returned: the caller must not respond. Otherwise
+ * resolves with { operationId, result } once the task is done.
+ */
+router.runOperation = async (req, res, kind, title, task) => {
+    if (!operationRegistry) {
+        return { operationId: null, result: await task({ id: null, signal: new AbortController().signal, progress: () => null }) };
+    }
+
+    const options = { title, owner: ownerOf(req) };
+
+    if (req.query?.async === 'true') {
+        const operation = operationRegistry.start(kind, task, options);
+        res.status(202)
+            .location(`${req.baseUrl.replace(/\/[^/]+$/, '')}/operations/${operation.id}`)
+            .json({ success: true, operation });
+        return null;
+    }
+
+    let operationId = null;
+    const result = await operationRegistry.run(kind, (operation) => {
+        operationId = operation.id;
+        return task(operation);
+    }, options);
+    return { operationId, result };
+};
+
+const sendOperationError = (res, error) => {
+    res.status(error.status || 500).json({
+        error: error.message,
+        code: error.code,
+        type: error.name === 'OperationError' ? 'operation_error' : 'server_error'
+    });
+};
+
+/**
+ * @route GET /api/operations
+ * @desc List the caller's operations (filters: session_id, kind, status);
+ * admins list every operation of their tenant and may filter on identity_id
+ */
+router.get('/', requireScope('operations:read'), checkOperationRegistry, (req, res) => {
+    const owner = isAdmin(req)
+        ? { session_id: req.query.session_id, identity_id: req.query.identity_id }
+        : { session_id: callerSession(req, req.query.session_id), identity_id: ownerOf(req).identity_id };
+    const operations = isAdmin(req) || owner.session_id || owner.identity_id
+        ? operationRegistry.list({ ...owner, tenant: tenantOf(req).id, kind: req.query.kind, status: req.query.status })
+        : [];
+
+    res.json({
+        success: true,
+        count: operations.length,
+        operations
+    });
+});
+
+/**
+ * @route GET /api/operations/:id
+ * @desc Get one of the caller's operations with its progress, ETA and result
+ */
+router.get('/:id', requireScope('operations:read'), checkOperationRegistry, loadOperation, (req, res) => {
+    res.json({
+        success: true,
+        operation: req.operation
+    });
+});
+
+/**
+ * @route POST /api/operations/:id/cancel
+ * @desc Cancel one of the caller's running operations
+ */
+router.post('/:id/cancel', requireScope('operations:write'), checkOperationRegistry, loadOperation, (req, res) => {
+    try {
+        const operation = operationRegistry.cancel(req.params.id, req.body?.reason || 'Cancelled through the API');
+        logger.info(`Operation cancelled: ${operation.id}`);
+
+        res.json({
+            success: true,
+            operation
+        });
+
+    } catch (error) {
+        if (error.name !== 'OperationError') {
+            logger.error('Failed to cancel operation:', error);
+        }
+        sendOperationError(res, error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,136 @@
+const express = require('express');
+const { Logger } = require('../utils/logger');
+const { requireScope } = require('../auth/rest-auth');
+
+const router = express.Router();
+const logger = new Logger('RecordingRoutes');
+
+// Session recorder will be set by the UI server (UIAgent.recorder)
+let sessionRecorder = null;
+
+// Middleware to check if recording is enabled
+const checkSessionRecorder = (req, res, next) => {
+    if (!sessionRecorder) {
+        return res.status(503).json({
+            error: 'Session recording not enabled',
+            message: 'Configure a recordings directory to use these endpoints'
+        });
+    }
+    next();
+};
+
+// Set session recorder (called by the UI server)
+router.setSessionRecorder = (recorder) => {
+    sessionRecorder = recorder;
+    logger.info('Session recorder set for routes');
+};
+
+const sendError = (res, error, action) => {
+    if (error.name === 'RecordingNotFoundError') {
+        return res.status(404).json({
+            error: error.message,
+            type: 'not_found'
+        });
+    }
+
+    logger.error(`Failed to ${action}:`, error);
+    res.status(500).json({
+        error: `Failed to ${action}`,
+        message: error.message,
+        type: 'server_error'
+    });
+};
+
+/**
+ * @route GET /api/recordings
+ * @desc List session recordings
+ */
+router.get('/', requireScope('superadmin'), checkSessionRecorder, async (req, res) => {
+    try {
+        const recordings = await sessionRecorder.list();
+
+        res.json({
+            success: true,
+            count: recordings.length,
+            recordings
+        });
+
+    } catch (error) {
+        sendError(res, error, 'list recordings');
+    }
+});
+
+/**
+ * @route POST /api/recordings
+ * @desc Start recording a session from its next message
+ */
+router.post('/', requireScope('superadmin'), checkSessionRecorder, (req, res) => {
+    const { session_id: sessionId } = req.body || {};
+
+    if (!sessionRecorder.isValidId(sessionId)) {
+        return res.status(400).json({
+            error: 'A valid session_id is required',
+            field: 'session_id'
+        });
+    }
+
+    sessionRecorder.record(sessionId);
+    logger.info(`Recording armed for session ${sessionId}`);
+
+    res.status(202).json({
+        success: true,
+        session_id: sessionId,
+        recording: true
+    });
+});
+
+/**
+ * @route GET /api/recordings/:sessionId
+ * @desc Download a recording (JSONL)
+ */
+router.get('/:sessionId', requireScope('superadmin'), checkSessionRecorder, async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        if (!(await sessionRecorder.exists(sessionId))) {
+            return res.status(404).json({
+                error: `Recording '${sessionId}' not found`,
+                type: 'not_found'
+            });
+        }
+
+        await sessionRecorder.flush(sessionId);
+        res.setHeader('Content-Type', 'application/x-ndjson');
+        res.setHeader('Content-Disposition', `attachment; filename="${sessionId}.jsonl"`);
+        sessionRecorder.createReadStream(sessionId)
+            .on('error', (error) => {
+                logger.error(`Failed to stream recording ${sessionId}:`, error);
+                res.destroy(error);
+            })
+            .pipe(res);
+
+    } catch (error) {
+        sendError(res, error, 'download recording');
+    }
+});
+
+/**
+ * @route DELETE /api/recordings/:sessionId
+ * @desc Delete a recording and stop recording the session
+ */
+router.delete('/:sessionId', requireScope('superadmin'), checkSessionRecorder, async (req, res) => {
+    try {
+        await sessionRecorder.delete(req.params.sessionId);
+        logger.info(`Recording deleted: ${req.params.sessionId}`);
+
+        res.json({
+            success: true,
+            session_id: req.params.sessionId,
+            deleted: true
+        });
+
+    } catch (error) {
+        sendError(res, error, 'delete recording');
+    }
+});
+
+module.exports = router;
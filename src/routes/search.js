@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { Logger } = require('../utils/logger');
+const { requireScope } = require('../auth/rest-auth');
 const { spawn } = require('child_process');
 
 const logger = new Logger('SearchRoutes');
@@ -14,7 +15,7 @@ const logger = new Logger('SearchRoutes');
  * POST /api/search/web
  * Recherche web avec fallback DuckDuckGo
  */
-router.post('/web', async (req, res) => {
+router.post('/web', requireScope('search:read'), async (req, res) => {
     try {
         const { query, domains, limit = 5 } = req.body;
         
@@ -51,7 +52,7 @@ router.post('/web', async (req, res) => {
  * POST /api/search/code
  * Recherche dans le code du projet
  */
-router.post('/code', async (req, res) => {
+router.post('/code', requireScope('system:read'), async (req, res) => {
     try {
         const { pattern, include = "*", context_lines = 3 } = req.body;
         
@@ -86,7 +87,7 @@ router.post('/code', async (req, res) => {
  * POST /api/search/documentation
  * Recherche dans la documentation
  */
-router.post('/documentation', async (req, res) => {
+router.post('/documentation', requireScope('search:read'), async (req, res) => {
     try {
         const { query, format = 'markdown' } = req.body;
         
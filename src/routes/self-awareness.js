@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const selfAwarenessAgent = require('../agents/self-awareness-agent');
 const { Logger } = require('../utils/logger');
+const operationRoutes = require('./operations');
+const { requireScope } = require('../auth/rest-auth');
 
 const logger = new Logger('SelfAwarenessRoutes');
 
@@ -14,7 +16,7 @@ const logger = new Logger('SelfAwarenessRoutes');
  * GET /api/self-awareness/status
  * Obtenir l'état complet du système
  */
-router.get('/status', async (req, res) => {
+router.get('/status', requireScope('system:read'), async (req, res) => {
     try {
         const status = selfAwarenessAgent.getSystemState();
         
@@ -37,7 +39,7 @@ router.get('/status', async (req, res) => {
  * GET /api/self-awareness/tools
  * Lister tous les outils disponibles
  */
-router.get('/tools', async (req, res) => {
+router.get('/tools', requireScope('system:read'), async (req, res) => {
     try {
         const { category } = req.query;
         const state = selfAwarenessAgent.getSystemState();
@@ -74,7 +76,7 @@ router.get('/tools', async (req, res) => {
  * GET /api/self-awareness/files
  * Lister les fichiers trackés
  */
-router.get('/files', async (req, res) => {
+router.get('/files', requireScope('system:read'), async (req, res) => {
     try {
         const { type, inDatabase, hasGeneticMarker } = req.query;
         const state = selfAwarenessAgent.getSystemState();
@@ -125,7 +127,7 @@ router.get('/files', async (req, res) => {
  * GET /api/self-awareness/sync
  * Obtenir l'état de synchronisation DB
  */
-router.get('/sync', async (req, res) => {
+router.get('/sync', requireScope('system:read'), async (req, res) => {
     try {
         const state = selfAwarenessAgent.getSystemState();
         
@@ -150,7 +152,7 @@ router.get('/sync', async (req, res) => {
  * POST /api/self-awareness/sync
  * Forcer une synchronisation
  */
-router.post('/sync', async (req, res) => {
+router.post('/sync', requireScope('superadmin'), async (req, res) => {
     try {
         logger.info('Forcing system synchronization...');
         
@@ -175,7 +177,7 @@ router.post('/sync', async (req, res) => {
  * GET /api/self-awareness/capabilities
  * Obtenir les capacités du système
  */
-router.get('/capabilities', async (req, res) => {
+router.get('/capabilities', requireScope('system:read'), async (req, res) => {
     try {
         const state = selfAwarenessAgent.getSystemState();
         
@@ -203,16 +205,22 @@ router.get('/capabilities', async (req, res) => {
  * POST /api/self-awareness/scan
  * Déclencher un scan manuel du système
  */
-router.post('/scan', async (req, res) => {
+router.post('/scan', requireScope('superadmin'), async (req, res) => {
     try {
         logger.info('Triggering manual system scan...');
         
-        await selfAwarenessAgent.performFullSystemScan();
-        const state = selfAwarenessAgent.getSystemState();
+        const run = await operationRoutes.runOperation(req, res, 'self-awareness-scan', 'System scan', async () => {
+            await selfAwarenessAgent.performFullSystemScan();
+            return selfAwarenessAgent.getSystemState();
+        });
+        if (!run) {
+            return; // Accepted, runs in the background
+        }
         
         res.json({
             success: true,
-            state,
+            state: run.result,
+            operation_id: run.operationId,
             message: 'System scan completed'
         });
         
@@ -229,7 +237,7 @@ router.post('/scan', async (req, res) => {
  * GET /api/self-awareness/documentation
  * Obtenir la documentation système générée
  */
-router.get('/documentation', async (req, res) => {
+router.get('/documentation', requireScope('system:read'), async (req, res) => {
     try {
         const documentation = selfAwarenessAgent.generateSystemDocumentation();
         
@@ -252,7 +260,7 @@ router.get('/documentation', async (req, res) => {
  * POST /api/self-awareness/ingest
  * Ingérer un nouveau fichier dans le système
  */
-router.post('/ingest', async (req, res) => {
+router.post('/ingest', requireScope('superadmin'), async (req, res) => {
     try {
         const { filePath } = req.body;
         
@@ -301,7 +309,7 @@ router.get('/health', (req, res) => {
  * GET /api/self-awareness/os-environment
  * Obtenir l'environnement OS détaillé pour Claude Code
  */
-router.get('/os-environment', (req, res) => {
+router.get('/os-environment', requireScope('system:read'), (req, res) => {
     const state = selfAwarenessAgent.getSystemState();
     
     if (!state.osEnvironment) {
@@ -0,0 +1,164 @@
+const { Logger } = require('../utils/logger');
+const { createStandaloneServices } = require('../standalone');
+
+/**
+ * Backends the routes and the UI agent use. `routes` are the endpoints
+ * answering 503 without the service; services `provided` by the UI agent
+ * are registered by setupWebSocket (tenantRegistry by createApp) and never
+ * reported missing.
+ */
+const SERVICE_DEFINITIONS = {
+    autoweave: { description: 'AutoWeave core used by the UI agent (chat, agent creation, health)', routes: ['/ws', '/agui'] },
+    agentService: { description: 'Agent creation and lifecycle', routes: ['/api/agents'] },
+    integrationAgentModule: { description: 'Integration agents', routes: ['/api/agents/integration'] },
+    chatService: { description: 'Chat completions', routes: ['/api/chat'] },
+    memoryManager: { description: 'Hybrid memory (mem0 + GraphRAG)', routes: ['/api/memory'] },
+    kagentService: { description: 'kagent runtime (tools, YAML, deployment)', routes: ['/api/kagent'] },
+    healthService: { description: 'System health checks', routes: ['/health'] },
+    configIntelligence: { description: 'Configuration generation', routes: ['/api/config'] },
+    freshSources: { description: 'Package version lookups', routes: ['/api/config'] },
+    debuggingAgent: { description: 'Debugging diagnostics', routes: ['/api/config'] },
+    uiAgent: { description: 'AG-UI event generation', provided: true },
+    notificationCenter: { description: 'Per-user notifications', provided: true },
+    operationRegistry: { description: 'Long-running operations', provided: true },
+    sessionRecorder: { description: 'Session recordings', provided: true },
+    tenantRegistry: { description: 'Tenants and quotas', provided: true }
+};
+
+/**
+ * Router setters fed by each service; `services` setters receive an object
+ * of several services (config's setServices)
+ */
+const ROUTER_WIRING = [
+    { router: 'agents', setter: 'setAgentService', service: 'agentService' },
+    { router: 'agents', setter: 'setIntegrationAgentModule', service: 'integrationAgentModule' },
+    { router: 'chat', setter: 'setChatService', service: 'chatService' },
+    { router: 'memory', setter: 'setMemoryManager', service: 'memoryManager' },
+    { router: 'kagent', setter: 'setKagentService', service: 'kagentService' },
+    { router: 'health', setter: 'setHealthService', service: 'healthService' },
+    { router: 'config', setter: 'setServices', services: ['configIntelligence', 'freshSources', 'debuggingAgent'] },
+    { router: 'notifications', setter: 'setNotificationCenter', service: 'notificationCenter' },
+    { router: 'anp', setter: 'setNotificationCenter', service: 'notificationCenter' },
+    { router: 'operations', setter: 'setOperationRegistry', service: 'operationRegistry' },
+    { router: 'operations', setter: 'setUIAgent', service: 'uiAgent' },
+    { router: 'recordings', setter: 'setSessionRecorder', service: 'sessionRecorder' },
+    { router: 'analytics', setter: 'setUIAgent', service: 'uiAgent' },
+    { router: 'agents', setter: 'setUIAgent', service: 'uiAgent' },
+    { router: 'kagent', setter: 'setUIAgent', service: 'uiAgent' },
+    { router: 'memory', setter: 'setUIAgent', service: 'uiAgent' },
+    { router: 'anp', setter: 'setUIAgent', service: 'uiAgent' },
+    { router: 'tenants', setter: 'setTenantRegistry', service: 'tenantRegistry' }
+];
+
+/**
+ * ServiceContainer - The backends of one app, injected into its routers
+ * and its UI agent.
+ *
+ * createApp / startServer and RoutesIndex share this wiring: a router gets
+ * a service through its setter (see ROUTER_WIRING), so embedding the
+ * package only means passing the services. Unknown service names are kept
+ * (and returned by get) but not wired. In standalone mode, useStandalone()
+ * fills the missing backends with in-memory stand-ins (src/standalone).
+ */
+class ServiceContainer {
+    constructor(services = {}) {
+        this.logger = new Logger('ServiceContainer');
+        this.services = Object.fromEntries(Object.keys(SERVICE_DEFINITIONS).map(name => [name, null]));
+        this.standalone = new Set();
+        this.provide(services);
+    }
+
+    /**
+     * Register services ({ name: service }); null / undefined entries are ignored
+     */
+    provide(services = {}) {
+        for (const [name, service] of Object.entries(services)) {
+            if (service !== null && service !== undefined) {
+                this.services[name] = service;
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Provide in-memory stand-ins for the backends not registered (see
+     * createStandaloneServices for the options). Returns their names.
+     */
+    useStandalone(options = {}) {
+        const services = createStandaloneServices(options, this.services);
+        this.provide(services);
+        Object.keys(services).forEach(name => this.standalone.add(name));
+        return Object.keys(services);
+    }
+
+    get(name) {
+        return this.services[name] ?? null;
+    }
+
+    has(name) {
+        return this.get(name) !== null;
+    }
+
+    /**
+     * Call the setters of `routers` ({ agents, chat, config, ... }) for the
+     * registered services. Returns the `router.setter` names called.
+     */
+    inject(routers = {}) {
+        const injected = [];
+
+        for (const { router: routerName, setter, service, services } of ROUTER_WIRING) {
+            const target = routers[routerName];
+            if (!target || typeof target[setter] !== 'function') {
+                continue;
+            }
+
+            if (services) {
+                if (services.some(name => this.has(name))) {
+                    target[setter](Object.fromEntries(services.map(name => [name, this.get(name)])));
+                    injected.push(`${routerName}.${setter}`);
+                }
+            } else if (this.has(service)) {
+                target[setter](this.get(service));
+                injected.push(`${routerName}.${setter}`);
+            }
+        }
+
+        this.logger.debug(`Services injected: ${injected.join(', ') || 'none'}`);
+        return injected;
+    }
+
+    /**
+     * Backends not registered, with the routes that answer 503 without them
+     */
+    missing() {
+        return Object.entries(SERVICE_DEFINITIONS)
+            .filter(([name, definition]) => !definition.provided && !this.has(name))
+            .map(([name, definition]) => ({ name, description: definition.description, routes: definition.routes }));
+    }
+
+    report() {
+        const missing = this.missing();
+        return {
+            available: Object.keys(this.services).filter(name => this.has(name)),
+            standalone: Array.from(this.standalone),
+            missing,
+            complete: missing.length === 0
+        };
+    }
+
+    /**
+     * Log the missing backends (once at startup)
+     */
+    logReport(logger = this.logger) {
+        const { available, standalone, missing } = this.report();
+        logger.info(`Services available: ${available.join(', ') || 'none'}`);
+        if (standalone.length > 0) {
+            logger.warn(`Standalone mode, in-memory stand-ins: ${standalone.join(', ')}`);
+        }
+        for (const service of missing) {
+            logger.warn(`Service '${service.name}' (${service.description}) not provided: ${service.routes.join(', ')} unavailable`);
+        }
+    }
+}
+
+module.exports = { ServiceContainer, SERVICE_DEFINITIONS, ROUTER_WIRING };
@@ -0,0 +1,142 @@
+const express = require('express');
+const { Logger } = require('../utils/logger');
+const { AuthenticationError } = require('../auth/authenticator');
+const { extractWebSocketToken, isOriginAllowed, acceptsCookieToken } = require('../auth/websocket-auth');
+const { TenantError } = require('../tenants/tenant-registry');
+const { resolveTenant, sendTenantError } = require('../tenants/tenant-middleware');
+const { SseConnection, parseEventId } = require('../agui/sse-connection');
+
+const router = express.Router();
+const logger = new Logger('SSERoutes');
+
+// UI agent and upgrade checks will be set by the UI server (same as /ws)
+let uiAgent = null;
+let authenticator = null;
+let tenantRegistry = null;
+let allowedOrigins = [];
+
+// Open SSE connections (clientId -> SseConnection)
+const connections = new Map();
+
+// Middleware to check if the UI agent is set
+const checkUIAgent = (req, res, next) => {
+    if (!uiAgent) {
+        return res.status(503).json({
+            error: 'UI agent not initialized',
+            message: 'The AG-UI event stream is available once the UI agent is running'
+        });
+    }
+    next();
+};
+
+// Same origin, token and tenant checks as the WebSocket upgrade; sets req.identity and req.tenant
+const authenticate = (req, res, next) => {
+    if (!isOriginAllowed(req.get('Origin'), allowedOrigins)) {
+        return res.status(403).json({ error: 'Origin not allowed', type: 'forbidden' });
+    }
+
+    try {
+        if (authenticator) {
+            req.identity = authenticator.authenticate(extractWebSocketToken(req, {
+                cookie: acceptsCookieToken(allowedOrigins)
+            }));
+        }
+        req.tenant = resolveTenant(tenantRegistry, req.identity);
+        next();
+    } catch (error) {
+        if (error instanceof TenantError) {
+            return sendTenantError(res, error);
+        }
+        if (!(error instanceof AuthenticationError)) {
+            logger.error('SSE authentication failed:', error);
+        }
+        res.status(401).json({
+            error: error instanceof AuthenticationError ? error.message : 'Unauthorized',
+            type: 'authentication_error'
+        });
+    }
+};
+
+// Connection named by X-AGUI-Client (or client_id), only for the identity that opened it
+const findConnection = (req, res, next) => {
+    const clientId = req.get('X-AGUI-Client') || req.query.client_id || req.body?.client_id;
+    const connection = clientId && connections.get(clientId);
+    const owner = connection && uiAgent.getIdentity(clientId);
+
+    if (!connection || (authenticator && owner?.id !== req.identity?.id)) {
+        return res.status(404).json({
+            error: `No AG-UI event stream for client ${clientId || '(none)'}`,
+            type: 'not_found'
+        });
+    }
+
+    req.clientId = clientId;
+    req.sseConnection = connection;
+    next();
+};
+
+// Set UI agent (called by the UI server) with the WebSocket options
+router.setUIAgent = (agent, options = {}) => {
+    uiAgent = agent;
+    authenticator = options.authenticator || null;
+    tenantRegistry = options.tenantRegistry || null;
+    allowedOrigins = options.allowedOrigins || [];
+    logger.info('UI agent set for SSE routes');
+};
+
+/**
+ * @route GET /agui/events
+ * @desc AG-UI event stream (text/event-stream). Sequenced events carry the
+ *       id `<session_id>:<seq>`; reconnecting with Last-Event-ID (or
+ *       ?last_event_id=) resumes the session and replays what was missed.
+ */
+router.get('/events', checkUIAgent, authenticate, (req, res) => {
+    const connection = new SseConnection(res);
+    const clientId = uiAgent.handleConnection(connection, req);
+
+    connections.set(clientId, connection);
+    connection.on('close', () => connections.delete(clientId));
+
+    const resume = parseEventId(req.get('Last-Event-ID') || req.query.last_event_id);
+    if (resume) {
+        uiAgent.handleResume(clientId, resume);
+    }
+});
+
+/**
+ * @route POST /agui/messages
+ * @desc Client-to-server AG-UI message ({ type, content }) for the stream
+ *       named by the X-AGUI-Client header
+ */
+router.post('/messages', checkUIAgent, authenticate, findConnection, (req, res) => {
+    const { type, content } = req.body || {};
+    if (!type) {
+        return res.status(400).json({
+            error: 'Message type is required',
+            type: 'validation_error'
+        });
+    }
+
+    // Handled like a WebSocket frame; answers arrive on the event stream
+    req.sseConnection.receive(JSON.stringify({ type, content }));
+
+    res.status(202).json({
+        success: true,
+        client_id: req.clientId
+    });
+});
+
+/**
+ * @route DELETE /agui/events
+ * @desc Close the stream and its session (like a normal WebSocket closure)
+ */
+router.delete('/events', checkUIAgent, authenticate, findConnection, (req, res) => {
+    req.sseConnection.close(1000, 'Client disconnect');
+
+    res.json({
+        success: true,
+        client_id: req.clientId
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,140 @@
+const express = require('express');
+const { Logger } = require('../utils/logger');
+const { requireScope } = require('../auth/rest-auth');
+const { tenantOf, sendTenantError } = require('../tenants/tenant-middleware');
+
+const router = express.Router();
+const logger = new Logger('TenantRoutes');
+
+// Tenant registry will be set by the server (see ServiceContainer)
+let tenantRegistry = null;
+
+// Middleware to check if the tenant registry is set
+const checkTenantRegistry = (req, res, next) => {
+    if (!tenantRegistry) {
+        return res.status(503).json({
+            error: 'Tenant registry not initialized',
+            message: 'Please provide a tenant registry before using these endpoints'
+        });
+    }
+    next();
+};
+
+// Set tenant registry (called by the server)
+router.setTenantRegistry = (registry) => {
+    tenantRegistry = registry;
+    logger.info('Tenant registry set for routes');
+};
+
+// Tenant errors carry their status; anything else is a server error
+function sendError(res, error, message) {
+    if (error.name === 'TenantError') {
+        return sendTenantError(res, error);
+    }
+    logger.error(`${message}:`, error);
+    res.status(500).json({
+        error: message,
+        message: error.message,
+        type: 'server_error'
+    });
+}
+
+/**
+ * @route GET /api/tenants/current
+ * @desc Get the caller's tenant with its quotas and usage
+ */
+router.get('/current', checkTenantRegistry, (req, res) => {
+    res.json({
+        success: true,
+        tenant: tenantRegistry.describe(tenantOf(req).id)
+    });
+});
+
+/**
+ * @route GET /api/tenants
+ * @desc List tenants
+ */
+router.get('/', requireScope('superadmin'), checkTenantRegistry, (req, res) => {
+    const tenants = tenantRegistry.list();
+
+    res.json({
+        success: true,
+        count: tenants.length,
+        tenants
+    });
+});
+
+/**
+ * @route POST /api/tenants
+ * @desc Create a tenant ({ id, name, namespace, quotas })
+ */
+router.post('/', requireScope('superadmin'), checkTenantRegistry, (req, res) => {
+    try {
+        const tenant = tenantRegistry.create(req.body || {});
+        logger.info(`Tenant ${tenant.id} created by ${req.identity?.id || 'anonymous'}`);
+
+        res.status(201).json({
+            success: true,
+            tenant
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to create tenant');
+    }
+});
+
+/**
+ * @route GET /api/tenants/:id
+ * @desc Get a tenant with its quotas and usage
+ */
+router.get('/:id', requireScope('superadmin'), checkTenantRegistry, (req, res) => {
+    const tenant = tenantRegistry.get(req.params.id);
+    if (!tenant) {
+        return res.status(404).json({
+            error: `Tenant ${req.params.id} not found`,
+            type: 'not_found'
+        });
+    }
+
+    res.json({
+        success: true,
+        tenant
+    });
+});
+
+/**
+ * @route PATCH /api/tenants/:id
+ * @desc Update a tenant's name, quotas or disabled flag
+ */
+router.patch('/:id', requireScope('superadmin'), checkTenantRegistry, (req, res) => {
+    try {
+        const { name, quotas, disabled } = req.body || {};
+        const tenant = tenantRegistry.update(req.params.id, { name, quotas, disabled });
+
+        res.json({
+            success: true,
+            tenant
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to update tenant');
+    }
+});
+
+/**
+ * @route DELETE /api/tenants/:id
+ * @desc Remove a tenant (its agents, memories and deployments are kept)
+ */
+router.delete('/:id', requireScope('superadmin'), checkTenantRegistry, (req, res) => {
+    try {
+        tenantRegistry.remove(req.params.id);
+
+        res.json({
+            success: true,
+            message: 'Tenant removed successfully',
+            tenantId: req.params.id
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to remove tenant');
+    }
+});
+
+module.exports = router;
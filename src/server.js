@@ -10,24 +10,81 @@ import compression from 'compression';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import { UIAgent } from './agui/ui-agent.js';
+import { RedisBus } from './agui/event-bus.js';
+import { Authenticator } from './auth/authenticator.js';
+import { createRestAuthenticator } from './auth/rest-auth.js';
+import { createVerifyClient, selectProtocol } from './auth/websocket-auth.js';
+import { TenantRegistry } from './tenants/tenant-registry.js';
+import { createTenantResolver } from './tenants/tenant-middleware.js';
 
 // Import route handlers
 import agentsRouter from './routes/agents.js';
+import analyticsRouter from './routes/analytics.js';
 import anpRouter from './routes/anp.js';
 import chatRouter from './routes/chat.js';
 import configRouter from './routes/config.js';
 import healthRouter from './routes/health.js';
+import kagentRouter from './routes/kagent.js';
 import memoryRouter from './routes/memory.js';
-import rootRouter from './routes/index.js';
+import notificationsRouter from './routes/notifications.js';
+import operationsRouter from './routes/operations.js';
+import recordingsRouter from './routes/recordings.js';
+import { RoutesIndex } from './routes/index.js';
 import searchRouter from './routes/search.js';
 import selfAwarenessRouter from './routes/self-awareness.js';
+import sseRouter from './routes/sse.js';
+import tenantsRouter from './routes/tenants.js';
+import { ServiceContainer } from './routes/service-container.js';
+
+// Routers whose setters receive services (see ROUTER_WIRING in service-container.js)
+const ROUTERS = {
+    agents: agentsRouter,
+    analytics: analyticsRouter,
+    anp: anpRouter,
+    chat: chatRouter,
+    config: configRouter,
+    health: healthRouter,
+    kagent: kagentRouter,
+    memory: memoryRouter,
+    notifications: notificationsRouter,
+    operations: operationsRouter,
+    recordings: recordingsRouter,
+    tenants: tenantsRouter
+};
+
+function toContainer(services) {
+    return services instanceof ServiceContainer ? services : new ServiceContainer(services);
+}
 
 /**
- * Create Express application with all middleware and routes
- * @returns {Express} Configured Express application
+ * Create Express application with all middleware and routes. Routers are
+ * module singletons: the services are shared by every app of the process.
+ * @param {Object} [options]
+ * @param {Object|ServiceContainer} [options.services] - Backends injected into the routers
+ *   (agentService, integrationAgentModule, chatService, memoryManager, kagentService,
+ *   healthService, configIntelligence, freshSources, debuggingAgent) and the UI agent (autoweave)
+ * @param {Object} [options.config] - corsOrigin, rateLimit ({ windowMs, max }), bodyLimit,
+ *   authenticator (Authenticator.fromEnv() when undefined, null to turn authentication off),
+ *   tenants (a TenantRegistry, TenantRegistry.fromEnv() when undefined and the services hold none,
+ *   null to turn tenants off), and mode: 'standalone' to run missing backends in memory
+ *   (options in config.standalone)
+ * @returns {Express} Configured Express application (app.locals.services holds the container,
+ *   app.locals.authenticator the authenticator)
  */
-export function createApp() {
+export function createApp({ services = {}, config = {} } = {}) {
     const app = express();
+    const container = toContainer(services);
+    app.locals.services = container;
+
+    // Tenants: every service call is scoped to the caller's (see tenant-middleware.js)
+    if (!container.has('tenantRegistry')) {
+        container.provide({ tenantRegistry: config.tenants !== undefined ? config.tenants : TenantRegistry.fromEnv() });
+    }
+
+    // Standalone / demo mode: in-memory stand-ins for the missing backends
+    if (config.mode === 'standalone') {
+        container.useStandalone(config.standalone);
+    }
 
     // Security middleware
     app.use(helmet({
@@ -44,7 +101,7 @@ export function createApp() {
 
     // CORS configuration
     app.use(cors({
-        origin: process.env.CORS_ORIGIN || '*',
+        origin: config.corsOrigin || process.env.CORS_ORIGIN || '*',
         credentials: true,
     }));
 
@@ -52,8 +109,8 @@ export function createApp() {
     app.use(compression());
 
     // Body parsing
-    app.use(express.json({ limit: '50mb' }));
-    app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+    app.use(express.json({ limit: config.bodyLimit || '50mb' }));
+    app.use(express.urlencoded({ extended: true, limit: config.bodyLimit || '50mb' }));
 
     // Rate limiting
     const limiter = rateLimit({
@@ -61,19 +118,40 @@ export function createApp() {
         max: 100, // limit each IP to 100 requests per windowMs
         standardHeaders: true,
         legacyHeaders: false,
+        ...config.rateLimit
     });
     app.use('/api/', limiter);
 
+    // Authentication: sets req.identity, each route checks its scope (see rest-auth.js)
+    const authenticator = config.authenticator !== undefined ? config.authenticator : Authenticator.fromEnv();
+    app.locals.authenticator = authenticator;
+    app.use(createRestAuthenticator({ authenticator, logger: console }));
+    app.use(createTenantResolver({ registry: container.get('tenantRegistry'), logger: console }));
+
+    // Inject the backends into the routers
+    container.inject(ROUTERS);
+
     // Mount routes
-    app.use('/', rootRouter);
     app.use('/api/agents', agentsRouter);
+    app.use('/api/analytics', analyticsRouter);
     app.use('/api/anp', anpRouter);
     app.use('/api/chat', chatRouter);
-    app.use('/api/config', configRouter);
+    app.use('/api/config', configRouter.router);
     app.use('/health', healthRouter);
+    app.use('/api/kagent', kagentRouter);
     app.use('/api/memory', memoryRouter);
+    app.use('/api/notifications', notificationsRouter);
+    app.use('/api/operations', operationsRouter);
+    app.use('/api/recordings', recordingsRouter);
     app.use('/api/search', searchRouter);
     app.use('/api/self-awareness', selfAwarenessRouter);
+    app.use('/api/tenants', tenantsRouter);
+
+    // AG-UI over Server-Sent Events, for clients whose proxies block /ws (outside the /api rate limit, like /ws)
+    app.use('/agui', sseRouter);
+
+    // GET /api, GET /status and the /api 404 fallback (after every API route)
+    new RoutesIndex(container).addRootEndpoints(app);
 
     // Error handling middleware
     app.use((err, req, res, next) => {
@@ -90,18 +168,73 @@ export function createApp() {
 }
 
 /**
- * Setup WebSocket server
+ * Setup WebSocket server. The UI agent and the origin / token checks are
+ * shared with the Server-Sent Events fallback mounted at /agui.
  * @param {http.Server} server - HTTP server instance
- * @returns {WebSocketServer} Configured WebSocket server
+ * @param {Object} [options] - WebSocket options
+ * @param {UIAgent} [options.uiAgent] - UI Agent to handle connections (lets server code publish to topics)
+ * @param {string} [options.templatesDir] - Custom template directory, used when no uiAgent is given
+ * @param {Authenticator} [options.authenticator] - Authenticates upgrades (token in query, subprotocol, or cookie when origins are restricted)
+ * @param {Object} [options.auth] - Authenticator options, used when no authenticator is given
+ * @param {string[]} [options.allowedOrigins] - Origins allowed to connect (all when empty)
+ * @param {Object} [options.bus] - Event bus shared with the other replicas, used when no uiAgent is given
+ * @param {Object} [options.recording] - Session recording options ({ directory, recordAll, redactKeys }), used when no uiAgent is given
+ * @param {Object} [options.notifications] - Notification options ({ file, retention, maxNotifications }), used when no uiAgent is given
+ * @param {Object|ServiceContainer} [options.services] - Services of the app (createApp's app.locals.services): `autoweave`
+ *   backs the UI agent, which in turn provides uiAgent, notificationCenter, operationRegistry and sessionRecorder;
+ *   `tenantRegistry` resolves the tenant of each WebSocket and SSE session
+ * @returns {WebSocketServer} Configured WebSocket server; upgrades wait for the UI agent's
+ *   initialize(), whose promise is `wss.ready`
  */
-export function setupWebSocket(server) {
+export function setupWebSocket(server, options = {}) {
+    const authenticator = options.authenticator || (options.auth ? new Authenticator(options.auth) : null);
+    const container = toContainer(options.services);
+    const verifyClient = createVerifyClient({
+        authenticator,
+        tenantRegistry: container.get('tenantRegistry'),
+        allowedOrigins: options.allowedOrigins || [],
+        logger: console
+    });
+
     const wss = new WebSocketServer({ 
         server,
-        path: '/ws'
+        path: '/ws',
+        // Hold upgrades until templates, bus and notifications are loaded
+        verifyClient: (info, callback) => {
+            wss.ready.then(() => verifyClient(info, callback));
+        },
+        handleProtocols: selectProtocol
     });
 
     // Initialize UI Agent for WebSocket handling
-    const uiAgent = new UIAgent();
+    const uiAgent = options.uiAgent || new UIAgent({
+        templatesDir: options.templatesDir,
+        bus: options.bus,
+        recording: options.recording,
+        notifications: options.notifications
+    }, container.get('autoweave'));
+    if (!uiAgent.autoweaveInstance) {
+        uiAgent.autoweaveInstance = container.get('autoweave');
+    }
+    wss.uiAgent = uiAgent;
+    wss.ready = uiAgent.initialize().catch((error) => {
+        // Connections are still served, with the built-in templates
+        console.error('UI Agent initialization failed:', error);
+    });
+
+    // The UI agent's own services go to their routers
+    container.provide({
+        uiAgent,
+        notificationCenter: uiAgent.notifications,
+        operationRegistry: uiAgent.operations,
+        sessionRecorder: uiAgent.recorder
+    });
+    container.inject(ROUTERS);
+    sseRouter.setUIAgent(uiAgent, {
+        authenticator,
+        tenantRegistry: container.get('tenantRegistry'),
+        allowedOrigins: options.allowedOrigins || []
+    });
 
     wss.on('connection', (ws, req) => {
         console.log('New WebSocket connection from:', req.socket.remoteAddress);
@@ -118,21 +251,68 @@ export function setupWebSocket(server) {
 }
 
 /**
- * Start the UI server
+ * Create the Redis event bus configured by AGUI_REDIS_URL (and AGUI_BUS_PREFIX)
+ * @param {Object} [env] - Environment variables
+ * @returns {Promise<RedisBus|null>} Bus, or null for a single replica
+ */
+export async function createBusFromEnv(env = process.env) {
+    if (!env.AGUI_REDIS_URL) {
+        return null;
+    }
+
+    // Optional dependency, only needed when running several replicas
+    const { default: Redis } = await import('ioredis');
+    return new RedisBus({
+        publisher: new Redis(env.AGUI_REDIS_URL),
+        subscriber: new Redis(env.AGUI_REDIS_URL),
+        prefix: env.AGUI_BUS_PREFIX || undefined,
+        logger: console
+    });
+}
+
+/**
+ * Start the UI server. Options not given in `config` are read from the environment
+ * (UI_MODE=standalone for config.mode).
  * @param {number} port - Port number to listen on
- * @returns {Promise<http.Server>} HTTP server instance
+ * @param {Object} [options]
+ * @param {Object|ServiceContainer} [options.services] - Backends (see createApp); missing ones are reported at startup
+ * @param {Object} [options.config] - createApp options plus setupWebSocket options (uiAgent, templatesDir,
+ *   allowedOrigins, bus, recording, notifications); the authenticator guards REST, WebSocket and SSE alike
+ * @returns {Promise<http.Server>} HTTP server instance (server.services holds the container)
  */
-export async function startServer(port = 3001) {
-    const app = createApp();
+export async function startServer(port = 3001, { services = {}, config = {} } = {}) {
+    const container = toContainer(services);
+    const app = createApp({ services: container, config: { ...config, mode: config.mode || process.env.UI_MODE } });
+    const bus = config.bus !== undefined ? config.bus : await createBusFromEnv();
+    await container.get('tenantRegistry')?.load();
     
     return new Promise((resolve) => {
-        const server = app.listen(port, () => {
+        const server = app.listen(port, async () => {
             console.log(`AutoWeave UI server listening on port ${port}`);
             
             // Setup WebSocket
-            const wss = setupWebSocket(server);
+            const wss = setupWebSocket(server, {
+                uiAgent: config.uiAgent,
+                templatesDir: config.templatesDir || process.env.AGUI_TEMPLATES_DIR,
+                authenticator: app.locals.authenticator,
+                allowedOrigins: config.allowedOrigins ||
+                    (process.env.WS_ALLOWED_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean),
+                bus,
+                recording: config.recording !== undefined ? config.recording : (process.env.AGUI_RECORDINGS_DIR ? {
+                    directory: process.env.AGUI_RECORDINGS_DIR,
+                    recordAll: process.env.AGUI_RECORD_ALL_SESSIONS === 'true'
+                } : null),
+                notifications: config.notifications || { file: process.env.AGUI_NOTIFICATIONS_FILE || null },
+                services: container
+            });
+            await wss.ready;
             console.log('WebSocket server initialized at /ws');
             
+            // Missing backends: their routes answer 503
+            container.logReport(console);
+            
+            server.services = container;
+            server.wss = wss;
             resolve(server);
         });
     });
@@ -141,5 +321,7 @@ export async function startServer(port = 3001) {
 // Export for direct execution
 if (import.meta.url === `file://${process.argv[1]}`) {
     const port = process.env.UI_PORT || 3001;
-    startServer(port).catch(console.error);
+    // --mock: run without AutoWeave core, every backend in memory
+    const mode = process.argv.includes('--mock') ? 'standalone' : undefined;
+    startServer(port, { config: { mode } }).catch(console.error);
 }
\ No newline at end of file
@@ -0,0 +1,359 @@
+const { v4: uuidv4 } = require('uuid');
+const { Logger } = require('../utils/logger');
+const { Lifecycle } = require('./lifecycle');
+const { StandaloneError, StandaloneValidationError } = require('./errors');
+const { tenantKey, DEFAULT_TENANT } = require('../tenants/tenant-registry');
+
+// Capabilities (workflow module types) inferred from agent descriptions
+const CAPABILITY_KEYWORDS = {
+    file_system: ['file', 'files', 'disk', 'directory', 'folder'],
+    http: ['http', 'api', 'web', 'url', 'webhook', 'fetch'],
+    kubernetes: ['kubernetes', 'k8s', 'pod', 'pods', 'cluster', 'deployment'],
+    database: ['database', 'sql', 'postgres', 'mysql', 'redis', 'mongodb'],
+    notification: ['slack', 'email', 'notify', 'alert', 'alerts'],
+    git: ['git', 'github', 'gitlab', 'repository', 'commit'],
+    monitoring: ['monitor', 'monitors', 'metrics', 'logs', 'prometheus']
+};
+
+const STOP_WORDS = new Set(['a', 'an', 'the', 'that', 'which', 'and', 'or', 'to', 'for', 'of', 'in', 'on', 'my', 'me', 'agent', 'create']);
+
+/**
+ * Kubernetes-style name built from the first meaningful words of a text
+ */
+function toResourceName(text, fallback = 'agent') {
+    const words = String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+    const name = words.filter(word => !STOP_WORDS.has(word)).slice(0, 3).join('-').slice(0, 40);
+    return name || fallback;
+}
+
+function inferCapabilities(description) {
+    const words = new Set(String(description).toLowerCase().match(/[a-z0-9]+/g) || []);
+    const capabilities = Object.keys(CAPABILITY_KEYWORDS)
+        .filter(capability => CAPABILITY_KEYWORDS[capability].some(keyword => words.has(keyword)));
+    return capabilities.length > 0 ? capabilities : ['llm'];
+}
+
+/**
+ * InMemoryAgentService - agentService stand-in for standalone mode
+ *
+ * Agents move through pending -> deploying -> running once created,
+ * starting -> running and stopping -> stopped afterwards (see Lifecycle).
+ * Each transition is logged, and running agents report metrics growing with
+ * their uptime. With a `kagentService`, deployments also create its Agent
+ * resource; with a `memoryManager`, agents join its graph.
+ *
+ * Methods take the caller's tenant context ({ tenant, namespace }) last:
+ * agents are tagged with their tenant, deployed to its namespace and not
+ * found from other tenants.
+ */
+class InMemoryAgentService {
+    constructor(options = {}) {
+        this.logger = new Logger('InMemoryAgentService');
+        this.lifecycle = new Lifecycle(options);
+        this.namespace = options.namespace || 'default';
+        this.kagentService = options.kagentService || null;
+        this.memoryManager = options.memoryManager || null;
+        this.agents = new Map();
+    }
+
+    /**
+     * options.name overrides the name derived from the description;
+     * options.tenant and options.namespace are the tenant context
+     */
+    async createAndDeployAgent(description, userId = 'system', options = {}) {
+        if (typeof description !== 'string' || description.trim().length < 10) {
+            throw new StandaloneValidationError('Description must be at least 10 characters long', 'description');
+        }
+
+        const id = uuidv4();
+        const name = this.uniqueName(toResourceName(options.name || description));
+        const agent = {
+            id,
+            name,
+            description: description.trim(),
+            capabilities: inferCapabilities(description),
+            tenant: options.tenant || DEFAULT_TENANT,
+            namespace: options.namespace || this.namespace,
+            kagentName: `autoweave-${name}`,
+            userId,
+            createdAt: new Date(this.lifecycle.now()).toISOString(),
+            restarts: 0,
+            logs: [],
+            transitions: []
+        };
+        this.agents.set(id, agent);
+        this.transition(agent, ['pending', 'deploying', 'running']);
+
+        const workflow = {
+            id,
+            name,
+            description: agent.description,
+            namespace: agent.namespace,
+            requiredModules: agent.capabilities.map(type => ({ type, name: `${type}-module` }))
+        };
+        if (this.kagentService) {
+            await this.kagentService.deployWorkflow({ ...workflow, name: agent.kagentName });
+        }
+        if (this.memoryManager) {
+            const node = tenantKey(agent.tenant, id);
+            await this.memoryManager.structuralMemory.addNode(node, 'agent', { name, capabilities: agent.capabilities });
+            await this.memoryManager.structuralMemory.linkAgentToWorkflow(node, tenantKey(agent.tenant, userId), 'created_by');
+        }
+
+        this.logger.info(`Agent ${name} created for ${userId}`);
+        return {
+            workflow,
+            status: this.lifecycle.status(agent),
+            deployment: {
+                kagentName: agent.kagentName,
+                namespace: agent.namespace,
+                status: this.lifecycle.status(agent)
+            }
+        };
+    }
+
+    /**
+     * Agents of context.tenant, every agent without context
+     */
+    async listAgents(context = {}) {
+        return Array.from(this.agents.values())
+            .filter(agent => !context.tenant || agent.tenant === context.tenant)
+            .map(agent => this.snapshot(agent));
+    }
+
+    async getAgentStatus(id, context = {}) {
+        const agent = this.find(id, context);
+        if (!agent) {
+            return null;
+        }
+        return {
+            ...this.snapshot(agent),
+            userId: agent.userId,
+            restarts: agent.restarts,
+            transitions: this.lifecycle.history(agent).map(({ status, at }) => ({ status, at: new Date(at).toISOString() })),
+            deployment: { kagentName: agent.kagentName, namespace: agent.namespace }
+        };
+    }
+
+    async updateAgent(id, updates = {}, context = {}) {
+        const agent = this.find(id, context);
+        if (!agent) {
+            return null;
+        }
+
+        if (updates.description !== undefined) {
+            agent.description = String(updates.description);
+        }
+        if (Array.isArray(updates.capabilities)) {
+            agent.capabilities = updates.capabilities.map(String);
+        }
+        agent.updatedAt = this.lifecycle.now();
+        this.log(agent, 'info', 'Configuration updated');
+        return this.snapshot(agent);
+    }
+
+    async deleteAgent(id, context = {}) {
+        const agent = this.require(id, context);
+        this.agents.delete(id);
+        this.kagentService?.removeAgent?.(agent.kagentName, agent.namespace);
+        this.memoryManager?.structuralMemory.removeNode(tenantKey(agent.tenant, id));
+        this.logger.info(`Agent ${agent.name} deleted`);
+    }
+
+    async startAgent(id, context = {}) {
+        const agent = this.require(id, context);
+        if (['running', 'starting', 'pending', 'deploying'].includes(this.lifecycle.status(agent))) {
+            return { status: this.lifecycle.status(agent) };
+        }
+        agent.restarts += 1;
+        this.transition(agent, ['starting', 'running']);
+        return { status: this.lifecycle.status(agent) };
+    }
+
+    async stopAgent(id, context = {}) {
+        const agent = this.require(id, context);
+        if (['stopped', 'stopping'].includes(this.lifecycle.status(agent))) {
+            return { status: this.lifecycle.status(agent) };
+        }
+        this.transition(agent, ['stopping', 'stopped']);
+        return { status: this.lifecycle.status(agent) };
+    }
+
+    /**
+     * Log entries { timestamp, level, message } of an agent, oldest first
+     */
+    async getAgentLogs(id, options = {}, context = {}) {
+        const agent = this.require(id, context);
+        const now = this.lifecycle.now();
+        const since = options.since ? Date.parse(options.since) : null;
+        const limit = options.limit || options.lines || 100;
+
+        return agent.logs
+            .filter(entry => entry.at <= now && (!Number.isFinite(since) || entry.at >= since))
+            .slice(-limit)
+            .map(({ at, level, message }) => ({ timestamp: new Date(at).toISOString(), level, message }));
+    }
+
+    async getAgentMetrics(id, context = {}) {
+        const agent = this.require(id, context);
+        const uptime = Math.floor(this.lifecycle.timeIn(agent, 'running') / 1000);
+
+        return {
+            status: this.lifecycle.status(agent),
+            uptime_seconds: uptime,
+            restarts: agent.restarts,
+            requests_total: uptime * 3,
+            errors_total: Math.floor(uptime / 120),
+            cpu_millicores: uptime > 0 ? 40 + agent.capabilities.length * 15 : 0,
+            memory_mb: uptime > 0 ? 96 + agent.capabilities.length * 32 : 0
+        };
+    }
+
+    // ========== HELPERS ==========
+
+    find(id, context = {}) {
+        const agent = this.agents.get(id);
+        return agent && (!context.tenant || agent.tenant === context.tenant) ? agent : null;
+    }
+
+    require(id, context = {}) {
+        const agent = this.find(id, context);
+        if (!agent) {
+            throw new StandaloneError(`Agent ${id} not found`, 'AGENT_NOT_FOUND');
+        }
+        return agent;
+    }
+
+    uniqueName(base) {
+        const names = new Set(Array.from(this.agents.values()).map(agent => agent.name));
+        let name = base;
+        for (let index = 2; names.has(name); index++) {
+            name = `${base}-${index}`;
+        }
+        return name;
+    }
+
+    transition(agent, statuses) {
+        const first = this.lifecycle.schedule(agent, statuses);
+        agent.logs = agent.logs.filter(entry => entry.at <= first.at);
+        statuses.forEach((status, index) => {
+            this.log(agent, 'info', `Agent ${agent.name} is ${status}`, first.at + index * this.lifecycle.delay);
+        });
+    }
+
+    log(agent, level, message, at = this.lifecycle.now()) {
+        agent.logs.push({ at, level, message });
+        if (agent.logs.length > 1000) {
+            agent.logs.shift();
+        }
+    }
+
+    snapshot(agent) {
+        const current = this.lifecycle.current(agent);
+        return {
+            id: agent.id,
+            name: agent.name,
+            description: agent.description,
+            status: current.status,
+            capabilities: agent.capabilities,
+            tenant: agent.tenant,
+            namespace: agent.namespace,
+            createdAt: agent.createdAt,
+            lastUpdated: new Date(Math.max(current.at, agent.updatedAt || 0)).toISOString()
+        };
+    }
+}
+
+/**
+ * InMemoryIntegrationAgentModule - integrationAgentModule stand-in
+ *
+ * Integration agents are "generated" from their OpenAPI URL (nothing is
+ * fetched) and move through generating -> generated, then deploying ->
+ * deployed when deploy_config.deploy is set.
+ */
+class InMemoryIntegrationAgentModule {
+    constructor(options = {}) {
+        this.logger = new Logger('InMemoryIntegrationAgentModule');
+        this.lifecycle = new Lifecycle(options);
+        this.agents = new Map();
+    }
+
+    async createIntegrationAgent({ openapi_url, target_namespace = 'default', git_repo = null, deploy_config = {}, tenant = DEFAULT_TENANT } = {}) {
+        if (!openapi_url) {
+            throw new StandaloneValidationError('openapi_url is required', 'openapi_url');
+        }
+
+        const id = uuidv4();
+        const agent = {
+            id,
+            name: `${toResourceName(String(openapi_url).replace(/^https?:\/\//, ''), 'integration')}-agent`,
+            openapi_url,
+            tenant,
+            namespace: target_namespace,
+            git_repo,
+            deploy: deploy_config?.deploy !== false,
+            createdAt: new Date(this.lifecycle.now()).toISOString(),
+            transitions: []
+        };
+        this.agents.set(id, agent);
+        this.lifecycle.schedule(agent, agent.deploy
+            ? ['generating', 'generated', 'deploying', 'deployed']
+            : ['generating', 'generated']);
+
+        this.logger.info(`Integration agent ${agent.name} created from ${openapi_url}`);
+        return { agentId: id, agent: this.snapshot(agent) };
+    }
+
+    async listIntegrationAgents() {
+        return Array.from(this.agents.values()).map(agent => this.snapshot(agent));
+    }
+
+    async getIntegrationAgentStatus(id) {
+        return this.snapshot(this.require(id));
+    }
+
+    async deleteIntegrationAgent(id) {
+        const agent = this.require(id);
+        this.agents.delete(id);
+        return { agentId: id, name: agent.name };
+    }
+
+    async getMetrics() {
+        const byStatus = {};
+        for (const agent of this.agents.values()) {
+            const status = this.lifecycle.status(agent);
+            byStatus[status] = (byStatus[status] || 0) + 1;
+        }
+
+        const prometheus = [
+            '# HELP integration_agents Integration agents by status',
+            '# TYPE integration_agents gauge',
+            ...Object.entries(byStatus).map(([status, count]) => `integration_agents{status="${status}"} ${count}`)
+        ].join('\n') + '\n';
+
+        return { total: this.agents.size, by_status: byStatus, prometheus };
+    }
+
+    require(id) {
+        const agent = this.agents.get(id);
+        if (!agent) {
+            throw new StandaloneError(`Integration agent ${id} not found`, 'AGENT_NOT_FOUND');
+        }
+        return agent;
+    }
+
+    snapshot(agent) {
+        return {
+            id: agent.id,
+            name: agent.name,
+            openapi_url: agent.openapi_url,
+            tenant: agent.tenant,
+            namespace: agent.namespace,
+            git_repo: agent.git_repo,
+            status: this.lifecycle.status(agent),
+            createdAt: agent.createdAt
+        };
+    }
+}
+
+module.exports = { InMemoryAgentService, InMemoryIntegrationAgentModule, toResourceName, inferCapabilities };
@@ -0,0 +1,107 @@
+const { v4: uuidv4 } = require('uuid');
+const { Logger } = require('../utils/logger');
+
+const DEFAULT_MAX_MESSAGES = 200;
+
+// Answers used before echoing; `reply` gets the match, the service and the message options
+const DEFAULT_RESPONSES = [
+    {
+        pattern: /^\s*(hi|hello|hey|bonjour|salut)\b/i,
+        reply: () => 'Hello! AutoWeave is running in standalone mode: agents, memory and kagent are simulated in memory.'
+    },
+    {
+        pattern: /\b(help|what can you do)\b/i,
+        reply: () => 'Try "create agent that monitors my pods", /agent-list, /system-health or /memory-search <query>.'
+    },
+    {
+        pattern: /\b(list|show)\b.*\bagents?\b/i,
+        reply: async (match, service, options) => {
+            const agents = service.agentService ? await service.agentService.listAgents({ tenant: options.tenant }) : [];
+            return agents.length === 0
+                ? 'No agents yet.'
+                : `${agents.length} agent(s): ${agents.map(agent => `${agent.name} (${agent.status})`).join(', ')}`;
+        }
+    }
+];
+
+function countTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * InMemoryChatService - chatService stand-in for standalone mode
+ *
+ * Messages get the first matching canned response (`responses`: [{ pattern,
+ * reply }] tried before the defaults; `reply` is a string or a function of
+ * the match), otherwise they are echoed. Streaming sends the answer word by
+ * word through onChunk. Conversation memory is kept per user (last
+ * `maxMessages`), and mirrored to the memoryManager when one is given.
+ * options.tenant scopes the agents answers mention.
+ */
+class InMemoryChatService {
+    constructor(options = {}) {
+        this.logger = new Logger('InMemoryChatService');
+        this.responses = [...(options.responses || []), ...DEFAULT_RESPONSES];
+        this.maxMessages = options.maxMessages || DEFAULT_MAX_MESSAGES;
+        this.agentService = options.agentService || null;
+        this.memoryManager = options.memoryManager || null;
+        this.memory = new Map();
+    }
+
+    async processChatMessage(message, options = {}) {
+        const content = await this.reply(String(message ?? ''), options);
+
+        if (options.stream && typeof options.onChunk === 'function') {
+            content.split(/(?<= )/).forEach(chunk => options.onChunk(chunk));
+        }
+
+        const user = options.user || 'anonymous';
+        await this.addToMemory(String(message ?? ''), user, { role: 'user' });
+        await this.addToMemory(content, user, { role: 'assistant' });
+
+        const promptTokens = (options.conversationContext || [{ content: message }])
+            .reduce((total, entry) => total + countTokens(entry.content), 0);
+        const completionTokens = countTokens(content);
+        return { content, promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+    }
+
+    async reply(message, options = {}) {
+        for (const { pattern, reply } of this.responses) {
+            const match = typeof pattern === 'string'
+                ? (message.toLowerCase().includes(pattern.toLowerCase()) ? [pattern] : null)
+                : message.match(pattern);
+            if (match) {
+                return typeof reply === 'function' ? String(await reply(match, this, options)) : String(reply);
+            }
+        }
+        return `You said: "${message}"`;
+    }
+
+    async addToMemory(message, userId = 'anonymous', metadata = {}) {
+        const entry = { id: uuidv4(), message, metadata, timestamp: new Date().toISOString() };
+        if (!this.memory.has(userId)) {
+            this.memory.set(userId, []);
+        }
+        const entries = this.memory.get(userId);
+        entries.push(entry);
+        if (entries.length > this.maxMessages) {
+            entries.shift();
+        }
+
+        if (this.memoryManager && metadata.role !== 'assistant') {
+            await this.memoryManager.contextualMemory.addUserMemory(userId, message, { ...metadata, source: 'chat' });
+        }
+        return entry;
+    }
+
+    async getMemory(userId, options = {}) {
+        const entries = this.memory.get(userId) || [];
+        return entries.slice(-(options.limit || 10));
+    }
+
+    async clearMemory(userId) {
+        this.memory.delete(userId);
+    }
+}
+
+module.exports = { InMemoryChatService };
@@ -0,0 +1,211 @@
+const { Logger } = require('../utils/logger');
+const { StandaloneError } = require('./errors');
+const { resourceName } = require('./kagent-service');
+
+// Versions known to the fresh sources stand-in, newest first
+const DEFAULT_PACKAGES = {
+    docker: {
+        nginx: ['1.27.1', '1.27.0', '1.26.2'],
+        redis: ['7.4.0', '7.2.5', '7.0.15'],
+        postgres: ['16.4', '16.3', '15.8'],
+        'grafana/grafana': ['11.2.0', '11.1.4', '10.4.7']
+    },
+    npm: {
+        express: ['4.19.2', '4.19.1', '4.18.3'],
+        ws: ['8.18.0', '8.17.1', '8.16.0'],
+        react: ['18.3.1', '18.3.0', '18.2.0']
+    },
+    helm: {
+        'bitnami/nginx': ['18.1.11', '18.1.10', '17.3.3'],
+        'bitnami/redis': ['20.0.3', '20.0.2', '19.6.4'],
+        'prometheus-community/kube-prometheus-stack': ['62.3.1', '62.3.0', '61.9.0']
+    },
+    github: {
+        'kagent-dev/kagent': ['v0.3.2', 'v0.3.1', 'v0.3.0']
+    }
+};
+
+const SUGGESTIONS = [
+    'Deploy nginx with TLS and autoscaling',
+    'Deploy redis with persistence',
+    'Deploy postgres with daily backups',
+    'Set up Prometheus and Grafana monitoring',
+    'Create an agent that monitors pod restarts',
+    'Expose a service through an ingress'
+];
+
+function compareVersions(a, b) {
+    const parts = version => String(version).replace(/^v/, '').split('.').map(part => parseInt(part, 10) || 0);
+    const [left, right] = [parts(a), parts(b)];
+    for (let index = 0; index < Math.max(left.length, right.length); index++) {
+        const difference = (left[index] || 0) - (right[index] || 0);
+        if (difference !== 0) {
+            return difference;
+        }
+    }
+    return 0;
+}
+
+/**
+ * InMemoryFreshSources - freshSources stand-in: version lookups answered
+ * from a fixed catalogue (`packages`: { docker|npm|helm|github: { name:
+ * [versions, newest first] } }), no registry is contacted
+ */
+class InMemoryFreshSources {
+    constructor(options = {}) {
+        this.logger = new Logger('InMemoryFreshSources');
+        this.packages = options.packages || DEFAULT_PACKAGES;
+    }
+
+    versions(type, name) {
+        const versions = this.packages[type]?.[name];
+        if (!versions) {
+            throw new StandaloneError(`Unknown ${type} package ${name}`, 'PACKAGE_NOT_FOUND');
+        }
+        return versions;
+    }
+
+    async getDockerLatestTags(name) {
+        const versions = this.versions('docker', name);
+        return { latest: versions[0], tags: ['latest', ...versions] };
+    }
+
+    async getNpmLatestVersion(name) {
+        const versions = this.versions('npm', name);
+        return { latest: versions[0], versions };
+    }
+
+    async getHelmChartVersions(name) {
+        const versions = this.versions('helm', name);
+        return { latest: versions[0], versions };
+    }
+
+    async getGitHubPackageVersions(name) {
+        const versions = this.versions('github', name);
+        return { latest: versions[0], releases: versions };
+    }
+
+    async searchPackage(query, options = {}) {
+        const needle = String(query).toLowerCase();
+        const types = options.types || Object.keys(this.packages);
+        return Object.fromEntries(types.map(type => [type, Object.entries(this.packages[type] || {})
+            .filter(([name]) => name.toLowerCase().includes(needle))
+            .map(([name, versions]) => ({ name, latest: versions[0] }))]));
+    }
+
+    async checkIfOutdated(type, name, currentVersion) {
+        const latestVersion = this.versions(type, name)[0];
+        return {
+            type,
+            name,
+            currentVersion,
+            latestVersion,
+            isOutdated: compareVersions(currentVersion, latestVersion) < 0
+        };
+    }
+}
+
+/**
+ * InMemoryConfigIntelligence - configIntelligence stand-in: Deployment and
+ * Service manifests for the catalogue images named in the intent
+ */
+class InMemoryConfigIntelligence {
+    constructor(options = {}) {
+        this.logger = new Logger('InMemoryConfigIntelligence');
+        this.freshSources = options.freshSources || new InMemoryFreshSources();
+    }
+
+    async generateConfiguration(intent, options = {}) {
+        const words = String(intent).toLowerCase();
+        const images = Object.keys(this.freshSources.packages.docker || {})
+            .filter(name => words.includes(name.split('/').pop()));
+        const namespace = options.namespace || 'default';
+
+        const manifests = {};
+        const packages = [];
+        for (const image of images.length > 0 ? images : ['nginx']) {
+            const { latest } = await this.freshSources.getDockerLatestTags(image);
+            const name = resourceName(image.split('/').pop());
+            const labels = { 'app.kubernetes.io/name': name, 'app.kubernetes.io/version': latest };
+            packages.push({ type: 'docker', name: image, version: latest });
+
+            manifests[`${name}-deployment.yaml`] = {
+                apiVersion: 'apps/v1',
+                kind: 'Deployment',
+                metadata: { name, namespace, labels },
+                spec: {
+                    replicas: options.replicas || 1,
+                    selector: { matchLabels: { 'app.kubernetes.io/name': name } },
+                    template: {
+                        metadata: { labels },
+                        spec: {
+                            containers: [{
+                                name,
+                                image: `${image}:${latest}`,
+                                resources: { requests: { cpu: '100m', memory: '128Mi' }, limits: { cpu: '500m', memory: '512Mi' } }
+                            }]
+                        }
+                    }
+                }
+            };
+            manifests[`${name}-service.yaml`] = {
+                apiVersion: 'v1',
+                kind: 'Service',
+                metadata: { name, namespace, labels },
+                spec: { selector: { 'app.kubernetes.io/name': name }, ports: [{ port: 80 }] }
+            };
+        }
+
+        return {
+            intent,
+            packages,
+            manifests,
+            explanation: `Generated ${Object.keys(manifests).length} manifests with the latest known versions (standalone mode)`
+        };
+    }
+
+    async generateSuggestions(query) {
+        const needle = String(query).toLowerCase();
+        return SUGGESTIONS.filter(suggestion => suggestion.toLowerCase().includes(needle));
+    }
+}
+
+/**
+ * InMemoryDebuggingAgent - debuggingAgent stand-in: diagnoses agents of the
+ * stand-in agentService and kagentService (in the caller's tenant context)
+ * from their status
+ */
+class InMemoryDebuggingAgent {
+    constructor(options = {}) {
+        this.logger = new Logger('InMemoryDebuggingAgent');
+        this.agentService = options.agentService || null;
+        this.kagentService = options.kagentService || null;
+    }
+
+    async diagnose(identifier, options = {}, context = {}) {
+        const agents = this.agentService ? await this.agentService.listAgents(context) : [];
+        const agent = agents.find(candidate => candidate.id === identifier || candidate.name === identifier);
+        const resource = this.kagentService ? await this.kagentService.getKagentAgent(identifier, context.namespace || undefined) : null;
+
+        if (!agent && !resource) {
+            return {
+                identifier,
+                found: false,
+                issues: [{ severity: 'error', message: `No agent or workload named ${identifier}` }],
+                recommendations: ['Check the name with GET /api/agents or GET /api/kagent/agents']
+            };
+        }
+
+        const status = agent ? agent.status : resource.status.phase;
+        const healthy = ['running', 'Running'].includes(status);
+        return {
+            identifier,
+            found: true,
+            status,
+            issues: healthy ? [] : [{ severity: 'warning', message: `Agent is ${status}, not running` }],
+            recommendations: healthy ? [] : [`Wait for the deployment or start it with POST /api/agents/${agent?.id || identifier}/start`]
+        };
+    }
+}
+
+module.exports = { InMemoryFreshSources, InMemoryConfigIntelligence, InMemoryDebuggingAgent, compareVersions };
@@ -0,0 +1,22 @@
+/**
+ * Errors of the stand-in services, shaped like the ones the routes expect
+ * from AutoWeave core: `code` for lookups (AGENT_NOT_FOUND answers 404),
+ * name 'ValidationError' with a `field` for bad input (answers 400)
+ */
+class StandaloneError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'StandaloneError';
+        this.code = code;
+    }
+}
+
+class StandaloneValidationError extends Error {
+    constructor(message, field) {
+        super(message);
+        this.name = 'ValidationError';
+        this.field = field;
+    }
+}
+
+module.exports = { StandaloneError, StandaloneValidationError };
@@ -0,0 +1,217 @@
+const { Logger } = require('../utils/logger');
+const { InMemoryAgentService, InMemoryIntegrationAgentModule } = require('./agent-service');
+const { InMemoryChatService } = require('./chat-service');
+const { InMemoryMemoryManager } = require('./memory-manager');
+const { InMemoryKagentService } = require('./kagent-service');
+const { InMemoryHealthService } = require('./health-service');
+const { InMemoryFreshSources, InMemoryConfigIntelligence, InMemoryDebuggingAgent } = require('./config-services');
+const { resolveTenant } = require('../tenants/tenant-middleware');
+
+/**
+ * StandaloneAutoWeave - The `autoweave` instance of the UI agent, backed by
+ * the app's services (stand-ins or not) so WebSocket and REST clients see
+ * the same agents, memories and deployments.
+ *
+ * Calls take the session's tenant context last (see
+ * UIAgent.getTenantContext) and are scoped like the REST routes: through
+ * the app's tenantRegistry when there is one.
+ */
+class StandaloneAutoWeave {
+    constructor(services) {
+        this.services = services;
+        this.logger = new Logger('StandaloneAutoWeave');
+    }
+
+    async processChatMessage(message, options = {}, context = {}) {
+        const tenant = this.tenant(context);
+        return this.services.chatService.processChatMessage(message, {
+            ...options,
+            user: tenant.key(options.user),
+            tenant: tenant.id
+        });
+    }
+
+    async createAgent(description, values = {}, context = {}) {
+        const tenant = this.tenant(context);
+        tenant.checkQuota('agents', await this.countAgents(tenant));
+        return this.services.agentService.createAndDeployAgent(description, values.user_id || 'ui', {
+            name: values.name,
+            ...tenant.context()
+        });
+    }
+
+    async deleteAgent(agentId, context = {}) {
+        return this.services.agentService.deleteAgent(agentId, this.tenant(context).context());
+    }
+
+    /**
+     * { agents } in the shape of the display-agent-list template
+     */
+    async listAgents(context = {}) {
+        const agents = await this.tenantAgents(this.tenant(context));
+        return {
+            agents: agents.map(agent => ({
+                id: agent.id,
+                name: agent.name,
+                status: agent.status,
+                created_at: agent.createdAt,
+                tenant: agent.tenant
+            }))
+        };
+    }
+
+    /**
+     * Log lines of an agent service agent (by id or name), else of a kagent agent
+     */
+    async getAgentLogs(agentId, options = {}, context = {}) {
+        const tenant = this.tenant(context);
+        const agents = await this.tenantAgents(tenant);
+        const agent = agents.find(candidate => candidate.id === agentId || candidate.name === agentId);
+        if (!agent) {
+            const namespace = tenant.namespace || options.namespace;
+            if (!tenant.ownsNamespace(namespace)) {
+                throw new Error(`Agent ${agentId} not found`);
+            }
+            return this.services.kagentService.getAgentLogs(agentId, namespace, { lines: options.lines });
+        }
+
+        const logs = await this.services.agentService.getAgentLogs(agent.id, { limit: options.lines }, tenant.context());
+        return logs.map(entry => `${entry.timestamp} ${entry.level.toUpperCase()} ${entry.message}`);
+    }
+
+    async searchMemory(query, userId, options = {}, context = {}) {
+        const tenant = this.tenant(context);
+        const found = await this.services.memoryManager.intelligentSearch(query, tenant.key(userId), { ...options, tenant: tenant.id });
+        return found.results;
+    }
+
+    async getSystemHealth() {
+        return this.services.healthService.getSystemHealth();
+    }
+
+    async getMetrics(context = {}) {
+        return {
+            agents: (await this.tenantAgents(this.tenant(context))).length,
+            memory: this.services.memoryManager.getMetrics(),
+            kagent: await this.services.kagentService.getMetrics()
+        };
+    }
+
+    async createIntegrationAgent(options = {}, context = {}) {
+        const tenant = this.tenant(context);
+        tenant.checkQuota('agents', await this.countAgents(tenant));
+        return this.services.integrationAgentModule.createIntegrationAgent({
+            ...options,
+            target_namespace: tenant.namespace || options.target_namespace,
+            tenant: tenant.id
+        });
+    }
+
+    /**
+     * kagent agents deployed in the tenant's namespaces
+     */
+    async listDeployments(context = {}) {
+        return this.tenantDeployments(this.tenant(context));
+    }
+
+    async generateYAML(workflow, context = {}) {
+        return this.services.kagentService.generateYAML(this.tenantWorkflow(workflow, this.tenant(context)));
+    }
+
+    async deployWorkflow(workflow, context = {}) {
+        const tenant = this.tenant(context);
+        tenant.checkQuota('deployments', (await this.tenantDeployments(tenant)).length);
+        return this.services.kagentService.deployWorkflow(this.tenantWorkflow(workflow, tenant), tenant.context());
+    }
+
+    // ========== TENANTS ==========
+
+    tenant(context = {}) {
+        return resolveTenant(this.services.tenantRegistry, { tenant: context.tenant });
+    }
+
+    async tenantAgents(tenant) {
+        const agents = await this.services.agentService.listAgents(tenant.context());
+        return agents.filter(agent => tenant.owns(agent));
+    }
+
+    // Agents quota: the tenant's agents and integration agents
+    async countAgents(tenant) {
+        const integrationAgents = this.services.integrationAgentModule
+            ? await this.services.integrationAgentModule.listIntegrationAgents()
+            : [];
+        return (await this.tenantAgents(tenant)).length + integrationAgents.filter(agent => tenant.owns(agent)).length;
+    }
+
+    async tenantDeployments(tenant) {
+        const agents = await this.services.kagentService.getKagentAgents(tenant.context());
+        return agents.filter(agent => tenant.ownsNamespace(agent.metadata.namespace));
+    }
+
+    // Workflows of tenants with a namespace of their own are deployed there
+    tenantWorkflow(workflow, tenant) {
+        if (tenant.namespace) {
+            return { ...workflow, namespace: tenant.namespace };
+        }
+        if (workflow.namespace && !tenant.ownsNamespace(workflow.namespace)) {
+            throw new Error(`Namespace '${workflow.namespace}' belongs to another tenant`);
+        }
+        return workflow;
+    }
+}
+
+/**
+ * In-memory stand-ins for the services missing from `existing` (the app's
+ * services, which are kept), for standalone and demo mode.
+ * options: { namespace, transitionDelay (ms between agent statuses),
+ * clock, responses (canned chat answers), packages, tools }
+ * @returns {Object} The stand-ins by service name, `autoweave` included
+ */
+function createStandaloneServices(options = {}, existing = {}) {
+    const lifecycle = { clock: options.clock, delay: options.transitionDelay, namespace: options.namespace };
+    const services = { ...existing };
+    const created = {};
+    const provide = (name, factory) => {
+        if (!services[name]) {
+            services[name] = created[name] = factory();
+        }
+    };
+
+    provide('memoryManager', () => new InMemoryMemoryManager(options));
+    provide('kagentService', () => new InMemoryKagentService({ ...lifecycle, tools: options.tools }));
+    provide('agentService', () => new InMemoryAgentService({
+        ...lifecycle,
+        kagentService: services.kagentService,
+        memoryManager: services.memoryManager
+    }));
+    provide('integrationAgentModule', () => new InMemoryIntegrationAgentModule(lifecycle));
+    provide('chatService', () => new InMemoryChatService({
+        responses: options.responses,
+        agentService: services.agentService,
+        memoryManager: services.memoryManager
+    }));
+    provide('freshSources', () => new InMemoryFreshSources({ packages: options.packages }));
+    provide('configIntelligence', () => new InMemoryConfigIntelligence({ freshSources: services.freshSources }));
+    provide('debuggingAgent', () => new InMemoryDebuggingAgent({
+        agentService: services.agentService,
+        kagentService: services.kagentService
+    }));
+    provide('healthService', () => new InMemoryHealthService({ components: { ...created } }));
+    provide('autoweave', () => new StandaloneAutoWeave(services));
+
+    return created;
+}
+
+module.exports = {
+    createStandaloneServices,
+    StandaloneAutoWeave,
+    InMemoryAgentService,
+    InMemoryIntegrationAgentModule,
+    InMemoryChatService,
+    InMemoryMemoryManager,
+    InMemoryKagentService,
+    InMemoryHealthService,
+    InMemoryFreshSources,
+    InMemoryConfigIntelligence,
+    InMemoryDebuggingAgent
+};
@@ -0,0 +1,209 @@
+const yaml = require('js-yaml');
+const { Logger } = require('../utils/logger');
+const { Lifecycle } = require('./lifecycle');
+const { StandaloneError, StandaloneValidationError } = require('./errors');
+
+const API_VERSION = 'kagent.dev/v1alpha1';
+
+// Tools present in a fresh standalone cluster
+const DEFAULT_TOOLS = [
+    { name: 'kubectl', type: 'builtin', description: 'Run kubectl commands against the cluster', capabilities: ['kubernetes'] },
+    { name: 'http-request', type: 'builtin', description: 'Call HTTP APIs', capabilities: ['http'] },
+    { name: 'file-reader', type: 'builtin', description: 'Read files from mounted volumes', capabilities: ['file_system'] },
+    { name: 'prometheus-query', type: 'builtin', description: 'Query Prometheus metrics', capabilities: ['monitoring'] }
+];
+
+/**
+ * DNS-1123 name ('My Agent!' -> 'my-agent')
+ */
+function resourceName(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 63);
+}
+
+/**
+ * InMemoryKagentService - kagentService stand-in for standalone mode
+ *
+ * Keeps Tool and Agent custom resources in memory, shaped like the kagent
+ * CRDs. Deployed agents are Pending, then Running after the lifecycle
+ * delay; their logs are made up from those phases.
+ */
+class InMemoryKagentService {
+    constructor(options = {}) {
+        this.logger = new Logger('InMemoryKagentService');
+        this.lifecycle = new Lifecycle(options);
+        this.config = { namespace: options.namespace || 'default' };
+        this.isInitialized = true;
+        this.tools = new Map();
+        this.agents = new Map();
+        this.deployments = 0;
+
+        for (const tool of options.tools || DEFAULT_TOOLS) {
+            this.tools.set(tool.name, this.toolResource({
+                metadata: { name: tool.name },
+                spec: { description: tool.description, type: tool.type, capabilities: tool.capabilities }
+            }));
+        }
+    }
+
+    async getSystemStatus() {
+        return {
+            initialized: true,
+            mode: 'standalone',
+            namespace: this.config.namespace,
+            tools: this.tools.size,
+            agents: this.agents.size
+        };
+    }
+
+    // ========== TOOLS ==========
+
+    async getAvailableTools() {
+        return Array.from(this.tools.values());
+    }
+
+    async getTool(name) {
+        return this.tools.get(name) || null;
+    }
+
+    async createTool(toolSpec) {
+        const name = toolSpec?.metadata?.name;
+        if (!name || resourceName(name) !== name) {
+            throw new StandaloneValidationError('Tool name must be a lowercase DNS-1123 name', 'metadata.name');
+        }
+        if (this.tools.has(name)) {
+            throw new StandaloneValidationError(`Tool ${name} already exists`, 'metadata.name');
+        }
+
+        const tool = this.toolResource(toolSpec);
+        this.tools.set(name, tool);
+        return tool;
+    }
+
+    async deleteTool(name) {
+        if (!this.tools.delete(name)) {
+            throw new StandaloneError(`Tool ${name} not found`, 'TOOL_NOT_FOUND');
+        }
+    }
+
+    toolResource(toolSpec) {
+        return {
+            apiVersion: API_VERSION,
+            kind: 'Tool',
+            metadata: {
+                name: toolSpec.metadata.name,
+                namespace: toolSpec.metadata.namespace || this.config.namespace,
+                creationTimestamp: new Date(this.lifecycle.now()).toISOString(),
+                labels: toolSpec.metadata.labels || {}
+            },
+            spec: { capabilities: [], ...toolSpec.spec },
+            status: { phase: 'Ready' }
+        };
+    }
+
+    // ========== AGENTS ==========
+
+    async getKagentAgents() {
+        return Array.from(this.agents.values()).map(record => this.agentResource(record));
+    }
+
+    async getKagentAgent(name, namespace = this.config.namespace) {
+        const record = this.agents.get(`${namespace}/${name}`);
+        return record ? this.agentResource(record) : null;
+    }
+
+    removeAgent(name, namespace = this.config.namespace) {
+        return this.agents.delete(`${namespace}/${name}`);
+    }
+
+    /**
+     * Log lines of a deployed agent, oldest first
+     */
+    async getAgentLogs(name, namespace = this.config.namespace, options = {}) {
+        const record = this.agents.get(`${namespace}/${name}`);
+        if (!record) {
+            throw new StandaloneError(`Agent ${namespace}/${name} not found`, 'AGENT_NOT_FOUND');
+        }
+
+        const since = options.since ? Date.parse(options.since) : null;
+        return this.lifecycle.history(record)
+            .filter(transition => !Number.isFinite(since) || transition.at >= since)
+            .map(transition => `${new Date(transition.at).toISOString()} INFO agent ${name} phase ${transition.status}`)
+            .slice(-(options.lines || 100));
+    }
+
+    async getMetrics() {
+        const byPhase = {};
+        for (const record of this.agents.values()) {
+            const phase = this.lifecycle.status(record);
+            byPhase[phase] = (byPhase[phase] || 0) + 1;
+        }
+        return { tools: this.tools.size, agents: this.agents.size, agents_by_phase: byPhase, deployments: this.deployments };
+    }
+
+    // ========== WORKFLOWS ==========
+
+    /**
+     * Agent resource of a workflow ({ id, name, description, namespace,
+     * replicas, requiredModules: [{ type }] }); its tools are the known tools
+     * sharing a capability with the modules
+     */
+    buildAgent(workflow) {
+        if (!workflow?.id || !workflow?.name) {
+            throw new StandaloneValidationError('Workflow must have id and name', 'workflow');
+        }
+
+        const modules = (workflow.requiredModules || []).map(module => module.type);
+        const tools = Array.from(this.tools.values())
+            .filter(tool => tool.spec.capabilities.some(capability => modules.includes(capability)))
+            .map(tool => tool.metadata.name);
+
+        return {
+            apiVersion: API_VERSION,
+            kind: 'Agent',
+            metadata: {
+                name: resourceName(workflow.name),
+                namespace: workflow.namespace || this.config.namespace,
+                labels: {
+                    'app.kubernetes.io/managed-by': 'autoweave',
+                    'autoweave.dev/workflow-id': String(workflow.id)
+                }
+            },
+            spec: {
+                description: workflow.description || '',
+                systemMessage: `You are ${workflow.name}. ${workflow.description || ''}`.trim(),
+                replicas: workflow.replicas || 1,
+                tools
+            }
+        };
+    }
+
+    async generateYAML(workflow) {
+        return yaml.dump(this.buildAgent(workflow));
+    }
+
+    async deployWorkflow(workflow) {
+        const resource = this.buildAgent(workflow);
+        const { name, namespace } = resource.metadata;
+        const record = {
+            resource,
+            creationTimestamp: new Date(this.lifecycle.now()).toISOString(),
+            transitions: []
+        };
+        this.lifecycle.schedule(record, ['Pending', 'Running']);
+        this.agents.set(`${namespace}/${name}`, record);
+        this.deployments++;
+
+        this.logger.info(`Workflow ${workflow.name} deployed as ${namespace}/${name}`);
+        return { name, namespace, status: this.lifecycle.status(record), resources: [`Agent/${name}`] };
+    }
+
+    agentResource(record) {
+        return {
+            ...record.resource,
+            metadata: { ...record.resource.metadata, creationTimestamp: record.creationTimestamp },
+            status: { phase: this.lifecycle.status(record) }
+        };
+    }
+}
+
+module.exports = { InMemoryKagentService, resourceName };
@@ -0,0 +1,55 @@
+/**
+ * Lifecycle - Status progressions of stand-in resources
+ *
+ * A record keeps `transitions` ([{ status, at }]); schedule() appends
+ * statuses reached one `delay` apart from now and drops those not reached
+ * yet, so a stopped deployment never turns 'running' later. The current
+ * status is read at call time: no timer is left running and tests drive the
+ * progression through `clock`.
+ */
+class Lifecycle {
+    constructor(options = {}) {
+        this.clock = options.clock || Date.now;
+        this.delay = options.delay ?? 1500;
+    }
+
+    now() {
+        return this.clock();
+    }
+
+    schedule(record, statuses) {
+        const now = this.now();
+        record.transitions = (record.transitions || []).filter(transition => transition.at <= now);
+        statuses.forEach((status, index) => {
+            record.transitions.push({ status, at: now + index * this.delay });
+        });
+        return record.transitions[record.transitions.length - statuses.length];
+    }
+
+    /**
+     * Transitions reached so far, oldest first
+     */
+    history(record) {
+        const now = this.now();
+        return (record.transitions || []).filter(transition => transition.at <= now);
+    }
+
+    current(record) {
+        const reached = this.history(record);
+        return reached[reached.length - 1] || null;
+    }
+
+    status(record) {
+        return this.current(record)?.status || null;
+    }
+
+    /**
+     * Milliseconds spent in the current status when it is `status`, else 0
+     */
+    timeIn(record, status) {
+        const current = this.current(record);
+        return current && current.status === status ? this.now() - current.at : 0;
+    }
+}
+
+module.exports = { Lifecycle };
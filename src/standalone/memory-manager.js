@@ -0,0 +1,266 @@
+const { v4: uuidv4 } = require('uuid');
+const { Logger } = require('../utils/logger');
+const { tenantOfKey } = require('../tenants/tenant-registry');
+
+const DEFAULT_MAX_MEMORIES = 5000;
+const DEFAULT_SEARCH_LIMIT = 10;
+
+function tokenize(text) {
+    return Array.from(new Set(String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []))
+        .filter(term => term.length > 1);
+}
+
+/**
+ * Share of the query terms found in a text (0 to 1)
+ */
+function keywordScore(terms, text) {
+    if (terms.length === 0) {
+        return 0;
+    }
+    const words = new Set(tokenize(text));
+    return terms.filter(term => words.has(term)).length / terms.length;
+}
+
+/**
+ * Contextual memory (mem0 stand-in): memories of users and agents,
+ * searched by keywords
+ */
+class InMemoryContextualMemory {
+    constructor(manager) {
+        this.manager = manager;
+        this.memories = [];
+    }
+
+    async addUserMemory(userId, memory, metadata = {}) {
+        return this.add({ user_id: userId }, memory, metadata);
+    }
+
+    async addAgentMemory(agentId, memory, metadata = {}) {
+        return this.add({ agent_id: agentId }, memory, metadata);
+    }
+
+    add(owner, memory, metadata) {
+        const entry = {
+            id: uuidv4(),
+            ...owner,
+            memory: typeof memory === 'string' ? memory : JSON.stringify(memory),
+            metadata,
+            created_at: new Date().toISOString()
+        };
+        this.memories.push(entry);
+        if (this.memories.length > this.manager.maxMemories) {
+            this.memories.shift();
+        }
+        this.manager.metrics.additions++;
+        return entry;
+    }
+
+    /**
+     * Memories of userId (and of every agent) matching query, best first
+     */
+    async search(query, userId, options = {}) {
+        const terms = tokenize(query);
+        return this.memories
+            .filter(entry => !entry.user_id || entry.user_id === userId)
+            .map(entry => ({ entry, score: keywordScore(terms, entry.memory) }))
+            .filter(({ score }) => score > 0)
+            .sort((a, b) => b.score - a.score || b.entry.created_at.localeCompare(a.entry.created_at))
+            .slice(0, options.limit || DEFAULT_SEARCH_LIMIT)
+            .map(({ entry, score }) => ({
+                id: entry.id,
+                memory: entry.memory,
+                score: Math.round(score * 100) / 100,
+                source: 'contextual',
+                metadata: entry.metadata,
+                created_at: entry.created_at
+            }));
+    }
+
+    async healthCheck() {
+        return { status: 'healthy', backend: 'in-memory', memories: this.memories.length };
+    }
+}
+
+/**
+ * Structural memory (GraphRAG stand-in): a small graph of typed nodes and
+ * relations. Unknown ids used in relations become nodes of type 'entity'.
+ */
+class InMemoryStructuralMemory {
+    constructor() {
+        this.nodes = new Map();
+        this.relations = [];
+    }
+
+    async addNode(id, type = 'entity', properties = {}) {
+        const node = { id, type, properties: { ...this.nodes.get(id)?.properties, ...properties } };
+        this.nodes.set(id, node);
+        return node;
+    }
+
+    removeNode(id) {
+        this.nodes.delete(id);
+        this.relations = this.relations.filter(relation => relation.source !== id && relation.target !== id);
+    }
+
+    async linkAgentToWorkflow(sourceId, targetId, relationType = 'related_to') {
+        for (const id of [sourceId, targetId]) {
+            if (!this.nodes.has(id)) {
+                await this.addNode(id);
+            }
+        }
+        const exists = this.relations.some(relation =>
+            relation.source === sourceId && relation.target === targetId && relation.type === relationType);
+        if (!exists) {
+            this.relations.push({ source: sourceId, target: targetId, type: relationType });
+        }
+    }
+
+    /**
+     * Nodes reachable from agentId within depth hops (either direction)
+     */
+    async findRelatedAgents(agentId, depth = 2) {
+        const distances = new Map([[agentId, 0]]);
+        let frontier = [agentId];
+
+        for (let hop = 1; hop <= depth && frontier.length > 0; hop++) {
+            const next = [];
+            for (const id of frontier) {
+                for (const relation of this.relations) {
+                    const neighbour = relation.source === id ? relation.target : relation.target === id ? relation.source : null;
+                    if (neighbour && !distances.has(neighbour)) {
+                        distances.set(neighbour, hop);
+                        next.push(neighbour);
+                    }
+                }
+            }
+            frontier = next;
+        }
+
+        distances.delete(agentId);
+        return Array.from(distances.entries()).map(([id, distance]) => ({ ...this.nodes.get(id), distance }));
+    }
+
+    async analyzeDependencies(agentId) {
+        return {
+            agent_id: agentId,
+            depends_on: this.relations.filter(relation => relation.source === agentId)
+                .map(relation => ({ id: relation.target, type: relation.type })),
+            dependents: this.relations.filter(relation => relation.target === agentId)
+                .map(relation => ({ id: relation.source, type: relation.type }))
+        };
+    }
+
+    /**
+     * Nodes and relations of context.tenant (node ids are tenant keys, see
+     * tenantKey), the whole graph without context
+     */
+    async getSystemTopology(context = {}) {
+        const nodes = this.nodesOf(context.tenant);
+        const ids = new Set(nodes.map(node => node.id));
+        return {
+            nodes,
+            relations: this.relations.filter(relation => ids.has(relation.source)).map(relation => ({ ...relation }))
+        };
+    }
+
+    search(query, tenant = null) {
+        const terms = tokenize(query);
+        return this.nodesOf(tenant)
+            .map(node => ({ node, score: keywordScore(terms, `${node.id} ${node.type} ${JSON.stringify(node.properties)}`) }))
+            .filter(({ score }) => score > 0)
+            .map(({ node, score }) => ({
+                id: node.id,
+                memory: `${node.type} ${node.properties.name || node.id}`,
+                score: Math.round(score * 100) / 100,
+                source: 'structural',
+                metadata: node.properties
+            }));
+    }
+
+    nodesOf(tenant = null) {
+        return Array.from(this.nodes.values()).filter(node => !tenant || tenantOfKey(node.id) === tenant);
+    }
+}
+
+/**
+ * InMemoryMemoryManager - memoryManager stand-in for standalone mode, with
+ * the contextualMemory and structuralMemory parts the memory routes use
+ */
+class InMemoryMemoryManager {
+    constructor(options = {}) {
+        this.logger = new Logger('InMemoryMemoryManager');
+        this.maxMemories = options.maxMemories || DEFAULT_MAX_MEMORIES;
+        this.metrics = { searches: 0, additions: 0, search_time_ms: 0 };
+        this.initialized = false;
+        this.contextualMemory = new InMemoryContextualMemory(this);
+        this.structuralMemory = new InMemoryStructuralMemory();
+    }
+
+    async initialize() {
+        this.initialized = true;
+        return { initialized: true, backend: 'in-memory' };
+    }
+
+    /**
+     * Keyword search over the memories of userId and the graph nodes (of
+     * context.tenant when given)
+     */
+    async intelligentSearch(query, userId, context = {}) {
+        const started = Date.now();
+        const limit = context.limit || DEFAULT_SEARCH_LIMIT;
+        const contextual = await this.contextualMemory.search(query, userId, { limit });
+        const structural = this.structuralMemory.search(query, context.tenant);
+
+        this.metrics.searches++;
+        this.metrics.search_time_ms += Date.now() - started;
+
+        return {
+            query,
+            results: [...contextual, ...structural].sort((a, b) => b.score - a.score).slice(0, limit),
+            sources: { contextual: contextual.length, structural: structural.length }
+        };
+    }
+
+    async searchMemory(query, userId, options = {}) {
+        return (await this.intelligentSearch(query, userId, options)).results;
+    }
+
+    async addInteraction(userId, agentId, interaction) {
+        await this.contextualMemory.addUserMemory(userId, interaction, { agent_id: agentId, type: 'interaction' });
+        await this.structuralMemory.linkAgentToWorkflow(userId, agentId, 'interacted_with');
+    }
+
+    async analyzeSystemState(userId) {
+        const memories = this.contextualMemory.memories.filter(entry => entry.user_id === userId);
+        const { nodes, relations } = await this.structuralMemory.getSystemTopology({ tenant: tenantOfKey(userId) });
+        const nodeTypes = {};
+        for (const node of nodes) {
+            nodeTypes[node.type] = (nodeTypes[node.type] || 0) + 1;
+        }
+
+        return {
+            user_id: userId,
+            memories: memories.length,
+            last_memory_at: memories[memories.length - 1]?.created_at || null,
+            graph: { nodes: nodes.length, relations: relations.length, node_types: nodeTypes }
+        };
+    }
+
+    getMetrics() {
+        return {
+            backend: 'in-memory',
+            memories: this.contextualMemory.memories.length,
+            nodes: this.structuralMemory.nodes.size,
+            relations: this.structuralMemory.relations.length,
+            searches: this.metrics.searches,
+            additions: this.metrics.additions,
+            avg_search_ms: this.metrics.searches ? this.metrics.search_time_ms / this.metrics.searches : 0
+        };
+    }
+
+    resetMetrics() {
+        this.metrics = { searches: 0, additions: 0, search_time_ms: 0 };
+    }
+}
+
+module.exports = { InMemoryMemoryManager, InMemoryContextualMemory, InMemoryStructuralMemory };
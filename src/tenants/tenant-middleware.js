@@ -0,0 +1,103 @@
+const { TenantRegistry, TenantError, DEFAULT_TENANT } = require('./tenant-registry');
+
+// Tenant of requests served without a registry: the default tenant, without quotas
+const UNRESTRICTED = new TenantRegistry().handle(DEFAULT_TENANT);
+
+function sendTenantError(res, error) {
+    return res.status(error.status || 403).json({
+        error: error.message,
+        code: error.code,
+        ...(error.resource ? { resource: error.resource, limit: error.limit } : {}),
+        type: error.code === 'QUOTA_EXCEEDED' ? 'quota_error' : 'tenant_error'
+    });
+}
+
+/**
+ * Tenant of an identity as a TenantHandle: registry.resolve(identity), or
+ * the default tenant without quotas when there is no registry
+ * @throws {TenantError} TENANT_UNKNOWN or TENANT_DISABLED
+ */
+function resolveTenant(registry, identity) {
+    return registry ? registry.resolve(identity) : UNRESTRICTED;
+}
+
+/**
+ * Express middleware setting `req.tenant` (a TenantHandle) from
+ * `req.identity`, after the REST authenticator. Callers of unknown or
+ * disabled tenants are rejected with 403. Without a registry, req.tenant
+ * stays unset and every caller shares the default tenant (see tenantOf).
+ */
+function createTenantResolver({ registry = null, logger = null } = {}) {
+    return (req, res, next) => {
+        if (!registry) {
+            return next();
+        }
+
+        try {
+            req.tenant = registry.resolve(req.identity);
+            next();
+        } catch (error) {
+            if (!(error instanceof TenantError)) {
+                logger?.error('Tenant resolution failed:', error);
+            }
+            sendTenantError(res, error);
+        }
+    };
+}
+
+/**
+ * Tenant of a request: req.tenant, else the default tenant without quotas
+ */
+function tenantOf(req) {
+    return req.tenant || UNRESTRICTED;
+}
+
+/**
+ * Route middleware checking a `count` quota before creating a resource;
+ * countUsed(req, tenant) resolves how many the tenant has. When a limited
+ * quota cannot be counted the request is refused with 503.
+ */
+function requireQuota(resource, countUsed) {
+    return async (req, res, next) => {
+        const tenant = tenantOf(req);
+        if (tenant.limit(resource) === null) {
+            return next();
+        }
+
+        try {
+            tenant.checkQuota(resource, await countUsed(req, tenant));
+        } catch (error) {
+            if (error instanceof TenantError) {
+                return sendTenantError(res, error);
+            }
+            return res.status(503).json({
+                error: `Unable to check the ${resource} quota`,
+                message: error.message
+            });
+        }
+        next();
+    };
+}
+
+/**
+ * Route middleware consuming a `counter` or `daily` quota for the request;
+ * the usage is given back when the response is an error
+ */
+function consumeQuota(resource, amount = 1) {
+    return (req, res, next) => {
+        const tenant = tenantOf(req);
+        try {
+            tenant.consume(resource, amount);
+        } catch (error) {
+            return sendTenantError(res, error);
+        }
+        res.on?.('finish', () => {
+            if (res.statusCode >= 400) {
+                tenant.release(resource, amount);
+            }
+        });
+        next();
+    };
+}
+
+module.exports = { createTenantResolver, resolveTenant, tenantOf, requireQuota, consumeQuota, sendTenantError };
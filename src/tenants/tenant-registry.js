@@ -0,0 +1,444 @@
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('../utils/logger');
+
+// Tenant of identities whose credential names none (and of every caller when authentication is off)
+const DEFAULT_TENANT = 'default';
+
+const TENANT_ID_PATTERN = /^[a-z0-9]([a-z0-9-]{0,30}[a-z0-9])?$/;
+
+/**
+ * Quotas a tenant may set (null: unlimited). `count` quotas limit how many
+ * resources exist at a time, counted by the caller when creating one;
+ * `counter` quotas limit a running total and `daily` ones a total per UTC day.
+ */
+const QUOTA_RESOURCES = {
+    agents: 'count',
+    deployments: 'count',
+    tasks: 'count',
+    memories: 'counter',
+    chat_messages_per_day: 'daily'
+};
+
+/**
+ * Id given to shared backends (memory users, agents, graph nodes) for a
+ * tenant's `id`: `${tenantId}:${id}`. The default tenant keeps plain ids,
+ * except ids holding a colon, so no caller can name another tenant's key.
+ */
+function tenantKey(tenantId, id) {
+    if (id === null || id === undefined) {
+        return id;
+    }
+    const value = String(id);
+    return tenantId === DEFAULT_TENANT && !value.includes(':') ? value : `${tenantId}:${value}`;
+}
+
+/**
+ * Tenant of an id built by tenantKey
+ */
+function tenantOfKey(key) {
+    const value = String(key);
+    return value.includes(':') ? value.slice(0, value.indexOf(':')) : DEFAULT_TENANT;
+}
+
+class TenantError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'TenantError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+/**
+ * Tenant a request or session acts for, bound to its registry.
+ *
+ * key() namespaces the ids given to shared backends (see tenantKey) so
+ * tenants never read each other's entries. owns() tells whether a record
+ * tagged with `tenant` (agents, ANP tasks) belongs to the tenant; untagged
+ * records belong to the default tenant.
+ */
+class TenantHandle {
+    constructor(registry, tenant) {
+        this.registry = registry;
+        this.id = tenant.id;
+        this.name = tenant.name;
+        this.namespace = tenant.namespace;
+    }
+
+    get isDefault() {
+        return this.id === DEFAULT_TENANT;
+    }
+
+    /**
+     * Context passed to the services: { tenant, namespace }
+     */
+    context() {
+        return { tenant: this.id, namespace: this.namespace };
+    }
+
+    key(id) {
+        return tenantKey(this.id, id);
+    }
+
+    owns(record) {
+        return record?.tenant ? record.tenant === this.id : this.isDefault;
+    }
+
+    /**
+     * True if kagent resources of `namespace` belong to the tenant: its own
+     * namespace, or for the default tenant any namespace of no other tenant
+     */
+    ownsNamespace(namespace) {
+        return this.namespace ? namespace === this.namespace : !this.registry.isTenantNamespace(namespace);
+    }
+
+    /**
+     * True for the tenant's namespaces and those shared by all tenants (no
+     * tenant's own), e.g. the kagent tool catalogue
+     */
+    canRead(namespace) {
+        return this.ownsNamespace(namespace) || !this.registry.isTenantNamespace(namespace);
+    }
+
+    /**
+     * Limit of a quota, null when unlimited
+     */
+    limit(resource) {
+        return this.registry.limit(this.id, resource);
+    }
+
+    checkQuota(resource, used, amount = 1) {
+        return this.registry.checkQuota(this.id, resource, used, amount);
+    }
+
+    consume(resource, amount = 1) {
+        return this.registry.consume(this.id, resource, amount);
+    }
+
+    release(resource, amount = 1) {
+        return this.registry.release(this.id, resource, amount);
+    }
+}
+
+/**
+ * TenantRegistry - Tenants, their quotas and their usage
+ *
+ * A tenant is { id, name, namespace, quotas, disabled, created_at }. Callers
+ * belong to the tenant named by their identity (see Authenticator), the
+ * default tenant otherwise; it always exists, has no namespace of its own
+ * (kagent requests keep theirs) and cannot be removed. Other tenants deploy
+ * to `${namespacePrefix}${id}` unless given a namespace.
+ *
+ * Unknown tenants are rejected unless `autoCreate` is set, in which case they
+ * are created with `defaultQuotas`. With a `file`, tenants and usage are saved
+ * as JSON and restored by load().
+ */
+class TenantRegistry {
+    constructor(options = {}) {
+        this.file = options.file ? path.resolve(options.file) : null;
+        this.autoCreate = options.autoCreate || false;
+        this.namespacePrefix = options.namespacePrefix ?? 'tenant-';
+        this.defaultQuotas = normalizeQuotas(options.defaultQuotas);
+        this.clock = options.clock || Date.now;
+        this.logger = new Logger('TenantRegistry');
+
+        this.tenants = new Map();
+        this.writes = Promise.resolve();
+
+        this.tenants.set(DEFAULT_TENANT, this.buildTenant({ id: DEFAULT_TENANT, name: 'Default', namespace: null }));
+        for (const tenant of options.tenants || []) {
+            this.create(tenant, { save: false });
+        }
+    }
+
+    /**
+     * Registry configured from TENANTS (JSON array of tenants), TENANTS_FILE,
+     * TENANT_AUTO_CREATE and TENANT_DEFAULT_QUOTAS (JSON)
+     */
+    static fromEnv(env = process.env) {
+        return new TenantRegistry({
+            tenants: env.TENANTS ? JSON.parse(env.TENANTS) : [],
+            file: env.TENANTS_FILE,
+            autoCreate: env.TENANT_AUTO_CREATE === 'true',
+            defaultQuotas: env.TENANT_DEFAULT_QUOTAS ? JSON.parse(env.TENANT_DEFAULT_QUOTAS) : {}
+        });
+    }
+
+    /**
+     * Create a tenant. input: { id, name, namespace, quotas, disabled }
+     */
+    create(input = {}, { save = true } = {}) {
+        const id = String(input.id || '').toLowerCase();
+        if (!TENANT_ID_PATTERN.test(id)) {
+            throw new TenantError('Tenant ids are 1-32 lowercase letters, digits or dashes', 'INVALID_TENANT');
+        }
+        if (this.tenants.has(id)) {
+            throw new TenantError(`Tenant '${id}' already exists`, 'TENANT_EXISTS', 409);
+        }
+
+        const tenant = this.buildTenant({ ...input, id });
+        if (Array.from(this.tenants.values()).some(other => other.namespace === tenant.namespace)) {
+            throw new TenantError(`Namespace '${tenant.namespace}' belongs to another tenant`, 'INVALID_TENANT');
+        }
+
+        this.tenants.set(id, tenant);
+        this.logger.info(`Tenant ${id} created (namespace ${tenant.namespace})`);
+        if (save) {
+            this.save();
+        }
+        return this.describe(id);
+    }
+
+    /**
+     * Change a tenant's name, quotas (merged, null removes a limit) or disabled flag
+     */
+    update(id, changes = {}) {
+        const tenant = this.require(id);
+
+        if (changes.name !== undefined) {
+            tenant.name = String(changes.name);
+        }
+        if (changes.quotas !== undefined) {
+            tenant.quotas = { ...tenant.quotas, ...normalizeQuotas(changes.quotas) };
+        }
+        if (changes.disabled !== undefined) {
+            if (id === DEFAULT_TENANT && changes.disabled) {
+                throw new TenantError('The default tenant cannot be disabled', 'INVALID_TENANT');
+            }
+            tenant.disabled = Boolean(changes.disabled);
+        }
+
+        this.save();
+        return this.describe(id);
+    }
+
+    remove(id) {
+        this.require(id);
+        if (id === DEFAULT_TENANT) {
+            throw new TenantError('The default tenant cannot be removed', 'INVALID_TENANT');
+        }
+        this.tenants.delete(id);
+        this.logger.info(`Tenant ${id} removed`);
+        this.save();
+    }
+
+    get(id) {
+        return this.tenants.has(id) ? this.describe(id) : null;
+    }
+
+    list() {
+        return Array.from(this.tenants.keys()).map(id => this.describe(id));
+    }
+
+    /**
+     * Tenant, quotas and usage: { id, name, namespace, quotas, usage, disabled, created_at }.
+     * Usage of `count` quotas is the count seen at the last quota check.
+     */
+    describe(id) {
+        const tenant = this.require(id);
+        const usage = {};
+        for (const resource of Object.keys(QUOTA_RESOURCES)) {
+            usage[resource] = this.used(tenant, resource);
+        }
+        return {
+            id: tenant.id,
+            name: tenant.name,
+            namespace: tenant.namespace,
+            quotas: { ...tenant.quotas },
+            usage,
+            disabled: tenant.disabled,
+            created_at: tenant.created_at
+        };
+    }
+
+    /**
+     * Tenant of an identity (its `tenant`, else the default tenant) as a TenantHandle
+     * @throws {TenantError} TENANT_UNKNOWN or TENANT_DISABLED (403)
+     */
+    resolve(identity) {
+        const id = identity?.tenant ? String(identity.tenant).toLowerCase() : DEFAULT_TENANT;
+
+        if (!this.tenants.has(id)) {
+            if (!this.autoCreate) {
+                throw new TenantError(`Unknown tenant '${id}'`, 'TENANT_UNKNOWN', 403);
+            }
+            this.create({ id });
+        }
+        if (this.tenants.get(id).disabled) {
+            throw new TenantError(`Tenant '${id}' is disabled`, 'TENANT_DISABLED', 403);
+        }
+        return this.handle(id);
+    }
+
+    handle(id) {
+        return new TenantHandle(this, this.require(id));
+    }
+
+    isTenantNamespace(namespace) {
+        return Array.from(this.tenants.values()).some(tenant => tenant.namespace && tenant.namespace === namespace);
+    }
+
+    limit(id, resource) {
+        return quotaOf(this.require(id), resource);
+    }
+
+    /**
+     * Check a `count` quota before creating `amount` resources while `used` exist
+     * @throws {TenantError} QUOTA_EXCEEDED (429)
+     */
+    checkQuota(id, resource, used, amount = 1) {
+        const tenant = this.require(id);
+        const limit = quotaOf(tenant, resource);
+        tenant.usage[resource] = used;
+
+        if (limit !== null && used + amount > limit) {
+            throw quotaExceeded(tenant, resource, limit);
+        }
+    }
+
+    /**
+     * Add `amount` to a `counter` or `daily` quota's usage, unless it would exceed the quota
+     * @throws {TenantError} QUOTA_EXCEEDED (429)
+     */
+    consume(id, resource, amount = 1) {
+        const tenant = this.require(id);
+        const limit = quotaOf(tenant, resource);
+        const used = this.used(tenant, resource);
+
+        if (limit !== null && used + amount > limit) {
+            throw quotaExceeded(tenant, resource, limit);
+        }
+        this.setUsed(tenant, resource, used + amount);
+        this.save();
+    }
+
+    /**
+     * Give back usage consumed for a request that failed or a resource deleted
+     */
+    release(id, resource, amount = 1) {
+        const tenant = this.tenants.get(id);
+        if (tenant) {
+            this.setUsed(tenant, resource, Math.max(0, this.used(tenant, resource) - amount));
+            this.save();
+        }
+    }
+
+    /**
+     * Restore the tenants saved in `file`
+     */
+    async load() {
+        if (!this.file) {
+            return 0;
+        }
+
+        let saved;
+        try {
+            saved = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.error(`Failed to load tenants from ${this.file}:`, error);
+            }
+            return 0;
+        }
+
+        for (const tenant of saved.tenants || []) {
+            this.tenants.set(tenant.id, {
+                ...this.buildTenant(tenant),
+                usage: tenant.usage || {},
+                created_at: tenant.created_at
+            });
+        }
+        return this.tenants.size;
+    }
+
+    save() {
+        if (!this.file) {
+            return this.writes;
+        }
+
+        // Writes are serialised; each one saves the state at the time it runs
+        this.writes = this.writes
+            .then(async () => {
+                const tenants = Array.from(this.tenants.values());
+                await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+                await fs.promises.writeFile(`${this.file}.tmp`, JSON.stringify({ tenants }));
+                await fs.promises.rename(`${this.file}.tmp`, this.file);
+            })
+            .catch((error) => {
+                this.logger.error(`Failed to save tenants to ${this.file}:`, error);
+            });
+        return this.writes;
+    }
+
+    // ========== HELPERS ==========
+
+    require(id) {
+        const tenant = this.tenants.get(id);
+        if (!tenant) {
+            throw new TenantError(`Tenant '${id}' not found`, 'TENANT_NOT_FOUND', 404);
+        }
+        return tenant;
+    }
+
+    buildTenant(input) {
+        return {
+            id: input.id,
+            name: input.name ? String(input.name) : input.id,
+            namespace: input.namespace !== undefined ? input.namespace : `${this.namespacePrefix}${input.id}`,
+            quotas: { ...this.defaultQuotas, ...normalizeQuotas(input.quotas) },
+            disabled: Boolean(input.disabled),
+            usage: {},
+            created_at: new Date(this.clock()).toISOString()
+        };
+    }
+
+    used(tenant, resource) {
+        const usage = tenant.usage[resource];
+        if (QUOTA_RESOURCES[resource] === 'daily') {
+            return usage?.day === this.today() ? usage.count : 0;
+        }
+        return usage || 0;
+    }
+
+    setUsed(tenant, resource, value) {
+        tenant.usage[resource] = QUOTA_RESOURCES[resource] === 'daily' ? { day: this.today(), count: value } : value;
+    }
+
+    today() {
+        return new Date(this.clock()).toISOString().slice(0, 10);
+    }
+}
+
+/**
+ * Validated quotas: known resources only, non-negative integers or null
+ */
+function normalizeQuotas(quotas = {}) {
+    const normalized = {};
+    for (const [resource, limit] of Object.entries(quotas || {})) {
+        if (!QUOTA_RESOURCES[resource]) {
+            throw new TenantError(`Unknown quota '${resource}' (expected ${Object.keys(QUOTA_RESOURCES).join(', ')})`, 'INVALID_QUOTA');
+        }
+        if (limit !== null && !(Number.isInteger(limit) && limit >= 0)) {
+            throw new TenantError(`Quota '${resource}' must be a non-negative integer or null`, 'INVALID_QUOTA');
+        }
+        normalized[resource] = limit;
+    }
+    return normalized;
+}
+
+function quotaOf(tenant, resource) {
+    if (!QUOTA_RESOURCES[resource]) {
+        throw new TenantError(`Unknown quota '${resource}'`, 'INVALID_QUOTA');
+    }
+    return tenant.quotas[resource] ?? null;
+}
+
+function quotaExceeded(tenant, resource, limit) {
+    const error = new TenantError(`Tenant '${tenant.id}' reached its ${resource} quota (${limit})`, 'QUOTA_EXCEEDED', 429);
+    error.resource = resource;
+    error.limit = limit;
+    return error;
+}
+
+module.exports = { TenantRegistry, TenantHandle, TenantError, tenantKey, tenantOfKey, QUOTA_RESOURCES, DEFAULT_TENANT };
@@ -0,0 +1,182 @@
+/**
+ * Tests for token authentication and WebSocket upgrade checks
+ */
+
+import crypto from 'crypto';
+import { jest } from '@jest/globals';
+import { Authenticator, hasPermission } from '../src/auth/authenticator.js';
+import { createVerifyClient, extractWebSocketToken, selectProtocol } from '../src/auth/websocket-auth.js';
+import { UIAgent } from '../src/agui/ui-agent.js';
+import { TenantRegistry } from '../src/tenants/tenant-registry.js';
+
+const SECRET = 'test-secret';
+
+function signJwt(payload, secret = SECRET, header = { alg: 'HS256', typ: 'JWT' }) {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const body = `${encode(header)}.${encode(payload)}`;
+    const signature = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+    return `${body}.${signature}`;
+}
+
+describe('Authenticator', () => {
+    const authenticator = new Authenticator({
+        tokens: { 'static-key': { id: 'ci-bot', permissions: ['agents:read'] } },
+        jwtSecret: SECRET
+    });
+
+    it('should resolve static tokens', () => {
+        expect(authenticator.authenticate('static-key')).toMatchObject({
+            id: 'ci-bot',
+            type: 'token',
+            permissions: ['agents:read']
+        });
+    });
+
+    it('should verify HS256 tokens', () => {
+        const token = signJwt({ sub: 'alice', scope: 'agents:write kagent:deploy', exp: Math.floor(Date.now() / 1000) + 60 });
+
+        expect(authenticator.authenticate(token)).toMatchObject({
+            id: 'alice',
+            type: 'jwt',
+            permissions: ['agents:write', 'kagent:deploy']
+        });
+    });
+
+    it('should reject forged, expired and unknown tokens', () => {
+        expect(() => authenticator.authenticate(signJwt({ sub: 'alice' }, 'other-secret'))).toThrow('Invalid token signature');
+        expect(() => authenticator.authenticate(signJwt({ sub: 'alice', exp: 1000 }))).toThrow('Token expired');
+        expect(() => authenticator.authenticate(signJwt({ sub: 'alice' }, SECRET, { alg: 'none' }))).toThrow('Unsupported');
+        expect(() => authenticator.authenticate('nope')).toThrow('Invalid token');
+        expect(() => authenticator.authenticate(null)).toThrow('Authentication required');
+    });
+
+    it('should check permissions with wildcards', () => {
+        expect(hasPermission({ permissions: ['agents:*'] }, 'agents:write')).toBe(true);
+        expect(hasPermission({ permissions: ['admin'] }, 'kagent:deploy')).toBe(true);
+        expect(hasPermission({ permissions: ['agents:read'] }, 'agents:write')).toBe(false);
+    });
+
+    it('should keep the admins of a tenant out of the cross-tenant scope', () => {
+        expect(hasPermission({ permissions: ['admin'], tenant: null }, 'superadmin')).toBe(true);
+        expect(hasPermission({ permissions: ['admin'], tenant: 'acme' }, 'superadmin')).toBe(false);
+        expect(hasPermission({ permissions: ['*'], tenant: 'acme' }, 'superadmin')).toBe(false);
+        expect(hasPermission({ permissions: ['admin'], tenant: 'acme' }, 'admin')).toBe(true);
+        expect(hasPermission({ permissions: ['superadmin'], tenant: 'acme' }, 'agents:write')).toBe(true);
+        expect(hasPermission({ permissions: ['agents:*'] }, 'superadmin')).toBe(false);
+    });
+});
+
+describe('WebSocket upgrade', () => {
+    const authenticator = new Authenticator({ tokens: { 'static-key': { id: 'ci-bot' } } });
+
+    it('should find the token in the query, subprotocol or cookie', () => {
+        expect(extractWebSocketToken({ url: '/ws?token=abc', headers: {} })).toBe('abc');
+        expect(extractWebSocketToken({ url: '/ws', headers: { 'sec-websocket-protocol': 'ag-ui, bearer.abc' } })).toBe('abc');
+        expect(extractWebSocketToken({ url: '/ws', headers: { cookie: 'theme=dark; autoweave_token=abc' } }, { cookie: true })).toBe('abc');
+        expect(extractWebSocketToken({ url: '/ws', headers: {} })).toBeNull();
+    });
+
+    it('should never select the token subprotocol', () => {
+        expect(selectProtocol(new Set(['bearer.abc', 'autoweave']))).toBe('autoweave');
+        expect(selectProtocol(new Set(['bearer.abc']))).toBe(false);
+    });
+
+    it('should attach the identity or reject the upgrade', () => {
+        const verify = createVerifyClient({ authenticator, allowedOrigins: ['https://app.example.com'] });
+        const callback = jest.fn();
+
+        const req = { url: '/ws?token=static-key', headers: {} };
+        verify({ req, origin: 'https://app.example.com' }, callback);
+        expect(callback).toHaveBeenLastCalledWith(true);
+        expect(req.identity.id).toBe('ci-bot');
+
+        verify({ req: { url: '/ws?token=static-key', headers: {} }, origin: 'https://evil.example.com' }, callback);
+        expect(callback).toHaveBeenLastCalledWith(false, 403, 'Origin not allowed');
+
+        verify({ req: { url: '/ws', headers: {} }, origin: 'https://app.example.com' }, callback);
+        expect(callback).toHaveBeenLastCalledWith(false, 401, 'Authentication required');
+    });
+
+    it('should only accept the cookie when origins are restricted', () => {
+        const callback = jest.fn();
+        const upgrade = () => ({ req: { url: '/ws', headers: { cookie: 'autoweave_token=static-key' } }, origin: 'https://app.example.com' });
+
+        createVerifyClient({ authenticator, allowedOrigins: ['https://app.example.com'] })(upgrade(), callback);
+        expect(callback).toHaveBeenLastCalledWith(true);
+
+        // Any page may open the socket: its browser would send the victim's cookie
+        createVerifyClient({ authenticator, allowedOrigins: [] })(upgrade(), callback);
+        expect(callback).toHaveBeenLastCalledWith(false, 401, 'Authentication required');
+        createVerifyClient({ authenticator, allowedOrigins: ['*'] })(upgrade(), callback);
+        expect(callback).toHaveBeenLastCalledWith(false, 401, 'Authentication required');
+    });
+});
+
+describe('UIAgent permissions', () => {
+    let uiAgent;
+    let autoweave;
+
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+    const tenants = new TenantRegistry({ tenants: [{ id: 'acme' }] });
+    const connect = (identity) => {
+        const ws = { send: jest.fn(), on: jest.fn(), close: jest.fn(), readyState: 1 };
+        const clientId = uiAgent.handleConnection(ws, { socket: {}, headers: {}, identity, tenant: tenants.resolve(identity) });
+        return { ws, clientId };
+    };
+    const lastError = (ws) => ws.send.mock.calls
+        .map(([data]) => JSON.parse(data))
+        .filter(m => m.template?.type === 'error')
+        .pop()?.template;
+
+    beforeEach(() => {
+        autoweave = {
+            listAgents: jest.fn().mockResolvedValue({ agents: [{ id: 'a1', tenant: 'acme' }] }),
+            deleteAgent: jest.fn().mockResolvedValue(true),
+            createAgent: jest.fn()
+        };
+        uiAgent = new UIAgent({ sweepInterval: 0 }, autoweave);
+    });
+
+    it('should attach the identity to the session', () => {
+        const { clientId } = connect({ id: 'alice', name: 'Alice', type: 'jwt', permissions: [] });
+
+        expect(uiAgent.getIdentity(clientId)).toMatchObject({ id: 'alice' });
+        expect(uiAgent.activeSessions.get(clientId).client_key).toBe('identity:alice');
+    });
+
+    it('should check commands against the identity permissions', async () => {
+        const reader = connect({ id: 'bob', type: 'token', permissions: ['agents:read'] });
+        await uiAgent.handleMessage(reader.clientId, { type: 'command', content: { command: 'delete-agent', args: { id: 'a1' } } });
+
+        expect(autoweave.deleteAgent).not.toHaveBeenCalled();
+        expect(lastError(reader.ws).metadata.error_code).toBe('FORBIDDEN');
+
+        const writer = connect({ id: 'alice', type: 'jwt', permissions: ['agents:write'], tenant: 'acme' });
+        await uiAgent.handleMessage(writer.clientId, { type: 'command', content: { command: 'delete-agent', args: { id: 'a1' } } });
+
+        expect(autoweave.deleteAgent).toHaveBeenCalledWith('a1', { tenant: 'acme', namespace: 'tenant-acme' });
+    });
+
+    it('should check wizards and form actions', async () => {
+        const reader = connect({ id: 'bob', type: 'token', permissions: ['agents:read'] });
+
+        await uiAgent.handleMessage(reader.clientId, { type: 'chat', content: { text: 'create agent that watches my inbox' } });
+        expect(lastError(reader.ws).metadata.error_code).toBe('FORBIDDEN');
+        expect(uiAgent.wizards.getState(reader.clientId)).toBeNull();
+
+        await uiAgent.handleMessage(reader.clientId, { type: 'input', content: { action: 'create-agent', values: {} } });
+        expect(lastError(reader.ws).metadata.error_code).toBe('FORBIDDEN');
+    });
+
+    it('should not resume sessions of another identity', async () => {
+        const alice = connect({ id: 'alice', type: 'jwt', permissions: [] });
+        const sessionId = uiAgent.activeSessions.get(alice.clientId).session_id;
+        const mallory = connect({ id: 'mallory', type: 'jwt', permissions: [] });
+        await flush();
+
+        await uiAgent.handleMessage(mallory.clientId, { type: 'resume', content: { session_id: sessionId } });
+
+        expect(mallory.ws.send).toHaveBeenLastCalledWith(expect.stringContaining('"type":"resume_failed"'));
+        expect(uiAgent.activeSessions.get(alice.clientId).session_id).toBe(sessionId);
+    });
+});
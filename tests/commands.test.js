@@ -0,0 +1,89 @@
+/**
+ * Tests for AG-UI command routing
+ */
+
+import { jest } from '@jest/globals';
+import { UIAgent } from '../src/agui/ui-agent.js';
+
+describe('UIAgent commands', () => {
+    let uiAgent;
+    let autoweave;
+
+    const connect = async (identity = null) => {
+        const ws = { send: jest.fn(), on: jest.fn(), close: jest.fn(), readyState: 1 };
+        const clientId = uiAgent.handleConnection(ws, { socket: { remoteAddress: '10.0.0.1' }, headers: {}, identity });
+        await new Promise(resolve => setImmediate(resolve));
+        ws.send.mockClear();
+        return { ws, clientId };
+    };
+    const command = (clientId, name, args) => uiAgent.handleMessage(clientId, { type: 'command', content: { command: name, args } });
+    const last = (ws) => JSON.parse(ws.send.mock.calls[ws.send.mock.calls.length - 1][0]);
+
+    beforeEach(() => {
+        autoweave = {
+            listAgents: jest.fn().mockResolvedValue({ agents: [] }),
+            getAgentLogs: jest.fn().mockResolvedValue('line 1\nline 2\nline 3'),
+            searchMemory: jest.fn().mockResolvedValue({ results: [{ memory: 'likes YAML', score: 0.9 }] })
+        };
+        uiAgent = new UIAgent({ sweepInterval: 0, heartbeatInterval: 0 }, autoweave);
+    });
+
+    afterEach(async () => {
+        await uiAgent.shutdown();
+    });
+
+    it('should answer help with the commands the identity may run', async () => {
+        const { ws, clientId } = await connect({ id: 'bob', type: 'token', permissions: ['agents:read'] });
+
+        await command(clientId, 'help');
+
+        const event = last(ws);
+        expect(event.type).toBe('display');
+        expect(event.template.type).toBe('table');
+        const names = event.template.rows.map(([name]) => name);
+        expect(names).toEqual(expect.arrayContaining(['help', 'list-agents', 'agent-logs', 'system-health']));
+        expect(names).not.toContain('create-agent');
+        expect(event.template.rows.find(([name]) => name === 'agent-logs')[1])
+            .toBe('id:string [namespace:string=default] [lines:integer=100]');
+    });
+
+    it('should validate and coerce arguments against the command schema', async () => {
+        const { ws, clientId } = await connect();
+
+        await command(clientId, 'agent-logs', {});
+        expect(last(ws).template.metadata.error_code).toBe('INVALID_ARGUMENTS');
+        expect(last(ws).template.details).toHaveProperty('id');
+
+        await command(clientId, 'agent-logs', { id: 'inbox-digest', lines: '2' });
+        expect(autoweave.getAgentLogs).toHaveBeenCalledWith('inbox-digest', { namespace: 'default', lines: 2 }, { tenant: 'default', namespace: null });
+        expect(last(ws).template).toMatchObject({ type: 'logs', lines: ['line 2', 'line 3'] });
+    });
+
+    it('should search memory as the caller', async () => {
+        const { ws, clientId } = await connect({ id: 'alice', type: 'jwt', permissions: ['memory:read'] });
+
+        await command(clientId, 'memory-search', { query: 'preferences', user_id: 'someone-else' });
+
+        expect(autoweave.searchMemory).toHaveBeenCalledWith('preferences', 'alice', { limit: 10 }, { tenant: 'default', namespace: null });
+        expect(last(ws).template.rows).toEqual([['likes YAML', 0.9, null]]);
+    });
+
+    it('should run registered commands and report failures', async () => {
+        const { ws, clientId } = await connect();
+        uiAgent.registerCommand({
+            name: 'restart-agent',
+            permission: 'agents:write',
+            args: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] },
+            handler: async () => {
+                throw new Error('not allowed on production');
+            }
+        });
+
+        await command(clientId, 'restart-agent', { id: 'a1' });
+        expect(last(ws).template).toMatchObject({ details: 'not allowed on production', metadata: { error_code: 'COMMAND_FAILED' } });
+
+        await command(clientId, 'no-such-command');
+        expect(last(ws).template.metadata.error_code).toBe('UNKNOWN_COMMAND');
+        expect(last(ws).template.details).toContain('restart-agent');
+    });
+});
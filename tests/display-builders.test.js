@@ -0,0 +1,114 @@
+/**
+ * Tests for the rich display builders and their AG-UI events
+ */
+
+import { jest } from '@jest/globals';
+import {
+    chartFromMetricSamples,
+    treeFromTopology,
+    diffFromConfigs,
+    codeFromPayload,
+    markdownFromDocumentation
+} from '../src/agui/display-builders.js';
+import { UIAgent } from '../src/agui/ui-agent.js';
+
+describe('display builders', () => {
+    it('should build one series per numeric metric from successive snapshots', () => {
+        const chart = chartFromMetricSamples([
+            { success: true, timestamp: 't1', metrics: { agents: { running: 2, failed: 0 }, status: 'ok' } },
+            { success: true, timestamp: 't2', metrics: { agents: { running: 3, failed: 1 }, status: 'ok' } }
+        ], { title: 'Kagent' });
+
+        expect(chart.chart_title).toBe('Kagent');
+        expect(chart.chart_series).toEqual([
+            { name: 'agents.running', points: [{ x: 't1', y: 2 }, { x: 't2', y: 3 }] },
+            { name: 'agents.failed', points: [{ x: 't1', y: 0 }, { x: 't2', y: 1 }] }
+        ]);
+    });
+
+    it('should root a topology graph at the nodes without parents', () => {
+        const tree = treeFromTopology({
+            success: true,
+            topology: {
+                nodes: [{ id: 'core', name: 'Core' }, { id: 'memory', name: 'Memory' }, { id: 'qdrant', type: 'store' }],
+                edges: [{ source: 'core', target: 'memory', type: 'uses' }, { source: 'memory', target: 'qdrant' }, { source: 'qdrant', target: 'core' }]
+            }
+        });
+
+        expect(tree.total_nodes).toBe(3);
+        expect(tree.tree_nodes).toHaveLength(1);
+        expect(tree.tree_nodes[0]).toMatchObject({
+            id: 'core',
+            children: [{ id: 'memory', relation: 'uses', children: [{ id: 'qdrant', type: 'store', children: [] }] }]
+        });
+    });
+
+    it('should show plain topology objects as nested keys', () => {
+        const tree = treeFromTopology({ topology: { services: ['qdrant', 'memgraph'], mode: 'hybrid' } });
+
+        expect(tree.tree_nodes[0].children.map(node => node.label)).toEqual(['services', 'mode: hybrid']);
+        expect(tree.tree_nodes[0].children[0].children.map(node => node.label)).toEqual(['qdrant', 'memgraph']);
+    });
+
+    it('should diff configurations side by side', () => {
+        const diff = diffFromConfigs(
+            { name: 'digest', replicas: 1, tools: ['gmail'] },
+            { name: 'digest', replicas: 2, tools: ['gmail', 'slack'] }
+        );
+
+        expect(diff.language).toBe('yaml');
+        expect(diff.diff_rows.filter(row => row.type !== 'equal')).toEqual([
+            { type: 'changed', left: { number: 2, text: 'replicas: 1' }, right: { number: 2, text: 'replicas: 2' } },
+            { type: 'added', left: null, right: { number: 5, text: '  - slack' } }
+        ]);
+        expect(diff.diff_stats).toEqual({ added: 1, removed: 0, changed: 1 });
+    });
+
+    it('should build code and markdown cards from route payloads', () => {
+        const code = codeFromPayload({ success: true, workflow: { id: 'wf-1', name: 'Digest' }, yaml: 'apiVersion: v1\nkind: Agent\n' });
+        expect(code).toMatchObject({ language: 'yaml', filename: 'wf-1.yaml', code: 'apiVersion: v1\nkind: Agent', line_count: 2 });
+
+        const doc = markdownFromDocumentation({
+            success: true,
+            format: 'markdown',
+            documentation: '# AutoWeave\n\n## Agents & Tools\n\n```\n# not a heading\n```\n'
+        });
+        expect(doc.markdown_title).toBe('AutoWeave');
+        expect(doc.toc).toEqual([
+            { level: 1, text: 'AutoWeave', anchor: 'autoweave' },
+            { level: 2, text: 'Agents & Tools', anchor: 'agents--tools' }
+        ]);
+    });
+});
+
+describe('UIAgent rich displays', () => {
+    let uiAgent;
+    let ws;
+    let clientId;
+
+    beforeEach(async () => {
+        uiAgent = new UIAgent({ sweepInterval: 0, heartbeatInterval: 0 });
+        ws = { send: jest.fn(), on: jest.fn(), close: jest.fn(), readyState: 1 };
+        clientId = uiAgent.handleConnection(ws, { socket: { remoteAddress: '10.0.0.1' }, headers: {} });
+        await new Promise(resolve => setImmediate(resolve));
+        ws.send.mockClear();
+    });
+
+    afterEach(async () => {
+        await uiAgent.shutdown();
+    });
+
+    it('should send chart and diff display events', async () => {
+        await uiAgent.generateChartDisplay(clientId, { timestamp: 't1', metrics: { requests: 5 } }, { unit: 'req/s' });
+        await uiAgent.generateDiffDisplay(clientId, 'a\nb', 'a\nc', { language: 'text' });
+
+        const [chart, diff] = ws.send.mock.calls.map(([data]) => JSON.parse(data));
+        expect(chart.template).toMatchObject({
+            type: 'chart',
+            chart_type: 'line',
+            series: [{ name: 'requests', points: [{ x: 't1', y: 5 }] }],
+            y_axis: { unit: 'req/s' }
+        });
+        expect(diff.template).toMatchObject({ type: 'diff', language: 'text', stats: { changed: 1 } });
+    });
+});
@@ -0,0 +1,125 @@
+/**
+ * Tests for the cross-replica event buses
+ */
+
+import { jest } from '@jest/globals';
+import { InProcessBus, RedisBus, LocalRedis } from '../src/agui/event-bus.js';
+import { UIAgent } from '../src/agui/ui-agent.js';
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('InProcessBus', () => {
+    it('should deliver copies to subscribers until they unsubscribe', async () => {
+        const bus = new InProcessBus();
+        const handler = jest.fn();
+        const unsubscribe = await bus.subscribe('topics', handler);
+        const message = { topic: 'agents' };
+
+        await bus.publish('topics', message);
+        await unsubscribe();
+        await bus.publish('topics', message);
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler.mock.calls[0][0]).toEqual(message);
+        expect(handler.mock.calls[0][0]).not.toBe(message);
+    });
+});
+
+describe('RedisBus', () => {
+    it('should carry messages between clients of the same server under a prefix', async () => {
+        const redis = new LocalRedis();
+        const busA = new RedisBus({ publisher: redis.createClient(), subscriber: redis.createClient(), prefix: 'test:' });
+        const busB = new RedisBus({ publisher: redis.createClient(), subscriber: redis.createClient(), prefix: 'test:' });
+        const handler = jest.fn();
+        await busB.subscribe('clients', handler);
+
+        await busA.publish('clients', { client_id: 'c1' });
+        await flush();
+
+        expect(handler).toHaveBeenCalledWith({ client_id: 'c1' });
+        expect(Array.from(busB.subscriber.channels)).toEqual(['test:clients']);
+
+        await busB.close();
+        await busA.publish('clients', { client_id: 'c2' });
+        await flush();
+        expect(handler).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('UIAgent replicas', () => {
+    let redis;
+    let replicaA;
+    let replicaB;
+
+    const createReplica = async (replicaId) => {
+        const uiAgent = new UIAgent({
+            replicaId,
+            sweepInterval: 0,
+            heartbeatInterval: 0,
+            bus: new RedisBus({ publisher: redis.createClient(), subscriber: redis.createClient() })
+        });
+        await uiAgent.busReady;
+        return uiAgent;
+    };
+
+    const connect = async (uiAgent) => {
+        const ws = { send: jest.fn(), on: jest.fn(), close: jest.fn(), readyState: 1 };
+        const clientId = uiAgent.handleConnection(ws, { socket: { remoteAddress: '10.0.0.1' }, headers: {} });
+        await flush();
+        ws.send.mockClear();
+        return { ws, clientId };
+    };
+
+    const sent = (ws) => ws.send.mock.calls.map(([data]) => JSON.parse(data));
+
+    beforeEach(async () => {
+        redis = new LocalRedis();
+        replicaA = await createReplica('replica-a');
+        replicaB = await createReplica('replica-b');
+    });
+
+    afterEach(async () => {
+        await replicaA.shutdown();
+        await replicaB.shutdown();
+    });
+
+    it('should deliver topic events to subscribers on other replicas', async () => {
+        const local = await connect(replicaA);
+        const remote = await connect(replicaB);
+        await replicaA.handleMessage(local.clientId, { type: 'subscribe', content: { topics: ['agents'] } });
+        await replicaB.handleMessage(remote.clientId, { type: 'subscribe', content: { topics: ['agents'] } });
+        local.ws.send.mockClear();
+        remote.ws.send.mockClear();
+
+        expect(await replicaA.publish('agents', { type: 'status', content: { message: 'Agent created' } })).toBe(1);
+        await flush();
+
+        expect(sent(local.ws)).toHaveLength(1);
+        const [event] = sent(remote.ws);
+        expect(event.content.message).toBe('Agent created');
+        expect(event.agui_metadata).toMatchObject({ topic: 'agents', seq: expect.any(Number) });
+        expect(replicaB.getEventGenerationStats().bus).toMatchObject({ replica_id: 'replica-b', type: 'redis', received: 1, delivered: 1 });
+    });
+
+    it('should route client-targeted events to the replica holding the session', async () => {
+        const remote = await connect(replicaB);
+
+        await replicaA.sendEvent({ type: 'chat', template: { text: 'Deployed' } }, remote.clientId);
+        await flush();
+
+        expect(sent(remote.ws).map(event => event.template.text)).toEqual(['Deployed']);
+        expect(replicaA.getEventGenerationStats().bus.published).toBe(1);
+    });
+
+    it('should broadcast to every replica without echoing back', async () => {
+        const local = await connect(replicaA);
+        const remote = await connect(replicaB);
+
+        expect(replicaA.broadcast({ type: 'status', content: { message: 'Maintenance' } })).toBe(1);
+        await flush();
+
+        expect(sent(local.ws)).toHaveLength(1);
+        expect(sent(remote.ws)).toHaveLength(1);
+        expect(replicaA.getEventGenerationStats().bus.received).toBe(0);
+    });
+});
@@ -0,0 +1,144 @@
+/**
+ * Tests for localized AG-UI templates
+ */
+
+import { jest } from '@jest/globals';
+import { I18n, formatValue, parseAcceptLanguage } from '../src/agui/i18n.js';
+import { TemplateEngine } from '../src/agui/template-engine.js';
+import { UIAgent } from '../src/agui/ui-agent.js';
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('I18n', () => {
+    let i18n;
+
+    beforeEach(() => {
+        i18n = new I18n({ messages: { 'fr-CA': { 'display.tree.title': 'Arbre' } } });
+    });
+
+    it('should negotiate Accept-Language by quality', () => {
+        expect(parseAcceptLanguage('en;q=0.5, fr-CH, de;q=0')).toEqual(['fr-CH', 'en']);
+        expect(i18n.negotiate('de-DE, fr-CH;q=0.9, en;q=0.8')).toBe('fr');
+        expect(i18n.negotiate('de, *;q=0.1')).toBe('en');
+        expect(i18n.negotiate('')).toBe('en');
+        expect(i18n.negotiate(['fr-ca'])).toBe('fr-CA');
+    });
+
+    it('should fall back to the base language, then the default locale', () => {
+        i18n.register('en', { 'only.english': 'English only' });
+
+        expect(i18n.lookup('display.tree.title', 'fr-CA')).toEqual({ text: 'Arbre', locale: 'fr-CA' });
+        expect(i18n.lookup('display.diff.title', 'fr-CA')).toEqual({ text: 'Modifications', locale: 'fr' });
+        expect(i18n.lookup('only.english', 'fr')).toEqual({ text: 'English only', locale: 'en' });
+        expect(i18n.lookup('no.such.key', 'fr')).toBeNull();
+        expect(i18n.getStats().missing_keys).toEqual(['no.such.key']);
+    });
+
+    it('should pick plural forms with exact matches first', () => {
+        expect(i18n.lookup('display.agent_list.total', 'fr', 0).text).toBe('Aucun agent');
+        expect(i18n.lookup('display.command_list.total', 'fr', 0).text).toBe('{{count, number}} commande');
+        expect(i18n.lookup('display.command_list.total', 'en', 0).text).toBe('{{count, number}} commands');
+        expect(i18n.lookup('display.agent_list.total', 'en', 1).text).toBe('{{count, number}} agent');
+        expect(i18n.lookup('display.agent_list.total', 'en').text).toBe('{{count, number}} agents');
+    });
+
+    it('should reject malformed messages', () => {
+        expect(() => i18n.register('en', { bad: { one: 'x' } })).toThrow("plural forms with 'other'");
+        expect(() => i18n.register('not a locale!', {})).toThrow('Invalid locale');
+    });
+
+    it('should format numbers and dates per locale', () => {
+        expect(formatValue(1234.5, 'number', null, 'fr')).toMatch(/^1\s234,5$/);
+        expect(formatValue(1234.5, 'number', 'integer', 'en')).toBe('1,235');
+        expect(formatValue(0.25, 'percent', null, 'en')).toBe('25%');
+        expect(formatValue('2026-03-01T10:00:00Z', 'date', 'long', 'fr', 'UTC')).toBe('1 mars 2026');
+        expect(formatValue('2026-03-01T10:00:00Z', 'time', null, 'en', 'UTC')).toBe('10:00 AM');
+        expect(formatValue('soon', 'date', null, 'en')).toBe('soon');
+    });
+});
+
+describe('TemplateEngine with messages', () => {
+    const engine = new TemplateEngine({ i18n: new I18n() });
+
+    it('should render $t in the requested locale', () => {
+        const template = {
+            title: { $t: 'display.memory_results.title' },
+            summary: { $t: 'display.memory_results.total', count: 'total' }
+        };
+
+        expect(engine.render(template, { query: 'deploy', total: 1200 }, { locale: 'fr' })).toEqual({
+            title: 'Mémoire : deploy',
+            summary: expect.stringMatching(/^1\s200 résultats$/)
+        });
+        expect(engine.render(template, { query: 'deploy', total: 0 }).summary).toBe('No results');
+    });
+
+    it('should format placeholders and keep defaults', () => {
+        const context = { locale: 'en', timeZone: 'UTC' };
+
+        expect(engine.render('{{at, datetime, short}}', { at: '2026-03-01T10:00:00Z' }, context)).toBe('3/1/26, 10:00 AM');
+        expect(engine.render('{{ratio, percent | "n/a"}}', {}, context)).toBe('n/a');
+        expect(engine.render('{{size, number, compact}} items', { size: 15300 }, context)).toBe('15.3K items');
+    });
+
+    it('should render unknown keys as the key and list message variables', () => {
+        expect(engine.render({ $t: 'missing.key' })).toBe('missing.key');
+        expect(Array.from(engine.extractVariables({
+            title: { $t: 'display.logs.title' },
+            summary: { $t: 'display.agent_list.total', count: 'total_agents' }
+        })).sort()).toEqual(['agent_id', 'total_agents']);
+    });
+});
+
+describe('UIAgent locales', () => {
+    let uiAgent;
+
+    beforeEach(() => {
+        uiAgent = new UIAgent({ sweepInterval: 0, heartbeatInterval: 0 });
+    });
+
+    afterEach(async () => {
+        await uiAgent.shutdown();
+    });
+
+    const connect = async (headers = {}, url = '/ws') => {
+        const ws = { send: jest.fn(), on: jest.fn(), close: jest.fn(), ping: jest.fn(), readyState: 1 };
+        const clientId = uiAgent.handleConnection(ws, { url, socket: { remoteAddress: '10.0.0.1' }, headers });
+        await flush();
+        const sent = () => ws.send.mock.calls.map(([data]) => JSON.parse(data));
+        return { ws, clientId, sent };
+    };
+
+    it('should localize the welcome sequence from Accept-Language', async () => {
+        const { sent } = await connect({ 'accept-language': 'fr-FR,fr;q=0.9,en;q=0.8' });
+
+        const welcome = sent().find(message => message.type === 'welcome');
+        const chat = sent().find(message => message.type === 'chat');
+        const form = sent().find(message => message.template?.type === 'form');
+
+        expect(welcome.content.locale).toBe('fr');
+        expect(chat.template.text).toBe('Bienvenue dans AutoWeave ! Je suis prêt à vous aider pour ' +
+            'la création d\'agents, la supervision du système et l\'orchestration de workflows.');
+        expect(chat.agui_metadata.locale).toBe('fr');
+        expect(form.template.title).toBe('Actions rapides');
+        expect(form.template.schema.properties.action.enumNames).toContain('Discuter avec AutoWeave');
+    });
+
+    it('should switch locale on a hello message and prefer ?locale=', async () => {
+        const { clientId, sent } = await connect({ 'accept-language': 'fr' }, '/ws?locale=en-GB');
+        expect(uiAgent.getLocale(clientId)).toBe('en');
+
+        await uiAgent.handleMessage(clientId, { type: 'hello', content: { locales: ['de', 'fr-BE'], time_zone: 'Europe/Paris' } });
+        expect(sent().pop()).toEqual({
+            type: 'locale',
+            content: { locale: 'fr', time_zone: 'Europe/Paris', available: ['en', 'fr'] }
+        });
+
+        const event = uiAgent.generateDisplayEvent('display-agent-list', { agents_data: [{ id: 'a' }], total_agents: 1 }, clientId);
+        expect(event.template).toMatchObject({ title: 'Agents actifs', summary: '1 agent' });
+
+        const errors = uiAgent.generateDisplayEvent('display-form-errors', { field_errors: [] }, clientId);
+        expect(errors.template).toMatchObject({ title: '⚠️ Saisie invalide', message: 'Veuillez corriger les champs signalés' });
+        expect(uiAgent.getEventGenerationStats().i18n.sessions).toEqual({ fr: 1 });
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests for JSON Patch state synchronisation
+ */
+
+import { jest } from '@jest/globals';
+import { applyPatch, escapePathSegment } from '../src/agui/json-patch.js';
+import { UIAgent } from '../src/agui/ui-agent.js';
+
+describe('applyPatch', () => {
+    const document = { filters: { status: 'running' }, panels: ['agents', 'logs'] };
+
+    it('should apply operations without mutating the input', () => {
+        const result = applyPatch(document, [
+            { op: 'add', path: '/selected_agent', value: 'agent-1' },
+            { op: 'replace', path: '/filters/status', value: 'failed' },
+            { op: 'add', path: '/panels/-', value: 'metrics' },
+            { op: 'remove', path: '/panels/0' },
+            { op: 'copy', from: '/selected_agent', path: '/last_agent' },
+            { op: 'move', from: '/filters', path: '/saved_filters' }
+        ]);
+
+        expect(result).toEqual({
+            selected_agent: 'agent-1',
+            last_agent: 'agent-1',
+            saved_filters: { status: 'failed' },
+            panels: ['logs', 'metrics']
+        });
+        expect(document).toEqual({ filters: { status: 'running' }, panels: ['agents', 'logs'] });
+    });
+
+    it('should reject the whole patch when an operation fails', () => {
+        expect(() => applyPatch(document, [
+            { op: 'add', path: '/selected_agent', value: 'agent-1' },
+            { op: 'test', path: '/filters/status', value: 'failed' }
+        ])).toThrow(expect.objectContaining({ name: 'JsonPatchError', index: 1 }));
+
+        expect(() => applyPatch(document, [{ op: 'replace', path: '/missing', value: 1 }])).toThrow('does not exist');
+        expect(() => applyPatch(document, [{ op: 'add', path: '/panels/5', value: 'x' }])).toThrow('out of bounds');
+        expect(() => applyPatch(document, [{ op: 'move', from: '/filters', path: '/filters/inner' }])).toThrow();
+    });
+
+    it('should escape pointer segments', () => {
+        const key = escapePathSegment('a/b~c');
+        expect(key).toBe('a~1b~0c');
+        expect(applyPatch({}, [{ op: 'add', path: `/${key}`, value: 1 }])).toEqual({ 'a/b~c': 1 });
+    });
+
+    it('should refuse pointers reaching object prototypes', () => {
+        for (const path of ['/__proto__/polluted', '/constructor/prototype/polluted', '/filters/__proto__']) {
+            expect(() => applyPatch(document, [{ op: 'add', path, value: 'yes' }])).toThrow('Forbidden segment');
+        }
+        expect(() => applyPatch(document, [{ op: 'copy', from: '/__proto__', path: '/copied' }])).toThrow('Forbidden segment');
+        expect(() => applyPatch(document, [{ op: 'add', path: '/toString/polluted', value: 'yes' }])).toThrow('does not exist');
+        expect(({}).polluted).toBeUndefined();
+    });
+});
+
+describe('UIAgent state sync', () => {
+    let uiAgent;
+    let ws;
+    const clientId = 'state-client';
+
+    const sentMessages = () => ws.send.mock.calls.map(([data]) => JSON.parse(data));
+    const lastOfType = (type) => sentMessages().filter(m => m.type === type).pop();
+
+    beforeEach(() => {
+        uiAgent = new UIAgent({ sweepInterval: 0 });
+        ws = { send: jest.fn(), on: jest.fn(), close: jest.fn(), readyState: 1 };
+        uiAgent.clients.set(clientId, ws);
+        uiAgent.getSessionId(clientId);
+    });
+
+    it('should push server-side changes as versioned deltas', async () => {
+        uiAgent.updateUIState(clientId, 'selected_agent', 'agent-1');
+        uiAgent.updateUIState(clientId, 'selected_agent', 'agent-2');
+        uiAgent.removeUIState(clientId, 'selected_agent');
+
+        const deltas = sentMessages().filter(m => m.type === 'state_delta').map(m => m.content);
+        expect(deltas).toEqual([
+            { base_version: 0, version: 1, operations: [{ op: 'add', path: '/selected_agent', value: 'agent-1' }] },
+            { base_version: 1, version: 2, operations: [{ op: 'replace', path: '/selected_agent', value: 'agent-2' }] },
+            { base_version: 2, version: 3, operations: [{ op: 'remove', path: '/selected_agent' }] }
+        ]);
+    });
+
+    it('should accept client patches against the current version', async () => {
+        uiAgent.updateUIState(clientId, 'filters', { status: 'running' });
+
+        await uiAgent.handleMessage(clientId, {
+            type: 'state_patch',
+            content: {
+                patch_id: 'p1',
+                base_version: 1,
+                operations: [
+                    { op: 'replace', path: '/filters/status', value: 'failed' },
+                    { op: 'add', path: '/open_panels', value: ['logs'] }
+                ]
+            }
+        });
+
+        expect(lastOfType('state_patch_accepted').content).toEqual({ patch_id: 'p1', version: 2 });
+        expect(uiAgent.getUIState(clientId, 'filters')).toEqual({ status: 'failed' });
+        expect(uiAgent.getUIStateSnapshot(clientId)).toEqual({
+            version: 2,
+            state: { filters: { status: 'failed' }, open_panels: ['logs'] }
+        });
+    });
+
+    it('should reject stale patches and resend a snapshot', async () => {
+        uiAgent.updateUIState(clientId, 'selected_agent', 'agent-1');
+
+        await uiAgent.handleMessage(clientId, {
+            type: 'state_patch',
+            content: { patch_id: 'p1', base_version: 0, operations: [{ op: 'add', path: '/selected_agent', value: 'x' }] }
+        });
+
+        expect(lastOfType('state_patch_rejected').content).toMatchObject({ patch_id: 'p1', reason: 'version_conflict', version: 1 });
+        expect(lastOfType('state_snapshot').content).toEqual({ version: 1, state: { selected_agent: 'agent-1' } });
+        expect(uiAgent.getUIState(clientId, 'selected_agent')).toBe('agent-1');
+    });
+
+    it('should reject invalid patches and writes to read-only keys', async () => {
+        await uiAgent.wizards.start(clientId, 'create-agent');
+        const { version } = uiAgent.getUIStateSnapshot(clientId);
+
+        await uiAgent.handleMessage(clientId, {
+            type: 'state_patch',
+            content: { patch_id: 'p1', base_version: version, operations: [{ op: 'replace', path: '/wizard/step', value: 'deploy' }] }
+        });
+        expect(lastOfType('state_patch_rejected').content.reason).toBe('forbidden');
+
+        await uiAgent.handleMessage(clientId, {
+            type: 'state_patch',
+            content: { patch_id: 'p2', base_version: version, operations: [{ op: 'remove', path: '/missing' }] }
+        });
+        expect(lastOfType('state_patch_rejected').content.reason).toBe('invalid_patch');
+        expect(uiAgent.getUIStateSnapshot(clientId).version).toBe(version);
+    });
+
+    it('should reject patches writing into object prototypes', async () => {
+        await uiAgent.handleMessage(clientId, {
+            type: 'state_patch',
+            content: { patch_id: 'p1', base_version: 0, operations: [{ op: 'add', path: '/__proto__/isAdmin', value: true }] }
+        });
+
+        expect(lastOfType('state_patch_rejected').content).toMatchObject({ patch_id: 'p1', reason: 'invalid_patch' });
+        expect(lastOfType('state_patch_accepted')).toBeUndefined();
+        expect(({}).isAdmin).toBeUndefined();
+        expect(uiAgent.getUIStateSnapshot(clientId)).toEqual({ version: 0, state: {} });
+    });
+});
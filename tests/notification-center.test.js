@@ -0,0 +1,182 @@
+/**
+ * Tests for the notification center and its AG-UI delivery
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { NotificationCenter } from '../src/agui/notification-center.js';
+import { InProcessBus } from '../src/agui/event-bus.js';
+import { UIAgent } from '../src/agui/ui-agent.js';
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const alice = { id: 'alice', type: 'jwt', permissions: ['agents:read'] };
+const ops = { id: 'ops', type: 'token', permissions: ['agents:write'] };
+
+describe('NotificationCenter', () => {
+    let center;
+
+    beforeEach(() => {
+        center = new NotificationCenter();
+    });
+
+    it('should show notifications to their audience and keep read state per user', () => {
+        center.notify({ severity: 'info', source: 'system', title: 'Maintenance tonight' });
+        center.notify({ severity: 'error', source: 'agent', title: 'Deploy failed', user_id: 'alice', permission: 'agents:write' });
+        center.notify({ severity: 'warning', source: 'kagent', title: 'Quota reached', permission: 'kagent:deploy' });
+
+        expect(center.list(alice).map(n => n.title)).toEqual(['Deploy failed', 'Maintenance tonight']);
+        expect(center.list(ops).map(n => n.title)).toEqual(['Deploy failed', 'Maintenance tonight']);
+
+        const [failure] = center.list(alice);
+        expect(center.acknowledge(alice, [failure.id])).toEqual([failure.id]);
+
+        expect(center.get(failure.id, alice).read).toBe(true);
+        expect(center.get(failure.id, ops).read).toBe(false);
+        expect(center.unreadCount(alice)).toBe(1);
+        expect(center.list(alice, { unread: true, source: 'system' })).toHaveLength(1);
+    });
+
+    it('should keep tenant notifications within their tenant', () => {
+        center.notify({ severity: 'error', source: 'anp', title: 'ANP task failed', permission: 'agents:write', tenant: 'acme' });
+        center.notify({ severity: 'info', source: 'system', title: 'Maintenance tonight' });
+
+        expect(center.list(ops, {}, 'acme').map(n => n.title)).toEqual(['Maintenance tonight', 'ANP task failed']);
+        expect(center.list(ops, {}, 'globex').map(n => n.title)).toEqual(['Maintenance tonight']);
+        expect(center.list(ops).map(n => n.title)).toEqual(['Maintenance tonight']);
+        expect(center.unreadCount(ops, 'globex')).toBe(1);
+        expect(center.acknowledge(ops, 'all', 'globex')).toHaveLength(1);
+    });
+
+    it('should reject unknown severities and sources', () => {
+        expect(() => center.notify({ severity: 'fatal', title: 'x' })).toThrow('Unknown severity');
+        expect(() => center.notify({ source: 'mail', title: 'x' })).toThrow('Unknown source');
+        expect(() => center.notify({})).toThrow('requires a title');
+    });
+
+    it('should notify health changes only', () => {
+        expect(center.notifyHealth({ status: 'healthy' })).toBeNull();
+
+        const degraded = center.notifyHealth({ status: 'degraded', components: { memory: { status: 'unhealthy' }, kagent: { status: 'healthy' } } });
+        expect(degraded).toMatchObject({ severity: 'warning', source: 'health', message: 'Affected components: memory' });
+        expect(center.notifyHealth({ status: 'degraded' })).toBeNull();
+
+        expect(center.notifyHealth({ status: 'healthy' })).toMatchObject({ severity: 'success', data: { previous: 'degraded' } });
+    });
+
+    it('should save notifications and read state to a file', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'agui-notifications-'));
+        const file = path.join(directory, 'notifications.json');
+
+        try {
+            const saved = new NotificationCenter({ file });
+            const notification = saved.notify({ title: 'Deploy failed', severity: 'error', source: 'kagent' });
+            saved.acknowledge(alice, [notification.id]);
+            await saved.writes;
+
+            const restored = new NotificationCenter({ file });
+            expect(await restored.load()).toBe(1);
+            expect(restored.get(notification.id, alice)).toMatchObject({ title: 'Deploy failed', read: true });
+            expect(restored.get(notification.id, ops).read).toBe(false);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('UIAgent notifications', () => {
+    let uiAgent;
+
+    const connect = async (identity) => {
+        const ws = { send: jest.fn(), on: jest.fn(), close: jest.fn(), readyState: 1 };
+        const clientId = uiAgent.handleConnection(ws, { socket: { remoteAddress: '10.0.0.1' }, headers: {}, identity });
+        await flush();
+        return { ws, clientId };
+    };
+    const sent = (ws, type) => ws.send.mock.calls.map(([data]) => JSON.parse(data)).filter(message => message.type === type);
+
+    beforeEach(() => {
+        uiAgent = new UIAgent({ sweepInterval: 0, heartbeatInterval: 0 });
+    });
+
+    afterEach(async () => {
+        await uiAgent.shutdown();
+    });
+
+    it('should send unread notifications on connect and accept acknowledgements', async () => {
+        uiAgent.notifications.notify({ severity: 'error', source: 'agent', title: 'Deploy failed', user_id: 'alice' });
+
+        const { ws, clientId } = await connect(alice);
+        const [{ content }] = sent(ws, 'notifications');
+        expect(content.unread_count).toBe(1);
+        expect(content.notifications[0]).toMatchObject({ title: 'Deploy failed', read: false });
+        expect(content.notifications[0]).not.toHaveProperty('audience');
+
+        await uiAgent.handleMessage(clientId, { type: 'notification', content: { action: 'ack' } });
+        expect(sent(ws, 'notifications_read').pop().content).toEqual({ ids: [content.notifications[0].id], unread_count: 0 });
+    });
+
+    it('should push failed operations to the identities able to act on them', async () => {
+        const owner = await connect(alice);
+        const operator = await connect(ops);
+        const bystander = await connect({ id: 'carol', type: 'jwt', permissions: [] });
+
+        await expect(uiAgent.runOperation(owner.clientId, 'agent-deploy', 'Deploy agent digest', async () => {
+            throw new Error('image pull failed');
+        })).rejects.toThrow('image pull failed');
+
+        for (const { ws } of [owner, operator]) {
+            expect(sent(ws, 'notification')).toEqual([
+                expect.objectContaining({
+                    content: expect.objectContaining({ severity: 'error', source: 'agent', title: 'Deploy agent digest failed', message: 'image pull failed' })
+                })
+            ]);
+        }
+        expect(sent(bystander.ws, 'notification')).toEqual([]);
+    });
+
+    it('should notify health changes from the health monitor only', async () => {
+        await uiAgent.shutdown();
+        const autoweave = {
+            getSystemHealth: jest.fn().mockResolvedValue({ status: 'degraded', components: { memory: { status: 'unhealthy' } } }),
+            getMetrics: jest.fn().mockResolvedValue({})
+        };
+        uiAgent = new UIAgent({ sweepInterval: 0, heartbeatInterval: 0, healthCheckInterval: 0 }, autoweave);
+        const publishHealth = jest.spyOn(uiAgent, 'publishHealth');
+        const { ws, clientId } = await connect(alice);
+
+        await uiAgent.handleMessage(clientId, { type: 'command', content: { command: 'system-health' } });
+        expect(sent(ws, 'display').length).toBeGreaterThan(0);
+        expect(sent(ws, 'notification')).toEqual([]);
+        expect(publishHealth).not.toHaveBeenCalled();
+
+        expect(await uiAgent.checkHealth()).toMatchObject({ status: 'degraded' });
+        await flush();
+        expect(sent(ws, 'notification')).toEqual([
+            expect.objectContaining({ content: expect.objectContaining({ severity: 'warning', source: 'health' }) })
+        ]);
+        expect(publishHealth).toHaveBeenCalledWith(expect.objectContaining({ status: 'degraded' }));
+    });
+
+    it('should share notifications and read state with other replicas', async () => {
+        const bus = new InProcessBus();
+        const other = new UIAgent({ sweepInterval: 0, heartbeatInterval: 0, bus });
+        await Promise.all([uiAgent.attachBus(bus), other.busReady]);
+
+        try {
+            const { ws } = await connect(alice);
+            const notification = other.notifications.notify({ title: 'Cluster degraded', severity: 'warning', source: 'health' });
+            await flush();
+
+            expect(sent(ws, 'notification')[0].content.id).toBe(notification.id);
+
+            uiAgent.notifications.acknowledge(alice, [notification.id]);
+            await flush();
+            expect(other.notifications.get(notification.id, alice).read).toBe(true);
+        } finally {
+            await other.shutdown();
+        }
+    });
+});
@@ -0,0 +1,232 @@
+/**
+ * Tests for the operation registry and its AG-UI reporting
+ */
+
+import { jest } from '@jest/globals';
+import express from 'express';
+import { OperationRegistry, OperationCancelledError } from '../src/agui/operation-registry.js';
+import { UIAgent } from '../src/agui/ui-agent.js';
+import { Authenticator } from '../src/auth/authenticator.js';
+import { createRestAuthenticator } from '../src/auth/rest-auth.js';
+import { TenantRegistry } from '../src/tenants/tenant-registry.js';
+import { createTenantResolver } from '../src/tenants/tenant-middleware.js';
+import operationsRouter from '../src/routes/operations.js';
+
+const deferred = () => {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+};
+
+describe('OperationRegistry', () => {
+    let registry;
+
+    beforeEach(() => {
+        registry = new OperationRegistry();
+    });
+
+    it('should track progress, estimate the remaining time and keep the result', async () => {
+        const gate = deferred();
+        let operationId;
+        const running = registry.run('kagent-deploy', async (operation) => {
+            operationId = operation.id;
+            operation.progress(25, 'Applying manifests');
+            await gate.promise;
+            return { status: 'deployed' };
+        }, { title: 'Deploy workflow', owner: { session_id: 's1' } });
+        await Promise.resolve();
+
+        const snapshot = registry.get(operationId);
+        expect(snapshot).toMatchObject({ status: 'running', progress: 25, message: 'Applying manifests', cancellable: true });
+        expect(snapshot.eta_ms).toEqual(expect.any(Number));
+
+        gate.resolve();
+        await expect(running).resolves.toEqual({ status: 'deployed' });
+        expect(registry.get(operationId)).toMatchObject({ status: 'succeeded', progress: 100, result: { status: 'deployed' } });
+    });
+
+    it('should estimate from previous runs of the same kind when no progress is reported', async () => {
+        await registry.run('memory-initialize', async () => null);
+        const operation = registry.start('memory-initialize', () => new Promise(() => {}));
+
+        expect(operation.eta_ms).toEqual(expect.any(Number));
+        expect(registry.getStats().average_duration_ms).toHaveProperty('memory-initialize');
+    });
+
+    it('should cancel running operations and abort their signal', async () => {
+        let signal;
+        const running = registry.run('self-awareness-scan', (operation) => {
+            signal = operation.signal;
+            return new Promise(() => {});
+        });
+        await Promise.resolve();
+        const [operation] = registry.list();
+
+        registry.cancel(operation.id, 'No longer needed');
+
+        await expect(running).rejects.toBeInstanceOf(OperationCancelledError);
+        expect(signal.aborted).toBe(true);
+        expect(registry.get(operation.id)).toMatchObject({ status: 'cancelled', message: 'No longer needed', cancellable: false });
+        expect(() => registry.cancel(operation.id)).toThrow('already cancelled');
+    });
+
+    it('should record failures and filter by owner', async () => {
+        await expect(registry.run('config-generation', async () => {
+            throw new Error('no sources');
+        }, { owner: { session_id: 's1' } })).rejects.toThrow('no sources');
+        registry.start('agent-deploy', () => new Promise(() => {}), { owner: { session_id: 's2', identity_id: 'alice' } });
+
+        expect(registry.list({ session_id: 's1' })).toEqual([
+            expect.objectContaining({ kind: 'config-generation', status: 'failed', error: { message: 'no sources', code: null } })
+        ]);
+        expect(registry.list({ identity_id: 'alice' }).map(operation => operation.kind)).toEqual(['agent-deploy']);
+    });
+
+    it('should filter by tenant, operations without one belonging to the default tenant', async () => {
+        await registry.run('agent-deploy', async () => null, { owner: { identity_id: 'alice', tenant: 'acme' } });
+        await registry.run('config-generation', async () => null, { owner: { identity_id: 'alice' } });
+
+        expect(registry.list({ identity_id: 'alice', tenant: 'acme' }).map(operation => operation.kind)).toEqual(['agent-deploy']);
+        expect(registry.list({ tenant: 'default' }).map(operation => operation.kind)).toEqual(['config-generation']);
+        expect(registry.list({ tenant: 'globex' })).toEqual([]);
+    });
+
+    it('should forget finished operations after the retention period', async () => {
+        await registry.run('agent-deploy', async () => null);
+
+        expect(registry.prune(Date.now() + 2 * 60 * 60 * 1000)).toBe(1);
+        expect(registry.list()).toEqual([]);
+    });
+});
+
+describe('UIAgent operations', () => {
+    let uiAgent;
+    let ws;
+    let clientId;
+
+    const sent = () => ws.send.mock.calls.map(([data]) => JSON.parse(data));
+
+    beforeEach(async () => {
+        uiAgent = new UIAgent({ sweepInterval: 0, heartbeatInterval: 0 });
+        ws = { send: jest.fn(), on: jest.fn(), close: jest.fn(), readyState: 1 };
+        clientId = uiAgent.handleConnection(ws, { socket: { remoteAddress: '10.0.0.1' }, headers: {} });
+        await new Promise(resolve => setImmediate(resolve));
+        ws.send.mockClear();
+    });
+
+    afterEach(async () => {
+        await uiAgent.shutdown();
+    });
+
+    it('should report operation progress to the owner session as status updates', async () => {
+        await uiAgent.runOperation(clientId, 'agent-deploy', 'Deploy agent', async (operation) => {
+            operation.progress(50, 'Halfway');
+            return { id: 'agent-1' };
+        });
+
+        const statuses = sent().filter(message => message.type === 'status').map(message => message.template);
+        expect(statuses.map(status => [status.status, status.progress])).toEqual([
+            ['running', 0],
+            ['running', 50],
+            ['succeeded', 100]
+        ]);
+        expect(statuses[2].metadata).toMatchObject({ kind: 'agent-deploy', result: { id: 'agent-1' } });
+    });
+
+    it('should list and cancel the session operations over the socket', async () => {
+        const running = uiAgent.runOperation(clientId, 'kagent-deploy', 'Deploy workflow', () => new Promise(() => {}));
+        running.catch(() => {});
+        uiAgent.operations.start('agent-deploy', () => new Promise(() => {}), { owner: { session_id: 'someone-else' } });
+
+        await uiAgent.handleMessage(clientId, { type: 'operation', content: { action: 'list' } });
+        const [operation] = sent().pop().content.operations;
+        expect(operation.kind).toBe('kagent-deploy');
+
+        await uiAgent.handleMessage(clientId, { type: 'operation', content: { action: 'cancel', operation_id: operation.id } });
+
+        expect(sent().pop()).toMatchObject({ type: 'operation_cancelled', content: { id: operation.id, status: 'cancelled' } });
+        expect(sent().some(message => message.type === 'status' && message.template.status === 'cancelled')).toBe(true);
+        await expect(running).rejects.toBeInstanceOf(OperationCancelledError);
+    });
+});
+
+describe('Operation routes', () => {
+    const authenticator = new Authenticator({
+        tokens: {
+            'alice-key': { id: 'alice', permissions: ['operations:*'] },
+            'bob-key': { id: 'bob', permissions: ['operations:*'] },
+            'root-key': { id: 'root', permissions: ['admin'] },
+            'acme-admin-key': { id: 'wile', permissions: ['admin'], tenant: 'acme' }
+        }
+    });
+    const tenantRegistry = new TenantRegistry({ tenants: [{ id: 'acme' }] });
+    let registry;
+    let uiAgent;
+    let server;
+    let baseUrl;
+
+    const call = async (token, path, { method = 'GET', headers = {} } = {}) => {
+        const response = await fetch(`${baseUrl}/api/operations${path}`, {
+            method,
+            headers: { authorization: `Bearer ${token}`, 'content-type': 'application/json', ...headers },
+            body: method === 'POST' ? '{}' : undefined
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    beforeEach(async () => {
+        registry = new OperationRegistry();
+        uiAgent = new UIAgent({ sweepInterval: 0, heartbeatInterval: 0, operations: registry });
+        operationsRouter.setOperationRegistry(registry);
+        operationsRouter.setUIAgent(uiAgent);
+
+        const app = express();
+        app.use(express.json());
+        app.use(createRestAuthenticator({ authenticator }));
+        app.use(createTenantResolver({ registry: tenantRegistry }));
+        app.use('/api/operations', operationsRouter);
+        server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+        await uiAgent.shutdown();
+    });
+
+    it('should hide and protect the operations of other identities', async () => {
+        const operation = registry.start('agent-deploy', () => new Promise(() => {}), { owner: { identity_id: 'alice', tenant: 'default' } });
+
+        expect((await call('bob-key', `/${operation.id}`)).status).toBe(404);
+        expect((await call('bob-key', `/${operation.id}/cancel`, { method: 'POST' })).status).toBe(404);
+        expect(registry.get(operation.id).status).toBe('running');
+        expect((await call('bob-key', '')).body.operations).toEqual([]);
+        expect((await call('bob-key', '?identity_id=alice')).body.operations).toEqual([]);
+
+        expect((await call('alice-key', `/${operation.id}`)).body.operation.id).toBe(operation.id);
+        expect((await call('root-key', '')).body.operations.map(listed => listed.id)).toEqual([operation.id]);
+        expect((await call('alice-key', `/${operation.id}/cancel`, { method: 'POST' })).body.operation.status).toBe('cancelled');
+    });
+
+    it('should ignore the AG-UI sessions of other identities', async () => {
+        const ws = { send: jest.fn(), on: jest.fn(), close: jest.fn(), readyState: 1 };
+        const clientId = uiAgent.handleConnection(ws, { socket: {}, headers: {}, identity: authenticator.authenticate('alice-key') });
+        const sessionId = uiAgent.getSessionId(clientId);
+        const operation = registry.start('agent-deploy', () => new Promise(() => {}), { owner: { session_id: sessionId } });
+
+        const headers = { 'X-AGUI-Session': sessionId };
+        expect((await call('bob-key', '', { headers })).body.operations).toEqual([]);
+        expect((await call('bob-key', `/${operation.id}`, { headers })).status).toBe(404);
+        expect((await call('alice-key', `/${operation.id}`, { headers })).status).toBe(200);
+    });
+
+    it('should keep tenant admins to the operations of their tenant', async () => {
+        const operation = registry.start('agent-deploy', () => new Promise(() => {}), { owner: { identity_id: 'alice' } });
+
+        expect((await call('acme-admin-key', '')).body.operations).toEqual([]);
+        expect((await call('acme-admin-key', `/${operation.id}`)).status).toBe(404);
+        expect((await call('acme-admin-key', `/${operation.id}/cancel`, { method: 'POST' })).status).toBe(404);
+        expect(registry.get(operation.id).status).toBe('running');
+    });
+});
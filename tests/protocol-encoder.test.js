@@ -0,0 +1,124 @@
+/**
+ * Tests for the public AG-UI protocol mode
+ */
+
+import { jest } from '@jest/globals';
+import { UIAgent } from '../src/agui/ui-agent.js';
+
+describe('AG-UI protocol mode', () => {
+    let uiAgent;
+    let ws;
+    let autoweave;
+
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+    const frames = () => ws.send.mock.calls.map(([data]) => JSON.parse(data));
+    const types = () => frames().map(frame => frame.type);
+    const connect = (req) => {
+        const clientId = uiAgent.handleConnection(ws, { socket: {}, headers: {}, ...req });
+        return flush().then(() => {
+            ws.send.mockClear();
+            return clientId;
+        });
+    };
+
+    beforeEach(() => {
+        autoweave = {
+            processChatMessage: jest.fn().mockResolvedValue({ content: 'Three agents are running.', totalTokens: 12 }),
+            createAgent: jest.fn().mockResolvedValue({ id: 'agent-1' })
+        };
+        uiAgent = new UIAgent({ sweepInterval: 0 }, autoweave);
+        ws = { send: jest.fn(), on: jest.fn(), close: jest.fn(), readyState: 1 };
+    });
+
+    it('should select the protocol per connection', () => {
+        expect(uiAgent.resolveProtocol({ url: '/ws?protocol=ag-ui' })).toBe('ag-ui');
+        expect(uiAgent.resolveProtocol({ url: '/ws', headers: { 'sec-websocket-protocol': 'ag-ui' } })).toBe('ag-ui');
+        expect(uiAgent.resolveProtocol({ url: '/ws' })).toBe('legacy');
+        expect(uiAgent.resolveProtocol({ url: '/ws?protocol=bogus' })).toBe('legacy');
+    });
+
+    it('should keep the legacy envelope by default', async () => {
+        const clientId = await connect({ url: '/ws' });
+        await uiAgent.handleMessage(clientId, { type: 'chat', content: { text: 'status?' } });
+
+        expect(types()).toEqual(['chat']);
+    });
+
+    it('should wrap pushed events in a run of their own', () => {
+        uiAgent.handleConnection(ws, { url: '/ws?protocol=ag-ui', socket: {}, headers: {} });
+
+        expect(frames().slice(0, 3)).toEqual([
+            expect.objectContaining({ type: 'RUN_STARTED' }),
+            expect.objectContaining({ type: 'CUSTOM', name: 'welcome' }),
+            expect.objectContaining({ type: 'RUN_FINISHED' })
+        ]);
+    });
+
+    it('should map chat onto text message events within a run', async () => {
+        const clientId = await connect({ url: '/ws?protocol=ag-ui' });
+
+        await uiAgent.handleMessage(clientId, {
+            type: 'run_agent',
+            content: { threadId: 'thread-1', runId: 'run-1', messages: [{ id: 'm1', role: 'user', content: 'status?' }] }
+        });
+
+        expect(types()).toEqual([
+            'RUN_STARTED', 'TEXT_MESSAGE_START', 'TEXT_MESSAGE_CONTENT', 'TEXT_MESSAGE_END', 'RUN_FINISHED'
+        ]);
+        const [started, start, content, end, finished] = frames();
+        expect(started).toMatchObject({ threadId: 'thread-1', runId: 'run-1' });
+        expect(start).toMatchObject({ role: 'assistant', messageId: content.messageId });
+        expect(content.delta).toBe('Three agents are running.');
+        expect(end.messageId).toBe(start.messageId);
+        expect(finished).toMatchObject({ threadId: 'thread-1', runId: 'run-1' });
+    });
+
+    it('should finish failed runs with RUN_ERROR', async () => {
+        autoweave.processChatMessage.mockRejectedValue(new Error('LLM unavailable'));
+        const clientId = await connect({ url: '/ws?protocol=ag-ui' });
+
+        await uiAgent.handleMessage(clientId, { type: 'chat', content: { text: 'status?' } });
+
+        expect(types().pop()).toBe('RUN_ERROR');
+        expect(frames().pop().message).toBe('LLM unavailable');
+    });
+
+    it('should drive agent creation through tool calls', async () => {
+        const clientId = await connect({ url: '/ws?protocol=ag-ui' });
+        const lastFormCall = () => frames()
+            .filter(frame => frame.type === 'TOOL_CALL_START' && frame.toolCallName === 'render_form')
+            .pop();
+        const answer = (values) => uiAgent.handleMessage(clientId, {
+            type: 'run_agent',
+            content: { messages: [{ role: 'tool', toolCallId: lastFormCall().toolCallId, content: JSON.stringify(values) }] }
+        });
+
+        await uiAgent.handleMessage(clientId, { type: 'chat', content: { text: 'create agent that summarises my inbox' } });
+
+        const args = frames().find(frame => frame.type === 'TOOL_CALL_ARGS' && frame.toolCallId === lastFormCall().toolCallId);
+        expect(JSON.parse(args.delta).wizard.step).toBe('configure');
+
+        await answer({ name: 'inbox-digest' });
+        await answer({ decision: 'confirm' });
+
+        const createCall = frames().find(frame => frame.type === 'TOOL_CALL_START' && frame.toolCallName === 'create_agent');
+        expect(createCall).toBeDefined();
+        expect(frames().find(frame => frame.type === 'TOOL_CALL_RESULT')).toMatchObject({
+            toolCallId: createCall.toolCallId,
+            content: JSON.stringify({ id: 'agent-1' })
+        });
+        expect(types().pop()).toBe('RUN_FINISHED');
+    });
+
+    it('should map state sync onto state events', async () => {
+        const clientId = await connect({ url: '/ws?protocol=ag-ui' });
+
+        uiAgent.updateUIState(clientId, 'selected_agent', 'agent-1');
+        uiAgent.sendStateSnapshot(clientId);
+
+        expect(frames().filter(frame => frame.type.startsWith('STATE_'))).toEqual([
+            expect.objectContaining({ type: 'STATE_DELTA', delta: [{ op: 'add', path: '/selected_agent', value: 'agent-1' }] }),
+            expect.objectContaining({ type: 'STATE_SNAPSHOT', snapshot: { selected_agent: 'agent-1' } })
+        ]);
+    });
+});
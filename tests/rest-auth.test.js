@@ -0,0 +1,96 @@
+/**
+ * Tests for REST authentication and route scopes
+ */
+
+import crypto from 'crypto';
+import { jest } from '@jest/globals';
+import { Authenticator } from '../src/auth/authenticator.js';
+import { createRestAuthenticator, requireScope, requireSelfOrAdmin, callerId } from '../src/auth/rest-auth.js';
+
+const SECRET = 'rest-secret';
+
+function signJwt(payload) {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const body = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}`;
+    return `${body}.${crypto.createHmac('sha256', SECRET).update(body).digest('base64url')}`;
+}
+
+function mockResponse() {
+    const res = { headers: {} };
+    res.set = jest.fn((name, value) => { res.headers[name] = value; return res; });
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+}
+
+// Runs the middlewares in order, like a route; resolves with the request once next() is reached
+function run(middlewares, req) {
+    const res = mockResponse();
+    const next = jest.fn();
+    let index = 0;
+    const step = () => {
+        const middleware = middlewares[index++];
+        if (middleware) {
+            middleware(req, res, step);
+        } else {
+            next();
+        }
+    };
+    step();
+    return { res, passed: next.mock.calls.length === 1 };
+}
+
+describe('REST authentication', () => {
+    const authenticator = new Authenticator({
+        tokens: { 'ci-key': { id: 'ci-bot', permissions: ['agents:read'] } },
+        jwtSecret: SECRET
+    });
+    const authenticate = createRestAuthenticator({ authenticator });
+
+    it('should identify API keys and JWTs and check scopes', () => {
+        const reader = run([authenticate, requireScope('agents:read')], { headers: { 'x-api-key': 'ci-key' } });
+        expect(reader.passed).toBe(true);
+
+        const writer = run([authenticate, requireScope('agents:write')], { headers: { 'x-api-key': 'ci-key' } });
+        expect(writer.passed).toBe(false);
+        expect(writer.res.status).toHaveBeenCalledWith(403);
+        expect(writer.res.json).toHaveBeenCalledWith(expect.objectContaining({ scope: 'agents:write', type: 'authorization_error' }));
+
+        const token = signJwt({ sub: 'alice', scope: 'kagent:deploy', exp: Math.floor(Date.now() / 1000) + 60 });
+        const req = { headers: { authorization: `Bearer ${token}` }, body: { userId: 'mallory' } };
+        expect(run([authenticate, requireScope('kagent:deploy')], req).passed).toBe(true);
+        expect(callerId(req, req.body.userId)).toBe('alice');
+    });
+
+    it('should reject invalid credentials and anonymous calls to scoped routes', () => {
+        const invalid = run([authenticate], { headers: { authorization: 'Bearer forged' } });
+        expect(invalid.res.status).toHaveBeenCalledWith(401);
+        expect(invalid.res.headers['WWW-Authenticate']).toBe('Bearer');
+
+        const anonymous = { headers: {} };
+        expect(run([authenticate], anonymous).passed).toBe(true);
+        const scoped = run([authenticate, requireScope('memory:read')], anonymous);
+        expect(scoped.res.status).toHaveBeenCalledWith(401);
+        expect(scoped.res.json).toHaveBeenCalledWith(expect.objectContaining({ type: 'authentication_error' }));
+    });
+
+    it('should keep routes open and body users when authentication is off', () => {
+        const open = createRestAuthenticator({ authenticator: new Authenticator() });
+        const req = { headers: {}, params: { userId: 'bob' }, body: { user: 'bob' } };
+
+        expect(run([open, requireScope('admin'), requireSelfOrAdmin('userId')], req).passed).toBe(true);
+        expect(req.identity).toBeUndefined();
+        expect(callerId(req, req.body.user)).toBe('bob');
+    });
+
+    it("should only let admins read another user's data", () => {
+        const admin = signJwt({ sub: 'root', permissions: ['admin'] });
+        const member = signJwt({ sub: 'carol', permissions: ['memory:read'] });
+        const guard = [authenticate, requireScope('memory:read'), requireSelfOrAdmin('userId')];
+
+        expect(run(guard, { headers: { authorization: `Bearer ${member}` }, params: { userId: 'carol' } }).passed).toBe(true);
+        expect(run(guard, { headers: { authorization: `Bearer ${member}` }, params: { userId: 'dave' } }).res.status)
+            .toHaveBeenCalledWith(403);
+        expect(run(guard, { headers: { authorization: `Bearer ${admin}` }, params: { userId: 'dave' } }).passed).toBe(true);
+    });
+});
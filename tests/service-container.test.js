@@ -0,0 +1,72 @@
+/**
+ * Tests for the service container shared by createApp and RoutesIndex
+ */
+
+import { jest } from '@jest/globals';
+import { ServiceContainer } from '../src/routes/service-container.js';
+
+const fakeRouters = () => ({
+    agents: { setAgentService: jest.fn(), setIntegrationAgentModule: jest.fn(), setUIAgent: jest.fn() },
+    chat: { setChatService: jest.fn() },
+    config: { router: {}, setServices: jest.fn() },
+    health: { setHealthService: jest.fn() },
+    notifications: { setNotificationCenter: jest.fn() },
+    kagent: { setKagentService: jest.fn() },
+    memory: { setMemoryManager: jest.fn() },
+    analytics: { setUIAgent: jest.fn() }
+});
+
+describe('ServiceContainer', () => {
+    it('should inject registered services through the router setters', () => {
+        const agentService = { createAgent: jest.fn() };
+        const kagentService = {};
+        const freshSources = {};
+        const container = new ServiceContainer({ agentService, kagentService, freshSources, chatService: null });
+        const routers = fakeRouters();
+
+        const injected = container.inject(routers);
+
+        expect(routers.agents.setAgentService).toHaveBeenCalledWith(agentService);
+        expect(routers.kagent.setKagentService).toHaveBeenCalledWith(kagentService);
+        expect(routers.config.setServices).toHaveBeenCalledWith({
+            configIntelligence: null,
+            freshSources,
+            debuggingAgent: null
+        });
+        expect(routers.chat.setChatService).not.toHaveBeenCalled();
+        expect(injected).toEqual(['agents.setAgentService', 'kagent.setKagentService', 'config.setServices']);
+    });
+
+    it('should wire services provided later by the UI agent', () => {
+        const container = new ServiceContainer();
+        const routers = fakeRouters();
+        const uiAgent = { notifications: {} };
+
+        container.provide({ uiAgent, notificationCenter: uiAgent.notifications, sessionRecorder: null });
+        container.inject(routers);
+
+        expect(routers.analytics.setUIAgent).toHaveBeenCalledWith(uiAgent);
+        expect(routers.agents.setUIAgent).toHaveBeenCalledWith(uiAgent);
+        expect(routers.notifications.setNotificationCenter).toHaveBeenCalledWith(uiAgent.notifications);
+        expect(container.get('sessionRecorder')).toBeNull();
+    });
+
+    it('should report missing backends with the routes they disable', () => {
+        const container = new ServiceContainer({ autoweave: {}, memoryManager: {}, healthService: {} });
+
+        const report = container.report();
+
+        expect(report.available).toEqual(['autoweave', 'memoryManager', 'healthService']);
+        expect(report.complete).toBe(false);
+        expect(report.missing.find(service => service.name === 'kagentService')).toEqual({
+            name: 'kagentService',
+            description: expect.any(String),
+            routes: ['/api/kagent']
+        });
+        expect(report.missing.map(service => service.name)).not.toContain('uiAgent');
+
+        const logger = { info: jest.fn(), warn: jest.fn() };
+        container.logReport(logger);
+        expect(logger.warn).toHaveBeenCalledTimes(report.missing.length);
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for session recording and replay
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SessionRecorder, REDACTED } from '../src/agui/session-recorder.js';
+import { replaySession } from '../src/agui/session-replay.js';
+import { UIAgent } from '../src/agui/ui-agent.js';
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('SessionRecorder', () => {
+    let directory;
+    let recorder;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'agui-recordings-'));
+        recorder = new SessionRecorder({ directory, redactKeys: ['email'] });
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should only record armed sessions', async () => {
+        expect(recorder.append('session-1', 'in', 'c1', { type: 'chat' })).toBe(false);
+
+        recorder.record('session-1');
+        recorder.append('session-1', 'in', 'c1', { type: 'chat' });
+
+        const entries = await recorder.read('session-1');
+        expect(entries).toEqual([expect.objectContaining({ direction: 'in', client_id: 'c1', message: { type: 'chat' } })]);
+    });
+
+    it('should redact sensitive keys and token-like strings', async () => {
+        recorder.record('session-1');
+        recorder.append('session-1', 'in', 'c1', {
+            type: 'input',
+            content: {
+                values: { name: 'bot', Password: 'hunter2', email: 'a@b.c' },
+                note: 'use Bearer abc.def please'
+            }
+        });
+
+        const [entry] = await recorder.read('session-1');
+        expect(entry.message.content.values).toEqual({ name: 'bot', Password: REDACTED, email: REDACTED });
+        expect(entry.message.content.note).toBe(`use ${REDACTED} please`);
+    });
+
+    it('should stop at maxBytes and leave a marker', async () => {
+        recorder = new SessionRecorder({ directory, recordAll: true, maxBytes: 300 });
+        for (let i = 0; i < 10; i++) {
+            recorder.append('session-1', 'out', 'c1', { type: 'chat', template: { text: `message ${i}` } });
+        }
+
+        const entries = await recorder.read('session-1');
+        expect(entries[entries.length - 1].message).toEqual({ type: 'truncated' });
+        expect(entries.length).toBeLessThan(10);
+        expect(recorder.getStats().truncated).toBe(1);
+    });
+
+    it('should list and delete recordings and reject unsafe ids', async () => {
+        recorder.record('session-1');
+        recorder.append('session-1', 'in', 'c1', { type: 'chat' });
+        await recorder.flush();
+
+        expect((await recorder.list()).map(recording => recording.session_id)).toEqual(['session-1']);
+
+        await recorder.delete('session-1');
+        expect(await recorder.list()).toEqual([]);
+        await expect(recorder.delete('session-1')).rejects.toThrow('not found');
+        expect(() => recorder.record('../etc/passwd')).toThrow('not found');
+    });
+});
+
+describe('UIAgent recording and replay', () => {
+    let directory;
+    let uiAgent;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'agui-recordings-'));
+        uiAgent = new UIAgent({ sweepInterval: 0, heartbeatInterval: 0, recording: { directory, recordAll: true } });
+    });
+
+    afterEach(async () => {
+        await uiAgent.shutdown();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should record inbound and outbound messages and replay them into a fresh agent', async () => {
+        const ws = { send: jest.fn(), on: jest.fn(), close: jest.fn(), readyState: 1 };
+        const clientId = uiAgent.handleConnection(ws, { socket: { remoteAddress: '10.0.0.1' }, headers: {} });
+        await flush();
+        await uiAgent.handleMessage(clientId, { type: 'subscribe', content: { topics: ['agents'] } }, ws);
+        await uiAgent.handleMessage(clientId, { type: 'state_sync' }, ws);
+
+        const sessionId = uiAgent.getSessionId(clientId);
+        const entries = await uiAgent.recorder.read(sessionId);
+
+        expect(entries[0].message).toMatchObject({ type: 'session_started', protocol: 'legacy' });
+        expect(entries.filter(entry => entry.direction === 'in').map(entry => entry.message.type))
+            .toEqual(['subscribe', 'state_sync']);
+        expect(entries.filter(entry => entry.direction === 'out')).toHaveLength(ws.send.mock.calls.length);
+
+        const replay = await replaySession(fs.readFileSync(path.join(directory, `${sessionId}.jsonl`), 'utf8'));
+        try {
+            expect(replay.sent.map(message => message.type)).toEqual(replay.recorded.map(message => message.type));
+            expect(replay.sent.find(message => message.type === 'subscribed').content.topics).toEqual(['agents']);
+        } finally {
+            await replay.uiAgent.shutdown();
+        }
+    });
+});
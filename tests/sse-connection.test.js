@@ -0,0 +1,148 @@
+/**
+ * Tests for the Server-Sent Events transport
+ */
+
+import { EventEmitter } from 'events';
+import { SseConnection, eventIdOf, parseEventId } from '../src/agui/sse-connection.js';
+import { UIAgent } from '../src/agui/ui-agent.js';
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+class FakeResponse extends EventEmitter {
+    constructor() {
+        super();
+        this.chunks = [];
+        this.writableLength = 0;
+        this.destroyed = false;
+    }
+
+    writeHead(status, headers) {
+        this.status = status;
+        this.headers = headers;
+    }
+
+    write(chunk) {
+        this.chunks.push(chunk);
+        return true;
+    }
+
+    end() {
+        this.emit('close');
+    }
+
+    destroy() {
+        this.destroyed = true;
+        this.emit('close');
+    }
+
+    // Parsed SSE events: { id, event, data }
+    events() {
+        return this.chunks.join('').split('\n\n').filter(block => block && !block.startsWith(':') && !block.startsWith('retry')).map((block) => {
+            const fields = { id: null, event: 'message', data: [] };
+            for (const line of block.split('\n')) {
+                const [name, ...rest] = line.split(': ');
+                if (name === 'data') {
+                    fields.data.push(rest.join(': '));
+                } else {
+                    fields[name] = rest.join(': ');
+                }
+            }
+            return { ...fields, data: JSON.parse(fields.data.join('\n')) };
+        });
+    }
+}
+
+describe('SseConnection', () => {
+    it('should write frames as SSE events identified by session and sequence', () => {
+        const res = new FakeResponse();
+        const connection = new SseConnection(res);
+
+        connection.send(JSON.stringify({ type: 'welcome' }));
+        connection.send(JSON.stringify({ type: 'chat', agui_metadata: { session_id: 'session-1', seq: 4 } }));
+
+        expect(res.headers['Content-Type']).toBe('text/event-stream; charset=utf-8');
+        expect(res.headers['Cache-Control']).toContain('no-transform');
+        expect(res.events().map(event => event.id)).toEqual([null, 'session-1:4']);
+        expect(eventIdOf('not json')).toBeNull();
+    });
+
+    it('should parse Last-Event-ID values', () => {
+        expect(parseEventId('session-ab-12:4')).toEqual({ session_id: 'session-ab-12', last_seq: 4 });
+        expect(parseEventId('session-1:x')).toBeNull();
+        expect(parseEventId(undefined)).toBeNull();
+    });
+
+    it('should send a close event and report its code', () => {
+        const res = new FakeResponse();
+        const connection = new SseConnection(res);
+        const codes = [];
+        connection.on('close', code => codes.push(code));
+
+        connection.close(4001, 'Session closed');
+
+        expect(res.events().pop()).toMatchObject({ event: 'close', data: { code: 4001, reason: 'Session closed' } });
+        expect(codes).toEqual([4001]);
+        expect(() => connection.send('{}')).toThrow('not open');
+    });
+
+    it('should report a lost client as an abnormal closure', () => {
+        const res = new FakeResponse();
+        const connection = new SseConnection(res);
+        const codes = [];
+        connection.on('close', code => codes.push(code));
+
+        res.emit('close');
+
+        expect(codes).toEqual([1006]);
+    });
+});
+
+describe('UIAgent over SSE', () => {
+    let uiAgent;
+
+    beforeEach(() => {
+        uiAgent = new UIAgent({ sweepInterval: 0, heartbeatInterval: 0 });
+    });
+
+    afterEach(async () => {
+        await uiAgent.shutdown();
+    });
+
+    const open = async () => {
+        const res = new FakeResponse();
+        const connection = new SseConnection(res);
+        const clientId = uiAgent.handleConnection(connection, { socket: { remoteAddress: '10.0.0.1' }, headers: {} });
+        await flush();
+        return { res, connection, clientId };
+    };
+
+    it('should stream events and handle posted messages', async () => {
+        const { res, connection } = await open();
+        expect(res.events()[0].data.type).toBe('welcome');
+
+        connection.receive(JSON.stringify({ type: 'subscribe', content: { topics: ['health'] } }));
+        await flush();
+
+        expect(res.events().pop().data).toMatchObject({ type: 'subscribed', content: { topics: ['health'] } });
+    });
+
+    it('should resume a session from the last event id after the stream dropped', async () => {
+        const first = await open();
+        const sequenced = first.res.events().filter(event => event.id);
+        const lastEventId = sequenced[sequenced.length - 1].id;
+        const { session_id: sessionId } = parseEventId(lastEventId);
+
+        first.res.emit('close');
+        await uiAgent.generateOperationStatus(first.clientId, 'op-1', 'running', 'Deploying', 50);
+
+        const second = await open();
+        uiAgent.handleResume(second.clientId, parseEventId(lastEventId));
+
+        const types = second.res.events().map(event => event.data.type);
+        expect(types).toContain('resumed');
+        expect(second.res.events().find(event => event.data.type === 'status')).toMatchObject({
+            id: `${sessionId}:${sequenced.length + 1}`,
+            data: { template: { metadata: { operation_id: 'op-1' } } }
+        });
+    });
+});
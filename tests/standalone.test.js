@@ -0,0 +1,114 @@
+/**
+ * Tests for the in-memory stand-in services of standalone mode
+ */
+
+import { jest } from '@jest/globals';
+import { createStandaloneServices } from '../src/standalone/index.js';
+import { ServiceContainer } from '../src/routes/service-container.js';
+
+describe('Standalone services', () => {
+    let now;
+    let services;
+
+    beforeEach(() => {
+        now = Date.parse('2026-03-01T10:00:00Z');
+        services = createStandaloneServices({ clock: () => now, transitionDelay: 1000 });
+    });
+
+    it('should move agents through deployment statuses', async () => {
+        const { agentService, kagentService } = services;
+
+        const result = await agentService.createAndDeployAgent('Monitor my pods and alert on Slack', 'alice');
+        const { id } = result.workflow;
+        expect(result.status).toBe('pending');
+        expect(result.workflow.requiredModules.map(module => module.type)).toEqual(['kubernetes', 'notification', 'monitoring']);
+
+        now += 1000;
+        expect((await agentService.getAgentStatus(id)).status).toBe('deploying');
+        now += 1000;
+        expect((await agentService.listAgents())[0]).toMatchObject({ name: 'monitor-pods-alert', status: 'running' });
+        expect((await kagentService.getKagentAgent('autoweave-monitor-pods-alert')).status.phase).toBe('Running');
+
+        expect(await agentService.stopAgent(id)).toEqual({ status: 'stopping' });
+        now += 1000;
+        expect((await agentService.getAgentLogs(id)).map(entry => entry.message)).toEqual([
+            'Agent monitor-pods-alert is pending',
+            'Agent monitor-pods-alert is deploying',
+            'Agent monitor-pods-alert is running',
+            'Agent monitor-pods-alert is stopping',
+            'Agent monitor-pods-alert is stopped'
+        ]);
+
+        await agentService.deleteAgent(id);
+        await expect(agentService.deleteAgent(id)).rejects.toMatchObject({ code: 'AGENT_NOT_FOUND' });
+        expect(await kagentService.getKagentAgents()).toEqual([]);
+    });
+
+    it('should answer chat with canned responses, echo and streaming', async () => {
+        const { chatService } = services;
+        const onChunk = jest.fn();
+
+        expect((await chatService.processChatMessage('hello there', { user: 'bob' })).content).toMatch(/standalone mode/);
+        const echo = await chatService.processChatMessage('deploy the thing', { user: 'bob', stream: true, onChunk });
+
+        expect(echo.content).toBe('You said: "deploy the thing"');
+        expect(onChunk.mock.calls.map(([chunk]) => chunk).join('')).toBe(echo.content);
+        expect(echo.totalTokens).toBeGreaterThan(0);
+        expect((await chatService.getMemory('bob', { limit: 2 })).map(entry => entry.message))
+            .toEqual(['deploy the thing', echo.content]);
+    });
+
+    it('should search memories by keyword and walk the graph', async () => {
+        const { memoryManager, agentService } = services;
+        await memoryManager.contextualMemory.addUserMemory('alice', 'The staging cluster runs on ARM nodes');
+        await memoryManager.contextualMemory.addUserMemory('bob', 'Staging cluster secrets rotate weekly');
+        const { workflow } = await agentService.createAndDeployAgent('Watch the staging cluster deployment', 'alice');
+
+        const { results } = await memoryManager.intelligentSearch('staging cluster', 'alice');
+
+        expect(results.map(result => [result.source, result.score])).toEqual([['contextual', 1], ['structural', 1]]);
+        expect(results[0].memory).toBe('The staging cluster runs on ARM nodes');
+        expect(await memoryManager.structuralMemory.findRelatedAgents(workflow.id)).toEqual([
+            { id: 'alice', type: 'entity', properties: {}, distance: 1 }
+        ]);
+    });
+
+    it('should keep fake kagent resources', async () => {
+        const { kagentService } = services;
+
+        await kagentService.createTool({ metadata: { name: 'jira' }, spec: { type: 'http', description: 'Jira API' } });
+        expect((await kagentService.getAvailableTools()).map(tool => tool.metadata.name)).toContain('jira');
+        await kagentService.deleteTool('jira');
+        await expect(kagentService.deleteTool('jira')).rejects.toMatchObject({ code: 'TOOL_NOT_FOUND' });
+        await expect(kagentService.createTool({ metadata: { name: 'Bad Name' }, spec: {} }))
+            .rejects.toMatchObject({ name: 'ValidationError', field: 'metadata.name' });
+
+        const yaml = await kagentService.generateYAML({ id: 'w1', name: 'Log Watcher', requiredModules: [{ type: 'http' }] });
+        expect(yaml).toContain('kind: Agent');
+        expect(yaml).toContain('name: log-watcher');
+        expect(yaml).toContain('- http-request');
+    });
+
+    it('should back the UI agent with the same services', async () => {
+        await services.agentService.createAndDeployAgent('Summarise GitHub issues daily', 'alice', { name: 'issue bot' });
+
+        expect(await services.autoweave.listAgents()).toEqual({
+            agents: [{ id: expect.any(String), name: 'issue-bot', status: 'pending', created_at: '2026-03-01T10:00:00.000Z', tenant: 'default' }]
+        });
+        expect((await services.autoweave.getSystemHealth()).status).toBe('healthy');
+    });
+});
+
+describe('ServiceContainer standalone mode', () => {
+    it('should fill only the missing backends', () => {
+        const chatService = { processChatMessage: jest.fn() };
+        const container = new ServiceContainer({ chatService });
+
+        const names = container.useStandalone();
+
+        expect(names).not.toContain('chatService');
+        expect(container.get('chatService')).toBe(chatService);
+        expect(container.report()).toMatchObject({ complete: true, standalone: names, missing: [] });
+        expect(container.useStandalone()).toEqual([]);
+    });
+});
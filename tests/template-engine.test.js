@@ -0,0 +1,107 @@
+/**
+ * Tests for the AG-UI template engine
+ */
+
+import { TemplateEngine } from '../src/agui/template-engine.js';
+import { UIAgent } from '../src/agui/ui-agent.js';
+
+describe('TemplateEngine', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new TemplateEngine();
+    });
+
+    describe('placeholders', () => {
+        it('should keep the type of whole-value placeholders', () => {
+            const result = engine.render({
+                data: '{{agents}}',
+                total: '{{total}}',
+                required: '{{required}}'
+            }, { agents: [{ id: 'a1' }], total: 1, required: true });
+
+            expect(result).toEqual({ data: [{ id: 'a1' }], total: 1, required: true });
+        });
+
+        it('should interpolate values inside text', () => {
+            const result = engine.render('{{count}} agents: {{names}}', { count: 2, names: ['a', 'b'] });
+
+            expect(result).toBe('2 agents: ["a","b"]');
+        });
+
+        it('should resolve dotted paths and array indexes', () => {
+            const result = engine.render('{{agent.name}} / {{agents.1.id}}', {
+                agent: { name: 'Watcher' },
+                agents: [{ id: 'a1' }, { id: 'a2' }]
+            });
+
+            expect(result).toBe('Watcher / a2');
+        });
+
+        it('should apply typed defaults for missing values', () => {
+            const result = engine.render({
+                progress: '{{progress | 0}}',
+                label: '{{label | \'Untitled\'}}',
+                options: '{{options | ["a"]}}'
+            }, {});
+
+            expect(result).toEqual({ progress: 0, label: 'Untitled', options: ['a'] });
+        });
+
+        it('should leave unresolved placeholders untouched', () => {
+            expect(engine.render('Hello {{name}}', {})).toBe('Hello {{name}}');
+            expect(engine.render('{{name}}', {})).toBe('{{name}}');
+        });
+    });
+
+    describe('blocks', () => {
+        it('should render string conditionals', () => {
+            const template = '{{#if error}}Failed: {{error}}{{else}}OK{{/if}}';
+
+            expect(engine.render(template, { error: 'timeout' })).toBe('Failed: timeout');
+            expect(engine.render(template, {})).toBe('OK');
+        });
+
+        it('should render string loops', () => {
+            const result = engine.render('{{#each agents}}{{@index}}:{{this.name}} {{/each}}', {
+                agents: [{ name: 'a' }, { name: 'b' }]
+            });
+
+            expect(result).toBe('0:a 1:b ');
+        });
+
+        it('should render structural directives', () => {
+            const result = engine.render({
+                rows: { $each: 'agents', as: 'agent', template: ['{{agent.id}}', '{{agent.status}}'] },
+                warning: { $if: 'degraded', then: 'System degraded' }
+            }, { agents: [{ id: 'a1', status: 'running' }], degraded: false });
+
+            expect(result).toEqual({ rows: [['a1', 'running']] });
+        });
+
+        it('should reject unbalanced blocks', () => {
+            expect(() => engine.render('{{#if a}}open', {})).toThrow('Unclosed template block');
+        });
+    });
+
+    it('should list the variables a template needs', () => {
+        const variables = engine.extractVariables({
+            title: '{{title}}',
+            rows: { $each: 'agents', as: 'agent', template: '{{agent.id}} {{region}}' }
+        });
+
+        expect(Array.from(variables).sort()).toEqual(['agents', 'region', 'title']);
+    });
+
+    it('should produce typed UIAgent events', () => {
+        const uiAgent = new UIAgent();
+        const event = uiAgent.generateDisplayEvent('display-agent-list', {
+            agents_data: [{ id: 'a1', name: 'Watcher', status: 'running', created_at: '2024-01-01' }],
+            total_agents: 1
+        });
+
+        expect(event.template.data).toHaveLength(1);
+        expect(event.template.rows).toEqual([['a1', 'Watcher', 'running', '2024-01-01']]);
+        expect(event.template.metadata.total_agents).toBe(1);
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * Tests for custom AG-UI templates loaded from disk
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { UIAgent } from '../src/agui/ui-agent.js';
+
+describe('custom templates', () => {
+    let templatesDir;
+    let uiAgent;
+
+    const writeTemplate = (file, content) => {
+        fs.writeFileSync(path.join(templatesDir, file), content);
+    };
+
+    const deploymentTemplate = {
+        id: 'display-deployments',
+        version: '1.2.0',
+        type: 'display',
+        required: ['deployments'],
+        metadata: { owner: 'platform-team' },
+        template: {
+            type: 'table',
+            title: 'Deployments',
+            data: '{{deployments}}'
+        }
+    };
+
+    beforeEach(() => {
+        templatesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agui-templates-'));
+        uiAgent = new UIAgent({ templatesDir, watchTemplates: false });
+    });
+
+    afterEach(async () => {
+        await uiAgent.shutdown();
+        fs.rmSync(templatesDir, { recursive: true, force: true });
+    });
+
+    it('should load JSON and YAML template files', async () => {
+        writeTemplate('deployments.json', JSON.stringify(deploymentTemplate));
+        writeTemplate('banner.yaml', [
+            'id: chat-banner',
+            'version: 0.1.0',
+            'type: chat',
+            'template:',
+            '  text: "{{banner}}"'
+        ].join('\n'));
+
+        await uiAgent.initialize();
+
+        const event = uiAgent.generateDisplayEvent('display-deployments', { deployments: [{ name: 'web' }] });
+        expect(event.template.data).toEqual([{ name: 'web' }]);
+        expect(event.agui_metadata.template_version).toBe('1.2.0');
+        expect(uiAgent.getTemplateInfo('chat-banner')).toMatchObject({ version: '0.1.0', source: 'file' });
+    });
+
+    it('should enforce required placeholders', async () => {
+        writeTemplate('deployments.json', JSON.stringify(deploymentTemplate));
+        await uiAgent.initialize();
+
+        expect(() => uiAgent.generateDisplayEvent('display-deployments', {}))
+            .toThrow('missing required variables: deployments');
+    });
+
+    it('should report invalid templates through the stats', async () => {
+        writeTemplate('broken.json', JSON.stringify({ ...deploymentTemplate, version: 'latest', type: 'popup' }));
+        writeTemplate('unused.json', JSON.stringify({ ...deploymentTemplate, id: 'unused', required: ['missing'] }));
+
+        await uiAgent.initialize();
+
+        const { custom_templates: stats } = uiAgent.getEventGenerationStats();
+        expect(stats.loaded).toBe(0);
+        expect(stats.errors.map(error => error.file).sort()).toEqual(['broken.json', 'unused.json']);
+        expect(stats.errors.find(error => error.file === 'unused.json').message).toContain('missing');
+    });
+
+    it('should reload a changed file and keep the last valid version on error', async () => {
+        writeTemplate('deployments.json', JSON.stringify(deploymentTemplate));
+        await uiAgent.initialize();
+
+        writeTemplate('deployments.json', JSON.stringify({ ...deploymentTemplate, version: '1.3.0' }));
+        await uiAgent.reloadTemplateFile('deployments.json');
+        expect(uiAgent.getTemplateInfo('display-deployments').version).toBe('1.3.0');
+
+        writeTemplate('deployments.json', '{ not json');
+        await uiAgent.reloadTemplateFile('deployments.json');
+        expect(uiAgent.getTemplateInfo('display-deployments').version).toBe('1.3.0');
+        expect(uiAgent.getEventGenerationStats().custom_templates.errors).toHaveLength(1);
+    });
+
+    it('should restore a built-in template when its override is removed', async () => {
+        writeTemplate('metrics.json', JSON.stringify({
+            ...deploymentTemplate,
+            id: 'display-metrics',
+            version: '2.0.0'
+        }));
+        await uiAgent.initialize();
+        expect(uiAgent.getTemplateInfo('display-metrics').version).toBe('2.0.0');
+
+        fs.unlinkSync(path.join(templatesDir, 'metrics.json'));
+        await uiAgent.reloadTemplateFile('metrics.json');
+
+        expect(uiAgent.getTemplateInfo('display-metrics')).toEqual({ version: '1.0.0', source: 'builtin' });
+    });
+});
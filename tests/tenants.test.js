@@ -0,0 +1,344 @@
+/**
+ * Tests for tenants: registry, quotas, request middleware and partitioned services
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { TenantRegistry, tenantKey } from '../src/tenants/tenant-registry.js';
+import { createTenantResolver, requireQuota, consumeQuota } from '../src/tenants/tenant-middleware.js';
+import { createStandaloneServices } from '../src/standalone/index.js';
+import { createVerifyClient } from '../src/auth/websocket-auth.js';
+import { Authenticator } from '../src/auth/authenticator.js';
+import { UIAgent } from '../src/agui/ui-agent.js';
+
+function mockResponse() {
+    const res = { statusCode: 200, listeners: {} };
+    res.status = jest.fn((code) => { res.statusCode = code; return res; });
+    res.json = jest.fn(() => res);
+    res.on = jest.fn((event, listener) => { res.listeners[event] = listener; });
+    return res;
+}
+
+describe('TenantRegistry', () => {
+    let now;
+    let registry;
+
+    beforeEach(() => {
+        now = Date.parse('2026-05-04T09:00:00Z');
+        registry = new TenantRegistry({
+            clock: () => now,
+            tenants: [{ id: 'acme', quotas: { agents: 2, chat_messages_per_day: 1 } }]
+        });
+    });
+
+    it('should resolve identities to their tenant and reject unknown or disabled ones', () => {
+        expect(registry.resolve({ id: 'alice', tenant: 'acme' })).toMatchObject({ id: 'acme', namespace: 'tenant-acme' });
+        expect(registry.resolve({ id: 'bob', tenant: null })).toMatchObject({ id: 'default', namespace: null });
+        expect(() => registry.resolve({ id: 'eve', tenant: 'globex' })).toThrow(expect.objectContaining({ code: 'TENANT_UNKNOWN', status: 403 }));
+
+        registry.update('acme', { disabled: true });
+        expect(() => registry.resolve({ id: 'alice', tenant: 'acme' })).toThrow(expect.objectContaining({ code: 'TENANT_DISABLED' }));
+        expect(() => registry.remove('default')).toThrow(expect.objectContaining({ code: 'INVALID_TENANT' }));
+        expect(() => registry.create({ id: 'acme' })).toThrow(expect.objectContaining({ code: 'TENANT_EXISTS', status: 409 }));
+    });
+
+    it('should enforce count, counter and daily quotas', () => {
+        const acme = registry.handle('acme');
+
+        expect(() => acme.checkQuota('agents', 1)).not.toThrow();
+        expect(() => acme.checkQuota('agents', 2)).toThrow(expect.objectContaining({ code: 'QUOTA_EXCEEDED', status: 429, limit: 2 }));
+
+        acme.consume('chat_messages_per_day');
+        expect(() => acme.consume('chat_messages_per_day')).toThrow(expect.objectContaining({ resource: 'chat_messages_per_day' }));
+        now += 24 * 60 * 60 * 1000;
+        expect(() => acme.consume('chat_messages_per_day')).not.toThrow();
+
+        expect(registry.describe('acme').usage).toMatchObject({ agents: 2, chat_messages_per_day: 1, memories: 0 });
+        expect(() => registry.update('acme', { quotas: { agents: -1 } })).toThrow(expect.objectContaining({ code: 'INVALID_QUOTA' }));
+    });
+
+    it('should keep tenant keys and namespaces apart', () => {
+        expect(tenantKey('default', 'alice')).toBe('alice');
+        expect(tenantKey('acme', 'alice')).toBe('acme:alice');
+        // A default caller naming another tenant's key gets a key of its own
+        expect(tenantKey('default', 'acme:alice')).toBe('default:acme:alice');
+
+        expect(registry.handle('default').ownsNamespace('tenant-acme')).toBe(false);
+        expect(registry.handle('default').ownsNamespace('production')).toBe(true);
+        expect(registry.handle('acme').canRead('default')).toBe(true);
+        expect(registry.handle('acme').ownsNamespace('default')).toBe(false);
+    });
+
+    it('should save and restore tenants with their usage', async () => {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'tenants-')), 'tenants.json');
+        const saved = new TenantRegistry({ file, clock: () => now });
+        saved.create({ id: 'initech', name: 'Initech', quotas: { memories: 10 } });
+        saved.handle('initech').consume('memories', 3);
+        await saved.writes;
+
+        const restored = new TenantRegistry({ file });
+        await restored.load();
+
+        expect(restored.get('initech')).toMatchObject({ name: 'Initech', quotas: { memories: 10 }, usage: { memories: 3 } });
+    });
+});
+
+describe('Tenant middleware', () => {
+    const registry = new TenantRegistry({ tenants: [{ id: 'acme', quotas: { tasks: 1, memories: 1 } }] });
+
+    it('should set req.tenant and reject unknown tenants', () => {
+        const resolve = createTenantResolver({ registry });
+        const next = jest.fn();
+
+        const req = { identity: { id: 'alice', tenant: 'acme' } };
+        resolve(req, mockResponse(), next);
+        expect(req.tenant.id).toBe('acme');
+        expect(next).toHaveBeenCalledTimes(1);
+
+        const res = mockResponse();
+        resolve({ identity: { id: 'mallory', tenant: 'globex' } }, res, next);
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'TENANT_UNKNOWN', type: 'tenant_error' }));
+        expect(next).toHaveBeenCalledTimes(1);
+    });
+
+    it('should answer 429 over quota and give back usage of failed requests', async () => {
+        const req = { tenant: registry.handle('acme') };
+        const res = mockResponse();
+        await requireQuota('tasks', async () => 1)(req, res, jest.fn());
+        expect(res.status).toHaveBeenCalledWith(429);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ resource: 'tasks', limit: 1, type: 'quota_error' }));
+
+        // A backend unable to count does not turn the quota off
+        const unavailable = mockResponse();
+        const skipped = jest.fn();
+        await requireQuota('tasks', async () => { throw new Error('backend down'); })(req, unavailable, skipped);
+        expect(unavailable.status).toHaveBeenCalledWith(503);
+        expect(skipped).not.toHaveBeenCalled();
+
+        const failed = mockResponse();
+        consumeQuota('memories')(req, failed, jest.fn());
+        failed.statusCode = 500;
+        failed.listeners.finish();
+        expect(registry.describe('acme').usage.memories).toBe(0);
+
+        const next = jest.fn();
+        consumeQuota('memories')(req, mockResponse(), next);
+        expect(next).toHaveBeenCalled();
+        const over = mockResponse();
+        consumeQuota('memories')(req, over, jest.fn());
+        expect(over.status).toHaveBeenCalledWith(429);
+    });
+});
+
+describe('WebSocket sessions', () => {
+    const registry = new TenantRegistry({ tenants: [{ id: 'acme', quotas: { agents: 1 } }, { id: 'initech', disabled: true }] });
+    const authenticator = new Authenticator({
+        tokens: {
+            'acme-key': { id: 'alice', permissions: ['agents:*'], tenant: 'acme' },
+            'initech-key': { id: 'peter', permissions: ['agents:*'], tenant: 'initech' },
+            'globex-key': { id: 'hank', permissions: ['agents:*'], tenant: 'globex' }
+        }
+    });
+
+    it('should resolve the tenant of an upgrade and reject unknown or disabled ones', () => {
+        const verify = createVerifyClient({ authenticator, tenantRegistry: registry });
+        const callback = jest.fn();
+
+        const req = { url: '/ws?token=acme-key', headers: {} };
+        verify({ req }, callback);
+        expect(callback).toHaveBeenLastCalledWith(true);
+        expect(req.tenant).toMatchObject({ id: 'acme', namespace: 'tenant-acme' });
+
+        verify({ req: { url: '/ws?token=initech-key', headers: {} } }, callback);
+        expect(callback).toHaveBeenLastCalledWith(false, 403, "Tenant 'initech' is disabled");
+        verify({ req: { url: '/ws?token=globex-key', headers: {} } }, callback);
+        expect(callback).toHaveBeenLastCalledWith(false, 403, "Unknown tenant 'globex'");
+    });
+
+    it('should pass the tenant resolved at upgrade to the AutoWeave instance', async () => {
+        const autoweave = { listAgents: jest.fn().mockResolvedValue({ agents: [] }) };
+        const uiAgent = new UIAgent({ sweepInterval: 0, heartbeatInterval: 0 }, autoweave);
+        const req = { url: '/ws?token=acme-key', headers: {}, socket: {} };
+        createVerifyClient({ authenticator, tenantRegistry: registry })({ req }, jest.fn());
+
+        const clientId = uiAgent.handleConnection({ send: jest.fn(), on: jest.fn(), close: jest.fn(), readyState: 1 }, req);
+        await uiAgent.generateAgentListDisplay(clientId);
+
+        expect(autoweave.listAgents).toHaveBeenCalledWith({ tenant: 'acme', namespace: 'tenant-acme' });
+        await uiAgent.shutdown();
+    });
+
+    it('should keep kagent wizard deployments in the tenant namespaces', async () => {
+        const autoweave = {
+            generateYAML: jest.fn().mockResolvedValue('kind: Agent'),
+            deployWorkflow: jest.fn().mockResolvedValue({ status: 'deployed' })
+        };
+        const uiAgent = new UIAgent({ sweepInterval: 0, heartbeatInterval: 0 }, autoweave);
+        const connect = (tenant) => {
+            const ws = { send: jest.fn(), on: jest.fn(), close: jest.fn(), readyState: 1 };
+            return { ws, clientId: uiAgent.handleConnection(ws, { socket: {}, headers: {}, tenant: registry.handle(tenant) }) };
+        };
+        const sent = (ws) => ws.send.mock.calls.map(([data]) => JSON.parse(data));
+        const submit = (client, values) => uiAgent.handleMessage(client.clientId, {
+            type: 'input',
+            content: {
+                action: 'wizard-step',
+                form_id: sent(client.ws).filter(m => m.template?.type === 'form' && m.template.wizard).pop().template.metadata.form_id,
+                values
+            }
+        });
+
+        const acme = connect('acme');
+        await uiAgent.wizards.start(acme.clientId, 'kagent-deploy');
+        await submit(acme, { name: 'billing', namespace: 'default' });
+        await submit(acme, { decision: 'confirm' });
+        expect(autoweave.deployWorkflow).toHaveBeenCalledWith(expect.objectContaining({ namespace: 'tenant-acme' }),
+            { tenant: 'acme', namespace: 'tenant-acme' });
+
+        // The default tenant may not deploy into another tenant's namespace
+        const other = connect('default');
+        await uiAgent.wizards.start(other.clientId, 'kagent-deploy');
+        await submit(other, { name: 'billing', namespace: 'tenant-acme' });
+        expect(sent(other.ws).filter(m => m.template?.type === 'error').pop().template.metadata.error_code).toBe('NAMESPACE_FORBIDDEN');
+        expect(autoweave.generateYAML).toHaveBeenCalledTimes(1);
+        await uiAgent.shutdown();
+    });
+
+    it('should check agent quotas before creating agents from the UI', async () => {
+        const autoweave = {
+            listAgents: jest.fn().mockResolvedValue({ agents: [{ id: 'agent-1' }] }),
+            createAgent: jest.fn()
+        };
+        const uiAgent = new UIAgent({ sweepInterval: 0, heartbeatInterval: 0 }, autoweave);
+        const ws = { send: jest.fn(), on: jest.fn(), close: jest.fn(), readyState: 1 };
+        const clientId = uiAgent.handleConnection(ws, { socket: {}, headers: {}, tenant: registry.handle('acme') });
+
+        const event = await uiAgent.confirmAgentCreation(clientId, { name: 'billing' }, { description: 'Watch billing' });
+
+        expect(event.template.metadata.error_code).toBe('QUOTA_EXCEEDED');
+        expect(autoweave.listAgents).toHaveBeenCalledWith({ tenant: 'acme', namespace: 'tenant-acme' });
+        expect(autoweave.createAgent).not.toHaveBeenCalled();
+        expect(uiAgent.operations.list()).toEqual([]);
+        await uiAgent.shutdown();
+    });
+
+    it('should not delete or read the agents of another tenant from the UI', async () => {
+        // A backend ignoring the tenant context lists every agent
+        const autoweave = {
+            listAgents: jest.fn().mockResolvedValue({ agents: [{ id: 'payroll', tenant: 'globex' }, { id: 'billing', tenant: 'acme' }] }),
+            deleteAgent: jest.fn().mockResolvedValue(true),
+            getAgentLogs: jest.fn().mockResolvedValue(['secret line'])
+        };
+        const uiAgent = new UIAgent({ sweepInterval: 0, heartbeatInterval: 0 }, autoweave);
+        const ws = { send: jest.fn(), on: jest.fn(), close: jest.fn(), readyState: 1 };
+        const clientId = uiAgent.handleConnection(ws, { socket: {}, headers: {}, tenant: registry.handle('acme') });
+        const command = (name, args) => uiAgent.handleMessage(clientId, { type: 'command', content: { command: name, args } });
+        const lastError = () => ws.send.mock.calls.map(([data]) => JSON.parse(data)).filter(m => m.template?.type === 'error').pop().template;
+
+        await command('delete-agent', { id: 'payroll' });
+        expect(lastError().details).toBe('Agent payroll not found');
+        await command('agent-logs', { id: 'payroll', namespace: 'tenant-acme' });
+        expect(lastError()).toMatchObject({ details: 'Agent payroll not found', metadata: { error_code: 'COMMAND_FAILED' } });
+        expect(autoweave.deleteAgent).not.toHaveBeenCalled();
+        expect(autoweave.getAgentLogs).not.toHaveBeenCalled();
+
+        // kagent agents are read in the tenant's namespace only
+        await command('agent-logs', { id: 'billing-kagent', namespace: 'tenant-globex' });
+        expect(autoweave.getAgentLogs).toHaveBeenCalledWith('billing-kagent', { namespace: 'tenant-acme', lines: 100 },
+            { tenant: 'acme', namespace: 'tenant-acme' });
+
+        await command('delete-agent', { id: 'billing' });
+        expect(autoweave.deleteAgent).toHaveBeenCalledWith('billing', { tenant: 'acme', namespace: 'tenant-acme' });
+        await uiAgent.shutdown();
+    });
+
+    it('should publish agent changes to the topic subscribers of their tenant', async () => {
+        const autoweave = {
+            listAgents: jest.fn().mockResolvedValue({ agents: [{ id: 'agent-7', tenant: 'acme' }] }),
+            deleteAgent: jest.fn().mockResolvedValue(true)
+        };
+        const uiAgent = new UIAgent({ sweepInterval: 0, heartbeatInterval: 0 }, autoweave);
+        const subscribe = async (tenant, topics) => {
+            const ws = { send: jest.fn(), on: jest.fn(), close: jest.fn(), readyState: 1 };
+            const clientId = uiAgent.handleConnection(ws, { socket: {}, headers: {}, tenant: registry.handle(tenant) });
+            await uiAgent.handleMessage(clientId, { type: 'subscribe', content: { topics } });
+            return { ws, clientId };
+        };
+        const published = (client) => client.ws.send.mock.calls.map(([data]) => JSON.parse(data))
+            .filter(m => m.agui_metadata?.topic)
+            .map(m => [m.agui_metadata.topic, m.template.status, m.template.metadata.resource_id]);
+        const settle = () => new Promise(resolve => setImmediate(resolve));
+
+        const acme = await subscribe('acme', ['agents', 'agent:agent-7']);
+        const other = await subscribe('default', ['agents', 'agent:*']);
+
+        // Operations started by the agent routes are owned by the caller's tenant
+        await uiAgent.operations.run('agent-deploy', async () => ({ workflow: { id: 'agent-7' }, status: 'deploying' }),
+            { title: 'Deploy agent', owner: { tenant: 'acme' } });
+        await settle();
+        await uiAgent.deleteAgent(acme.clientId, 'agent-7');
+        await settle();
+
+        expect(published(acme)).toEqual([
+            ['agents', 'created', 'agent-7'],
+            ['agent:agent-7', 'created', 'agent-7'],
+            ['agents', 'deleted', 'agent-7'],
+            ['agent:agent-7', 'deleted', 'agent-7']
+        ]);
+        expect(published(other)).toEqual([]);
+        await uiAgent.shutdown();
+    });
+});
+
+describe('Partitioned standalone services', () => {
+    let services;
+    let registry;
+
+    beforeEach(() => {
+        registry = new TenantRegistry({ tenants: [{ id: 'acme', quotas: { agents: 1 } }, { id: 'globex' }] });
+        services = createStandaloneServices({}, { tenantRegistry: registry });
+    });
+
+    it('should only show a tenant its own agents, memories and deployments', async () => {
+        const { autoweave, agentService, kagentService } = services;
+        await autoweave.createAgent('Watch the billing queue for stuck invoices', { name: 'billing watch' }, { tenant: 'acme' });
+        await autoweave.createAgent('Watch the payroll queue for errors', { name: 'payroll watch' }, { tenant: 'globex' });
+
+        expect((await autoweave.listAgents({ tenant: 'acme' })).agents.map(agent => agent.name)).toEqual(['billing-watch']);
+        expect((await autoweave.listAgents({ tenant: 'default' })).agents).toEqual([]);
+        const [payroll] = await agentService.listAgents({ tenant: 'globex' });
+        expect(await agentService.getAgentStatus(payroll.id, { tenant: 'acme' })).toBeNull();
+        await expect(agentService.deleteAgent(payroll.id, { tenant: 'acme' })).rejects.toMatchObject({ code: 'AGENT_NOT_FOUND' });
+        expect((await kagentService.getKagentAgents()).map(agent => agent.metadata.namespace).sort())
+            .toEqual(['tenant-acme', 'tenant-globex']);
+
+        await expect(autoweave.createAgent('Watch the invoices queue too', {}, { tenant: 'acme' }))
+            .rejects.toMatchObject({ code: 'QUOTA_EXCEEDED' });
+    });
+
+    it('should count integration agents in the agents quota', async () => {
+        const { autoweave } = services;
+        await autoweave.createIntegrationAgent({ openapi_url: 'https://billing.example/openapi.json' }, { tenant: 'acme' });
+
+        await expect(autoweave.createIntegrationAgent({ openapi_url: 'https://payroll.example/openapi.json' }, { tenant: 'acme' }))
+            .rejects.toMatchObject({ code: 'QUOTA_EXCEEDED' });
+        await expect(autoweave.createAgent('Watch the billing queue', {}, { tenant: 'acme' }))
+            .rejects.toMatchObject({ code: 'QUOTA_EXCEEDED' });
+        await expect(autoweave.createIntegrationAgent({ openapi_url: 'https://payroll.example/openapi.json' }, { tenant: 'globex' }))
+            .resolves.toMatchObject({ agent: expect.objectContaining({ tenant: 'globex' }) });
+    });
+
+    it('should search memories within the tenant', async () => {
+        const { autoweave, memoryManager } = services;
+        await memoryManager.contextualMemory.addUserMemory(tenantKey('acme', 'alice'), 'The billing cluster runs on ARM');
+        await memoryManager.contextualMemory.addUserMemory(tenantKey('globex', 'alice'), 'The billing cluster secrets rotate');
+        await autoweave.createAgent('Watch the billing cluster for errors', { name: 'billing cluster' }, { tenant: 'globex' });
+
+        const results = await autoweave.searchMemory('billing cluster', 'alice', {}, { tenant: 'acme' });
+
+        expect(results.map(result => result.memory)).toEqual(['The billing cluster runs on ARM']);
+    });
+});
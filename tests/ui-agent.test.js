@@ -36,6 +36,16 @@ describe('UIAgent', () => {
                 expect.stringContaining('"type":"welcome"')
             );
         });
+
+        it('should remove the client when the socket closes', () => {
+            const clientId = uiAgent.handleConnection(mockWs, { socket: {}, headers: {} });
+            expect(uiAgent.clients.has(clientId)).toBe(true);
+
+            const closeHandler = mockWs.on.mock.calls.find(([event]) => event === 'close')[1];
+            closeHandler();
+
+            expect(uiAgent.clients.has(clientId)).toBe(false);
+        });
     });
 
     describe('handleMessage', () => {
@@ -147,7 +157,355 @@ describe('UIAgent', () => {
         });
     });
 
-    describe('error handling', () => {
+    describe('topics', () => {
+        it('should only publish to subscribed clients', async () => {
+            const agentsWs = { send: jest.fn(), readyState: 1 };
+            const healthWs = { send: jest.fn(), readyState: 1 };
+            uiAgent.clients.set('agents-client', agentsWs);
+            uiAgent.clients.set('health-client', healthWs);
+
+            await uiAgent.handleMessage('agents-client', { type: 'subscribe', content: { topics: ['agents'] } });
+            await uiAgent.handleMessage('health-client', { type: 'subscribe', content: { topics: ['health'] } });
+
+            const delivered = await uiAgent.publish('agents', { type: 'status', content: { message: 'Agent created' } });
+
+            expect(delivered).toBe(1);
+            expect(agentsWs.send).toHaveBeenLastCalledWith(expect.stringContaining('Agent created'));
+            expect(healthWs.send).not.toHaveBeenCalledWith(expect.stringContaining('Agent created'));
+        });
+
+        it('should match agent:* subscriptions and reject unknown topics', async () => {
+            uiAgent.clients.set('client1', mockWs);
+
+            await uiAgent.handleMessage('client1', {
+                type: 'subscribe',
+                content: { topics: ['agent:*', 'not-a-topic'] }
+            });
+
+            expect(mockWs.send).toHaveBeenLastCalledWith(
+                expect.stringContaining('"rejected":["not-a-topic"]')
+            );
+            expect(await uiAgent.publish('agent:42', { type: 'status', content: {} })).toBe(1);
+
+            await uiAgent.handleMessage('client1', { type: 'unsubscribe', content: { all: true } });
+            expect(await uiAgent.publish('agent:42', { type: 'status', content: {} })).toBe(0);
+        });
+    });
+
+    describe('form submissions', () => {
+        const sentMessages = (ws) => ws.send.mock.calls.map(([data]) => JSON.parse(data));
+
+        const issueAgentForm = async () => {
+            uiAgent.clients.set('form-client', mockWs);
+            const event = uiAgent.generateDisplayEvent('display-form', {
+                form_title: 'Agent Configuration',
+                form_description: 'Provide additional details for your agent',
+                form_schema: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string' },
+                        priority: { type: 'string', enum: ['low', 'medium', 'high'], default: 'medium' },
+                        environment: { type: 'string', enum: ['development', 'production'], default: 'development' }
+                    },
+                    required: ['name']
+                },
+                form_action: 'create-agent-confirm',
+                form_id: 'agent-form-1'
+            }, 'form-client');
+            await uiAgent.sendEvent(event, 'form-client');
+            return uiAgent.getOutstandingForm('form-client', 'agent-form-1');
+        };
+
+        it('should remember issued forms', async () => {
+            const form = await issueAgentForm();
+
+            expect(form.action).toBe('create-agent-confirm');
+            expect(form.schema.required).toEqual(['name']);
+        });
+
+        it('should reply with per-field errors for invalid submissions', async () => {
+            const form = await issueAgentForm();
+
+            await uiAgent.handleMessage('form-client', {
+                type: 'input',
+                content: { action: 'create-agent-confirm', form_id: form.form_id, values: { priority: 'urgent' } }
+            });
+
+            const reply = sentMessages(mockWs).pop();
+            expect(reply.template.type).toBe('form_errors');
+            expect(Object.keys(reply.template.errors).sort()).toEqual(['name', 'priority']);
+            expect(uiAgent.getOutstandingForm('form-client', form.form_id)).not.toBeNull();
+        });
+
+        it('should route valid submissions to the form handler', async () => {
+            const handler = jest.fn();
+            uiAgent.registerFormHandler('create-agent-confirm', handler);
+            const form = await issueAgentForm();
+
+            await uiAgent.handleMessage('form-client', {
+                type: 'input',
+                content: { action: 'create-agent-confirm', form_id: form.form_id, values: { name: 'inbox-watcher' } }
+            });
+
+            expect(handler).toHaveBeenCalledWith(
+                'form-client',
+                { name: 'inbox-watcher', priority: 'medium', environment: 'development' },
+                expect.objectContaining({ form_id: form.form_id })
+            );
+            expect(uiAgent.getOutstandingForm('form-client', form.form_id)).toBeNull();
+        });
+
+        it('should refuse submissions for forms that were never issued', async () => {
+            const handler = jest.fn();
+            uiAgent.registerFormHandler('create-agent-confirm', handler);
+            uiAgent.clients.set('form-client', mockWs);
+
+            await uiAgent.handleMessage('form-client', {
+                type: 'input',
+                content: { action: 'create-agent-confirm', values: { name: 'sneaky' } }
+            });
+
+            expect(handler).not.toHaveBeenCalled();
+            expect(mockWs.send).toHaveBeenLastCalledWith(expect.stringContaining('FORM_REQUIRED'));
+        });
+    });
+
+    describe('session resumption', () => {
+        const sentMessages = (ws) => ws.send.mock.calls.map(([data]) => JSON.parse(data));
+        const flush = () => new Promise(resolve => setImmediate(resolve));
+
+        it('should number events sent to a session', async () => {
+            const clientId = uiAgent.handleConnection(mockWs, { socket: {}, headers: {} });
+            await flush();
+            await uiAgent.generateOperationStatus(clientId, 'op-1', 'running', 'Step 1', 10);
+            await uiAgent.generateOperationStatus(clientId, 'op-1', 'running', 'Step 2', 20);
+
+            const sequences = sentMessages(mockWs)
+                .filter(m => m.agui_metadata?.template_id === 'status-update')
+                .map(m => m.agui_metadata.seq);
+
+            expect(sequences).toHaveLength(2);
+            expect(sequences[1]).toBe(sequences[0] + 1);
+        });
+
+        it('should replay events missed while the client was offline', async () => {
+            const clientId = uiAgent.handleConnection(mockWs, { socket: {}, headers: {} });
+            await flush();
+            await uiAgent.generateOperationStatus(clientId, 'op-1', 'running', 'Deploying', 10);
+            const session = uiAgent.activeSessions.get(clientId);
+            const lastSeq = session.sequence;
+
+            uiAgent.handleDisconnect(clientId);
+            await uiAgent.generateOperationStatus(clientId, 'op-1', 'completed', 'Deployed', 100);
+
+            const newWs = { send: jest.fn(), on: jest.fn(), close: jest.fn(), readyState: 1 };
+            const newClientId = uiAgent.handleConnection(newWs, { socket: {}, headers: {} });
+            await flush();
+            await uiAgent.handleMessage(newClientId, {
+                type: 'resume',
+                content: { session_id: session.session_id, last_seq: lastSeq }
+            }, newWs);
+
+            const messages = sentMessages(newWs);
+            const resumed = messages.find(m => m.type === 'resumed');
+            expect(resumed.content).toMatchObject({ session_id: session.session_id, replayed: 1, complete: true });
+            expect(messages[messages.length - 2].template.message).toBe('Deployed');
+            expect(messages[messages.length - 1].type).toBe('state_snapshot');
+
+            // Events addressed to the old client id follow the session
+            await uiAgent.generateOperationStatus(clientId, 'op-2', 'running', 'Next', 0);
+            expect(sentMessages(newWs).pop().template.message).toBe('Next');
+        });
+
+        it('should reject unknown sessions', async () => {
+            const clientId = uiAgent.handleConnection(mockWs, { socket: {}, headers: {} });
+            await uiAgent.handleMessage(clientId, {
+                type: 'resume',
+                content: { session_id: 'session-unknown', last_seq: 3 }
+            }, mockWs);
+
+            expect(mockWs.send).toHaveBeenCalledWith(
+                expect.stringContaining('"type":"resume_failed"')
+            );
+        });
+    });
+
+    describe('session expiry', () => {
+        const connect = (address = '10.0.0.1') => {
+            const ws = { send: jest.fn(), on: jest.fn(), close: jest.fn(), readyState: 1 };
+            const clientId = uiAgent.handleConnection(ws, { socket: { remoteAddress: address }, headers: {} });
+            return { ws, clientId };
+        };
+        const closeSocket = (ws, code) => ws.on.mock.calls.find(([event]) => event === 'close')[1](code);
+
+        it('should close the session when the client disconnects normally', () => {
+            const { ws, clientId } = connect();
+            uiAgent.updateUIState(clientId, 'view', 'agents');
+
+            closeSocket(ws, 1000);
+
+            expect(uiAgent.activeSessions.has(clientId)).toBe(false);
+            expect(uiAgent.getUIState(clientId, 'view')).toBeUndefined();
+            expect(uiAgent.getEventGenerationStats().sessions.closed).toBe(1);
+        });
+
+        it('should keep dropped sessions resumable until the disconnect TTL expires', () => {
+            uiAgent = new UIAgent({ disconnectedSessionTtl: 1000, sweepInterval: 0 });
+            const { ws, clientId } = connect();
+
+            closeSocket(ws, 1006);
+            const disconnectedAt = Date.parse(uiAgent.activeSessions.get(clientId).disconnected_at);
+
+            expect(uiAgent.sweepSessions(disconnectedAt + 500)).toBe(0);
+            expect(uiAgent.sweepSessions(disconnectedAt + 1500)).toBe(1);
+            expect(uiAgent.activeSessions.has(clientId)).toBe(false);
+            expect(uiAgent.getEventGenerationStats().sessions.evicted.disconnected).toBe(1);
+        });
+
+        it('should evict idle sessions and close their socket', () => {
+            uiAgent = new UIAgent({ sessionTtl: 1000, sweepInterval: 0 });
+            const { ws, clientId } = connect();
+            const lastActivity = Date.parse(uiAgent.activeSessions.get(clientId).last_activity);
+
+            uiAgent.sweepSessions(lastActivity + 1500);
+
+            expect(uiAgent.clients.has(clientId)).toBe(false);
+            expect(ws.close).toHaveBeenCalledWith(4001, 'Session evicted (idle)');
+            expect(uiAgent.getEventGenerationStats().sessions.evicted.idle).toBe(1);
+        });
+
+        it('should evict orphaned UI states', () => {
+            uiAgent = new UIAgent({ uiStateTtl: 1000, sweepInterval: 0 });
+            uiAgent.updateUIState('headless', 'view', 'agents');
+
+            uiAgent.sweepSessions(Date.now() + 1500);
+
+            expect(uiAgent.uiStates.has('headless')).toBe(false);
+            expect(uiAgent.getEventGenerationStats().sessions.ui_states_evicted).toBe(1);
+        });
+
+        it('should cap sessions per client, dropping disconnected ones first', () => {
+            uiAgent = new UIAgent({ maxSessionsPerClient: 2, sweepInterval: 0 });
+            const first = connect();
+            const second = connect();
+            closeSocket(second.ws, 1006);
+            const other = connect('10.0.0.2');
+
+            const third = connect();
+
+            expect(uiAgent.activeSessions.has(second.clientId)).toBe(false);
+            expect(uiAgent.activeSessions.has(first.clientId)).toBe(true);
+            expect(uiAgent.activeSessions.has(third.clientId)).toBe(true);
+            expect(uiAgent.activeSessions.has(other.clientId)).toBe(true);
+
+            connect();
+            expect(first.ws.close).toHaveBeenCalledWith(4001, 'Session evicted (capacity)');
+            expect(uiAgent.getEventGenerationStats().sessions.evicted.capacity).toBe(2);
+        });
+
+        it('should drop redirects to evicted sessions', async () => {
+            uiAgent = new UIAgent({ sweepInterval: 0 });
+            const { ws, clientId } = connect();
+            const sessionId = uiAgent.activeSessions.get(clientId).session_id;
+            closeSocket(ws, 1006);
+
+            const resumed = connect();
+            await uiAgent.handleMessage(resumed.clientId, { type: 'resume', content: { session_id: sessionId } }, resumed.ws);
+            expect(uiAgent.resolveClientId(clientId)).toBe(resumed.clientId);
+
+            uiAgent.closeSession(clientId);
+
+            expect(uiAgent.clientRedirects.size).toBe(0);
+            expect(uiAgent.activeSessions.has(resumed.clientId)).toBe(false);
+        });
+    });
+
+    describe('heartbeat and backpressure', () => {
+        const connect = () => {
+            const ws = { send: jest.fn(), on: jest.fn(), close: jest.fn(), ping: jest.fn(), terminate: jest.fn(), readyState: 1, bufferedAmount: 0 };
+            const clientId = uiAgent.handleConnection(ws, { socket: { remoteAddress: '10.0.0.1' }, headers: {} });
+            return { ws, clientId };
+        };
+        const pong = (ws) => ws.on.mock.calls.find(([event]) => event === 'pong')[1]();
+        const chat = (text) => ({ type: 'chat', template: { text } });
+        const status = (operationId, progress) => ({ type: 'status', template: { progress, metadata: { operation_id: operationId } } });
+
+        it('should terminate connections that miss a heartbeat and keep their session', () => {
+            uiAgent = new UIAgent({ heartbeatInterval: 0, sweepInterval: 0 });
+            const alive = connect();
+            const stale = connect();
+
+            uiAgent.heartbeat();
+            pong(alive.ws);
+            uiAgent.heartbeat();
+
+            expect(alive.ws.ping).toHaveBeenCalledTimes(2);
+            expect(alive.ws.terminate).not.toHaveBeenCalled();
+            expect(stale.ws.terminate).toHaveBeenCalled();
+            expect(uiAgent.clients.has(stale.clientId)).toBe(false);
+            expect(uiAgent.activeSessions.get(stale.clientId).disconnected_at).toBeTruthy();
+            expect(uiAgent.getEventGenerationStats().outbound.heartbeat.terminated).toBe(1);
+        });
+
+        it('should queue events while the socket buffer is full and flush them in order', () => {
+            uiAgent = new UIAgent({ heartbeatInterval: 0, sweepInterval: 0, maxBufferedBytes: 100 });
+            const { ws, clientId } = connect();
+            ws.send.mockClear();
+            ws.bufferedAmount = 500;
+
+            uiAgent.sendToClient(clientId, chat('one'));
+            uiAgent.sendToClient(clientId, chat('two'));
+
+            expect(ws.send).not.toHaveBeenCalled();
+            expect(uiAgent.getEventGenerationStats().outbound.queue_depths[clientId]).toBe(2);
+
+            ws.bufferedAmount = 0;
+            expect(uiAgent.flushOutbound(clientId)).toBe(2);
+            expect(ws.send.mock.calls.map(([data]) => JSON.parse(data).template.text)).toEqual(['one', 'two']);
+        });
+
+        it('should coalesce progress of the same operation', () => {
+            uiAgent = new UIAgent({ heartbeatInterval: 0, sweepInterval: 0, maxBufferedBytes: 100 });
+            const { ws, clientId } = connect();
+            ws.send.mockClear();
+            ws.bufferedAmount = 500;
+
+            uiAgent.sendToClient(clientId, status('op-1', 10));
+            uiAgent.sendToClient(clientId, status('op-2', 10));
+            uiAgent.sendToClient(clientId, status('op-1', 60));
+
+            ws.bufferedAmount = 0;
+            uiAgent.flushOutbound(clientId);
+
+            const sent = ws.send.mock.calls.map(([data]) => JSON.parse(data).template);
+            expect(sent.map(template => [template.metadata.operation_id, template.progress])).toEqual([
+                ['op-2', 10],
+                ['op-1', 60]
+            ]);
+            expect(uiAgent.getEventGenerationStats().outbound.coalesced).toBe(1);
+        });
+
+        it('should drop status events and disconnect slow consumers when the queue is full', () => {
+            uiAgent = new UIAgent({ heartbeatInterval: 0, sweepInterval: 0, maxBufferedBytes: 100, maxQueueSize: 1 });
+            const { ws, clientId } = connect();
+            ws.bufferedAmount = 500;
+
+            uiAgent.sendToClient(clientId, chat('one'));
+            expect(uiAgent.sendToClient(clientId, status('op-1', 10))).toBe(false);
+            expect(uiAgent.clients.has(clientId)).toBe(true);
+
+            uiAgent.sendToClient(clientId, chat('two'));
+
+            const stats = uiAgent.getEventGenerationStats().outbound;
+            expect(stats.dropped).toBe(1);
+            expect(stats.slow_consumers_disconnected).toBe(1);
+            expect(ws.terminate).toHaveBeenCalled();
+            expect(uiAgent.clients.has(clientId)).toBe(false);
+            expect(uiAgent.activeSessions.has(clientId)).toBe(true);
+        });
+    });
+
+        describe('error handling', () => {
         it('should handle WebSocket send errors gracefully', () => {
             const errorWs = {
                 send: jest.fn().mockImplementation(() => {
@@ -0,0 +1,153 @@
+/**
+ * Tests for AG-UI analytics
+ */
+
+import { jest } from '@jest/globals';
+import { UIAnalytics } from '../src/agui/ui-analytics.js';
+import { UIAgent } from '../src/agui/ui-agent.js';
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('UIAnalytics', () => {
+    it('should count deliveries and latency per template', () => {
+        const analytics = new UIAnalytics();
+
+        analytics.recordGenerated('chat-response', 'identity:alice');
+        analytics.recordDelivery('chat-response', 'sent', 'identity:alice');
+        analytics.recordDelivery('chat-response', 'deferred', 'identity:alice');
+        analytics.recordLatency('chat-response', 4);
+        analytics.recordLatency('chat-response', 30);
+
+        const stats = analytics.toJSON();
+        expect(stats.templates['chat-response']).toEqual({
+            generated: 1,
+            sent: 1,
+            failed: 0,
+            deferred: 1,
+            forwarded: 0,
+            latency_ms: { count: 2, avg: 17, max: 30 }
+        });
+        expect(stats.clients['identity:alice']).toMatchObject({ generated: 1, sent: 1, failed: 0, inbound: 0 });
+    });
+
+    it('should compute form and wizard rates', () => {
+        const analytics = new UIAnalytics();
+
+        ['shown', 'shown', 'shown', 'shown', 'submitted', 'invalid', 'abandoned'].forEach(outcome =>
+            analytics.recordForm('create-agent-confirm', outcome));
+        analytics.recordWizard('create-agent', 'started');
+        analytics.recordWizard('create-agent', 'started');
+        analytics.recordWizardStep('create-agent', 'describe');
+        analytics.recordWizard('create-agent', 'completed');
+        analytics.recordWizard('create-agent', 'abandoned', 'describe');
+
+        const stats = analytics.toJSON();
+        expect(stats.forms['create-agent-confirm']).toMatchObject({ completion_rate: 0.25, abandonment_rate: 0.25 });
+        expect(stats.wizards['create-agent']).toMatchObject({
+            started: 2,
+            completion_rate: 0.5,
+            abandonment_rate: 0.5,
+            steps: { describe: { entered: 1, stopped: 1 } }
+        });
+    });
+
+    it('should keep only the most recently active clients', () => {
+        const analytics = new UIAnalytics({ maxClients: 2 });
+
+        analytics.recordInbound('chat', 'a');
+        analytics.recordInbound('chat', 'b');
+        analytics.recordInbound('chat', 'a');
+        analytics.recordInbound('chat', 'c');
+
+        const stats = analytics.toJSON();
+        expect(Object.keys(stats.clients)).toEqual(['a', 'c']);
+        expect(stats.clients_dropped).toBe(1);
+        expect(stats.inbound).toEqual({ chat: 4 });
+    });
+
+    it('should export the Prometheus text format', () => {
+        const analytics = new UIAnalytics();
+        analytics.recordLatency('display-chart', 7);
+        analytics.recordInbound('chat', '10.0.0.1 "proxy"');
+
+        const text = analytics.toPrometheus({ agui_connected_clients: { help: 'Connected clients', value: 3 } });
+
+        expect(text).toContain('# TYPE agui_event_send_latency_ms histogram');
+        expect(text).toContain('agui_event_send_latency_ms_bucket{template="display-chart",le="5"} 0');
+        expect(text).toContain('agui_event_send_latency_ms_bucket{template="display-chart",le="10"} 1');
+        expect(text).toContain('agui_event_send_latency_ms_bucket{template="display-chart",le="+Inf"} 1');
+        expect(text).toContain('agui_event_send_latency_ms_sum{template="display-chart"} 7');
+        expect(text).toContain('agui_client_inbound_messages_total{client="10.0.0.1 \\"proxy\\""} 1');
+        expect(text).toContain('# TYPE agui_connected_clients gauge\nagui_connected_clients 3');
+        expect(text.endsWith('\n')).toBe(true);
+    });
+});
+
+describe('UIAgent analytics', () => {
+    let uiAgent;
+    let ws;
+    let clientId;
+
+    beforeEach(async () => {
+        uiAgent = new UIAgent({ sweepInterval: 0, heartbeatInterval: 0 });
+        ws = { send: jest.fn(), on: jest.fn(), close: jest.fn(), ping: jest.fn(), readyState: 1 };
+        clientId = uiAgent.handleConnection(ws, { socket: { remoteAddress: '10.0.0.1' }, headers: {} });
+        await flush();
+    });
+
+    afterEach(async () => {
+        await uiAgent.shutdown();
+    });
+
+    it('should count sent events, their latency and inbound messages', async () => {
+        const clientKey = uiAgent.activeSessions.get(clientId).client_key;
+        const sentOnConnect = uiAgent.getEventGenerationStats().analytics.clients[clientKey].sent;
+
+        await uiAgent.sendEvent(uiAgent.generateDisplayEvent('display-error', {
+            error_title: 'Oops',
+            error_message: 'Something failed'
+        }, clientId), clientId);
+        await uiAgent.handleMessage(clientId, { type: 'subscribe', content: { topics: ['health'] } });
+        await uiAgent.handleMessage(clientId, { type: 'telepathy' });
+
+        const { analytics } = uiAgent.getEventGenerationStats();
+
+        expect(analytics.templates['display-error']).toMatchObject({ generated: 1, sent: 1, latency_ms: { count: 1 } });
+        expect(analytics.inbound).toEqual({ subscribe: 1, unknown: 1 });
+        expect(analytics.clients[clientKey]).toMatchObject({ sent: sentOnConnect + 1, inbound: 2 });
+    });
+
+    it('should count events kept for replay while the client is away', async () => {
+        uiAgent.clients.delete(clientId);
+
+        await uiAgent.sendEvent(uiAgent.generateChatEvent('chat-response', { message: 'Later' }, clientId), clientId);
+
+        expect(uiAgent.getEventGenerationStats().analytics.templates['chat-response']).toMatchObject({
+            sent: 0,
+            deferred: 1,
+            latency_ms: { count: 0 }
+        });
+    });
+
+    it('should count wizard steps and flows abandoned with their session', async () => {
+        await uiAgent.wizards.start(clientId, 'create-agent');
+        uiAgent.closeSession(clientId);
+
+        const { analytics } = uiAgent.getEventGenerationStats();
+        expect(analytics.wizards['create-agent']).toMatchObject({
+            started: 1,
+            abandoned: 1,
+            steps: { describe: { entered: 1, stopped: 1 } }
+        });
+        expect(analytics.forms['wizard-step']).toMatchObject({ shown: 1, abandoned: 1 });
+    });
+
+    it('should expose the counters as Prometheus metrics', async () => {
+        await uiAgent.handleMessage(clientId, { type: 'state_sync' });
+
+        const text = uiAgent.getPrometheusMetrics();
+
+        expect(text).toContain('agui_inbound_messages_total{type="state_sync"} 1');
+        expect(text).toContain('agui_connected_clients 1');
+    });
+});
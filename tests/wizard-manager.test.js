@@ -0,0 +1,105 @@
+/**
+ * Tests for AG-UI wizard flows
+ */
+
+import { jest } from '@jest/globals';
+import { UIAgent } from '../src/agui/ui-agent.js';
+
+describe('WizardManager', () => {
+    let uiAgent;
+    let ws;
+    let autoweave;
+    const clientId = 'wizard-client';
+
+    const sentMessages = () => ws.send.mock.calls.map(([data]) => JSON.parse(data));
+    const lastForm = () => sentMessages().filter(m => m.template?.type === 'form').pop();
+    const submit = (values) => uiAgent.handleMessage(clientId, {
+        type: 'input',
+        content: { action: 'wizard-step', form_id: lastForm().template.metadata.form_id, values }
+    });
+
+    beforeEach(() => {
+        autoweave = { createAgent: jest.fn().mockResolvedValue({ id: 'agent-1' }) };
+        uiAgent = new UIAgent({}, autoweave);
+        ws = { send: jest.fn(), on: jest.fn(), close: jest.fn(), readyState: 1 };
+        uiAgent.clients.set(clientId, ws);
+    });
+
+    it('should walk the agent creation wizard through to deployment', async () => {
+        await uiAgent.generateAgentCreationFlow(clientId, 'Summarise my inbox every morning');
+
+        // Description given up front: the describe step is skipped
+        expect(lastForm().template.wizard).toMatchObject({ id: 'create-agent', step: 'configure' });
+
+        await submit({ name: 'inbox-digest' });
+        expect(sentMessages().some(m => m.template?.type === 'summary')).toBe(true);
+        expect(lastForm().template.wizard.step).toBe('confirm');
+
+        await submit({ decision: 'confirm' });
+
+        expect(autoweave.createAgent).toHaveBeenCalledWith('Summarise my inbox every morning', {
+            name: 'inbox-digest',
+            priority: 'medium',
+            environment: 'development'
+        }, { tenant: 'default', namespace: null });
+        expect(uiAgent.wizards.getState(clientId).status).toBe('completed');
+    });
+
+    it('should go back to the previous step with answers pre-filled', async () => {
+        await uiAgent.wizards.start(clientId, 'create-agent');
+        await submit({ description: 'Watch the deployment queue' });
+        await submit({ name: 'queue-watcher', priority: 'high' });
+
+        await submit({ decision: 'back' });
+
+        const form = lastForm();
+        expect(form.template.wizard.step).toBe('configure');
+        expect(form.template.schema.properties.priority.default).toBe('high');
+    });
+
+    it('should reject answers to a step that is no longer active', async () => {
+        await uiAgent.wizards.start(clientId, 'create-agent');
+        const staleFormId = lastForm().template.metadata.form_id;
+        await submit({ description: 'Watch the deployment queue' });
+        await uiAgent.wizards.back(clientId);
+
+        // Resubmitting the form issued before going back
+        await uiAgent.handleMessage(clientId, {
+            type: 'input',
+            content: { action: 'wizard-step', form_id: staleFormId, values: { description: 'Something else entirely' } }
+        });
+
+        expect(ws.send).toHaveBeenLastCalledWith(expect.stringContaining('UNKNOWN_FORM'));
+    });
+
+    it('should cancel and report failed actions', async () => {
+        autoweave.createAgent.mockRejectedValue(new Error('cluster unreachable'));
+
+        await uiAgent.generateAgentCreationFlow(clientId, 'Summarise my inbox every morning');
+        await submit({ name: 'inbox-digest' });
+        await submit({ decision: 'confirm' });
+
+        expect(uiAgent.wizards.getState(clientId)).toMatchObject({ status: 'failed', step: 'deploy' });
+        expect(sentMessages().some(m => m.template?.metadata?.error_code === 'WIZARD_STEP_FAILED')).toBe(true);
+
+        await uiAgent.handleMessage(clientId, { type: 'wizard', content: { action: 'cancel' } });
+        expect(uiAgent.wizards.getState(clientId).status).toBe('cancelled');
+    });
+
+    it('should route choice steps through their transitions', async () => {
+        uiAgent.wizards.register({
+            id: 'triage',
+            steps: [
+                { id: 'kind', type: 'choice', options: [{ value: 'bug' }, { value: 'idea' }], on: { idea: 'thanks' } },
+                { id: 'details', type: 'form', schema: { type: 'object', properties: { text: { type: 'string' } } } },
+                { id: 'thanks', type: 'chat', message: 'Thanks!', next: null }
+            ]
+        });
+
+        await uiAgent.wizards.start(clientId, 'triage');
+        await submit({ choice: 'idea' });
+
+        expect(sentMessages().some(m => m.template?.text === 'Thanks!')).toBe(true);
+        expect(uiAgent.wizards.getState(clientId).status).toBe('completed');
+    });
+});